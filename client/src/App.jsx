@@ -1,17 +1,95 @@
-import { useState, useEffect, useCallback, useRef, useMemo } from 'react'
+import { useState, useEffect, useLayoutEffect, useCallback, useRef, useMemo } from 'react'
 import { io } from 'socket.io-client'
-import { Server, Bot, Activity, Plus, Settings, RefreshCw, Wifi, WifiOff, Trash2, Search, Clock, AlertCircle, CheckCircle2, Loader2, MessageSquare, Zap, Eye, ChevronDown, ChevronRight, Users, BarChart3, Play, Pause, Send, Terminal, History, Cpu, Database, X, Copy, Check, RotateCcw } from 'lucide-react'
+import { Server, Bot, Activity, Plus, Settings, RefreshCw, Wifi, WifiOff, Trash2, Search, Clock, AlertCircle, CheckCircle2, Loader2, MessageSquare, Zap, Eye, ChevronDown, ChevronRight, Users, BarChart3, Play, Pause, Send, Terminal, History, Cpu, Database, X, Copy, Check, RotateCcw, LogOut, Lock, User, DollarSign, Power, PowerOff, Wrench, Tag, GitBranch, CalendarClock, Megaphone, Sparkles, Link2 } from 'lucide-react'
+
+const AUTH_STORAGE_KEY = 'teamControl.auth'
+const DEMO_STORAGE_KEY = 'teamControl.demo'
+const DEMO_AVAILABLE = import.meta.env.DEV  // Demo data is for presentations from a dev build only
+const ROLE_LEVELS = { viewer: 0, operator: 1, admin: 2 }
+const ALL_SESSIONS = '__all__'  // Session picker value for agent-wide actions
+const ENVIRONMENTS = [
+  { id: 'prod', label: 'Production', badge: 'bg-red-500/20 text-red-400' },
+  { id: 'staging', label: 'Staging', badge: 'bg-amber-500/20 text-amber-400' },
+  { id: 'dev', label: 'Development', badge: 'bg-blue-500/20 text-blue-400' }
+]
+const ACTION_TIMEOUT = 15000   // ms to wait for the server to acknowledge an agent action
+const TOAST_DURATION = 5000
+const SEARCH_DEBOUNCE = 300
+const HISTORY_PAGE_SIZE = 50
+const FOCUS_MAX_PAGES = 20     // History pages loaded looking for a linked message before giving up
+const MESSAGE_KINDS = [
+  { id: 'user', label: 'User' },
+  { id: 'assistant', label: 'Assistant' },
+  { id: 'tool_use', label: 'Tool calls' },
+  { id: 'tool_result', label: 'Tool results' }
+]
+// Readable reasons for the typed error codes the server answers with
+const ERROR_REASONS = {
+  gateway_unavailable: 'Gateway offline',
+  gateway_timeout: 'Gateway timed out',
+  gateway_unsupported: 'Not supported by this gateway',
+  gateway_forbidden: 'Missing gateway permission',
+  timeout: 'No response from the server'
+}
+const METRICS_RANGES = {
+  '1h': { duration: 60 * 60 * 1000, bucket: '1m' },
+  '24h': { duration: 24 * 60 * 60 * 1000, bucket: '15m' },
+  '7d': { duration: 7 * 24 * 60 * 60 * 1000, bucket: '2h' }
+}
 
 function App() {
+  const [auth, setAuth] = useState(loadAuth)
+
+  const handleLogin = (session) => {
+    saveAuth(session)
+    setAuth(session)
+  }
+
+  const handleLogout = useCallback(() => {
+    if (auth?.token) {
+      apiFetch('/api/auth/logout', { method: 'POST' }).catch(() => {})
+    }
+    saveAuth(null)
+    setAuth(null)
+  }, [auth])
+
+  // Any 401 from the API means our session is gone
+  useEffect(() => {
+    const onUnauthorized = () => {
+      saveAuth(null)
+      setAuth(null)
+    }
+    window.addEventListener('teamcontrol:unauthorized', onUnauthorized)
+    return () => window.removeEventListener('teamcontrol:unauthorized', onUnauthorized)
+  }, [])
+
+  if (!auth?.token) {
+    return <LoginScreen onLogin={handleLogin} />
+  }
+
+  return <Dashboard key={auth.token} auth={auth} onLogout={handleLogout} />
+}
+
+function Dashboard({ auth, onLogout }) {
+  const user = auth.user
   const [gateways, setGateways] = useState([])
   const [agents, setAgents] = useState([])
   const [connected, setConnected] = useState(false)
   const [showAddGateway, setShowAddGateway] = useState(false)
   const [editingGateway, setEditingGateway] = useState(null)
+  const [maintenanceGateway, setMaintenanceGateway] = useState(null)
   const [discovering, setDiscovering] = useState(false)
   const [activityLog, setActivityLog] = useState([])
   const [selectedAgent, setSelectedAgent] = useState(null)
-  const [viewMode, setViewMode] = useState('grid') // 'grid' or 'list'
+  const [focusMessage, setFocusMessage] = useState(null)   // Search match or linked message to jump to in the agent view
+  const [pendingLink, setPendingLink] = useState(() => parseMessageLink(window.location.hash))
+  const [viewMode, setViewMode] = useState('grid') // 'grid', 'list' or 'cron'
+  const [demo, setDemo] = useState(() => DEMO_AVAILABLE && localStorage.getItem(DEMO_STORAGE_KEY) === '1')
+  const [budgetAlerts, setBudgetAlerts] = useState([])
+  const [alerts, setAlerts] = useState([])
+  const [tagFilter, setTagFilter] = useState([])
+  const [showBroadcast, setShowBroadcast] = useState(false)
+  const [toasts, setToasts] = useState([])
   
   // Stable socket reference - only create once
   const socketRef = useRef(null)
@@ -22,20 +100,68 @@ function App() {
       reconnection: true,
       reconnectionDelay: 1000,
       reconnectionDelayMax: 5000,
-      reconnectionAttempts: Infinity
+      reconnectionAttempts: Infinity,
+      auth: { token: auth.token }
     })
   }
   const socket = socketRef.current
 
-  // Add activity log entry
+  // Short-lived notification in the corner ('success' or 'error')
+  const notify = useCallback((type, message) => {
+    const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 6)
+    setToasts(prev => [...prev, { id, type, message }])
+    setTimeout(() => setToasts(prev => prev.filter(t => t.id !== id)), TOAST_DURATION)
+  }, [])
+
+  const openSearchResult = (result) => {
+    const agent = agents.find(a => a.id === result.agentId)
+    if (!agent) {
+      notify('error', `${result.agentId || 'That agent'} isn't connected right now`)
+      return
+    }
+    setFocusMessage(result)
+    setSelectedAgent(agent)
+  }
+
+  // Message links (#agent=...&session=...) open once their agent is connected
+  useEffect(() => {
+    const onHashChange = () => setPendingLink(parseMessageLink(window.location.hash))
+    window.addEventListener('hashchange', onHashChange)
+    return () => window.removeEventListener('hashchange', onHashChange)
+  }, [])
+
+  useEffect(() => {
+    if (!pendingLink) return
+    const agent = agents.find(a => a.id === pendingLink.agentId)
+    if (!agent) return
+    setFocusMessage(pendingLink)
+    setSelectedAgent(agent)
+    setPendingLink(null)
+  }, [pendingLink, agents])
+
+  const closeAgent = () => {
+    setSelectedAgent(null)
+    setFocusMessage(null)
+    if (parseMessageLink(window.location.hash)) {
+      window.history.replaceState(null, '', window.location.pathname + window.location.search)
+    }
+  }
+
+  const toggleDemo = () => {
+    localStorage.setItem(DEMO_STORAGE_KEY, demo ? '0' : '1')
+    setDemo(!demo)
+  }
+
+  // Add a local (this browser only) activity entry - everything else comes from the server log
   const addActivity = useCallback((type, message, data = {}) => {
     setActivityLog(prev => [{
       id: Date.now().toString(36) + Math.random().toString(36).slice(2, 4),
       type,
       message,
       data,
+      local: true,
       timestamp: new Date().toISOString()
-    }, ...prev].slice(0, 50)) // Keep last 50
+    }, ...prev].slice(0, 20)) // Keep last 20
   }, [])
 
   useEffect(() => {
@@ -48,17 +174,28 @@ function App() {
       setConnected(true)
       addActivity('system', 'Connected to Team Control server')
     }
-    const onDisconnect = () => {
+    const onDisconnect = (reason) => {
       setConnected(false)
       addActivity('warning', 'Disconnected from server')
+      // The server drops sockets whose access was revoked - reconnecting surfaces the 401
+      if (reason === 'io server disconnect') socket.connect()
+    }
+    
+    const onConnectError = (err) => {
+      if (err?.message === 'Unauthorized') {
+        window.dispatchEvent(new Event('teamcontrol:unauthorized'))
+      }
     }
     
     socket.on('connect', onConnect)
     socket.on('disconnect', onDisconnect)
+    socket.on('connect_error', onConnectError)
     
     socket.on('sync', (data) => {
       setGateways(data.gateways || [])
       setAgents(data.agents || [])
+      setBudgetAlerts(data.budgetAlerts || [])
+      setAlerts(data.alerts || [])
       addActivity('sync', `Synced ${data.gateways?.length || 0} gateways, ${data.agents?.length || 0} agents`)
     })
     
@@ -67,37 +204,19 @@ function App() {
         if (prev.some(g => g.id === gw.id)) return prev
         return [...prev, gw]
       })
-      addActivity('gateway', `Gateway added: ${gw.name}`, { gatewayId: gw.id })
     })
     
     socket.on('gateway:removed', ({ id }) => {
       setGateways(prev => prev.filter(g => g.id !== id))
       setAgents(prev => prev.filter(a => a.gatewayId !== id))
-      addActivity('gateway', `Gateway removed`, { gatewayId: id })
     })
     
     socket.on('gateway:update', (gw) => {
-      setGateways(prev => {
-        const old = prev.find(g => g.id === gw.id)
-        if (old?.status !== gw.status) {
-          addActivity('gateway', `${gw.name}: ${gw.status}`, { gatewayId: gw.id, status: gw.status })
-        }
-        return prev.map(g => g.id === gw.id ? gw : g)
-      })
+      setGateways(prev => prev.map(g => g.id === gw.id ? gw : g))
     })
     
     socket.on('agent:update', (agent) => {
       setAgents(prev => {
-        const old = prev.find(a => a.id === agent.id)
-        const isNew = !old
-        const statusChanged = old && old.status !== agent.status
-        
-        if (isNew) {
-          addActivity('agent', `Agent discovered: ${agent.name}`, { agentId: agent.id })
-        } else if (statusChanged) {
-          addActivity('agent', `${agent.name}: ${agent.status}`, { agentId: agent.id, status: agent.status })
-        }
-        
         const idx = prev.findIndex(a => a.id === agent.id)
         if (idx >= 0) return [...prev.slice(0, idx), agent, ...prev.slice(idx + 1)]
         return [...prev, agent]
@@ -106,7 +225,6 @@ function App() {
     
     socket.on('agent:removed', ({ id }) => {
       setAgents(prev => prev.filter(a => a.id !== id))
-      addActivity('agent', `Agent removed`, { agentId: id })
     })
 
     socket.on('discovery:complete', ({ discovered, gateways: newGateways }) => {
@@ -114,17 +232,30 @@ function App() {
       addActivity('discovery', `Discovery complete: ${discovered} gateways found`)
     })
 
-    const onChatEvent = ({ gatewayId, event, payload }) => {
-      if (event === 'chat' || event === 'chat:done') {
-        addActivity('chat', `Message in ${payload?.sessionKey || 'session'}`, { event, payload })
-      }
-    }
-    
-    socket.on('chat:event', onChatEvent)
-    
+    socket.on('budget:alert', (alert) => {
+      setBudgetAlerts(prev => [...prev.filter(a => a.budgetId !== alert.budgetId), alert])
+    })
+
+    socket.on('budget:resolved', ({ budgetId }) => {
+      setBudgetAlerts(prev => prev.filter(a => a.budgetId !== budgetId))
+    })
+
+    socket.on('alert:firing', (alert) => {
+      setAlerts(prev => [...prev.filter(a => a.key !== alert.key), alert])
+    })
+
+    socket.on('alert:resolved', (alert) => {
+      setAlerts(prev => prev.filter(a => a.key !== alert.key))
+    })
+
+    socket.on('alert:delivery-failed', ({ sinkName, error }) => {
+      addActivity('warning', `Alert delivery to ${sinkName} failed: ${error}`)
+    })
+
     return () => {
       socket.off('connect', onConnect)
       socket.off('disconnect', onDisconnect)
+      socket.off('connect_error', onConnectError)
       socket.off('sync')
       socket.off('gateway:added')
       socket.off('gateway:removed')
@@ -132,49 +263,127 @@ function App() {
       socket.off('agent:update')
       socket.off('agent:removed')
       socket.off('discovery:complete')
-      socket.off('chat:event', onChatEvent)
+      socket.off('budget:alert')
+      socket.off('budget:resolved')
+      socket.off('alert:firing')
+      socket.off('alert:resolved')
+      socket.off('alert:delivery-failed')
       // Don't disconnect - socket is reused across StrictMode double-mount
     }
   }, [addActivity, socket])
 
+  // Socket is tied to this login - drop it when the dashboard unmounts (logout)
+  useEffect(() => () => socket.disconnect(), [socket])
+
   const addGateway = async (data) => {
-    await fetch('/api/gateways', {
+    const res = await apiFetch('/api/gateways', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(data)
     })
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}))
+      alert('Failed to add gateway: ' + (body.error || `HTTP ${res.status}`))
+      return
+    }
     setShowAddGateway(false)
   }
 
   const removeGateway = async (id) => {
     if (!confirm('Remove this gateway?')) return
-    await fetch(`/api/gateways/${id}`, { method: 'DELETE' })
+    await apiFetch(`/api/gateways/${id}`, { method: 'DELETE' })
   }
 
   const updateGateway = async (id, data) => {
-    socket.emit('gateway:update', { id, ...data })
+    const res = await apiFetch(`/api/gateways/${id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    })
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}))
+      alert('Failed to update gateway: ' + (body.error || `HTTP ${res.status}`))
+      return
+    }
     setEditingGateway(null)
   }
 
+  // Gateway state changes; the result arrives via gateway:update
+  const gatewayRequest = async (path, options, failure) => {
+    const res = await apiFetch(path, options)
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}))
+      alert(`${failure}: ` + (body.error || `HTTP ${res.status}`))
+    }
+    return res.ok
+  }
+
+  const reconnectGateway = (id) => gatewayRequest(`/api/gateways/${id}/reconnect`, { method: 'POST' }, 'Failed to reconnect gateway')
+
+  const setGatewayEnabled = (gateway, enabled) => {
+    if (!enabled && !confirm(`Disable ${gateway.name}? It stays registered but won't be polled or connected.`)) return
+    gatewayRequest(`/api/gateways/${gateway.id}/${enabled ? 'enable' : 'disable'}`, { method: 'POST' }, `Failed to ${enabled ? 'enable' : 'disable'} gateway`)
+  }
+
+  const startMaintenance = async (id, data) => {
+    const ok = await gatewayRequest(`/api/gateways/${id}/maintenance`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    }, 'Failed to start maintenance')
+    if (ok) setMaintenanceGateway(null)
+  }
+
+  const endMaintenance = (id) => gatewayRequest(`/api/gateways/${id}/maintenance`, { method: 'DELETE' }, 'Failed to end maintenance')
+
   const discoverGateways = () => {
     setDiscovering(true)
-    socket.emit('discover')
+    socket.emit('discover', {}, (response) => {
+      if (!response?.error) return
+      setDiscovering(false)
+      addActivity('warning', `Discovery failed: ${response.error}`)
+    })
     // Timeout fallback
     setTimeout(() => setDiscovering(false), 10000)
   }
 
   const refresh = () => socket.emit('refresh')
 
+  // Tag filter: gateways must carry every selected tag (same as ?tag= on the API)
+  const allTags = useMemo(() => [...new Set(gateways.flatMap(g => g.tags || []))].sort(), [gateways])
+  const visibleGateways = useMemo(
+    () => gateways.filter(g => tagFilter.every(tag => (g.tags || []).includes(tag))),
+    [gateways, tagFilter]
+  )
+  const visibleAgents = useMemo(() => {
+    const ids = new Set(visibleGateways.map(g => g.id))
+    return agents.filter(a => ids.has(a.gatewayId))
+  }, [agents, visibleGateways])
+
+  // Drop selected tags that no gateway has any more
+  useEffect(() => {
+    setTagFilter(prev => prev.filter(tag => allTags.includes(tag)))
+  }, [allTags])
+
+  const toggleTag = (tag) => setTagFilter(prev => prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag])
+
   return (
     <div className="min-h-screen flex flex-col bg-bg-dark">
       <Header 
         connected={connected} 
+        user={user}
+        onLogout={onLogout}
         onAddGateway={() => setShowAddGateway(true)} 
+        onBroadcast={() => setShowBroadcast(true)}
         onDiscover={discoverGateways}
         onRefresh={refresh}
         discovering={discovering}
         viewMode={viewMode}
         onViewModeChange={setViewMode}
+        demo={demo}
+        onToggleDemo={DEMO_AVAILABLE ? toggleDemo : null}
+        agents={agents}
+        onOpenSearchResult={openSearchResult}
       />
       <div className="flex-1 flex overflow-hidden">
         <main className="flex-1 p-6 overflow-y-auto">
@@ -183,30 +392,50 @@ function App() {
               onAdd={() => setShowAddGateway(true)} 
               onDiscover={discoverGateways}
               discovering={discovering}
+              canManage={hasRole(user, 'admin')}
             />
           ) : (
             <div className="space-y-6">
-              <StatsBar gateways={gateways} agents={agents} />
+              <AlertBanner alerts={alerts} />
+              <BudgetBanner alerts={budgetAlerts} />
+              <TagFilterBar tags={allTags} selected={tagFilter} onToggle={toggleTag} onClear={() => setTagFilter([])} />
+              <StatsBar gateways={visibleGateways} agents={visibleAgents} />
               {viewMode === 'grid' ? (
                 <GatewayGrid 
-                  gateways={gateways} 
-                  agents={agents} 
+                  gateways={visibleGateways} 
+                  agents={visibleAgents} 
                   onRemove={removeGateway}
                   onEdit={setEditingGateway}
+                  onReconnect={reconnectGateway}
+                  onSetEnabled={setGatewayEnabled}
+                  onMaintenance={(gw) => gw.inMaintenance ? endMaintenance(gw.id) : setMaintenanceGateway(gw)}
                   onSelectAgent={setSelectedAgent}
+                  canManage={hasRole(user, 'admin')}
+                  canOperate={hasRole(user, 'operator')}
                 />
-              ) : (
+              ) : viewMode === 'list' ? (
                 <AgentListView 
-                  gateways={gateways} 
-                  agents={agents}
+                  gateways={visibleGateways} 
+                  agents={visibleAgents}
                   onSelectAgent={setSelectedAgent}
                 />
+              ) : (
+                <CronView gateways={visibleGateways} socket={socket} />
               )}
             </div>
           )}
         </main>
-        <ActivityPanel activity={activityLog} />
+        <ActivityPanel socket={socket} localActivity={activityLog} />
       </div>
+      {showBroadcast && (
+        <BroadcastModal
+          gateways={gateways}
+          agents={agents}
+          tags={allTags}
+          socket={socket}
+          onClose={() => setShowBroadcast(false)}
+        />
+      )}
       {showAddGateway && (
         <AddGatewayModal onClose={() => setShowAddGateway(false)} onSubmit={addGateway} />
       )}
@@ -217,19 +446,32 @@ function App() {
           onSubmit={(data) => updateGateway(editingGateway.id, data)} 
         />
       )}
+      {maintenanceGateway && (
+        <MaintenanceModal 
+          gateway={maintenanceGateway} 
+          onClose={() => setMaintenanceGateway(null)} 
+          onSubmit={(data) => startMaintenance(maintenanceGateway.id, data)} 
+        />
+      )}
       {selectedAgent && (
         <AgentDetailModal 
-          agent={selectedAgent} 
+          key={`${selectedAgent.id}:${focusMessage?.id || ''}`}
+          agent={agents.find(a => a.id === selectedAgent.id) || selectedAgent} 
           gateway={gateways.find(g => g.id === selectedAgent.gatewayId)}
-          onClose={() => setSelectedAgent(null)}
+          focus={focusMessage}
+          onClose={closeAgent}
           socket={socket}
+          user={user}
+          notify={notify}
+          demo={demo}
         />
       )}
+      <Toasts toasts={toasts} onDismiss={(id) => setToasts(prev => prev.filter(t => t.id !== id))} />
     </div>
   )
 }
 
-function Header({ connected, onAddGateway, onDiscover, onRefresh, discovering, viewMode, onViewModeChange }) {
+function Header({ connected, user, onLogout, onAddGateway, onBroadcast, onDiscover, onRefresh, discovering, viewMode, onViewModeChange, demo, onToggleDemo, agents, onOpenSearchResult }) {
   return (
     <header className="bg-bg-card border-b border-border-default px-6 py-4 flex items-center justify-between shrink-0">
       <div className="flex items-center gap-3">
@@ -241,6 +483,7 @@ function Header({ connected, onAddGateway, onDiscover, onRefresh, discovering, v
           <p className="text-text-secondary text-sm">Clawdbot Agent Dashboard</p>
         </div>
       </div>
+      <TranscriptSearch agents={agents} onOpen={onOpenSearchResult} />
       <div className="flex items-center gap-3">
         <div className="flex items-center gap-2 text-sm mr-4">
           {connected ? (
@@ -267,8 +510,24 @@ function Header({ connected, onAddGateway, onDiscover, onRefresh, discovering, v
           >
             <Activity className="w-4 h-4" />
           </button>
+          <button
+            onClick={() => onViewModeChange('cron')}
+            className={`p-2 rounded-md transition-colors ${viewMode === 'cron' ? 'bg-bg-hover text-text-primary' : 'text-text-muted hover:text-text-secondary'}`}
+            title="Cron jobs"
+          >
+            <CalendarClock className="w-4 h-4" />
+          </button>
         </div>
 
+        {onToggleDemo && (
+          <button
+            onClick={onToggleDemo}
+            className={`p-2 rounded-lg transition-colors ${demo ? 'bg-purple-500/20 text-purple-400' : 'text-text-secondary hover:text-text-primary hover:bg-bg-hover'}`}
+            title={demo ? 'Demo mode on: empty history and metrics are filled with sample data' : 'Demo mode (dev builds only)'}
+          >
+            <Sparkles className="w-5 h-5" />
+          </button>
+        )}
         <button 
           onClick={onRefresh}
           className="p-2 text-text-secondary hover:text-text-primary hover:bg-bg-hover rounded-lg transition-colors"
@@ -276,45 +535,270 @@ function Header({ connected, onAddGateway, onDiscover, onRefresh, discovering, v
         >
           <RefreshCw className="w-5 h-5" />
         </button>
-        <button 
-          onClick={onDiscover}
-          disabled={discovering}
-          className="flex items-center gap-2 px-3 py-2 text-text-secondary hover:text-text-primary hover:bg-bg-hover rounded-lg transition-colors disabled:opacity-50"
-          title="Auto-discover gateways"
-        >
-          {discovering ? (
-            <Loader2 className="w-4 h-4 animate-spin" />
+        {hasRole(user, 'operator') && (
+          <button 
+            onClick={onBroadcast}
+            className="p-2 text-text-secondary hover:text-text-primary hover:bg-bg-hover rounded-lg transition-colors"
+            title="Broadcast a message"
+          >
+            <Megaphone className="w-5 h-5" />
+          </button>
+        )}
+        {hasRole(user, 'admin') && (
+          <>
+            <button 
+              onClick={onDiscover}
+              disabled={discovering}
+              className="flex items-center gap-2 px-3 py-2 text-text-secondary hover:text-text-primary hover:bg-bg-hover rounded-lg transition-colors disabled:opacity-50"
+              title="Auto-discover gateways"
+            >
+              {discovering ? (
+                <Loader2 className="w-4 h-4 animate-spin" />
+              ) : (
+                <Search className="w-4 h-4" />
+              )}
+              <span className="text-sm hidden sm:inline">Discover</span>
+            </button>
+            <button 
+              onClick={onAddGateway} 
+              className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+            >
+              <Plus className="w-4 h-4" /> <span className="hidden sm:inline">Add Gateway</span>
+            </button>
+          </>
+        )}
+
+        <div className="flex items-center gap-2 pl-3 ml-1 border-l border-border-default text-sm">
+          <User className="w-4 h-4 text-text-muted" />
+          <span className="text-text-secondary">{user?.username}</span>
+          <span className="text-xs bg-bg-hover text-text-muted px-2 py-0.5 rounded capitalize">{user?.role}</span>
+          <button 
+            onClick={onLogout}
+            className="p-2 text-text-secondary hover:text-text-primary hover:bg-bg-hover rounded-lg transition-colors"
+            title="Sign out"
+          >
+            <LogOut className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+    </header>
+  )
+}
+
+// Search box over the server's transcript index; picking a match opens it in the agent view
+function TranscriptSearch({ agents, onOpen }) {
+  const [query, setQuery] = useState('')
+  const [search, setSearch] = useState(null)   // { results, total, index }
+  const [error, setError] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [open, setOpen] = useState(false)
+
+  useEffect(() => {
+    const q = query.trim()
+    if (!q) {
+      setSearch(null)
+      setError(null)
+      return
+    }
+    let cancelled = false
+    const timer = setTimeout(() => {
+      setLoading(true)
+      apiFetch(`/api/search?${new URLSearchParams({ q, limit: 20 })}`)
+        .then(async res => {
+          const data = await res.json()
+          if (cancelled) return
+          if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+          setSearch(data)
+          setError(null)
+        })
+        .catch(err => !cancelled && setError(err.message))
+        .finally(() => !cancelled && setLoading(false))
+    }, SEARCH_DEBOUNCE)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [query])
+
+  const pick = (result) => {
+    setOpen(false)
+    onOpen(result)
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setOpen(false)
+      e.target.blur()
+    } else if (e.key === 'Enter' && search?.results.length > 0) {
+      pick(search.results[0])
+    }
+  }
+
+  return (
+    <div className="relative flex-1 max-w-md mx-6">
+      <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-text-muted" />
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value)
+          setOpen(true)
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+        placeholder="Search transcripts..."
+        className="w-full bg-bg-dark border border-border-default rounded-lg pl-9 pr-8 py-2 text-sm focus:outline-none focus:border-blue-500"
+      />
+      {loading && <Loader2 className="w-4 h-4 absolute right-3 top-1/2 -translate-y-1/2 animate-spin text-text-muted" />}
+
+      {open && query.trim() && (search || error) && (
+        // mousedown keeps the input focused long enough for the click to land
+        <div onMouseDown={(e) => e.preventDefault()} className="absolute z-40 top-full mt-2 w-full bg-bg-card border border-border-default rounded-lg shadow-xl max-h-96 overflow-y-auto">
+          {error ? (
+            <div className="p-3 text-sm text-red-400 flex items-center gap-2">
+              <AlertCircle className="w-4 h-4 shrink-0" /> Search failed: {error}
+            </div>
+          ) : search.results.length === 0 ? (
+            <div className="p-4 text-center text-sm text-text-muted">
+              <p>No matching messages</p>
+              <p className="text-xs mt-1">
+                {formatNumber(search.index.messages)} messages indexed
+                {search.index.queued > 0 && `, ${search.index.queued} session${search.index.queued !== 1 ? 's' : ''} still to pull`}
+              </p>
+            </div>
           ) : (
-            <Search className="w-4 h-4" />
+            <>
+              {search.results.map(result => {
+                const agent = agents.find(a => a.id === result.agentId)
+                const session = agent?.sessions?.find(s => s.sessionKey === result.sessionKey)
+                return (
+                  <button
+                    key={result.id}
+                    onClick={() => pick(result)}
+                    className="w-full text-left px-3 py-2 hover:bg-bg-hover border-b border-border-default last:border-b-0"
+                  >
+                    <div className="flex items-center gap-2 text-xs text-text-muted">
+                      <span className="text-text-primary font-medium truncate">{agent?.name || result.agentId || 'Unknown agent'}</span>
+                      <span className="truncate">{session?.label || result.sessionKey}</span>
+                      {result.timestamp && <span className="ml-auto shrink-0">{formatTimeAgo(result.timestamp)}</span>}
+                    </div>
+                    <p className="text-sm text-text-secondary mt-0.5 line-clamp-2 break-words">
+                      <span className="capitalize text-text-muted">{result.role || 'message'}: </span>{result.snippet}
+                    </p>
+                  </button>
+                )
+              })}
+              {search.total > search.results.length && (
+                <p className="px-3 py-2 text-xs text-text-muted">{search.total - search.results.length} more - refine the search to narrow it down</p>
+              )}
+            </>
           )}
-          <span className="text-sm hidden sm:inline">Discover</span>
-        </button>
-        <button 
-          onClick={onAddGateway} 
-          className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+        </div>
+      )}
+    </div>
+  )
+}
+
+function AlertBanner({ alerts }) {
+  if (alerts.length === 0) return null
+  
+  return (
+    <div className="space-y-2">
+      {alerts.map(alert => (
+        <div 
+          key={alert.key}
+          className={`rounded-lg border px-4 py-3 flex items-center gap-3 text-sm ${
+            alert.severity === 'critical'
+              ? 'bg-red-500/10 border-red-500/30 text-red-300'
+              : 'bg-amber-500/10 border-amber-500/30 text-amber-300'
+          }`}
         >
-          <Plus className="w-4 h-4" /> <span className="hidden sm:inline">Add Gateway</span>
-        </button>
-      </div>
-    </header>
+          <AlertCircle className="w-4 h-4 shrink-0" />
+          <span className="truncate">
+            <span className="font-semibold">{alert.ruleName}</span>
+            {': '}{alert.message}
+          </span>
+          <span className="ml-auto text-xs text-text-muted shrink-0">
+            since {new Date(alert.startedAt).toLocaleTimeString()}
+          </span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+function BudgetBanner({ alerts }) {
+  const [dismissed, setDismissed] = useState([])
+  const visible = alerts.filter(a => !dismissed.includes(`${a.budgetId}:${a.level}:${a.period}`))
+  if (visible.length === 0) return null
+  
+  const formatValue = (alert, value) => alert.metric === 'cost' ? formatCost(value) : `${formatNumber(value)} tokens`
+  const actionLabels = { warn: 'warning sent to sessions', close: 'sessions closed' }
+  
+  return (
+    <div className="space-y-2">
+      {visible.map(alert => (
+        <div 
+          key={alert.budgetId}
+          className={`rounded-lg border px-4 py-3 flex items-center justify-between gap-4 text-sm ${
+            alert.level === 'exceeded'
+              ? 'bg-red-500/10 border-red-500/30 text-red-300'
+              : 'bg-amber-500/10 border-amber-500/30 text-amber-300'
+          }`}
+        >
+          <div className="flex items-center gap-3 min-w-0">
+            <AlertCircle className="w-4 h-4 shrink-0" />
+            <span className="truncate">
+              <span className="font-semibold">{alert.name}</span>
+              {alert.level === 'exceeded' ? ' budget exceeded' : ' budget nearly used'}
+              {': '}{formatValue(alert, alert.usage)} of {formatValue(alert, alert.limit)} ({alert.period})
+              {alert.level === 'exceeded' && actionLabels[alert.action] && (
+                <span className="text-text-secondary"> • {actionLabels[alert.action]}</span>
+              )}
+            </span>
+          </div>
+          <button
+            onClick={() => setDismissed(prev => [...prev, `${alert.budgetId}:${alert.level}:${alert.period}`])}
+            className="p-1 hover:bg-bg-hover rounded text-text-muted hover:text-text-primary shrink-0"
+            title="Dismiss"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+    </div>
   )
 }
 
 function StatsBar({ gateways, agents }) {
-  const onlineGateways = gateways.filter(g => g.status === 'online').length
+  const enabledGateways = gateways.filter(g => g.enabled !== false)
+  const onlineGateways = enabledGateways.filter(g => g.status === 'online').length
+  const maintenanceGateways = enabledGateways.filter(g => g.inMaintenance).length
+  const disabledGateways = gateways.length - enabledGateways.length
+  // Gateways in maintenance are expected to be down - don't count them as offline
+  const offlineGateways = enabledGateways.filter(g => g.status !== 'online' && !g.inMaintenance).length
+  const gatewaySubtitle = [
+    offlineGateways > 0 ? `${offlineGateways} offline` : 'All online',
+    maintenanceGateways > 0 && `${maintenanceGateways} maintenance`,
+    disabledGateways > 0 && `${disabledGateways} disabled`
+  ].filter(Boolean).join(' • ')
   const activeAgents = agents.filter(a => a.status === 'active').length
   const totalSessions = agents.reduce((acc, a) => acc + (a.sessions?.length || 0), 0)
   const activeSessions = agents.reduce((acc, a) => acc + (a.sessions?.filter(s => s.status === 'active').length || 0), 0)
   const totalMessages = agents.reduce((acc, a) => acc + (a.messageCount || 0), 0)
+  const pricedAgents = agents.filter(a => a.estimatedCost !== null && a.estimatedCost !== undefined)
+  const totalCost = pricedAgents.reduce((acc, a) => acc + a.estimatedCost, 0)
+  const totalTokens = agents.reduce((acc, a) => acc + (a.totalTokens || 0), 0)
   
   return (
-    <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+    <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-6 gap-4">
       <StatCard 
         label="Gateways" 
-        value={`${onlineGateways}/${gateways.length}`} 
+        value={`${onlineGateways}/${enabledGateways.length}`} 
         icon={<Server className="w-5 h-5" />} 
         color="blue"
-        subtitle={onlineGateways === gateways.length ? 'All online' : `${gateways.length - onlineGateways} offline`}
+        subtitle={gatewaySubtitle}
       />
       <StatCard 
         label="Total Agents" 
@@ -344,6 +828,13 @@ function StatsBar({ gateways, agents }) {
         color="amber"
         subtitle="Total processed"
       />
+      <StatCard 
+        label="Est. Cost" 
+        value={pricedAgents.length > 0 ? formatCost(totalCost) : '–'} 
+        icon={<DollarSign className="w-5 h-5" />} 
+        color="pink"
+        subtitle={`${formatNumber(totalTokens)} tokens${pricedAgents.length < agents.length ? ' • some unpriced' : ''}`}
+      />
     </div>
   )
 }
@@ -354,7 +845,8 @@ function StatCard({ label, value, icon, color, subtitle }) {
     purple: 'from-purple-500/20 to-purple-600/10 text-purple-400',
     green: 'from-green-500/20 to-green-600/10 text-green-400',
     amber: 'from-amber-500/20 to-amber-600/10 text-amber-400',
-    cyan: 'from-cyan-500/20 to-cyan-600/10 text-cyan-400'
+    cyan: 'from-cyan-500/20 to-cyan-600/10 text-cyan-400',
+    pink: 'from-pink-500/20 to-pink-600/10 text-pink-400'
   }
   return (
     <div className={`card bg-gradient-to-br ${colors[color]}`}>
@@ -370,21 +862,96 @@ function StatCard({ label, value, icon, color, subtitle }) {
   )
 }
 
-function GatewayGrid({ gateways, agents, onRemove, onEdit, onSelectAgent }) {
+function TagFilterBar({ tags, selected, onToggle, onClear }) {
+  if (tags.length === 0) return null
+
   return (
+    <div className="flex items-center gap-2 flex-wrap">
+      <Tag className="w-4 h-4 text-text-muted" />
+      {tags.map(tag => (
+        <button 
+          key={tag}
+          onClick={() => onToggle(tag)}
+          className={`text-xs px-2 py-1 rounded-full border transition-colors ${
+            selected.includes(tag) 
+              ? 'bg-blue-600 border-blue-600 text-white' 
+              : 'border-border-default text-text-secondary hover:bg-bg-hover'
+          }`}
+        >
+          {tag}
+        </button>
+      ))}
+      {selected.length > 0 && (
+        <button onClick={onClear} className="text-xs text-text-muted hover:text-text-primary transition-colors">
+          Clear
+        </button>
+      )}
+    </div>
+  )
+}
+
+// Gateways grouped by environment; flat when none has an environment
+function GatewayGrid({ gateways, agents, ...cardProps }) {
+  const [collapsed, setCollapsed] = useState({})
+  const groups = [...ENVIRONMENTS, { id: null, label: 'No environment' }]
+    .map(env => ({ ...env, gateways: gateways.filter(g => (g.environment || null) === env.id) }))
+    .filter(group => group.gateways.length > 0)
+
+  const renderCards = (list) => (
     <div className="space-y-6">
-      {gateways.map(gw => (
-        <GatewayCard 
-          key={gw.id} 
-          gateway={gw} 
-          agents={agents.filter(a => a.gatewayId === gw.id)} 
-          onRemove={() => onRemove(gw.id)}
-          onEdit={() => onEdit(gw)}
-          onSelectAgent={onSelectAgent}
-        />
+      {list.map(gw => (
+        <GatewayCardItem key={gw.id} gateway={gw} agents={agents} {...cardProps} />
       ))}
     </div>
   )
+
+  if (groups.length === 1 && groups[0].id === null) return renderCards(gateways)
+
+  return (
+    <div className="space-y-6">
+      {groups.map(group => {
+        const key = group.id || 'none'
+        const isCollapsed = !!collapsed[key]
+        const online = group.gateways.filter(g => g.status === 'online').length
+        const ids = new Set(group.gateways.map(g => g.id))
+        const groupAgents = agents.filter(a => ids.has(a.gatewayId))
+        const active = groupAgents.filter(a => a.status === 'active').length
+
+        return (
+          <section key={key}>
+            <button 
+              onClick={() => setCollapsed(prev => ({ ...prev, [key]: !isCollapsed }))}
+              className="w-full flex items-center gap-2 mb-3 text-left"
+            >
+              {isCollapsed ? <ChevronRight className="w-4 h-4 text-text-muted" /> : <ChevronDown className="w-4 h-4 text-text-muted" />}
+              <h2 className="font-semibold">{group.label}</h2>
+              <span className="text-text-muted text-sm">
+                {online}/{group.gateways.length} online • {groupAgents.length} agents{active > 0 ? ` (${active} active)` : ''}
+              </span>
+            </button>
+            {!isCollapsed && renderCards(group.gateways)}
+          </section>
+        )
+      })}
+    </div>
+  )
+}
+
+function GatewayCardItem({ gateway, agents, onRemove, onEdit, onReconnect, onSetEnabled, onMaintenance, onSelectAgent, canManage, canOperate }) {
+  return (
+    <GatewayCard 
+      gateway={gateway} 
+      agents={agents.filter(a => a.gatewayId === gateway.id)} 
+      onRemove={() => onRemove(gateway.id)}
+      onEdit={() => onEdit(gateway)}
+      onReconnect={() => onReconnect(gateway.id)}
+      onSetEnabled={(enabled) => onSetEnabled(gateway, enabled)}
+      onMaintenance={() => onMaintenance(gateway)}
+      onSelectAgent={onSelectAgent}
+      canManage={canManage}
+      canOperate={canOperate}
+    />
+  )
 }
 
 function GatewayStatusIcon({ status }) {
@@ -395,6 +962,10 @@ function GatewayStatusIcon({ status }) {
       return <Loader2 className="w-4 h-4 text-blue-400 animate-spin" />
     case 'error':
       return <AlertCircle className="w-4 h-4 text-red-400" />
+    case 'maintenance':
+      return <Wrench className="w-4 h-4 text-amber-400" />
+    case 'disabled':
+      return <PowerOff className="w-4 h-4 text-gray-500" />
     case 'offline':
     case 'disconnected':
     default:
@@ -402,13 +973,20 @@ function GatewayStatusIcon({ status }) {
   }
 }
 
-function GatewayCard({ gateway, agents, onRemove, onEdit, onSelectAgent }) {
+function GatewayCard({ gateway, agents, onRemove, onEdit, onReconnect, onSetEnabled, onMaintenance, onSelectAgent, canManage, canOperate }) {
   const [expanded, setExpanded] = useState(true)
+  const connection = gateway.connection || {}
+  const enabled = gateway.enabled !== false
+  const status = gatewayDisplayStatus(gateway)
+  const maintenance = gateway.inMaintenance ? gateway.maintenance : null
+  const environment = ENVIRONMENTS.find(e => e.id === gateway.environment)
   
   const statusColors = {
     online: 'border-green-500/30 bg-green-500/5',
     connecting: 'border-blue-500/30 bg-blue-500/5',
     error: 'border-red-500/30 bg-red-500/5',
+    maintenance: 'border-amber-500/30 bg-amber-500/5',
+    disabled: 'border-gray-500/30 opacity-60',
     offline: 'border-gray-500/30',
     disconnected: 'border-gray-500/30'
   }
@@ -416,7 +994,7 @@ function GatewayCard({ gateway, agents, onRemove, onEdit, onSelectAgent }) {
   const activeAgents = agents.filter(a => a.status === 'active').length
   
   return (
-    <div className={`card ${statusColors[gateway.status] || ''}`}>
+    <div className={`card ${statusColors[status] || ''}`}>
       <div className="flex items-center justify-between mb-4">
         <div className="flex items-center gap-3">
           <button 
@@ -425,17 +1003,38 @@ function GatewayCard({ gateway, agents, onRemove, onEdit, onSelectAgent }) {
           >
             {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
           </button>
-          <GatewayStatusIcon status={gateway.status} />
+          <GatewayStatusIcon status={status} />
           <div>
             <div className="flex items-center gap-2">
               <h3 className="font-semibold">{gateway.name || 'Gateway'}</h3>
+              {environment && (
+                <span className={`text-xs px-2 py-0.5 rounded ${environment.badge}`}>{environment.id}</span>
+              )}
               {gateway.autoDiscovered && (
                 <span className="text-xs bg-blue-500/20 text-blue-400 px-2 py-0.5 rounded">Auto</span>
               )}
               {gateway.hasToken && (
                 <span className="text-xs bg-amber-500/20 text-amber-400 px-2 py-0.5 rounded">Auth</span>
               )}
+              {!enabled && (
+                <span className="text-xs bg-gray-500/20 text-text-muted px-2 py-0.5 rounded">Disabled</span>
+              )}
+              {maintenance && (
+                <span 
+                  className="text-xs bg-amber-500/20 text-amber-400 px-2 py-0.5 rounded"
+                  title={[maintenance.reason, maintenance.by && `Started by ${maintenance.by}`].filter(Boolean).join(' • ') || undefined}
+                >
+                  Maintenance{maintenance.until ? ` until ${new Date(maintenance.until).toLocaleString()}` : ''}
+                </span>
+              )}
             </div>
+            {gateway.tags?.length > 0 && (
+              <div className="flex items-center gap-1 mt-1 flex-wrap">
+                {gateway.tags.map(tag => (
+                  <span key={tag} className="text-xs text-text-muted border border-border-default px-1.5 rounded-full">{tag}</span>
+                ))}
+              </div>
+            )}
           </div>
         </div>
         <div className="flex items-center gap-4">
@@ -448,6 +1047,19 @@ function GatewayCard({ gateway, agents, onRemove, onEdit, onSelectAgent }) {
           {gateway.lastError && (
             <span className="text-red-400 text-xs max-w-[200px] truncate">{gateway.lastError}</span>
           )}
+          {connection.state === 'circuit_open' && (
+            <span 
+              className="text-xs bg-red-500/20 text-red-400 px-2 py-0.5 rounded"
+              title={`${connection.failures} failed attempts in a row`}
+            >
+              Circuit open until {new Date(connection.circuitOpenUntil).toLocaleTimeString()}
+            </span>
+          )}
+          {connection.state === 'waiting' && connection.nextAttemptAt && (
+            <span className="text-text-muted text-xs" title={`${connection.failures} failed attempts in a row`}>
+              Retrying at {new Date(connection.nextAttemptAt).toLocaleTimeString()}
+            </span>
+          )}
           <div className="flex items-center gap-2 text-text-muted text-sm">
             <Bot className="w-4 h-4" />
             <span>{agents.length}</span>
@@ -455,20 +1067,50 @@ function GatewayCard({ gateway, agents, onRemove, onEdit, onSelectAgent }) {
               <span className="text-green-400">({activeAgents} active)</span>
             )}
           </div>
-          <button 
-            onClick={onEdit}
-            className="p-2 text-text-muted hover:text-blue-400 hover:bg-blue-500/10 rounded-lg transition-colors"
-            title="Edit gateway"
-          >
-            <Settings className="w-4 h-4" />
-          </button>
-          <button 
-            onClick={onRemove}
-            className="p-2 text-text-muted hover:text-red-400 hover:bg-red-500/10 rounded-lg transition-colors"
-            title="Remove gateway"
-          >
-            <Trash2 className="w-4 h-4" />
-          </button>
+          {canOperate && enabled && connection.state !== 'connected' && (
+            <button 
+              onClick={onReconnect}
+              disabled={connection.state === 'connecting'}
+              className="p-2 text-text-muted hover:text-green-400 hover:bg-green-500/10 rounded-lg transition-colors disabled:opacity-50"
+              title="Reconnect now"
+            >
+              <RefreshCw className={`w-4 h-4 ${connection.state === 'connecting' ? 'animate-spin' : ''}`} />
+            </button>
+          )}
+          {canOperate && enabled && (
+            <button 
+              onClick={onMaintenance}
+              className={`p-2 rounded-lg transition-colors ${maintenance ? 'text-amber-400 bg-amber-500/10 hover:bg-amber-500/20' : 'text-text-muted hover:text-amber-400 hover:bg-amber-500/10'}`}
+              title={maintenance ? 'End maintenance' : 'Start maintenance'}
+            >
+              <Wrench className="w-4 h-4" />
+            </button>
+          )}
+          {canManage && (
+            <>
+              <button 
+                onClick={() => onSetEnabled(!enabled)}
+                className="p-2 text-text-muted hover:text-blue-400 hover:bg-blue-500/10 rounded-lg transition-colors"
+                title={enabled ? 'Disable gateway' : 'Enable gateway'}
+              >
+                {enabled ? <PowerOff className="w-4 h-4" /> : <Power className="w-4 h-4" />}
+              </button>
+              <button 
+                onClick={onEdit}
+                className="p-2 text-text-muted hover:text-blue-400 hover:bg-blue-500/10 rounded-lg transition-colors"
+                title="Edit gateway"
+              >
+                <Settings className="w-4 h-4" />
+              </button>
+              <button 
+                onClick={onRemove}
+                className="p-2 text-text-muted hover:text-red-400 hover:bg-red-500/10 rounded-lg transition-colors"
+                title="Remove gateway"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </>
+          )}
         </div>
       </div>
       {expanded && (
@@ -484,7 +1126,7 @@ function GatewayCard({ gateway, agents, onRemove, onEdit, onSelectAgent }) {
           </div>
         ) : (
           <p className="text-text-secondary text-sm py-4 text-center">
-            {gateway.status === 'online' ? 'No agents discovered yet' : 'Waiting for connection...'}
+            {!enabled ? 'Gateway disabled' : gateway.status === 'online' ? 'No agents discovered yet' : 'Waiting for connection...'}
           </p>
         )
       )}
@@ -493,6 +1135,7 @@ function GatewayCard({ gateway, agents, onRemove, onEdit, onSelectAgent }) {
 }
 
 function AgentCard({ agent, onClick }) {
+  const [showSubagents, setShowSubagents] = useState(false)
   const statusColors = {
     active: 'border-green-500/40 bg-green-500/10 hover:border-green-500/60',
     idle: 'border-border-default hover:border-border-active',
@@ -500,10 +1143,7 @@ function AgentCard({ agent, onClick }) {
     error: 'border-red-500/40 bg-red-500/10 hover:border-red-500/60'
   }
 
-  // Capitalize agent name for display
-  const displayName = agent.name ? 
-    agent.name.charAt(0).toUpperCase() + agent.name.slice(1) : 
-    agent.agentId || agent.id;
+  const displayName = agent.name || agent.agentId || agent.id
 
   // Session type badge colors
   const typeBadges = {
@@ -519,12 +1159,11 @@ function AgentCard({ agent, onClick }) {
     <div 
       onClick={onClick}
       className={`bg-bg-hover rounded-xl p-4 border transition-all cursor-pointer hover:shadow-lg hover:scale-[1.02] ${statusColors[agent.status] || statusColors.idle}`}
+      style={agent.color ? { boxShadow: `inset 0 3px 0 ${agent.color}` } : undefined}
     >
       {/* Large centered avatar */}
       <div className="flex flex-col items-center text-center mb-3">
-        <div className={`text-5xl mb-2 ${agent.status === 'active' ? 'animate-pulse' : ''}`}>
-          {agent.avatar || '🤖'}
-        </div>
+        <AgentAvatar agent={agent} className={`text-5xl w-14 h-14 mb-2 ${agent.status === 'active' ? 'animate-pulse' : ''}`} />
         <div className="flex items-center gap-2">
           <span className={`status-dot status-${agent.status || 'idle'}`} />
           <span className="font-semibold text-lg">{displayName}</span>
@@ -533,17 +1172,24 @@ function AgentCard({ agent, onClick }) {
         {agent.agentId && agent.agentId !== agent.name?.toLowerCase() && (
           <p className="text-text-muted text-xs mt-0.5">{agent.agentId}</p>
         )}
+        {agent.owner && (
+          <p className="text-text-muted text-xs mt-0.5 flex items-center gap-1"><User className="w-3 h-3" />{agent.owner}</p>
+        )}
       </div>
       
       {/* Type badge */}
-      <div className="flex justify-center mb-3">
+      <div className="flex justify-center gap-1 mb-3">
         <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${badge.color}`}>
           {badge.label}
         </span>
+        {agent.paused && <PausedBadge paused={agent.paused} />}
       </div>
       
       {/* Stats row */}
       <div className="flex justify-center gap-4 text-xs text-text-muted">
+        {agent.sessionCount === 0 && (
+          <span title="Configured on the gateway, but has no sessions">No sessions</span>
+        )}
         {agent.messageCount > 0 && (
           <span className="flex items-center gap-1">
             <MessageSquare className="w-3 h-3" />
@@ -571,20 +1217,44 @@ function AgentCard({ agent, onClick }) {
           {agent.model}
         </p>
       )}
+      
+      {/* Subagents - collapsed by default */}
+      {agent.subagents?.length > 0 && (
+        <div className="mt-3 pt-2 border-t border-border-default" onClick={e => e.stopPropagation()}>
+          <button
+            onClick={() => setShowSubagents(!showSubagents)}
+            className="w-full flex items-center justify-center gap-1 text-xs text-text-secondary hover:text-text-primary"
+          >
+            {showSubagents ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+            <GitBranch className="w-3 h-3" />
+            {agent.subagents.length} subagent{agent.subagents.length !== 1 ? 's' : ''}
+            {agent.subagents.some(s => s.status === 'active') && (
+              <span className="text-green-400">({agent.subagents.filter(s => s.status === 'active').length} active)</span>
+            )}
+          </button>
+          {showSubagents && (
+            <div className="mt-2 text-left">
+              <SubagentTree subagents={agent.subagents} compact />
+            </div>
+          )}
+        </div>
+      )}
     </div>
   )
 }
 
-function EmptyState({ onAdd, onDiscover, discovering }) {
+function EmptyState({ onAdd, onDiscover, discovering, canManage }) {
   return (
     <div className="flex flex-col items-center justify-center h-[60vh] text-center">
       <div className="bg-bg-card p-8 rounded-2xl border border-border-default mb-6">
         <Server className="w-16 h-16 text-text-muted mx-auto mb-4" />
         <h2 className="text-xl font-semibold mb-2">No Gateways Connected</h2>
         <p className="text-text-secondary mb-6 max-w-md">
-          Connect your first Clawdbot gateway to start monitoring your agents in real-time.
+          {canManage
+            ? 'Connect your first Clawdbot gateway to start monitoring your agents in real-time.'
+            : 'No gateways have been registered yet. Ask an admin to connect one.'}
         </p>
-        <div className="flex justify-center gap-3">
+        {canManage && <div className="flex justify-center gap-3">
           <button 
             onClick={onDiscover} 
             disabled={discovering}
@@ -603,7 +1273,7 @@ function EmptyState({ onAdd, onDiscover, discovering }) {
           >
             <Plus className="w-4 h-4" /> Add Manually
           </button>
-        </div>
+        </div>}
       </div>
     </div>
   )
@@ -613,11 +1283,13 @@ function AddGatewayModal({ onClose, onSubmit }) {
   const [url, setUrl] = useState('')
   const [name, setName] = useState('')
   const [token, setToken] = useState('')
+  const [tags, setTags] = useState('')
+  const [environment, setEnvironment] = useState('')
 
   const handleSubmit = (e) => {
     e.preventDefault()
     if (!url.trim()) return
-    onSubmit({ url: url.trim(), name: name.trim(), token: token.trim() })
+    onSubmit({ url: url.trim(), name: name.trim(), token: token.trim(), tags: parseTags(tags), environment: environment || null })
   }
 
   return (
@@ -657,6 +1329,7 @@ function AddGatewayModal({ onClose, onSubmit }) {
               />
               <p className="text-text-muted text-xs mt-1">Required if gateway has authentication enabled</p>
             </div>
+            <GatewayGroupFields tags={tags} onTagsChange={setTags} environment={environment} onEnvironmentChange={setEnvironment} />
           </div>
           <div className="flex justify-end gap-3 mt-6">
             <button 
@@ -679,19 +1352,384 @@ function AddGatewayModal({ onClose, onSubmit }) {
   )
 }
 
-function EditGatewayModal({ gateway, onClose, onSubmit }) {
-  const [name, setName] = useState(gateway.name || '')
-  const [token, setToken] = useState('')
+const BROADCAST_SESSION_TYPES = ['main', 'chat', 'group', 'cron']
 
-  const handleSubmit = (e) => {
-    e.preventDefault()
-    onSubmit({ name: name.trim(), token: token.trim() || undefined })
-  }
+// One message to many sessions: pick a selection, preview who it reaches, then watch delivery per target
+function BroadcastModal({ gateways, agents, tags, socket, onClose }) {
+  const [message, setMessage] = useState('')
+  const [mode, setMode] = useState('all')  // 'all', 'gateway', 'tag' or 'sessions'
+  const [gatewayId, setGatewayId] = useState(gateways[0]?.id || '')
+  const [tag, setTag] = useState(tags[0] || '')
+  const [sessionTypes, setSessionTypes] = useState([])
+  const [picked, setPicked] = useState([])  // [{ gatewayId, sessionKey }]
+  const [concurrency, setConcurrency] = useState(5)
+  const [preview, setPreview] = useState(null)
+  const [broadcast, setBroadcast] = useState(null)
+  const [sending, setSending] = useState(false)
 
-  return (
-    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50" onClick={onClose}>
-      <div className="bg-bg-card border border-border-default rounded-xl p-6 w-full max-w-md" onClick={e => e.stopPropagation()}>
-        <h2 className="text-lg font-semibold mb-4">Edit Gateway</h2>
+  const target = useMemo(() => {
+    const types = sessionTypes.length > 0 ? { sessionTypes } : {}
+    if (mode === 'gateway') return { gatewayId, ...types }
+    if (mode === 'tag') return { tags: [tag], ...types }
+    if (mode === 'sessions') return { sessions: picked }
+    return { all: true, ...types }
+  }, [mode, gatewayId, tag, sessionTypes, picked])
+
+  // Resolve the selection on the server so the count matches what will be sent
+  useEffect(() => {
+    if (broadcast) return
+    if (mode === 'sessions' && picked.length === 0) return setPreview({ targets: [] })
+    let cancelled = false
+    apiFetch('/api/broadcasts', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ target, dryRun: true })
+    })
+      .then(res => res.json())
+      .then(data => !cancelled && setPreview(data))
+      .catch(err => !cancelled && setPreview({ error: err.message }))
+    return () => { cancelled = true }
+  }, [target, broadcast, mode, picked.length])
+
+  // Follow delivery of the broadcast we sent
+  useEffect(() => {
+    if (!broadcast) return
+    const onUpdate = (data) => data.id === broadcast.id && setBroadcast(data)
+    socket.on('broadcast:update', onUpdate)
+    socket.on('broadcast:done', onUpdate)
+    return () => {
+      socket.off('broadcast:update', onUpdate)
+      socket.off('broadcast:done', onUpdate)
+    }
+  }, [socket, broadcast?.id])
+
+  const isPicked = (gid, key) => picked.some(p => p.gatewayId === gid && p.sessionKey === key)
+  const togglePicked = (gid, key) => setPicked(prev => isPicked(gid, key)
+    ? prev.filter(p => !(p.gatewayId === gid && p.sessionKey === key))
+    : [...prev, { gatewayId: gid, sessionKey: key }])
+  const toggleType = (type) => setSessionTypes(prev => prev.includes(type) ? prev.filter(t => t !== type) : [...prev, type])
+
+  const targetCount = preview?.targets?.length || 0
+
+  const handleSend = async () => {
+    if (!message.trim() || targetCount === 0) return
+    if (!confirm(`Send this message to ${targetCount} session${targetCount !== 1 ? 's' : ''}?`)) return
+    setSending(true)
+    try {
+      const res = await apiFetch('/api/broadcasts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message, target, concurrency })
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+      setBroadcast(data)
+    } catch (err) {
+      alert(`Broadcast failed: ${err.message}`)
+    } finally {
+      setSending(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-bg-card border border-border-default rounded-xl p-6 w-full max-w-2xl max-h-[85vh] flex flex-col" onClick={e => e.stopPropagation()}>
+        <h2 className="text-lg font-semibold mb-4 flex items-center gap-2">
+          <Megaphone className="w-5 h-5" /> Broadcast
+        </h2>
+
+        {broadcast ? (
+          <BroadcastProgress broadcast={broadcast} />
+        ) : (
+          <div className="space-y-4 overflow-y-auto">
+            <div>
+              <label className="block text-sm text-text-secondary mb-1">Message *</label>
+              <textarea
+                value={message}
+                onChange={e => setMessage(e.target.value)}
+                placeholder="Pause all work, deploying in 5 minutes"
+                rows={3}
+                className="w-full bg-bg-dark border border-border-default rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-blue-500"
+                autoFocus
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm text-text-secondary mb-1">Send to</label>
+              <div className="flex gap-1 bg-bg-dark rounded-lg p-1 w-fit">
+                {[['all', 'All agents'], ['gateway', 'Gateway'], ['tag', 'Tag'], ['sessions', 'Pick sessions']].map(([id, label]) => (
+                  <button
+                    key={id}
+                    onClick={() => setMode(id)}
+                    disabled={id === 'tag' && tags.length === 0}
+                    className={`px-3 py-1.5 rounded-md text-sm transition-colors disabled:opacity-40 ${mode === id ? 'bg-bg-hover text-text-primary' : 'text-text-muted hover:text-text-secondary'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {mode === 'gateway' && (
+              <select
+                value={gatewayId}
+                onChange={e => setGatewayId(e.target.value)}
+                className="w-full bg-bg-dark border border-border-default rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-blue-500"
+              >
+                {gateways.map(gw => <option key={gw.id} value={gw.id}>{gw.name}</option>)}
+              </select>
+            )}
+            {mode === 'tag' && (
+              <select
+                value={tag}
+                onChange={e => setTag(e.target.value)}
+                className="w-full bg-bg-dark border border-border-default rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-blue-500"
+              >
+                {tags.map(t => <option key={t} value={t}>#{t}</option>)}
+              </select>
+            )}
+
+            {mode === 'sessions' ? (
+              <div className="border border-border-default rounded-lg max-h-56 overflow-y-auto divide-y divide-border-default">
+                {agents.filter(a => a.sessions?.length > 0).map(agent => (
+                  <div key={agent.id} className="p-2">
+                    <p className="text-sm font-medium mb-1">
+                      {agent.name} <span className="text-text-muted text-xs">{gateways.find(g => g.id === agent.gatewayId)?.name}</span>
+                    </p>
+                    {agent.sessions.map(session => (
+                      <label key={session.sessionKey} className="flex items-center gap-2 text-xs text-text-secondary pl-2 py-0.5 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={isPicked(agent.gatewayId, session.sessionKey)}
+                          onChange={() => togglePicked(agent.gatewayId, session.sessionKey)}
+                        />
+                        {session.label || session.sessionKey}
+                      </label>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div>
+                <label className="block text-sm text-text-secondary mb-1">Session types</label>
+                <div className="flex flex-wrap gap-2">
+                  {BROADCAST_SESSION_TYPES.map(type => (
+                    <button
+                      key={type}
+                      onClick={() => toggleType(type)}
+                      className={`px-2 py-0.5 rounded-full text-xs capitalize border transition-colors ${
+                        sessionTypes.includes(type) ? 'border-blue-500 bg-blue-500/20 text-blue-300' : 'border-border-default text-text-muted hover:text-text-secondary'
+                      }`}
+                    >
+                      {type}
+                    </button>
+                  ))}
+                  <span className="text-xs text-text-muted self-center">{sessionTypes.length === 0 ? 'All sessions' : ''}</span>
+                </div>
+              </div>
+            )}
+
+            <div className="flex items-center gap-3">
+              <label className="text-sm text-text-secondary">Concurrency</label>
+              <input
+                type="number"
+                min={1}
+                max={20}
+                value={concurrency}
+                onChange={e => setConcurrency(Math.min(20, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+                className="w-20 bg-bg-dark border border-border-default rounded-lg px-3 py-1 text-sm focus:outline-none focus:border-blue-500"
+              />
+              <span className="text-sm text-text-muted ml-auto">
+                {preview?.error ? <span className="text-red-400">{preview.error}</span> : `Reaches ${targetCount} session${targetCount !== 1 ? 's' : ''}`}
+              </span>
+            </div>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button onClick={onClose} className="px-4 py-2 text-sm text-text-secondary hover:text-text-primary transition-colors">
+            {broadcast ? 'Close' : 'Cancel'}
+          </button>
+          {!broadcast && (
+            <button
+              onClick={handleSend}
+              disabled={sending || !message.trim() || targetCount === 0}
+              className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50 flex items-center gap-2"
+            >
+              {sending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+              Send
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function BroadcastProgress({ broadcast }) {
+  const queued = broadcast.queued || 0
+  const pending = broadcast.targets.length - broadcast.sent - queued - broadcast.failed
+  return (
+    <div className="space-y-3 overflow-y-auto">
+      <div className="flex items-center gap-4 text-sm">
+        <span className="text-green-400">{broadcast.sent} sent</span>
+        {queued > 0 && <span className="text-amber-300" title="Held for paused agents until they are resumed">{queued} queued</span>}
+        <span className={broadcast.failed > 0 ? 'text-red-400' : 'text-text-muted'}>{broadcast.failed} failed</span>
+        {pending > 0 && <span className="text-text-muted flex items-center gap-1"><Loader2 className="w-3 h-3 animate-spin" />{pending} pending</span>}
+      </div>
+      <div className="divide-y divide-border-default border border-border-default rounded-lg">
+        {broadcast.targets.map(t => (
+          <div key={`${t.gatewayId}|${t.sessionKey}`} className="flex items-center gap-2 px-3 py-2 text-sm">
+            {t.status === 'sent' ? <CheckCircle2 className="w-4 h-4 text-green-400 shrink-0" />
+              : t.status === 'failed' ? <AlertCircle className="w-4 h-4 text-red-400 shrink-0" />
+              : t.status === 'queued' ? <Pause className="w-4 h-4 text-amber-300 shrink-0" />
+              : <Loader2 className="w-4 h-4 animate-spin text-text-muted shrink-0" />}
+            <span className="font-medium">{t.agentName}</span>
+            <span className="text-text-muted truncate">{t.label}</span>
+            {t.error && <span className="text-red-400 text-xs ml-auto truncate" title={t.error}>{t.error}</span>}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+const MAINTENANCE_DURATIONS = [
+  { value: '', label: 'Until I end it' },
+  { value: '1', label: '1 hour' },
+  { value: '4', label: '4 hours' },
+  { value: '24', label: '24 hours' },
+  { value: 'custom', label: 'Until…' }
+]
+
+function MaintenanceModal({ gateway, onClose, onSubmit }) {
+  const [duration, setDuration] = useState('1')
+  const [customUntil, setCustomUntil] = useState('')
+  const [reason, setReason] = useState('')
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    let until
+    if (duration === 'custom') {
+      if (!customUntil) return
+      until = new Date(customUntil).toISOString()
+    } else if (duration) {
+      until = new Date(Date.now() + Number(duration) * 60 * 60 * 1000).toISOString()
+    }
+    onSubmit({ until, reason: reason.trim() || undefined })
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-bg-card border border-border-default rounded-xl p-6 w-full max-w-md" onClick={e => e.stopPropagation()}>
+        <h2 className="text-lg font-semibold mb-1">Maintenance: {gateway.name}</h2>
+        <p className="text-text-muted text-sm mb-4">Monitoring continues, but alerts for this gateway and its agents are suppressed.</p>
+        <form onSubmit={handleSubmit}>
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm text-text-secondary mb-1">Duration</label>
+              <select 
+                value={duration} 
+                onChange={e => setDuration(e.target.value)} 
+                className="w-full bg-bg-dark border border-border-default rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-blue-500"
+              >
+                {MAINTENANCE_DURATIONS.map(d => (
+                  <option key={d.value} value={d.value}>{d.label}</option>
+                ))}
+              </select>
+            </div>
+            {duration === 'custom' && (
+              <div>
+                <label className="block text-sm text-text-secondary mb-1">End time</label>
+                <input 
+                  type="datetime-local" 
+                  value={customUntil} 
+                  onChange={e => setCustomUntil(e.target.value)} 
+                  required
+                  className="w-full bg-bg-dark border border-border-default rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-blue-500" 
+                />
+              </div>
+            )}
+            <div>
+              <label className="block text-sm text-text-secondary mb-1">Reason</label>
+              <input 
+                value={reason} 
+                onChange={e => setReason(e.target.value)} 
+                placeholder="Upgrading to v2.3" 
+                className="w-full bg-bg-dark border border-border-default rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-blue-500" 
+              />
+            </div>
+          </div>
+          <div className="flex justify-end gap-3 mt-6">
+            <button 
+              type="button"
+              onClick={onClose} 
+              className="px-4 py-2 text-sm text-text-secondary hover:text-text-primary transition-colors"
+            >
+              Cancel
+            </button>
+            <button 
+              type="submit"
+              className="bg-amber-600 hover:bg-amber-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+            >
+              Start Maintenance
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+function GatewayGroupFields({ tags, onTagsChange, environment, onEnvironmentChange }) {
+  return (
+    <div className="grid grid-cols-2 gap-3">
+      <div>
+        <label className="block text-sm text-text-secondary mb-1">Environment</label>
+        <select 
+          value={environment} 
+          onChange={e => onEnvironmentChange(e.target.value)} 
+          className="w-full bg-bg-dark border border-border-default rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-blue-500"
+        >
+          <option value="">None</option>
+          {ENVIRONMENTS.map(env => (
+            <option key={env.id} value={env.id}>{env.label}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-sm text-text-secondary mb-1">Tags</label>
+        <input 
+          value={tags} 
+          onChange={e => onTagsChange(e.target.value)} 
+          placeholder="eu, gpu" 
+          className="w-full bg-bg-dark border border-border-default rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-blue-500" 
+        />
+      </div>
+    </div>
+  )
+}
+
+function EditGatewayModal({ gateway, onClose, onSubmit }) {
+  const [name, setName] = useState(gateway.name || '')
+  const [token, setToken] = useState('')
+  const [tags, setTags] = useState((gateway.tags || []).join(', '))
+  const [environment, setEnvironment] = useState(gateway.environment || '')
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onSubmit({
+      name: name.trim() || undefined,
+      token: token.trim() || undefined,
+      tags: parseTags(tags),
+      environment: environment || null
+    })
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50" onClick={onClose}>
+      <div className="bg-bg-card border border-border-default rounded-xl p-6 w-full max-w-md" onClick={e => e.stopPropagation()}>
+        <h2 className="text-lg font-semibold mb-4">Edit Gateway</h2>
         <form onSubmit={handleSubmit}>
           <div className="space-y-4">
             <div>
@@ -719,6 +1757,7 @@ function EditGatewayModal({ gateway, onClose, onSubmit }) {
               />
               <p className="text-text-muted text-xs mt-1">Leave empty to keep existing token</p>
             </div>
+            <GatewayGroupFields tags={tags} onTagsChange={setTags} environment={environment} onEnvironmentChange={setEnvironment} />
           </div>
           <div className="flex justify-end gap-3 mt-6">
             <button 
@@ -742,8 +1781,21 @@ function EditGatewayModal({ gateway, onClose, onSubmit }) {
 }
 
 // Activity Panel - Real-time event feed
-function ActivityPanel({ activity }) {
+const ACTIVITY_FILTERS = [
+  { id: '', label: 'All' },
+  { id: 'action', label: 'Actions' },
+  { id: 'gateway', label: 'Gateways' },
+  { id: 'agent', label: 'Agents' },
+  { id: 'alert,budget', label: 'Alerts' }
+]
+
+function ActivityPanel({ socket, localActivity }) {
   const [collapsed, setCollapsed] = useState(false)
+  const [filter, setFilter] = useState('')
+  const [entries, setEntries] = useState([])
+  const [cursor, setCursor] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
   
   const activityIcons = {
     system: <Wifi className="w-3 h-3 text-blue-400" />,
@@ -752,9 +1804,50 @@ function ActivityPanel({ activity }) {
     agent: <Bot className="w-3 h-3 text-cyan-400" />,
     chat: <MessageSquare className="w-3 h-3 text-green-400" />,
     sync: <RefreshCw className="w-3 h-3 text-text-muted" />,
-    discovery: <Search className="w-3 h-3 text-blue-400" />
+    discovery: <Search className="w-3 h-3 text-blue-400" />,
+    action: <User className="w-3 h-3 text-blue-400" />,
+    alert: <AlertCircle className="w-3 h-3 text-red-400" />,
+    budget: <DollarSign className="w-3 h-3 text-pink-400" />
   }
   
+  const loadPage = useCallback(async (before) => {
+    setLoading(true)
+    setError(null)
+    try {
+      const params = new URLSearchParams({ limit: '50' })
+      if (filter) params.set('type', filter)
+      if (before) params.set('before', before)
+      const res = await apiFetch(`/api/activity?${params}`)
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+      setEntries(prev => before ? [...prev, ...data.entries] : data.entries)
+      setCursor(data.nextCursor)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [filter])
+  
+  useEffect(() => {
+    loadPage(null)
+  }, [loadPage])
+  
+  // Live entries from the server log
+  useEffect(() => {
+    const onEntry = (entry) => {
+      if (filter && !filter.split(',').includes(entry.type)) return
+      setEntries(prev => prev.some(e => e.id === entry.id) ? prev : [entry, ...prev])
+    }
+    socket.on('activity', onEntry)
+    return () => socket.off('activity', onEntry)
+  }, [socket, filter])
+  
+  const activity = useMemo(() => {
+    if (filter) return entries
+    return [...localActivity, ...entries].sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+  }, [entries, localActivity, filter])
+  
   if (collapsed) {
     return (
       <div className="w-12 bg-bg-card border-l border-border-default flex flex-col items-center py-4">
@@ -786,8 +1879,25 @@ function ActivityPanel({ activity }) {
           <ChevronRight className="w-4 h-4" />
         </button>
       </div>
+      <div className="px-2 py-2 border-b border-border-default flex flex-wrap gap-1">
+        {ACTIVITY_FILTERS.map(f => (
+          <button
+            key={f.id}
+            onClick={() => setFilter(f.id)}
+            className={`px-2 py-0.5 rounded text-xs transition-colors ${filter === f.id ? 'bg-bg-hover text-text-primary' : 'text-text-muted hover:text-text-secondary'}`}
+          >
+            {f.label}
+          </button>
+        ))}
+      </div>
       <div className="flex-1 overflow-y-auto p-2 space-y-1">
-        {activity.length === 0 ? (
+        {error && (
+          <div className="p-2 text-xs text-red-400 flex items-center justify-between gap-2">
+            <span className="truncate">Failed to load activity: {error}</span>
+            <button onClick={() => loadPage(null)} className="text-text-muted hover:text-text-primary shrink-0">Retry</button>
+          </div>
+        )}
+        {activity.length === 0 && !loading ? (
           <p className="text-text-muted text-xs text-center py-8">No activity yet</p>
         ) : (
           activity.map(item => (
@@ -797,13 +1907,30 @@ function ActivityPanel({ activity }) {
                   {activityIcons[item.type] || <Zap className="w-3 h-3 text-text-muted" />}
                 </div>
                 <div className="flex-1 min-w-0">
-                  <p className="text-text-secondary truncate">{item.message}</p>
-                  <p className="text-text-muted mt-0.5">{formatTimeAgo(item.timestamp)}</p>
+                  <p className={`truncate ${item.outcome === 'error' ? 'text-red-400' : 'text-text-secondary'}`} title={item.message}>
+                    {item.message}
+                  </p>
+                  <p className="text-text-muted mt-0.5">
+                    {formatTimeAgo(item.timestamp)}
+                    {item.actor && <span> • {item.actor.username}</span>}
+                  </p>
                 </div>
               </div>
             </div>
           ))
         )}
+        {loading ? (
+          <div className="flex justify-center py-2">
+            <Loader2 className="w-4 h-4 animate-spin text-text-muted" />
+          </div>
+        ) : cursor && (
+          <button
+            onClick={() => loadPage(cursor)}
+            className="w-full py-2 text-xs text-text-muted hover:text-text-primary hover:bg-bg-hover rounded"
+          >
+            Load older
+          </button>
+        )}
       </div>
     </div>
   )
@@ -843,6 +1970,9 @@ function AgentListView({ gateways, agents, onSelectAgent }) {
                     {agent.messageCount > 0 && <span>• {agent.messageCount} msgs</span>}
                   </div>
                 </div>
+                <div className="text-xs text-text-muted shrink-0 w-24 text-right" title={`${formatNumber(agent.totalTokens || 0)} tokens`}>
+                  {agent.estimatedCost !== null && agent.estimatedCost !== undefined ? formatCost(agent.estimatedCost) : '–'}
+                </div>
                 <div className="text-xs text-text-muted shrink-0">
                   {agent.lastActive ? formatTimeAgo(agent.lastActive) : 'Never'}
                 </div>
@@ -856,35 +1986,192 @@ function AgentListView({ gateways, agents, onSelectAgent }) {
   )
 }
 
+// Every cron job session across gateways, with last run, next expected run and run history
+function CronView({ gateways, socket }) {
+  const [jobs, setJobs] = useState([])
+  const [error, setError] = useState(null)
+  const [expanded, setExpanded] = useState(null)
+  const [runs, setRuns] = useState({})
+
+  useEffect(() => {
+    apiFetch('/api/cron')
+      .then(async res => {
+        const data = await res.json()
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+        setJobs(data)
+      })
+      .catch(err => setError(err.message))
+
+    const onUpdate = (job) => setJobs(prev => prev.some(j => j.id === job.id) ? prev.map(j => j.id === job.id ? job : j) : [...prev, job])
+    const onRemoved = ({ id }) => setJobs(prev => prev.filter(j => j.id !== id))
+    socket.on('cron:update', onUpdate)
+    socket.on('cron:removed', onRemoved)
+    return () => {
+      socket.off('cron:update', onUpdate)
+      socket.off('cron:removed', onRemoved)
+    }
+  }, [socket])
+
+  const toggle = (job) => {
+    if (expanded === job.id) return setExpanded(null)
+    setExpanded(job.id)
+    apiFetch(`/api/cron/${encodeURIComponent(job.id)}/runs`)
+      .then(res => res.json())
+      .then(data => setRuns(prev => ({ ...prev, [job.id]: data.runs || [] })))
+      .catch(() => setRuns(prev => ({ ...prev, [job.id]: [] })))
+  }
+
+  const gatewayIds = new Set(gateways.map(g => g.id))
+  const visibleJobs = jobs.filter(job => gatewayIds.has(job.gatewayId))
+
+  return (
+    <div className="card">
+      <h3 className="font-semibold mb-4 flex items-center gap-2">
+        <CalendarClock className="w-5 h-5" />
+        Cron Jobs ({visibleJobs.length})
+      </h3>
+      {error && <p className="text-red-400 text-sm mb-3">Failed to load cron jobs: {error}</p>}
+      {visibleJobs.length === 0 ? (
+        <p className="text-text-muted text-sm py-4 text-center">No cron job sessions</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-text-muted border-b border-border-default">
+              <th className="py-2 font-medium">Job</th>
+              <th className="py-2 font-medium">Last run</th>
+              <th className="py-2 font-medium">Duration</th>
+              <th className="py-2 font-medium">Outcome</th>
+              <th className="py-2 font-medium text-right">Tokens / cost</th>
+              <th className="py-2 font-medium text-right">Next run</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-border-default">
+            {visibleJobs.map(job => {
+              const gateway = gateways.find(g => g.id === job.gatewayId)
+              return (
+                <CronJobRow
+                  key={job.id}
+                  job={job}
+                  gateway={gateway}
+                  expanded={expanded === job.id}
+                  runs={runs[job.id]}
+                  onToggle={() => toggle(job)}
+                />
+              )
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
+
+function CronJobRow({ job, gateway, expanded, runs, onToggle }) {
+  const last = job.lastRun
+  return (
+    <>
+      <tr onClick={onToggle} className="hover:bg-bg-hover cursor-pointer">
+        <td className="py-2">
+          <div className="flex items-center gap-2">
+            {expanded ? <ChevronDown className="w-3 h-3 text-text-muted" /> : <ChevronRight className="w-3 h-3 text-text-muted" />}
+            <span className={`status-dot status-${job.running ? 'active' : job.status === 'error' ? 'error' : 'idle'}`} />
+            <div className="min-w-0">
+              <p className="font-medium truncate">{job.label}</p>
+              <p className="text-xs text-text-muted truncate">{job.agentName} • {gateway?.name || job.gatewayId}</p>
+            </div>
+          </div>
+        </td>
+        <td className="py-2 text-text-secondary">{job.running ? 'Running…' : last ? formatTimeAgo(last.startedAt) : 'Never'}</td>
+        <td className="py-2 text-text-secondary">{last?.durationMs != null ? formatDuration(last.durationMs) : '–'}</td>
+        <td className="py-2"><CronOutcome run={last} failures={job.consecutiveFailures} /></td>
+        <td className="py-2 text-right text-text-secondary">
+          {last?.tokens != null ? formatNumber(last.tokens) : '–'} / {formatCost(last?.cost)}
+        </td>
+        <td className={`py-2 text-right ${job.overdue ? 'text-amber-400' : 'text-text-secondary'}`} title={job.intervalMs ? `Every ~${formatDuration(job.intervalMs)}` : 'Not enough runs to tell'}>
+          {job.nextRunAt ? (job.overdue ? `Overdue by ${formatDuration(Date.now() - Date.parse(job.nextRunAt))}` : formatTimeUntil(job.nextRunAt)) : '–'}
+        </td>
+      </tr>
+      {expanded && (
+        <tr>
+          <td colSpan={6} className="pb-3 pl-8">
+            {!runs ? (
+              <Loader2 className="w-4 h-4 animate-spin text-text-muted" />
+            ) : runs.length === 0 ? (
+              <p className="text-xs text-text-muted">No runs recorded yet</p>
+            ) : (
+              <div className="space-y-1 max-h-48 overflow-y-auto">
+                {runs.map(run => (
+                  <div key={run.startedAt} className="flex items-center gap-4 text-xs text-text-muted">
+                    <span className="w-40">{new Date(run.startedAt).toLocaleString()}</span>
+                    <span className="w-16">{run.durationMs != null ? formatDuration(run.durationMs) : '–'}</span>
+                    <CronOutcome run={run} />
+                    <span>{run.tokens != null ? `${formatNumber(run.tokens)} tokens` : ''}</span>
+                    <span>{run.cost != null ? formatCost(run.cost) : ''}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </td>
+        </tr>
+      )}
+    </>
+  )
+}
+
+function CronOutcome({ run, failures = 0 }) {
+  if (!run) return <span className="text-text-muted">–</span>
+  return run.outcome === 'error' ? (
+    <span className="px-2 py-0.5 rounded-full text-xs bg-red-500/20 text-red-300">
+      Failed{failures > 1 ? ` ×${failures}` : ''}
+    </span>
+  ) : (
+    <span className="px-2 py-0.5 rounded-full text-xs bg-green-500/20 text-green-300">OK</span>
+  )
+}
+
 // Enhanced Agent Detail View - Full-featured agent management
-function AgentDetailModal({ agent, gateway, onClose, socket }) {
-  const [activeTab, setActiveTab] = useState('overview')
-  const [sessionHistory, setSessionHistory] = useState([])
-  const [loading, setLoading] = useState(false)
+function AgentDetailModal({ agent: liveAgent, gateway, onClose, socket, user, notify, demo, focus }) {
+  const canOperate = hasRole(user, 'operator')
+  // Changes shown before the server confirms them: sessions being closed, a pause being changed
+  const [optimistic, setOptimistic] = useState({ closing: [], paused: undefined })
+  const agent = useMemo(() => withOptimistic(liveAgent, optimistic), [liveAgent, optimistic])
+  const [pendingActions, setPendingActions] = useState([])
+  const [confirmation, setConfirmation] = useState(null)
+  const [activeTab, setActiveTab] = useState(focus ? 'sessions' : 'overview')
   const [actionLoading, setActionLoading] = useState(null)
   const [messageText, setMessageText] = useState('')
+  const [actionTarget, setActionTarget] = useState(() => latestSessionKey(agent) || ALL_SESSIONS)
+  const [historySession, setHistorySession] = useState(() => focus?.sessionKey || latestSessionKey(agent))
   const [copied, setCopied] = useState(null)
+  const [metricsRange, setMetricsRange] = useState('24h')
+  const [metrics, setMetrics] = useState(null)
+  const [metricsError, setMetricsError] = useState(null)   // { error, code }
+  const [metricsReload, setMetricsReload] = useState(0)
   
-  // Fetch session history when tab changes
+  // Fetch recorded metrics when the Metrics tab is open
   useEffect(() => {
-    if (activeTab === 'sessions' && socket) {
-      setLoading(true)
-      socket.emit('agent:getHistory', { agentId: agent.id, gatewayId: agent.gatewayId }, (response) => {
-        setSessionHistory(response?.history || generateMockHistory())
-        setLoading(false)
+    if (activeTab !== 'metrics') return
+    let cancelled = false
+    const { duration, bucket } = METRICS_RANGES[metricsRange]
+    const params = new URLSearchParams({ from: Date.now() - duration, bucket })
+
+    setMetrics(null)
+    setMetricsError(null)
+    apiFetch(`/api/agents/${encodeURIComponent(agent.id)}/metrics?${params}`)
+      .then(async res => {
+        const data = await res.json()
+        if (cancelled) return
+        if (!res.ok) throw Object.assign(new Error(data.error || `HTTP ${res.status}`), { code: data.code })
+        setMetrics(data)
       })
-    }
-  }, [activeTab, agent.id, agent.gatewayId, socket])
-  
-  // Generate mock session history if none available
-  const generateMockHistory = () => {
-    const now = Date.now()
-    return [
-      { id: 1, type: 'message', role: 'user', content: 'Last user message...', timestamp: new Date(now - 60000).toISOString() },
-      { id: 2, type: 'message', role: 'assistant', content: 'Last assistant response...', timestamp: new Date(now - 55000).toISOString() },
-      { id: 3, type: 'tool_use', name: 'exec', timestamp: new Date(now - 50000).toISOString() },
-    ]
-  }
+      .catch(err => !cancelled && setMetricsError({ error: err.message, code: err.code }))
+
+    return () => { cancelled = true }
+  }, [activeTab, metricsRange, agent.id, metricsReload])
+
+  // In demo mode, sample data stands in for missing metrics - always labelled as such
+  const demoMetricsShown = demo && (metricsError || metrics?.summary.samples === 0)
+  const shownMetrics = demoMetricsShown ? demoMetrics(metricsRange) : metrics
   
   // Copy to clipboard helper
   const copyToClipboard = (text, key) => {
@@ -893,44 +2180,130 @@ function AgentDetailModal({ agent, gateway, onClose, socket }) {
     setTimeout(() => setCopied(null), 2000)
   }
   
-  // Agent actions
-  const handleAction = async (action) => {
-    setActionLoading(action)
-    socket?.emit(`agent:${action}`, { agentId: agent.id, gatewayId: agent.gatewayId }, (response) => {
-      setActionLoading(null)
-      // Show feedback
+  // Agent actions target the picked session, or every session of the agent
+  const targetParams = actionTarget === ALL_SESSIONS ? { all: true } : { sessionKey: actionTarget }
+  const targetLabel = actionTarget === ALL_SESSIONS
+    ? `all ${agent.sessions?.length || 0} sessions`
+    : (agent.sessions?.find(s => s.sessionKey === actionTarget)?.label || actionTarget)
+  
+  const closeSessions = (keys) => setOptimistic(prev => ({ ...prev, closing: [...prev.closing, ...keys] }))
+  const reopenSessions = (keys) => setOptimistic(prev => ({ ...prev, closing: prev.closing.filter(k => !keys.includes(k)) }))
+  const setOptimisticPause = (paused) => setOptimistic(prev => ({ ...prev, paused }))
+  
+  // Every action goes through here: optimistic change, socket call, toast with the
+  // server's result, then settle(response) keeps or rolls back the optimistic change
+  const runAction = ({ key, label, event, payload, apply, settle }) => {
+    const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 6)
+    setActionLoading(key)
+    setPendingActions(prev => [{ id, label, startedAt: new Date().toISOString() }, ...prev])
+    apply?.()
+    
+    socket.timeout(ACTION_TIMEOUT).emit(event, { agentId: agent.id, gatewayId: agent.gatewayId, ...payload }, (err, response) => {
+      if (err) response = { error: 'No response from the server', code: 'timeout' }
+      setActionLoading(current => current === key ? null : current)
+      setPendingActions(prev => prev.filter(a => a.id !== id))
+      const result = describeActionResult(label, response)
+      notify(result.type, result.message)
+      settle?.(response)
+    })
+  }
+  
+  const confirmThen = (options) => setConfirmation(options)
+  
+  // Sessions of a multi-session action that didn't go through (all of them on an error)
+  const failedKeys = (response, keys) => response?.error && !response.results
+    ? keys
+    : (response?.results || []).filter(r => !r.ok).map(r => r.sessionKey)
+  
+  const handleAction = (action) => {
+    const label = action.charAt(0).toUpperCase() + action.slice(1)
+    if (action === 'terminate') {
+      const keys = actionTarget === ALL_SESSIONS ? (agent.sessions || []).map(s => s.sessionKey) : [actionTarget]
+      return confirmThen({
+        title: `Terminate ${targetLabel}?`,
+        message: `This closes the session${keys.length !== 1 ? 's' : ''} on the gateway.`,
+        confirmLabel: 'Terminate',
+        onConfirm: () => runAction({
+          key: action, label, event: 'agent:terminate', payload: targetParams,
+          apply: () => closeSessions(keys),
+          settle: (response) => reopenSessions(failedKeys(response, keys))
+        })
+      })
+    }
+    if (action === 'pause') {
+      return runAction({
+        key: action, label, event: 'agent:pause',
+        apply: () => setOptimisticPause({ mode: 'hold', pausedAt: new Date().toISOString(), pausedBy: user.username, queued: 0 }),
+        settle: () => setOptimisticPause(undefined)
+      })
+    }
+    runAction({ key: action, label, event: `agent:${action}`, payload: action === 'restart' ? targetParams : {} })
+  }
+  
+  // Resume sends what was queued while paused (flush) or drops it (discard)
+  const handleResume = (queue) => {
+    const resume = () => runAction({
+      key: 'resume', label: 'Resume', event: 'agent:resume', payload: { queue },
+      apply: () => setOptimisticPause(null),
+      settle: () => setOptimisticPause(undefined)
+    })
+    if (queue !== 'discard') return resume()
+
+    const queued = agent.paused?.queued || 0
+    confirmThen({
+      title: `Resume ${agent.name}?`,
+      message: `The ${queued} queued message${queued !== 1 ? 's' : ''} will be discarded, not sent.`,
+      confirmLabel: 'Discard & resume',
+      onConfirm: resume
     })
-    // Simulate for now
-    setTimeout(() => setActionLoading(null), 1500)
   }
   
   const handleSendMessage = () => {
-    if (!messageText.trim()) return
-    socket?.emit('agent:sendMessage', { 
-      agentId: agent.id, 
-      gatewayId: agent.gatewayId, 
-      message: messageText 
+    const message = messageText
+    if (!message.trim()) return
+    runAction({
+      key: 'send', label: 'Send', event: 'agent:sendMessage', payload: { ...targetParams, message },
+      apply: () => setMessageText(''),
+      // Give the text back unless nothing went wrong or something new was typed
+      settle: (response) => response?.error && setMessageText(current => current || message)
+    })
+  }
+  
+  const handleCloseSession = (session) => {
+    confirmThen({
+      title: `Close session "${session.label || session.sessionKey}"?`,
+      message: 'This closes the session on the gateway.',
+      confirmLabel: 'Close session',
+      onConfirm: () => runAction({
+        key: `close:${session.sessionKey}`, label: 'Close session', event: 'session:close', payload: { sessionKey: session.sessionKey },
+        apply: () => closeSessions([session.sessionKey]),
+        settle: (response) => response?.error && reopenSessions([session.sessionKey])
+      })
     })
-    setMessageText('')
   }
   
-  // Performance metrics (calculated or mocked)
-  const metrics = {
-    avgResponseTime: agent.avgResponseTime || '2.3s',
-    successRate: agent.successRate || '98.5%',
-    tokensUsed: agent.tokensUsed || '45.2K',
-    cost: agent.cost || '$0.34',
-    uptime: agent.uptime || '99.9%',
-    sessionsToday: agent.sessionsToday || 12
+  const handleKillSubagent = (subagent) => {
+    confirmThen({
+      title: `Kill subagent "${subagent.label}"?`,
+      message: 'This closes its session on the gateway. Subagents it spawned keep running.',
+      confirmLabel: 'Kill subagent',
+      onConfirm: () => runAction({
+        key: `kill:${subagent.sessionKey}`, label: 'Kill subagent', event: 'agent:killSubagent', payload: { sessionKey: subagent.sessionKey },
+        apply: () => closeSessions([subagent.sessionKey]),
+        settle: (response) => response?.error && reopenSessions([subagent.sessionKey])
+      })
+    })
   }
   
   const tabs = [
     { id: 'overview', label: 'Overview', icon: Eye },
+    { id: 'live', label: 'Live', icon: MessageSquare },
     { id: 'sessions', label: 'Sessions', icon: History },
+    { id: 'subagents', label: `Subagents${agent.subagents?.length ? ` (${agent.subagents.length})` : ''}`, icon: GitBranch },
     { id: 'metrics', label: 'Metrics', icon: BarChart3 },
     { id: 'config', label: 'Config', icon: Settings },
-    { id: 'actions', label: 'Actions', icon: Terminal }
-  ]
+    canOperate && { id: 'actions', label: 'Actions', icon: Terminal }
+  ].filter(Boolean)
 
   return (
     <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-50 p-4" onClick={onClose}>
@@ -943,12 +2316,13 @@ function AgentDetailModal({ agent, gateway, onClose, socket }) {
               agent.status === 'error' ? 'bg-red-500/20' :
               'bg-gray-500/20'
             }`}>
-              {agent.avatar || '🤖'}
+              <AgentAvatar agent={agent} className="w-10 h-10" />
             </div>
             <div>
               <h2 className="text-xl font-semibold flex items-center gap-2">
-                {agent.name ? agent.name.charAt(0).toUpperCase() + agent.name.slice(1) : agent.agentId || 'Agent'}
+                {agent.name || agent.agentId || 'Agent'}
                 {agent.status === 'active' && <Zap className="w-4 h-4 text-green-400 animate-pulse" />}
+                {agent.paused && <PausedBadge paused={agent.paused} />}
               </h2>
               <p className="text-text-secondary text-sm flex items-center gap-2">
                 <Server className="w-3 h-3" />
@@ -1050,25 +2424,18 @@ function AgentDetailModal({ agent, gateway, onClose, socket }) {
                                 {formatTimeAgo(session.lastActive)}
                               </span>
                             )}
-                            <button
-                              onClick={(e) => {
-                                e.stopPropagation()
-                                if (confirm(`Close session "${session.label || session.sessionKey}"?`)) {
-                                  socket?.emit('session:close', { 
-                                    sessionKey: session.sessionKey, 
-                                    gatewayId: agent.gatewayId 
-                                  }, (response) => {
-                                    if (response?.error) {
-                                      console.error('Failed to close session:', response.error)
-                                    }
-                                  })
-                                }
-                              }}
-                              className="p-1 hover:bg-red-500/20 rounded text-text-muted hover:text-red-400 transition-colors"
-                              title="Close session"
-                            >
-                              <X className="w-3.5 h-3.5" />
-                            </button>
+                            {canOperate && (
+                              <button
+                                onClick={(e) => {
+                                  e.stopPropagation()
+                                  handleCloseSession(session)
+                                }}
+                                className="p-1 hover:bg-red-500/20 rounded text-text-muted hover:text-red-400 transition-colors"
+                                title="Close session"
+                              >
+                                <X className="w-3.5 h-3.5" />
+                              </button>
+                            )}
                           </div>
                         </div>
                       </div>
@@ -1098,6 +2465,27 @@ function AgentDetailModal({ agent, gateway, onClose, socket }) {
             </div>
           )}
           
+          {/* Live Transcript Tab */}
+          {activeTab === 'live' && (
+            <LiveTranscript agent={agent} socket={socket} canOperate={canOperate} />
+          )}
+          
+          {/* Subagents Tab */}
+          {activeTab === 'subagents' && (
+            agent.subagents?.length > 0 ? (
+              <SubagentTree
+                subagents={agent.subagents}
+                sessions={agent.sessions}
+                onKill={canOperate ? handleKillSubagent : null}
+              />
+            ) : (
+              <div className="text-center py-12 text-text-muted">
+                <GitBranch className="w-8 h-8 mx-auto mb-2 opacity-50" />
+                <p>No subagents running</p>
+              </div>
+            )
+          )}
+          
           {/* Sessions Tab */}
           {activeTab === 'sessions' && (
             <div className="space-y-4">
@@ -1137,25 +2525,18 @@ function AgentDetailModal({ agent, gateway, onClose, socket }) {
                             <span className="text-xs bg-green-500/20 text-green-400 px-2 py-0.5 rounded">Active</span>
                           )}
                         </div>
-                        <button
-                          onClick={(e) => {
-                            e.stopPropagation()
-                            if (confirm(`Close session "${session.label || session.sessionKey}"?`)) {
-                              socket?.emit('session:close', { 
-                                sessionKey: session.sessionKey, 
-                                gatewayId: agent.gatewayId 
-                              }, (response) => {
-                                if (response?.error) {
-                                  alert('Failed to close session: ' + response.error)
-                                }
-                              })
-                            }
-                          }}
-                          className="p-1.5 hover:bg-red-500/20 rounded text-text-muted hover:text-red-400 transition-colors"
-                          title="Close session"
-                        >
-                          <X className="w-4 h-4" />
-                        </button>
+                        {canOperate && (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation()
+                              handleCloseSession(session)
+                            }}
+                            className="p-1.5 hover:bg-red-500/20 rounded text-text-muted hover:text-red-400 transition-colors"
+                            title="Close session"
+                          >
+                            <X className="w-4 h-4" />
+                          </button>
+                        )}
                       </div>
                       <div className="flex items-center gap-4 text-xs text-text-muted">
                         {session.channel && (
@@ -1184,28 +2565,69 @@ function AgentDetailModal({ agent, gateway, onClose, socket }) {
                   ))}
                 </div>
               )}
+              
+              {agent.sessions?.length > 0 && (
+                <div className="border-t border-border-default pt-4 space-y-3">
+                  <div className="flex items-center justify-between gap-3">
+                    <h3 className="text-sm font-semibold text-text-secondary shrink-0">History</h3>
+                    <SessionPicker sessions={agent.sessions} value={historySession} onChange={setHistorySession} />
+                  </div>
+                  <SessionHistory key={historySession} agentId={agent.id} socket={socket} sessionKey={historySession} focus={focus} demo={demo} />
+                </div>
+              )}
             </div>
           )}
           
           {/* Metrics Tab */}
           {activeTab === 'metrics' && (
             <div className="space-y-6">
-              <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
-                <MetricCard label="Avg Response Time" value={metrics.avgResponseTime} icon={Clock} color="blue" />
-                <MetricCard label="Success Rate" value={metrics.successRate} icon={CheckCircle2} color="green" />
-                <MetricCard label="Tokens Used" value={metrics.tokensUsed} icon={Database} color="purple" />
-                <MetricCard label="Est. Cost" value={metrics.cost} icon={BarChart3} color="amber" />
-                <MetricCard label="Uptime" value={metrics.uptime} icon={Activity} color="cyan" />
-                <MetricCard label="Sessions Today" value={metrics.sessionsToday} icon={Users} color="pink" />
+              <div className="flex items-center justify-between">
+                <h3 className="text-sm font-semibold text-text-secondary">Recorded Metrics</h3>
+                <div className="flex bg-bg-dark rounded-lg p-1">
+                  {Object.keys(METRICS_RANGES).map(range => (
+                    <button
+                      key={range}
+                      onClick={() => setMetricsRange(range)}
+                      className={`px-3 py-1 rounded-md text-xs transition-colors ${metricsRange === range ? 'bg-bg-hover text-text-primary' : 'text-text-muted hover:text-text-secondary'}`}
+                    >
+                      {range}
+                    </button>
+                  ))}
+                </div>
               </div>
-              
-              <div className="border-t border-border-default pt-4">
-                <h3 className="text-sm font-semibold text-text-secondary mb-3">Performance Over Time</h3>
-                <div className="bg-bg-hover rounded-lg p-4 text-center text-text-muted text-sm">
+
+              {metricsError && !demoMetricsShown ? (
+                <ErrorState title="Failed to load metrics" error={metricsError.error} code={metricsError.code} onRetry={() => setMetricsReload(n => n + 1)} />
+              ) : !shownMetrics ? (
+                <div className="text-center py-12">
+                  <Loader2 className="w-8 h-8 animate-spin mx-auto text-text-muted" />
+                </div>
+              ) : shownMetrics.summary.samples === 0 ? (
+                <div className="bg-bg-hover rounded-lg p-6 text-center text-text-muted text-sm">
                   <BarChart3 className="w-8 h-8 mx-auto mb-2 opacity-50" />
-                  <p>Performance charts coming soon</p>
+                  <p>No samples recorded in the last {metricsRange}</p>
+                  <p className="text-xs mt-1">Metrics are sampled every minute while the server is running</p>
                 </div>
-              </div>
+              ) : (
+                <>
+                  {demoMetricsShown && <DemoLabel />}
+                  <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                    <MetricCard label={`Tokens Used (${metricsRange})`} value={formatNumber(shownMetrics.summary.tokensUsed)} icon={Database} color="purple" />
+                    <MetricCard label={`Messages (${metricsRange})`} value={formatNumber(shownMetrics.summary.messages)} icon={MessageSquare} color="blue" />
+                    <MetricCard label="Peak Sessions" value={shownMetrics.summary.peakSessions} icon={Users} color="pink" />
+                    <MetricCard label="Time Active" value={formatPercent(shownMetrics.summary.activeRatio)} icon={Activity} color="green" />
+                    <MetricCard label="Status Changes" value={shownMetrics.summary.statusChanges} icon={RefreshCw} color="amber" />
+                    <MetricCard label="Gateway Uptime" value={formatPercent(shownMetrics.summary.gatewayUptime)} icon={Server} color="cyan" />
+                  </div>
+                  
+                  <div className="border-t border-border-default pt-4 space-y-4">
+                    <h3 className="text-sm font-semibold text-text-secondary">Over Time</h3>
+                    <SparklineRow label="Total tokens" series={shownMetrics.series} field="totalTokens" color="#a78bfa" format={formatNumber} />
+                    <SparklineRow label="Messages" series={shownMetrics.series} field="messageCount" color="#60a5fa" format={formatNumber} />
+                    <SparklineRow label="Active sessions" series={shownMetrics.series} field="activeSessions" color="#4ade80" />
+                  </div>
+                </>
+              )}
             </div>
           )}
           
@@ -1219,6 +2641,8 @@ function AgentDetailModal({ agent, gateway, onClose, socket }) {
 {JSON.stringify({
   agentId: agent.agentId || 'N/A',
   name: agent.name,
+  description: agent.description || 'N/A',
+  owner: agent.owner || 'N/A',
   channel: agent.channel || 'N/A',
   model: agent.model || 'N/A',
   sessionKey: agent.sessionKey || 'N/A',
@@ -1230,6 +2654,23 @@ function AgentDetailModal({ agent, gateway, onClose, socket }) {
                 </pre>
               </div>
               
+              <div>
+                <h3 className="text-sm font-semibold text-text-secondary mb-2">Reported by Gateway</h3>
+                {agent.config ? (
+                  <div className="bg-bg-dark rounded-lg p-4 font-mono text-sm overflow-x-auto">
+                    <pre className="text-text-secondary">{JSON.stringify(agent.config, null, 2)}</pre>
+                  </div>
+                ) : (
+                  <p className="text-text-muted text-sm">This gateway doesn't report agent configuration (no <code>agents.list</code>).</p>
+                )}
+              </div>
+              
+              {hasRole(user, 'admin') && (
+                <div className="border-t border-border-default pt-4">
+                  <AgentDirectoryForm agent={agent} gateway={gateway} />
+                </div>
+              )}
+              
               <div className="border-t border-border-default pt-4">
                 <h3 className="text-sm font-semibold text-text-secondary mb-3">Gateway Connection</h3>
                 <div className="grid grid-cols-2 gap-4">
@@ -1243,26 +2684,31 @@ function AgentDetailModal({ agent, gateway, onClose, socket }) {
           )}
           
           {/* Actions Tab */}
-          {activeTab === 'actions' && (
+          {activeTab === 'actions' && canOperate && (
             <div className="space-y-6">
+              <div className="flex items-center gap-3">
+                <label className="text-sm text-text-secondary shrink-0">Target</label>
+                <SessionPicker sessions={agent.sessions || []} value={actionTarget} onChange={setActionTarget} allowAll />
+              </div>
+              
               <div>
                 <h3 className="text-sm font-semibold text-text-secondary mb-3">Agent Controls</h3>
                 <div className="grid grid-cols-3 gap-3">
                   <ActionButton
                     icon={RotateCcw}
                     label="Restart"
-                    description="Restart agent session"
+                    description={`Restart ${targetLabel}`}
                     onClick={() => handleAction('restart')}
                     loading={actionLoading === 'restart'}
                     color="blue"
                   />
                   <ActionButton
-                    icon={agent.status === 'active' ? Pause : Play}
-                    label={agent.status === 'active' ? 'Pause' : 'Resume'}
-                    description={agent.status === 'active' ? 'Pause agent activity' : 'Resume agent activity'}
-                    onClick={() => handleAction(agent.status === 'active' ? 'pause' : 'resume')}
+                    icon={agent.paused ? Play : Pause}
+                    label={agent.paused ? 'Resume' : 'Pause'}
+                    description={agent.paused ? 'Resume and send queued messages' : 'Hold all messages to this agent'}
+                    onClick={() => agent.paused ? handleResume('flush') : handleAction('pause')}
                     loading={actionLoading === 'pause' || actionLoading === 'resume'}
-                    color={agent.status === 'active' ? 'amber' : 'green'}
+                    color={agent.paused ? 'green' : 'amber'}
                   />
                   <ActionButton
                     icon={RefreshCw}
@@ -1275,6 +2721,10 @@ function AgentDetailModal({ agent, gateway, onClose, socket }) {
                 </div>
               </div>
               
+              {agent.paused && (
+                <PausedQueue agentId={agent.id} paused={agent.paused} socket={socket} onDiscard={() => handleResume('discard')} disabled={actionLoading === 'resume'} />
+              )}
+              
               <div className="border-t border-border-default pt-4">
                 <h3 className="text-sm font-semibold text-text-secondary mb-3">Send Message to Agent</h3>
                 <div className="flex gap-2">
@@ -1288,15 +2738,17 @@ function AgentDetailModal({ agent, gateway, onClose, socket }) {
                   />
                   <button
                     onClick={handleSendMessage}
-                    disabled={!messageText.trim()}
+                    disabled={!messageText.trim() || actionLoading === 'send'}
                     className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed px-4 py-2 rounded-lg flex items-center gap-2 text-sm font-medium transition-colors"
                   >
-                    <Send className="w-4 h-4" />
+                    {actionLoading === 'send' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
                     Send
                   </button>
                 </div>
                 <p className="text-xs text-text-muted mt-2">
-                  Messages sent here will be injected into the agent's current session
+                  {agent.paused?.mode === 'hold'
+                    ? `Agent is paused - messages will be queued for ${targetLabel} until it is resumed`
+                    : `Messages sent here will be injected into ${targetLabel}`}
                 </p>
               </div>
               
@@ -1304,16 +2756,884 @@ function AgentDetailModal({ agent, gateway, onClose, socket }) {
                 <h3 className="text-sm font-semibold text-text-secondary mb-3 text-red-400">Danger Zone</h3>
                 <button
                   onClick={() => handleAction('terminate')}
-                  className="bg-red-500/10 border border-red-500/30 text-red-400 hover:bg-red-500/20 px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2"
+                  disabled={actionLoading === 'terminate'}
+                  className="bg-red-500/10 border border-red-500/30 text-red-400 hover:bg-red-500/20 disabled:opacity-50 px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center gap-2"
                 >
-                  <Trash2 className="w-4 h-4" />
-                  Terminate Agent
+                  {actionLoading === 'terminate' ? <Loader2 className="w-4 h-4 animate-spin" /> : <Trash2 className="w-4 h-4" />}
+                  {actionTarget === ALL_SESSIONS ? 'Terminate All Sessions' : 'Terminate Session'}
                 </button>
               </div>
+              
+              <div className="border-t border-border-default pt-4">
+                <h3 className="text-sm font-semibold text-text-secondary mb-3">Recent Actions</h3>
+                <AgentActionHistory agentId={agent.id} socket={socket} pending={pendingActions} />
+              </div>
             </div>
           )}
         </div>
       </div>
+      {confirmation && (
+        <ConfirmDialog
+          {...confirmation}
+          onCancel={() => setConfirmation(null)}
+          onConfirm={() => {
+            setConfirmation(null)
+            confirmation.onConfirm()
+          }}
+        />
+      )}
+    </div>
+  )
+}
+
+// Confirmation for destructive actions; Escape or a click outside cancels
+function ConfirmDialog({ title, message, confirmLabel = 'Confirm', onConfirm, onCancel }) {
+  useEffect(() => {
+    const onKey = (e) => e.key === 'Escape' && onCancel()
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [onCancel])
+  
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-[60] p-4" onClick={(e) => { e.stopPropagation(); onCancel() }}>
+      <div className="bg-bg-card border border-border-default rounded-xl w-full max-w-sm p-5 shadow-2xl" onClick={e => e.stopPropagation()}>
+        <h3 className="font-semibold flex items-center gap-2">
+          <AlertCircle className="w-4 h-4 text-red-400 shrink-0" />
+          {title}
+        </h3>
+        {message && <p className="text-sm text-text-secondary mt-2">{message}</p>}
+        <div className="flex justify-end gap-2 mt-5">
+          <button
+            onClick={onCancel}
+            autoFocus
+            className="px-4 py-2 rounded-lg text-sm text-text-secondary hover:bg-bg-hover transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={onConfirm}
+            className="bg-red-600 hover:bg-red-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+          >
+            {confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Operator actions on one agent from the activity log, newest first, with in-flight ones on top
+function AgentActionHistory({ agentId, socket, pending }) {
+  const [entries, setEntries] = useState([])
+  const [error, setError] = useState(null)
+  
+  useEffect(() => {
+    let cancelled = false
+    const params = new URLSearchParams({ type: 'action', agentId, limit: '20' })
+    setError(null)
+    apiFetch(`/api/activity?${params}`)
+      .then(async res => {
+        const data = await res.json()
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+        if (!cancelled) setEntries(data.entries)
+      })
+      .catch(err => !cancelled && setError(err.message))
+    return () => { cancelled = true }
+  }, [agentId])
+  
+  useEffect(() => {
+    const onEntry = (entry) => {
+      if (entry.type !== 'action' || entry.agentId !== agentId) return
+      setEntries(prev => prev.some(e => e.id === entry.id) ? prev : [entry, ...prev].slice(0, 20))
+    }
+    socket.on('activity', onEntry)
+    return () => socket.off('activity', onEntry)
+  }, [socket, agentId])
+  
+  if (error) {
+    return <p className="text-xs text-red-400">Failed to load actions: {error}</p>
+  }
+  if (pending.length === 0 && entries.length === 0) {
+    return <p className="text-xs text-text-muted">No actions yet</p>
+  }
+  
+  return (
+    <ul className="space-y-1 text-xs">
+      {pending.map(action => (
+        <li key={action.id} className="flex items-center gap-2 text-text-secondary">
+          <Loader2 className="w-3 h-3 animate-spin shrink-0" />
+          <span className="flex-1 truncate">{action.label}…</span>
+          <span className="text-text-muted shrink-0">{formatTimeAgo(action.startedAt)}</span>
+        </li>
+      ))}
+      {entries.map(entry => (
+        <li key={entry.id} className="flex items-center gap-2">
+          {entry.outcome === 'error'
+            ? <AlertCircle className="w-3 h-3 text-red-400 shrink-0" />
+            : <CheckCircle2 className="w-3 h-3 text-green-400 shrink-0" />}
+          <span className={`flex-1 truncate ${entry.outcome === 'error' ? 'text-red-400' : 'text-text-secondary'}`} title={entry.message}>
+            {entry.message}
+          </span>
+          <span className="text-text-muted shrink-0">
+            {entry.actor?.username && `${entry.actor.username} • `}{formatTimeAgo(entry.timestamp)}
+          </span>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+function Toasts({ toasts, onDismiss }) {
+  if (toasts.length === 0) return null
+  return (
+    <div className="fixed bottom-4 right-4 z-[70] flex flex-col gap-2 w-80">
+      {toasts.map(toast => (
+        <div
+          key={toast.id}
+          className={`rounded-lg border px-3 py-2 text-sm flex items-start gap-2 shadow-lg bg-bg-card ${
+            toast.type === 'error' ? 'border-red-500/40 text-red-400' : 'border-green-500/40 text-green-400'
+          }`}
+        >
+          {toast.type === 'error' ? <AlertCircle className="w-4 h-4 shrink-0 mt-0.5" /> : <CheckCircle2 className="w-4 h-4 shrink-0 mt-0.5" />}
+          <span className="flex-1">{toast.message}</span>
+          <button onClick={() => onDismiss(toast.id)} className="text-text-muted hover:text-text-primary shrink-0">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+function PausedBadge({ paused }) {
+  const queued = paused.queued || 0
+  const title = paused.mode === 'gateway'
+    ? `Paused on the gateway ${formatTimeAgo(paused.pausedAt)}`
+    : `Paused ${formatTimeAgo(paused.pausedAt)} - messages are held by Team Control`
+  return (
+    <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-amber-500/20 text-amber-300 flex items-center gap-1" title={title}>
+      <Pause className="w-3 h-3" />
+      Paused{queued > 0 ? ` · ${queued} queued` : ''}
+    </span>
+  )
+}
+
+// Messages held for a paused agent, sent in order when it resumes. Agent updates
+// only carry the count; the messages are fetched (operators only) when it changes.
+function PausedQueue({ agentId, paused, socket, onDiscard, disabled }) {
+  const [queue, setQueue] = useState([])
+  const queued = paused.queued || 0
+
+  useEffect(() => {
+    if (queued === 0) {
+      setQueue([])
+      return
+    }
+    let current = true
+    socket.emit('agent:getPauseQueue', { agentId }, (response) => {
+      if (current && response?.queue) setQueue(response.queue)
+    })
+    return () => { current = false }
+  }, [socket, agentId, queued])
+
+  return (
+    <div className="rounded-lg border border-amber-500/30 bg-amber-500/10 p-3 text-sm">
+      <div className="flex items-center justify-between gap-3">
+        <p className="text-amber-300">
+          Paused {formatTimeAgo(paused.pausedAt)}{paused.pausedBy ? ` by ${paused.pausedBy}` : ''}
+          {paused.mode === 'gateway' ? ' on the gateway' : ` - ${queued} message${queued !== 1 ? 's' : ''} queued`}
+        </p>
+        {queued > 0 && (
+          <button
+            onClick={onDiscard}
+            disabled={disabled}
+            className="text-xs text-red-400 hover:text-red-300 disabled:opacity-50 shrink-0"
+          >
+            Discard queue & resume
+          </button>
+        )}
+      </div>
+      {queue.length > 0 && (
+        <ul className="mt-2 space-y-1 max-h-40 overflow-y-auto">
+          {queue.map(entry => (
+            <li key={entry.id} className="flex items-center gap-2 text-xs text-text-secondary">
+              {entry.source !== 'message' ? <Megaphone className="w-3 h-3 shrink-0" /> : <Send className="w-3 h-3 shrink-0" />}
+              <span className="text-text-muted font-mono shrink-0">{entry.sessionKey.split(':').slice(2).join(':')}</span>
+              <span className="truncate flex-1">{entry.message}</span>
+              <span className="text-text-muted shrink-0">{formatTimeAgo(entry.queuedAt)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+// Live transcript of one session: recent history, then streamed chat events
+// Uploaded image if there is one, else the emoji
+// Subagents nested by the session that spawned them; ones spawned by the agent's own
+// sessions (or with no known parent) are the roots
+function SubagentTree({ subagents, sessions = [], onKill, compact = false }) {
+  const keys = new Set(subagents.map(s => s.sessionKey))
+  const roots = subagents.filter(s => !keys.has(s.parentSessionKey))
+  const childrenOf = (key) => subagents.filter(s => s.parentSessionKey === key)
+
+  return (
+    <div className="space-y-1">
+      {roots.map(subagent => (
+        <SubagentNode
+          key={subagent.sessionKey}
+          subagent={subagent}
+          childrenOf={childrenOf}
+          spawnedBy={sessions.find(s => s.sessionKey === subagent.parentSessionKey)?.label}
+          onKill={onKill}
+          compact={compact}
+        />
+      ))}
+    </div>
+  )
+}
+
+function SubagentNode({ subagent, childrenOf, spawnedBy, onKill, compact, depth = 0 }) {
+  const [expanded, setExpanded] = useState(true)
+  const children = childrenOf(subagent.sessionKey)
+
+  return (
+    <div style={{ marginLeft: depth ? 12 : 0 }} className={depth ? 'border-l border-border-default pl-2' : ''}>
+      <div className={`flex items-center gap-2 ${compact ? 'text-xs py-0.5' : 'bg-bg-hover rounded-lg p-3 border border-border-default'}`}>
+        {children.length > 0 ? (
+          <button onClick={() => setExpanded(!expanded)} className="text-text-muted hover:text-text-primary">
+            {expanded ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+          </button>
+        ) : (
+          <span className="w-3" />
+        )}
+        <span className={`status-dot status-${subagent.status || 'idle'}`} />
+        <span className={`truncate ${compact ? '' : 'font-medium text-sm'}`} title={subagent.sessionKey}>{subagent.label}</span>
+        {compact ? (
+          <span className="ml-auto text-text-muted">{formatNumber(subagent.totalTokens)}</span>
+        ) : (
+          <div className="ml-auto flex items-center gap-3 text-xs text-text-muted shrink-0">
+            {spawnedBy && <span>from {spawnedBy}</span>}
+            <span title={`${formatNumber(subagent.inputTokens)} in / ${formatNumber(subagent.outputTokens)} out`}>
+              {formatNumber(subagent.totalTokens)} tokens
+            </span>
+            {subagent.startedAt && (
+              <span className="flex items-center gap-1">
+                <Clock className="w-3 h-3" />
+                {formatDuration(subagentRuntime(subagent))}
+              </span>
+            )}
+            {onKill && (
+              <button
+                onClick={() => onKill(subagent)}
+                className="p-1 hover:bg-red-500/20 rounded text-text-muted hover:text-red-400 transition-colors"
+                title="Kill subagent"
+              >
+                <X className="w-3.5 h-3.5" />
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+      {expanded && children.length > 0 && (
+        <div className="mt-1 space-y-1">
+          {children.map(child => (
+            <SubagentNode key={child.sessionKey} subagent={child} childrenOf={childrenOf} onKill={onKill} compact={compact} depth={depth + 1} />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function AgentAvatar({ agent, className = '' }) {
+  if (agent.avatarImage) {
+    return <img src={agent.avatarImage} alt="" className={`rounded-full object-cover ${className}`} />
+  }
+  return <div className={`flex items-center justify-center ${className}`}>{agent.avatar || '🤖'}</div>
+}
+
+const AVATAR_IMAGE_SIZE = 96
+
+// Downscale an uploaded image to a small square data URL for the directory
+function resizeAvatarImage(file) {
+  return new Promise((resolve, reject) => {
+    const img = new Image()
+    img.onload = () => {
+      const canvas = document.createElement('canvas')
+      canvas.width = canvas.height = AVATAR_IMAGE_SIZE
+      const side = Math.min(img.width, img.height)
+      canvas.getContext('2d').drawImage(
+        img, (img.width - side) / 2, (img.height - side) / 2, side, side,
+        0, 0, AVATAR_IMAGE_SIZE, AVATAR_IMAGE_SIZE
+      )
+      URL.revokeObjectURL(img.src)
+      resolve(canvas.toDataURL('image/png'))
+    }
+    img.onerror = () => reject(new Error('Not an image'))
+    img.src = URL.createObjectURL(file)
+  })
+}
+
+const EMPTY_DIRECTORY_FORM = { name: '', avatar: '', avatarImage: '', description: '', owner: '', color: '' }
+
+// Admin editor for the agent's directory entry, for all gateways or just this one
+function AgentDirectoryForm({ agent, gateway }) {
+  const [entries, setEntries] = useState(null)
+  const [scope, setScope] = useState('global')
+  const [form, setForm] = useState(EMPTY_DIRECTORY_FORM)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const entryId = `${scope === 'gateway' ? agent.gatewayId : '*'}:${agent.agentId}`
+  const entry = entries?.find(e => e.id === entryId)
+
+  useEffect(() => {
+    apiFetch('/api/agent-directory')
+      .then(async res => {
+        const data = await res.json()
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+        setEntries(data)
+        // Start on the most specific entry that exists
+        if (data.some(e => e.id === `${agent.gatewayId}:${agent.agentId}`)) setScope('gateway')
+      })
+      .catch(err => setError(err.message))
+  }, [agent.gatewayId, agent.agentId])
+
+  // Load the picked scope's entry into the form
+  useEffect(() => {
+    const current = entries?.find(e => e.id === entryId)
+    setForm(Object.fromEntries(Object.keys(EMPTY_DIRECTORY_FORM).map(key => [key, current?.[key] || ''])))
+  }, [entries, entryId])
+
+  const setField = (key, value) => setForm(prev => ({ ...prev, [key]: value }))
+
+  const handleImage = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+    try {
+      setField('avatarImage', await resizeAvatarImage(file))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const save = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setError(null)
+    const res = await apiFetch('/api/agent-directory', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...form, gatewayId: scope === 'gateway' ? agent.gatewayId : null, agentId: agent.agentId })
+    })
+    const data = await res.json().catch(() => ({}))
+    setSaving(false)
+    if (!res.ok) return setError(data.error || `HTTP ${res.status}`)
+    setEntries(prev => [...prev.filter(e => e.id !== data.id), data])
+  }
+
+  const remove = async () => {
+    if (!confirm('Remove this directory entry? The agent falls back to its default name and avatar.')) return
+    const res = await apiFetch(`/api/agent-directory/${encodeURIComponent(entryId)}`, { method: 'DELETE' })
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}))
+      return setError(data.error || `HTTP ${res.status}`)
+    }
+    setEntries(prev => prev.filter(e => e.id !== entryId))
+  }
+
+  const inputClass = 'w-full bg-bg-dark border border-border-default rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-blue-500'
+
+  return (
+    <form onSubmit={save} className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-semibold text-text-secondary">Directory Entry</h3>
+        <select value={scope} onChange={e => setScope(e.target.value)} className="bg-bg-dark border border-border-default rounded-lg px-2 py-1 text-xs">
+          <option value="global">All gateways</option>
+          <option value="gateway">Only {gateway?.name || 'this gateway'}</option>
+        </select>
+      </div>
+      {error && (
+        <div className="bg-red-500/10 border border-red-500/30 rounded-lg px-3 py-2 text-sm text-red-400 flex items-center gap-2">
+          <AlertCircle className="w-4 h-4 shrink-0" /> {error}
+        </div>
+      )}
+      {!entries && !error ? (
+        <Loader2 className="w-5 h-5 animate-spin text-text-muted" />
+      ) : (
+        <>
+          <div className="grid grid-cols-2 gap-3">
+            <input value={form.name} onChange={e => setField('name', e.target.value)} placeholder={`Display name (${agent.agentId})`} className={inputClass} />
+            <input value={form.owner} onChange={e => setField('owner', e.target.value)} placeholder="Owner" className={inputClass} />
+          </div>
+          <input value={form.description} onChange={e => setField('description', e.target.value)} placeholder="Description" className={inputClass} />
+          <div className="flex items-center gap-3">
+            <input value={form.avatar} onChange={e => setField('avatar', e.target.value)} placeholder="🤖" className={`${inputClass} w-20 text-center`} />
+            {form.avatarImage ? (
+              <div className="flex items-center gap-2">
+                <img src={form.avatarImage} alt="" className="w-9 h-9 rounded-full object-cover" />
+                <button type="button" onClick={() => setField('avatarImage', '')} className="text-xs text-text-muted hover:text-red-400">Remove image</button>
+              </div>
+            ) : (
+              <label className="text-xs text-text-secondary hover:text-text-primary cursor-pointer">
+                Upload image…
+                <input type="file" accept="image/png,image/jpeg,image/gif,image/webp" onChange={handleImage} className="hidden" />
+              </label>
+            )}
+            <div className="flex items-center gap-2 ml-auto">
+              <input type="color" value={form.color || '#3b82f6'} onChange={e => setField('color', e.target.value)} className="w-8 h-8 bg-transparent cursor-pointer" />
+              {form.color && (
+                <button type="button" onClick={() => setField('color', '')} className="text-xs text-text-muted hover:text-text-primary">No color</button>
+              )}
+            </div>
+          </div>
+          <div className="flex justify-end gap-3">
+            {entry && (
+              <button type="button" onClick={remove} className="px-3 py-1.5 text-sm text-text-muted hover:text-red-400 transition-colors">
+                Remove entry
+              </button>
+            )}
+            <button type="submit" disabled={saving} className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 px-4 py-1.5 rounded-lg text-sm font-medium transition-colors">
+              {saving ? 'Saving…' : 'Save'}
+            </button>
+          </div>
+        </>
+      )}
+    </form>
+  )
+}
+
+function LiveTranscript({ agent, socket, canOperate }) {
+  const sessions = agent.sessions || []
+  const [sessionKey, setSessionKey] = useState(() => latestSessionKey(agent))
+  const [chat, setChat] = useState({ messages: [], streams: {} })
+  const [status, setStatus] = useState('loading')
+  const [error, setError] = useState(null)
+  const [subscribeError, setSubscribeError] = useState(null)   // { error, code }
+  const [retry, setRetry] = useState(0)
+  const [draft, setDraft] = useState('')
+  const [sending, setSending] = useState(false)
+  const scrollRef = useRef(null)
+  const stickToBottom = useRef(true)
+  
+  useEffect(() => {
+    if (!sessionKey) return
+    const gatewayId = agent.gatewayId
+    
+    // Rooms don't survive a reconnect, so subscribe again on every connect
+    const subscribe = () => {
+      setStatus('loading')
+      socket.emit('chat:subscribe', { gatewayId, sessionKey }, (response) => {
+        if (response?.error) {
+          setStatus('error')
+          setSubscribeError(response)
+          return
+        }
+        setChat({ messages: response.history || [], streams: {} })
+        setSubscribeError(null)
+        setError(response.historyError ? `History unavailable (${errorReason(response.historyCode) || response.historyError})` : null)
+        setStatus('live')
+      })
+    }
+    const onChatEvent = ({ gatewayId: gid, sessionKey: key, event, payload }) => {
+      if (gid !== gatewayId || key !== sessionKey) return
+      setChat(prev => reduceChatEvent(prev, event, payload))
+    }
+    
+    setChat({ messages: [], streams: {} })
+    subscribe()
+    socket.on('chat:event', onChatEvent)
+    socket.on('connect', subscribe)
+    return () => {
+      socket.emit('chat:unsubscribe', { gatewayId, sessionKey })
+      socket.off('chat:event', onChatEvent)
+      socket.off('connect', subscribe)
+    }
+  }, [socket, agent.gatewayId, sessionKey, retry])
+  
+  // Follow new output unless the user scrolled up to read
+  useEffect(() => {
+    const el = scrollRef.current
+    if (el && stickToBottom.current) el.scrollTop = el.scrollHeight
+  }, [chat])
+  
+  const handleScroll = () => {
+    const el = scrollRef.current
+    stickToBottom.current = el.scrollHeight - el.scrollTop - el.clientHeight < 40
+  }
+  
+  const handleSend = () => {
+    const message = draft.trim()
+    if (!message || sending) return
+    setSending(true)
+    socket.emit('chat:send', { gatewayId: agent.gatewayId, sessionKey, message }, (response) => {
+      setSending(false)
+      if (response?.error) {
+        setError(`Send failed: ${errorReason(response.code) ? `${errorReason(response.code)} - ` : ''}${response.error}`)
+        return
+      }
+      setDraft('')
+      if (response.queued) {
+        setError('Agent is paused - the message was queued and will be sent when it is resumed')
+        return
+      }
+      setError(null)
+      stickToBottom.current = true
+      setChat(prev => ({
+        ...prev,
+        messages: [...prev.messages, { role: 'user', content: message, timestamp: new Date().toISOString(), local: true }]
+      }))
+    })
+  }
+  
+  if (!sessionKey) {
+    return (
+      <div className="text-center py-12 text-text-muted">
+        <MessageSquare className="w-8 h-8 mx-auto mb-2 opacity-50" />
+        <p>No sessions to watch</p>
+        <p className="text-xs mt-1">The transcript appears once the agent has a session</p>
+      </div>
+    )
+  }
+  
+  const streams = Object.entries(chat.streams)
+  
+  return (
+    <div className="flex flex-col gap-3 h-[55vh]">
+      <div className="flex items-center justify-between gap-3">
+        <SessionPicker sessions={sessions} value={sessionKey} onChange={setSessionKey} />
+        <span className={`flex items-center gap-1.5 text-xs shrink-0 ${status === 'live' ? 'text-green-400' : status === 'error' ? 'text-red-400' : 'text-text-muted'}`}>
+          {status === 'loading' ? <Loader2 className="w-3 h-3 animate-spin" /> : <span className={`w-2 h-2 rounded-full ${status === 'live' ? 'bg-green-500' : 'bg-red-500'}`} />}
+          {status === 'live' ? 'Live' : status === 'error' ? 'Disconnected' : 'Connecting'}
+        </span>
+      </div>
+      
+      {error && (
+        <div className="bg-red-500/10 border border-red-500/30 rounded-lg px-3 py-2 text-xs text-red-400 flex items-center gap-2">
+          <AlertCircle className="w-3.5 h-3.5 shrink-0" /> {error}
+        </div>
+      )}
+      
+      {subscribeError && (
+        <ErrorState title="Can't follow this session" error={subscribeError.error} code={subscribeError.code} onRetry={() => setRetry(n => n + 1)} />
+      )}
+      
+      <div ref={scrollRef} onScroll={handleScroll} className="flex-1 overflow-y-auto bg-bg-dark rounded-lg p-3 space-y-3">
+        {chat.messages.length === 0 && streams.length === 0 && status === 'live' && (
+          <p className="text-text-muted text-xs text-center py-8">No messages yet - new messages will appear here as they stream in</p>
+        )}
+        {chat.messages.map((msg, idx) => (
+          <ChatMessage key={msg.id || idx} role={msg.role} text={chatContentText(msg.content ?? msg.text)} timestamp={msg.timestamp} />
+        ))}
+        {streams.map(([id, stream]) => (
+          <ChatMessage key={`stream-${id}`} role={stream.role} text={stream.text} streaming />
+        ))}
+      </div>
+      
+      {canOperate && (
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSend()}
+            placeholder="Message this session..."
+            className="flex-1 bg-bg-dark border border-border-default rounded-lg px-4 py-2 text-sm focus:outline-none focus:border-blue-500"
+          />
+          <button
+            onClick={handleSend}
+            disabled={!draft.trim() || sending}
+            className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed px-4 py-2 rounded-lg flex items-center gap-2 text-sm font-medium transition-colors"
+          >
+            {sending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+            Send
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// One session's history, newest at the bottom; scrolling to the top loads older pages.
+// A search match or linked message in this session is paged back to and highlighted.
+function SessionHistory({ agentId, socket, sessionKey, focus, demo }) {
+  const [history, setHistory] = useState({ messages: [], nextCursor: null, pages: 0 })
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)   // { error, code }
+  const [kinds, setKinds] = useState(() => MESSAGE_KINDS.map(k => k.id))
+  const [copied, setCopied] = useState(null)
+  const scrollRef = useRef(null)
+  const focusRef = useRef(null)
+  const prependedFrom = useRef(null)   // scrollHeight before older messages were added above
+  const latestRequest = useRef({ id: 0, sessionKey: null })   // replies to anything else are stale
+  const focusHere = focus?.sessionKey === sessionKey && (focus.messageId || focus.timestamp) ? focus : null
+
+  const fetchPage = useCallback((before = null) => {
+    const request = { id: latestRequest.current.id + 1, sessionKey }
+    latestRequest.current = request
+    setLoading(true)
+    setError(null)
+    socket.emit('agent:getHistory', { agentId, sessionKey, limit: HISTORY_PAGE_SIZE, before }, (response) => {
+      if (latestRequest.current !== request) return
+      setLoading(false)
+      if (response?.error) {
+        setError(response)
+        return
+      }
+      if (before) prependedFrom.current = scrollRef.current?.scrollHeight ?? null
+      setHistory(prev => ({
+        messages: before ? [...response.history, ...prev.messages] : response.history,
+        nextCursor: response.nextCursor ?? null,
+        pages: before ? prev.pages + 1 : 1
+      }))
+    })
+  }, [socket, agentId, sessionKey])
+
+  // Start over for another session; replies still in flight for the old one are dropped
+  useEffect(() => {
+    latestRequest.current = { id: latestRequest.current.id + 1, sessionKey }
+    prependedFrom.current = null
+    setHistory({ messages: [], nextCursor: null, pages: 0 })
+    setLoading(false)
+    setError(null)
+    if (socket && sessionKey) fetchPage()
+  }, [socket, sessionKey, fetchPage])
+
+  // Keep the view where it was when older messages come in above; start at the newest
+  useLayoutEffect(() => {
+    const el = scrollRef.current
+    if (!el) return
+    if (prependedFrom.current !== null) {
+      el.scrollTop += el.scrollHeight - prependedFrom.current
+      prependedFrom.current = null
+    } else if (history.pages === 1 && !focusHere) {
+      el.scrollTop = el.scrollHeight
+    }
+  }, [history])
+
+  const focusIndex = useMemo(
+    () => focusHere ? focusedMessageIndex(history.messages, focusHere) : -1,
+    [focusHere, history.messages]
+  )
+  const focusedMessage = history.messages[focusIndex]
+  const seekingFocus = focusHere && focusIndex === -1 && history.nextCursor && history.pages < FOCUS_MAX_PAGES
+
+  useEffect(() => {
+    if (seekingFocus && !loading && !error) fetchPage(history.nextCursor)
+  }, [seekingFocus, loading, error, history.nextCursor, fetchPage])
+
+  useEffect(() => {
+    focusRef.current?.scrollIntoView({ block: 'center' })
+  }, [focusedMessage])
+
+  const handleScroll = () => {
+    const el = scrollRef.current
+    if (el.scrollTop < 80 && history.nextCursor && !loading && !error) fetchPage(history.nextCursor)
+  }
+
+  const toggleKind = (kind) => {
+    setKinds(prev => prev.includes(kind) ? prev.filter(k => k !== kind) : [...prev, kind])
+  }
+
+  const copyLink = (msg, idx) => {
+    navigator.clipboard.writeText(messageLink(agentId, sessionKey, msg))
+    setCopied(idx)
+    setTimeout(() => setCopied(null), 2000)
+  }
+
+  if (!sessionKey) return null
+
+  // In demo mode, sample data stands in for a missing history - always labelled as such
+  const demoShown = demo && !loading && history.messages.length === 0
+  const messages = demoShown ? demoHistory(sessionKey) : history.messages
+  const counts = {}
+  const visible = []
+  messages.forEach((msg, idx) => {
+    const msgKinds = messageKinds(msg)
+    msgKinds.forEach(kind => { counts[kind] = (counts[kind] || 0) + 1 })
+    if (idx === focusIndex || msgKinds.some(kind => kinds.includes(kind))) visible.push({ msg, idx })
+  })
+
+  if (history.pages === 0 && loading) {
+    return (
+      <div className="text-center py-6">
+        <Loader2 className="w-6 h-6 animate-spin mx-auto text-text-muted" />
+      </div>
+    )
+  }
+  if (history.pages === 0 && error && !demoShown) {
+    return <ErrorState title="Failed to load history" error={error.error} code={error.code} onRetry={() => fetchPage()} />
+  }
+  if (messages.length === 0) {
+    return <p className="text-text-muted text-xs text-center py-6">No messages in this session</p>
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        {MESSAGE_KINDS.map(kind => (
+          <button
+            key={kind.id}
+            onClick={() => toggleKind(kind.id)}
+            className={`px-2.5 py-1 rounded-full text-xs border transition-colors ${
+              kinds.includes(kind.id) ? 'bg-blue-500/20 border-blue-500/40 text-blue-300' : 'border-border-default text-text-muted hover:text-text-secondary'
+            }`}
+          >
+            {kind.label} <span className="opacity-60">{counts[kind.id] || 0}</span>
+          </button>
+        ))}
+        <span className="ml-auto text-xs text-text-muted">
+          {messages.length} loaded{history.nextCursor ? ', scroll up for older' : ''}
+        </span>
+      </div>
+
+      {focusHere && focusIndex === -1 && !seekingFocus && !loading && (
+        <div className="bg-amber-500/10 border border-amber-500/30 rounded-lg p-3 text-xs text-amber-400">
+          <p>
+            {history.nextCursor
+              ? `The message wasn't in the last ${FOCUS_MAX_PAGES * HISTORY_PAGE_SIZE} messages of this session.`
+              : "The message isn't in this session's history any more."}
+            {focusHere.snippet && ' From the search index:'}
+          </p>
+          {focusHere.snippet && <p className="text-text-secondary mt-1 break-words">{focusHere.snippet}</p>}
+        </div>
+      )}
+
+      <div ref={scrollRef} onScroll={handleScroll} className="bg-bg-dark rounded-lg p-3 space-y-3 max-h-96 overflow-y-auto">
+        {demoShown && <DemoLabel />}
+        {loading && (
+          <div className="text-center py-2">
+            <Loader2 className="w-4 h-4 animate-spin mx-auto text-text-muted" />
+          </div>
+        )}
+        {error && history.pages > 0 && (
+          <ErrorState title="Failed to load older messages" error={error.error} code={error.code} onRetry={() => fetchPage(history.nextCursor)} />
+        )}
+        {!history.nextCursor && history.pages > 0 && (
+          <p className="text-center text-xs text-text-muted">Start of history</p>
+        )}
+        {visible.length === 0 && (
+          <p className="text-text-muted text-xs text-center py-6">No loaded messages match the filter</p>
+        )}
+        {visible.map(({ msg, idx }) => (
+          <div key={msg.id || idx} ref={idx === focusIndex ? focusRef : null}>
+            <HistoryMessage
+              msg={msg}
+              highlight={idx === focusIndex}
+              onCopyLink={demoShown ? null : () => copyLink(msg, idx)}
+              copied={copied === idx}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// A history message with its tool calls and results as collapsible blocks
+function HistoryMessage({ msg, highlight, onCopyLink, copied }) {
+  const content = msg.content ?? msg.text
+  const blocks = Array.isArray(content) ? content : [content]
+  const isToolMessage = msg.role === 'tool' || msg.role === 'toolResult'
+  const isUser = msg.role === 'user' && !messageKinds(msg).every(kind => kind === 'tool_result')
+
+  return (
+    <div className={`group flex ${isUser ? 'justify-end' : 'justify-start'}`}>
+      <div className={`max-w-[85%] min-w-0 rounded-lg px-3 py-2 text-sm ${
+        isUser ? 'bg-blue-600/20 border border-blue-500/30' : 'bg-bg-hover border border-border-default'
+      } ${highlight ? 'ring-2 ring-amber-400' : ''}`}>
+        <div className="flex items-center gap-2 text-xs text-text-muted mb-1">
+          <span className="capitalize">{msg.role || 'assistant'}</span>
+          {msg.timestamp && <span>{new Date(msg.timestamp).toLocaleString()}</span>}
+          {onCopyLink && (
+            <button
+              onClick={onCopyLink}
+              className="ml-auto opacity-0 group-hover:opacity-100 hover:text-text-primary transition-opacity"
+              title="Copy link to this message"
+            >
+              {copied ? <Check className="w-3 h-3 text-green-400" /> : <Link2 className="w-3 h-3" />}
+            </button>
+          )}
+        </div>
+        {blocks.map((block, idx) => {
+          if (block === null || block === undefined || block === '') return null
+          if (isToolMessage) {
+            return <ToolBlock key={idx} label="Tool result" value={block} />
+          }
+          if (typeof block === 'string' || block.type === 'text') {
+            return <p key={idx} className="text-text-primary whitespace-pre-wrap break-words">{typeof block === 'string' ? block : block.text}</p>
+          }
+          if (block.type === 'tool_use') {
+            return <ToolBlock key={idx} label="Tool call" title={block.name} value={block.input} />
+          }
+          if (block.type === 'tool_result') {
+            return <ToolBlock key={idx} label="Tool result" value={block.content} error={block.is_error} />
+          }
+          return <ToolBlock key={idx} label={block.type || 'Block'} value={block} />
+        })}
+      </div>
+    </div>
+  )
+}
+
+function ToolBlock({ label, title, value, error }) {
+  const [open, setOpen] = useState(false)
+
+  return (
+    <div className={`my-1 rounded border ${error ? 'border-red-500/40' : 'border-border-default'} bg-bg-dark/60`}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center gap-1.5 px-2 py-1 text-xs text-text-secondary hover:text-text-primary"
+      >
+        {open ? <ChevronDown className="w-3 h-3 shrink-0" /> : <ChevronRight className="w-3 h-3 shrink-0" />}
+        <Wrench className="w-3 h-3 shrink-0" />
+        <span className="shrink-0">{label}</span>
+        {title && <span className="font-mono text-text-primary truncate">{title}</span>}
+        {error && <span className="text-red-400 shrink-0">error</span>}
+      </button>
+      {open && (
+        <pre className="px-2 pb-2 text-xs font-mono text-text-secondary whitespace-pre-wrap break-words max-h-64 overflow-auto">{prettyJson(value)}</pre>
+      )}
+    </div>
+  )
+}
+
+function SessionPicker({ sessions, value, onChange, allowAll = false }) {
+  return (
+    <select
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value)}
+      className="bg-bg-dark border border-border-default rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:border-blue-500 min-w-0 max-w-full truncate"
+    >
+      {sessions.map(session => (
+        <option key={session.sessionKey} value={session.sessionKey}>
+          {session.label || session.sessionKey}{session.status === 'active' ? ' (active)' : ''}
+        </option>
+      ))}
+      {allowAll && sessions.length > 0 && (
+        <option value={ALL_SESSIONS}>All sessions ({sessions.length})</option>
+      )}
+    </select>
+  )
+}
+
+function ChatMessage({ role, text, timestamp, streaming }) {
+  const isUser = role === 'user'
+  
+  return (
+    <div className={`flex ${isUser ? 'justify-end' : 'justify-start'}`}>
+      <div className={`max-w-[85%] rounded-lg px-3 py-2 text-sm ${
+        isUser ? 'bg-blue-600/20 border border-blue-500/30' : 'bg-bg-hover border border-border-default'
+      }`}>
+        <div className="flex items-center gap-2 text-xs text-text-muted mb-1">
+          <span className="capitalize">{role || 'assistant'}</span>
+          {streaming && <Loader2 className="w-3 h-3 animate-spin" />}
+          {timestamp && <span>{new Date(timestamp).toLocaleTimeString()}</span>}
+        </div>
+        <p className="text-text-primary whitespace-pre-wrap break-words">{text || (streaming ? '…' : '')}</p>
+      </div>
     </div>
   )
 }
@@ -1343,6 +3663,36 @@ function InfoCard({ label, value, copyable, onCopy, copied, status }) {
   )
 }
 
+// Failed load with the typed reason from the server and a way to try again
+function ErrorState({ title, error, code, onRetry }) {
+  const reason = errorReason(code)
+  return (
+    <div className="bg-red-500/10 border border-red-500/30 rounded-lg p-4 text-sm flex items-start gap-3">
+      <AlertCircle className="w-4 h-4 text-red-400 shrink-0 mt-0.5" />
+      <div className="flex-1 min-w-0">
+        <p className="text-red-400 font-medium">{title}{reason && `: ${reason}`}</p>
+        {error && <p className="text-xs text-text-muted mt-1 break-words">{error}</p>}
+      </div>
+      {onRetry && (
+        <button
+          onClick={onRetry}
+          className="flex items-center gap-1.5 px-3 py-1.5 bg-bg-hover hover:bg-bg-card rounded-lg text-xs text-text-secondary shrink-0"
+        >
+          <RotateCcw className="w-3.5 h-3.5" /> Retry
+        </button>
+      )}
+    </div>
+  )
+}
+
+function DemoLabel() {
+  return (
+    <div className="flex items-center gap-1.5 text-xs text-purple-400">
+      <Sparkles className="w-3.5 h-3.5" /> Demo data - not from this agent
+    </div>
+  )
+}
+
 // Metric Card for metrics tab
 function MetricCard({ label, value, icon: Icon, color }) {
   const colorClasses = {
@@ -1369,6 +3719,60 @@ function MetricCard({ label, value, icon: Icon, color }) {
   )
 }
 
+// Labelled sparkline for a metrics series
+function SparklineRow({ label, series, field, color, format = (v) => v }) {
+  const values = series.map(p => p[field])
+  const latest = [...values].reverse().find(v => v !== undefined && v !== null)
+  
+  return (
+    <div className="bg-bg-hover rounded-lg p-3">
+      <div className="flex items-center justify-between mb-2 text-xs">
+        <span className="text-text-muted">{label}</span>
+        <span className="text-text-primary font-medium">{latest !== undefined ? format(latest) : '–'}</span>
+      </div>
+      <Sparkline values={values} color={color} />
+    </div>
+  )
+}
+
+// Minimal SVG line chart; gaps (missing samples) break the line
+function Sparkline({ values, color, width = 600, height = 48 }) {
+  const present = values.filter(v => v !== undefined && v !== null)
+  if (present.length === 0) {
+    return <div className="h-12 flex items-center justify-center text-xs text-text-muted">No data</div>
+  }
+  
+  const min = Math.min(...present)
+  const max = Math.max(...present)
+  const span = max - min || 1
+  const step = values.length > 1 ? width / (values.length - 1) : width
+  
+  const segments = []
+  let current = []
+  values.forEach((v, i) => {
+    if (v === undefined || v === null) {
+      if (current.length) segments.push(current)
+      current = []
+      return
+    }
+    const y = height - 2 - ((v - min) / span) * (height - 4)
+    current.push(`${(i * step).toFixed(1)},${y.toFixed(1)}`)
+  })
+  if (current.length) segments.push(current)
+  
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className="w-full h-12">
+      {segments.map((points, i) => (
+        points.length === 1 ? (
+          <circle key={i} cx={points[0].split(',')[0]} cy={points[0].split(',')[1]} r="2" fill={color} />
+        ) : (
+          <polyline key={i} points={points.join(' ')} fill="none" stroke={color} strokeWidth="2" vectorEffect="non-scaling-stroke" />
+        )
+      ))}
+    </svg>
+  )
+}
+
 // Action Button for actions tab
 function ActionButton({ icon: Icon, label, description, onClick, loading, color }) {
   const colorClasses = {
@@ -1402,7 +3806,380 @@ function InfoItem({ label, value }) {
   )
 }
 
+function LoginScreen({ onLogin }) {
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!username.trim() || !password) return
+    setSubmitting(true)
+    setError(null)
+    try {
+      const res = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: username.trim(), password })
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        setError(data.error || 'Login failed')
+        return
+      }
+      onLogin(data)
+    } catch (err) {
+      setError('Cannot reach Team Control server')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-bg-dark p-4">
+      <div className="bg-bg-card border border-border-default rounded-xl p-8 w-full max-w-sm">
+        <div className="flex items-center gap-3 mb-6">
+          <div className="bg-gradient-to-r from-blue-500 to-purple-600 p-2 rounded-lg">
+            <Users className="w-6 h-6 text-white" />
+          </div>
+          <div>
+            <h1 className="text-xl font-bold">Team Control</h1>
+            <p className="text-text-secondary text-sm">Sign in to continue</p>
+          </div>
+        </div>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm text-text-secondary mb-1">Username</label>
+            <input 
+              value={username} 
+              onChange={e => setUsername(e.target.value)} 
+              autoComplete="username"
+              className="w-full bg-bg-dark border border-border-default rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-blue-500"
+              autoFocus
+            />
+          </div>
+          <div>
+            <label className="block text-sm text-text-secondary mb-1">Password</label>
+            <input 
+              type="password" 
+              value={password} 
+              onChange={e => setPassword(e.target.value)} 
+              autoComplete="current-password"
+              className="w-full bg-bg-dark border border-border-default rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-blue-500" 
+            />
+          </div>
+          {error && (
+            <p className="text-red-400 text-sm flex items-center gap-2">
+              <AlertCircle className="w-4 h-4" /> {error}
+            </p>
+          )}
+          <button 
+            type="submit"
+            disabled={submitting}
+            className="w-full flex items-center justify-center gap-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+          >
+            {submitting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Lock className="w-4 h-4" />}
+            Sign In
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+// Auth helpers
+function loadAuth() {
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY)) || null
+  } catch {
+    return null
+  }
+}
+
+function saveAuth(session) {
+  if (session) {
+    localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(session))
+  } else {
+    localStorage.removeItem(AUTH_STORAGE_KEY)
+  }
+}
+
+function hasRole(user, minRole) {
+  return (ROLE_LEVELS[user?.role] ?? -1) >= ROLE_LEVELS[minRole]
+}
+
+// fetch() with the current session token; signals logout on 401
+async function apiFetch(url, options = {}) {
+  const token = loadAuth()?.token
+  const headers = { ...(options.headers || {}) }
+  if (token) headers['Authorization'] = `Bearer ${token}`
+
+  const res = await fetch(url, { ...options, headers })
+  if (res.status === 401) {
+    window.dispatchEvent(new Event('teamcontrol:unauthorized'))
+  }
+  return res
+}
+
 // Helper functions
+
+// The agent as the detail view shows it: sessions being closed left out, a pause change applied
+function withOptimistic(agent, { closing, paused }) {
+  if (closing.length === 0 && paused === undefined) return agent
+  const sessions = (agent.sessions || []).filter(s => !closing.includes(s.sessionKey))
+  return {
+    ...agent,
+    sessions,
+    sessionCount: sessions.length,
+    subagents: (agent.subagents || []).filter(s => !closing.includes(s.sessionKey)),
+    paused: paused === undefined ? agent.paused : paused
+  }
+}
+
+// Toast for an agent action's acknowledgement: { error, code } or a (multi-session) result
+function describeActionResult(label, response) {
+  if (response?.error) {
+    const reason = errorReason(response.code)
+    return { type: 'error', message: `${label} failed: ${reason ? `${reason} - ` : ''}${response.error}` }
+  }
+  if (response?.stillPaused) {
+    return { type: 'error', message: `${label}: ${response.flushed} sent, ${response.failed} failed - still paused with the failed message${response.failed !== 1 ? 's' : ''} queued` }
+  }
+  if (response?.failed > 0) {
+    const done = response.succeeded ?? response.flushed
+    return { type: 'error', message: `${label}: ${done} succeeded, ${response.failed} failed` }
+  }
+  if (response?.queued > 0) {
+    return { type: 'success', message: `${label}: queued for ${response.queued} session${response.queued !== 1 ? 's' : ''} until the agent is resumed` }
+  }
+  if (response?.discarded > 0) {
+    return { type: 'success', message: `${label}: done, ${response.discarded} queued message${response.discarded !== 1 ? 's' : ''} discarded` }
+  }
+  if (response?.flushed > 0) {
+    return { type: 'success', message: `${label}: done, ${response.flushed} queued message${response.flushed !== 1 ? 's' : ''} sent` }
+  }
+  return { type: 'success', message: `${label}: done${response?.results?.length > 1 ? ` for ${response.results.length} sessions` : ''}` }
+}
+
+// Readable reason for a typed error code, or null for the generic ones
+function errorReason(code) {
+  return ERROR_REASONS[code] || null
+}
+
+// Sample transcript for demo mode - never shown unless the dev-only toggle is on
+function demoHistory(sessionKey) {
+  const now = Date.now()
+  const lines = [
+    ['user', 'Can you summarize the open support tickets?'],
+    ['assistant', 'There are 12 open tickets: 7 billing questions, 3 login issues and 2 feature requests. The oldest is 4 days old.'],
+    ['user', 'Draft replies for the login issues.'],
+    ['assistant', 'Done - three drafts are ready for review in the support queue.']
+  ]
+  return lines.map(([role, content], idx) => ({
+    id: `demo-${sessionKey}-${idx}`,
+    role,
+    content,
+    timestamp: new Date(now - (lines.length - idx) * 5 * 60 * 1000).toISOString()
+  }))
+}
+
+// Sample metrics for demo mode, in the shape of GET /api/agents/:id/metrics
+function demoMetrics(range) {
+  const { duration } = METRICS_RANGES[range]
+  const points = 48
+  const now = Date.now()
+  const series = Array.from({ length: points }, (_, idx) => ({
+    t: new Date(now - duration + (idx + 1) * (duration / points)).toISOString(),
+    samples: 1,
+    totalTokens: 12000 + idx * 850 + Math.round(Math.sin(idx / 3) * 400),
+    messageCount: 40 + idx * 3,
+    activeSessions: 1 + (idx % 5 === 0 ? 2 : idx % 3)
+  }))
+  const first = series[0]
+  const last = series[points - 1]
+  return {
+    summary: {
+      samples: points,
+      tokensUsed: last.totalTokens - first.totalTokens,
+      messages: last.messageCount - first.messageCount,
+      peakSessions: Math.max(...series.map(p => p.activeSessions)),
+      activeRatio: 0.72,
+      statusChanges: 9,
+      gatewayUptime: 0.998
+    },
+    series
+  }
+}
+
+// Index of the history message a search result or link points at, or -1: the same gateway message id,
+// or (gateways without ids) the same role and timestamp, preferring the one containing the snippet
+function focusedMessageIndex(history, focus) {
+  if (focus.messageId) return history.findIndex(msg => msg.id === focus.messageId)
+  const excerpt = focus.snippet?.replace(/^…|…$/g, '')
+  const candidates = history
+    .map((msg, idx) => ({ msg, idx }))
+    .filter(({ msg }) => msg.role === focus.role && msg.timestamp === focus.timestamp)
+  const best = (excerpt && candidates.find(({ msg }) => chatContentText(msg.content ?? msg.text).includes(excerpt))) || candidates[0]
+  return best ? best.idx : -1
+}
+
+// What a history message holds, for the kind filter: 'user'/'assistant' text, 'tool_use', 'tool_result'
+function messageKinds(msg) {
+  const content = msg.content ?? msg.text
+  const kinds = new Set()
+  if (msg.role === 'tool' || msg.role === 'toolResult') kinds.add('tool_result')
+  for (const block of Array.isArray(content) ? content : [content]) {
+    if (block?.type === 'tool_use') kinds.add('tool_use')
+    else if (block?.type === 'tool_result') kinds.add('tool_result')
+    else if (block && (msg.role === 'user' || msg.role === 'assistant')) kinds.add(msg.role)
+  }
+  if (kinds.size === 0) kinds.add(msg.role === 'user' ? 'user' : 'assistant')
+  return Array.from(kinds)
+}
+
+// Tool arguments/results as indented JSON; strings that hold JSON are parsed first
+function prettyJson(value) {
+  if (typeof value === 'string') {
+    try {
+      return JSON.stringify(JSON.parse(value), null, 2)
+    } catch {
+      return value
+    }
+  }
+  if (Array.isArray(value) && value.every(block => block?.type === 'text')) {
+    return prettyJson(value.map(block => block.text).join('\n'))
+  }
+  return JSON.stringify(value, null, 2) ?? ''
+}
+
+// Link that opens the agent view at one history message (by gateway id, else role and timestamp)
+function messageLink(agentId, sessionKey, msg) {
+  const params = new URLSearchParams({ agent: agentId, session: sessionKey })
+  if (msg.id) {
+    params.set('message', msg.id)
+  } else if (msg.timestamp) {
+    params.set('t', msg.timestamp)
+    params.set('role', msg.role || '')
+  }
+  return `${window.location.origin}${window.location.pathname}#${params}`
+}
+
+function parseMessageLink(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''))
+  const agentId = params.get('agent')
+  const sessionKey = params.get('session')
+  if (!agentId || !sessionKey) return null
+  return {
+    id: `link:${params}`,
+    agentId,
+    sessionKey,
+    messageId: params.get('message'),
+    timestamp: params.get('t'),
+    role: params.get('role')
+  }
+}
+
+// Most recently active session of an agent
+function latestSessionKey(agent) {
+  const sessions = [...(agent.sessions || [])]
+  sessions.sort((a, b) => new Date(b.lastActive || 0) - new Date(a.lastActive || 0))
+  return sessions[0]?.sessionKey || null
+}
+
+// Fold one chat/chat:chunk/chat:done event into the transcript state
+function reduceChatEvent(state, event, payload = {}) {
+  const streamId = payload.runId || payload.messageId || payload.id || 'current'
+  const { [streamId]: stream, ...otherStreams } = state.streams
+  
+  if (event === 'chat:chunk') {
+    const delta = payload.delta ?? payload.text ?? payload.chunk ?? chatContentText(payload.content)
+    return {
+      ...state,
+      streams: { ...state.streams, [streamId]: { role: payload.role || stream?.role || 'assistant', text: (stream?.text || '') + (delta || '') } }
+    }
+  }
+  
+  // chat = complete message, chat:done = end of a stream (with or without the final message)
+  const final = payload.message || ((payload.content !== undefined || payload.text !== undefined) ? payload : null)
+  const message = final
+    ? { ...final, role: final.role || 'assistant', timestamp: final.timestamp || new Date().toISOString() }
+    : stream && { role: stream.role, content: stream.text, timestamp: new Date().toISOString() }
+  if (!message) return { ...state, streams: otherStreams }
+  
+  // Drop our locally echoed copy once the gateway reports the same user message
+  const text = chatContentText(message.content ?? message.text)
+  const messages = message.role === 'user'
+    ? state.messages.filter(m => !(m.local && m.content === text))
+    : state.messages
+  return { messages: [...messages, message], streams: otherStreams }
+}
+
+// Message content is a string or a list of content blocks
+function chatContentText(content) {
+  if (content === undefined || content === null) return ''
+  if (typeof content === 'string') return content
+  if (Array.isArray(content)) {
+    return content.map(block => {
+      if (typeof block === 'string') return block
+      if (block.type === 'text') return block.text
+      if (block.type === 'tool_use') return `[tool: ${block.name}]`
+      if (block.type === 'tool_result') return '[tool result]'
+      return ''
+    }).filter(Boolean).join('\n')
+  }
+  return JSON.stringify(content)
+}
+
+function formatNumber(value) {
+  if (value === null || value === undefined) return '–'
+  if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`
+  if (value >= 1e3) return `${(value / 1e3).toFixed(1)}K`
+  return String(value)
+}
+
+function formatCost(value) {
+  if (value === null || value === undefined) return '–'
+  if (value > 0 && value < 0.01) return '<$0.01'
+  return `$${value.toFixed(2)}`
+}
+
+function formatPercent(ratio) {
+  if (ratio === null || ratio === undefined) return '–'
+  return `${(ratio * 100).toFixed(1)}%`
+}
+
+// Running subagents count up to now; idle ones stopped at their last activity
+function subagentRuntime(subagent) {
+  const end = subagent.status === 'active' || !subagent.lastActive ? Date.now() : new Date(subagent.lastActive).getTime()
+  return Math.max(0, end - new Date(subagent.startedAt).getTime())
+}
+
+function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000)
+  if (seconds < 60) return `${seconds}s`
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`
+}
+
+// "eu, GPU" -> ['eu', 'gpu'] (the server validates and de-duplicates)
+function parseTags(value) {
+  return value.split(',').map(t => t.trim().toLowerCase()).filter(Boolean)
+}
+
+// Status to show for a gateway: disabled and maintenance override connectivity
+function gatewayDisplayStatus(gateway) {
+  if (gateway.enabled === false) return 'disabled'
+  if (gateway.inMaintenance) return 'maintenance'
+  return gateway.status
+}
+
+function formatTimeUntil(date) {
+  const seconds = Math.floor((new Date(date) - new Date()) / 1000)
+  if (seconds < 60) return 'Any moment'
+  return `In ${formatDuration(seconds * 1000).split(' ')[0]}`
+}
+
 function formatTimeAgo(date) {
   if (!date) return 'Never'
   
@@ -0,0 +1,258 @@
+/**
+ * Activity Log - Persistent, append-only log of gateway/agent events and operator actions
+ *
+ * - Entries are appended as NDJSON to data/activity/activity.ndjson
+ * - The file rotates at ACTIVITY_MAX_BYTES (default 5 MB) to activity.1.ndjson, ...,
+ *   keeping ACTIVITY_MAX_FILES rotated files (default 5)
+ * - Every entry is emitted as 'entry' for live streaming
+ * - query() returns newest first with filters and cursor pagination, reading the
+ *   files asynchronously (newest file first, stopping once the page is full)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const ACTIVITY_DIR = path.join(DATA_DIR, 'activity');
+const MAX_BYTES = parseInt(process.env.ACTIVITY_MAX_BYTES, 10) || 5 * 1024 * 1024;
+const MAX_FILES = parseInt(process.env.ACTIVITY_MAX_FILES, 10) || 5;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+class ActivityLog extends EventEmitter {
+  constructor({ dir = ACTIVITY_DIR, maxBytes = MAX_BYTES, maxFiles = MAX_FILES } = {}) {
+    super();
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.gatewayStatus = new Map();  // gatewayId -> last logged status
+    this.agentStatus = new Map();    // agentId -> last logged status
+    this._ensureDir();
+    this.size = this._currentSize();
+  }
+
+  _ensureDir() {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  _file(index = 0) {
+    return path.join(this.dir, index === 0 ? 'activity.ndjson' : `activity.${index}.ndjson`);
+  }
+
+  _currentSize() {
+    try {
+      return fs.statSync(this._file()).size;
+    } catch {
+      return 0;
+    }
+  }
+
+  /**
+   * Shift activity.ndjson -> activity.1.ndjson -> ... and drop the oldest
+   */
+  _rotate() {
+    try {
+      fs.rmSync(this._file(this.maxFiles), { force: true });
+      for (let i = this.maxFiles - 1; i >= 0; i--) {
+        if (fs.existsSync(this._file(i))) {
+          fs.renameSync(this._file(i), this._file(i + 1));
+        }
+      }
+      this.size = 0;
+      console.log('📜 Rotated activity log');
+    } catch (err) {
+      console.error('Failed to rotate activity log:', err.message);
+    }
+  }
+
+  /**
+   * Append an entry.
+   * type: gateway | agent | chat | alert | budget | action
+   * actor: { username, role } for operator actions, null for system events
+   */
+  record({ type, action, message, actor = null, gatewayId = null, agentId = null, sessionKey = null, outcome = null, data = null }) {
+    const entry = {
+      id: `act-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      timestamp: new Date().toISOString(),
+      type,
+      action,
+      message,
+      actor: actor ? { username: actor.username, role: actor.role } : null,
+      gatewayId,
+      agentId,
+      sessionKey,
+      outcome,
+      data
+    };
+
+    const line = JSON.stringify(entry) + '\n';
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > this.maxBytes) {
+      this._rotate();
+    }
+
+    try {
+      fs.appendFileSync(this._file(), line);
+      this.size += bytes;
+    } catch (err) {
+      console.error('Failed to write activity log:', err.message);
+    }
+
+    this.emit('entry', entry);
+    return entry;
+  }
+
+  /**
+   * Record an operator action with its outcome (error is an Error, message string or null)
+   */
+  recordAction(actor, action, message, details = {}, error = null) {
+    return this.record({
+      type: 'action',
+      action,
+      message: error ? `${message} (failed: ${error.message || error})` : message,
+      actor,
+      outcome: error ? 'error' : 'success',
+      ...details,
+      data: error ? { ...(details.data || {}), error: error.message || String(error) } : (details.data || null)
+    });
+  }
+
+  /**
+   * Log gateway/agent lifecycle events from the gateway manager
+   */
+  watch(gatewayManager) {
+    for (const gw of gatewayManager.getGateways()) {
+      this.gatewayStatus.set(gw.id, gw.status);
+    }
+
+    gatewayManager.on('gateway:added', (gw) => {
+      this.gatewayStatus.set(gw.id, gw.status);
+      this.record({ type: 'gateway', action: 'gateway.added', message: `Gateway added: ${gw.name}`, gatewayId: gw.id });
+    });
+
+    gatewayManager.on('gateway:removed', ({ id }) => {
+      this.gatewayStatus.delete(id);
+      this.record({ type: 'gateway', action: 'gateway.removed', message: `Gateway removed: ${id}`, gatewayId: id });
+    });
+
+    // Health checks re-emit gateway:update constantly - only log status changes
+    gatewayManager.on('gateway:update', (gw) => {
+      const previous = this.gatewayStatus.get(gw.id);
+      if (previous === gw.status) return;
+      this.gatewayStatus.set(gw.id, gw.status);
+      this.record({
+        type: 'gateway',
+        action: 'gateway.status',
+        message: `${gw.name}: ${gw.status}`,
+        gatewayId: gw.id,
+        data: { from: previous || null, to: gw.status }
+      });
+    });
+
+    gatewayManager.on('agent:update', (agent) => {
+      const previous = this.agentStatus.get(agent.id);
+      if (previous === agent.status) return;
+      this.agentStatus.set(agent.id, agent.status);
+      this.record({
+        type: 'agent',
+        action: previous ? 'agent.status' : 'agent.discovered',
+        message: previous ? `${agent.name}: ${agent.status}` : `Agent discovered: ${agent.name}`,
+        gatewayId: agent.gatewayId,
+        agentId: agent.id,
+        data: { from: previous || null, to: agent.status }
+      });
+    });
+
+    gatewayManager.on('agent:removed', ({ id }) => {
+      this.agentStatus.delete(id);
+      this.record({ type: 'agent', action: 'agent.removed', message: `Agent removed: ${id}`, agentId: id });
+    });
+
+    gatewayManager.on('chat:event', ({ gatewayId, event, payload }) => {
+      if (event !== 'chat' && event !== 'chat:done') return;
+      this.record({
+        type: 'chat',
+        action: event === 'chat' ? 'chat.message' : 'chat.done',
+        message: `Message in ${payload?.sessionKey || 'session'}`,
+        gatewayId,
+        sessionKey: payload?.sessionKey || null
+      });
+    });
+  }
+
+  /**
+   * Entries newest first.
+   * Filters: type, action (prefix), actor, gatewayId, agentId, q (message text), from/to (ISO or epoch ms)
+   * Pagination: limit, before (entry id from a previous page's nextCursor)
+   */
+  async query({ type, action, actor, gatewayId, agentId, q, from, to, before, limit } = {}) {
+    const max = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const fromMs = from ? this._parseTime(from) : null;
+    const toMs = to ? this._parseTime(to) : null;
+    const types = type ? String(type).split(',') : null;
+    const needle = q ? String(q).toLowerCase() : null;
+
+    const entries = [];
+    let skipping = !!before;
+    let hasMore = false;
+
+    outer:
+    for (let i = 0; i <= this.maxFiles; i++) {
+      const lines = await this._readLines(this._file(i));
+      for (let j = lines.length - 1; j >= 0; j--) {
+        let entry;
+        try {
+          entry = JSON.parse(lines[j]);
+        } catch {
+          continue;
+        }
+
+        if (skipping) {
+          if (entry.id === before) skipping = false;
+          continue;
+        }
+
+        const time = Date.parse(entry.timestamp);
+        if (fromMs !== null && time < fromMs) break outer;  // Files are in time order
+        if (toMs !== null && time > toMs) continue;
+        if (types && !types.includes(entry.type)) continue;
+        if (action && !entry.action?.startsWith(action)) continue;
+        if (actor && entry.actor?.username !== actor) continue;
+        if (gatewayId && entry.gatewayId !== gatewayId) continue;
+        if (agentId && entry.agentId !== agentId) continue;
+        if (needle && !entry.message?.toLowerCase().includes(needle)) continue;
+
+        if (entries.length === max) {
+          hasMore = true;
+          break outer;
+        }
+        entries.push(entry);
+      }
+    }
+
+    return {
+      entries,
+      nextCursor: hasMore ? entries[entries.length - 1].id : null
+    };
+  }
+
+  async _readLines(file) {
+    try {
+      return (await fs.promises.readFile(file, 'utf8')).split('\n').filter(Boolean);
+    } catch {
+      return [];
+    }
+  }
+
+  _parseTime(value) {
+    const n = Number(value);
+    const ms = Number.isFinite(n) ? n : Date.parse(value);
+    if (!Number.isFinite(ms)) throw new Error(`Invalid date: ${value}`);
+    return ms;
+  }
+}
+
+module.exports = ActivityLog;
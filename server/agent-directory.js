@@ -0,0 +1,148 @@
+/**
+ * Agent Directory - Display names, avatars and ownership for agents
+ *
+ * - Entries are global (any gateway) or per gateway; a per-gateway entry
+ *   overrides the global one field by field
+ * - Fields: name, avatar (emoji), avatarImage (small data: URL), description, owner, color
+ * - Anything not set falls back to what the gateway reports, then to the agent id
+ * - Persistent storage in data/agent-directory.json
+ * - Emits 'change' whenever an entry is added, replaced or removed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const GLOBAL_SCOPE = '*';
+const AGENT_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const AVATAR_IMAGE_PATTERN = /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/]+=*$/;
+const MAX_AVATAR_IMAGE = 64 * 1024;  // Characters of data URL; the UI uploads a downscaled image
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const TEXT_LIMITS = { name: 64, avatar: 16, description: 500, owner: 100 };
+const FIELDS = ['name', 'avatar', 'avatarImage', 'description', 'owner', 'color'];
+
+class AgentDirectory extends EventEmitter {
+  constructor({ dataDir = DATA_DIR } = {}) {
+    super();
+    this.file = path.join(dataDir, 'agent-directory.json');
+    this.entries = new Map();  // id (`${gatewayId || '*'}:${agentId}`) -> entry
+    this._loadEntries();
+  }
+
+  _loadEntries() {
+    try {
+      if (fs.existsSync(this.file)) {
+        const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        for (const entry of data.entries || []) {
+          this.entries.set(entry.id, entry);
+        }
+        console.log(`📇 Loaded ${this.entries.size} agent directory entries`);
+      }
+    } catch (err) {
+      console.error('Failed to load agent directory:', err.message);
+    }
+  }
+
+  _saveEntries() {
+    try {
+      const data = {
+        version: 1,
+        savedAt: new Date().toISOString(),
+        entries: Array.from(this.entries.values())
+      };
+      fs.writeFileSync(this.file, JSON.stringify(data, null, 2));
+    } catch (err) {
+      console.error('Failed to save agent directory:', err.message);
+    }
+  }
+
+  static entryId(gatewayId, agentId) {
+    return `${gatewayId || GLOBAL_SCOPE}:${agentId}`;
+  }
+
+  getEntries() {
+    return Array.from(this.entries.values());
+  }
+
+  getEntry(id) {
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * Create or replace the entry for an agent id (globally, or on one gateway).
+   * Fields left out are cleared.
+   */
+  setEntry(data, by = null) {
+    const entry = this._validate(data);
+    entry.updatedAt = new Date().toISOString();
+    entry.updatedBy = by;
+
+    this.entries.set(entry.id, entry);
+    this._saveEntries();
+    console.log(`📇 Saved directory entry ${entry.id}`);
+    this.emit('change', entry);
+    return entry;
+  }
+
+  removeEntry(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+
+    this.entries.delete(id);
+    this._saveEntries();
+    this.emit('change', entry);
+    return true;
+  }
+
+  /**
+   * Directory fields for an agent: per-gateway entry over the global one.
+   * Unset fields are null.
+   */
+  resolve(gatewayId, agentId) {
+    const global = this.entries.get(AgentDirectory.entryId(null, agentId));
+    const scoped = this.entries.get(AgentDirectory.entryId(gatewayId, agentId));
+
+    const resolved = {};
+    for (const field of FIELDS) {
+      resolved[field] = scoped?.[field] ?? global?.[field] ?? null;
+    }
+    return resolved;
+  }
+
+  _validate(data) {
+    const { gatewayId = null, agentId } = data || {};
+    if (typeof agentId !== 'string' || !AGENT_ID_PATTERN.test(agentId)) {
+      throw new Error('agentId must be 1-64 letters, digits, "_", "." or "-"');
+    }
+    if (gatewayId !== null && (typeof gatewayId !== 'string' || !gatewayId)) {
+      throw new Error('gatewayId must be a gateway id (or null for all gateways)');
+    }
+
+    const entry = { id: AgentDirectory.entryId(gatewayId, agentId), gatewayId, agentId };
+    for (const field of FIELDS) {
+      let value = data[field];
+      if (value === undefined || value === null || value === '') {
+        entry[field] = null;
+        continue;
+      }
+      if (typeof value !== 'string') throw new Error(`${field} must be a string`);
+      value = value.trim();
+
+      if (TEXT_LIMITS[field] && value.length > TEXT_LIMITS[field]) {
+        throw new Error(`${field} must be at most ${TEXT_LIMITS[field]} characters`);
+      }
+      if (field === 'color' && !COLOR_PATTERN.test(value)) {
+        throw new Error('color must be a hex color like #3b82f6');
+      }
+      if (field === 'avatarImage') {
+        if (!AVATAR_IMAGE_PATTERN.test(value)) throw new Error('avatarImage must be a base64 PNG, JPEG, GIF or WebP data URL');
+        if (value.length > MAX_AVATAR_IMAGE) throw new Error(`avatarImage must be under ${MAX_AVATAR_IMAGE / 1024} KB`);
+      }
+      entry[field] = value || null;
+    }
+    return entry;
+  }
+}
+
+module.exports = AgentDirectory;
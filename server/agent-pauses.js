@@ -0,0 +1,123 @@
+/**
+ * Agent Pauses - Which agents are paused, and what's waiting for them
+ *
+ * - A pause is either done by the gateway (mode 'gateway', for gateways with
+ *   agents.pause/agents.resume) or held here (mode 'hold')
+ * - While held, messages to the agent's sessions are queued instead of sent;
+ *   resuming flushes the queue in order or discards it
+ * - Keyed by composite agent id (`${gatewayId}:${agentId}`), so a pause
+ *   outlives the agent dropping off while its gateway is offline
+ * - Persistent storage in data/paused-agents.json (queues included)
+ * - Emits 'change' with the agent id whenever a pause starts, ends or its queue changes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const MAX_QUEUE = 100;  // Queued messages per agent
+
+class AgentPauses extends EventEmitter {
+  constructor({ dataDir = DATA_DIR } = {}) {
+    super();
+    this.file = path.join(dataDir, 'paused-agents.json');
+    this.pauses = new Map();  // agentId -> { agentId, gatewayId, mode, pausedAt, pausedBy, queue }
+    this._loadPauses();
+  }
+
+  _loadPauses() {
+    try {
+      if (fs.existsSync(this.file)) {
+        const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        for (const pause of data.pauses || []) {
+          this.pauses.set(pause.agentId, { ...pause, queue: pause.queue || [] });
+        }
+        console.log(`⏸️ Loaded ${this.pauses.size} paused agents`);
+      }
+    } catch (err) {
+      console.error('Failed to load paused agents:', err.message);
+    }
+  }
+
+  _savePauses() {
+    try {
+      const data = {
+        version: 1,
+        savedAt: new Date().toISOString(),
+        pauses: Array.from(this.pauses.values())
+      };
+      fs.writeFileSync(this.file, JSON.stringify(data, null, 2));
+    } catch (err) {
+      console.error('Failed to save paused agents:', err.message);
+    }
+  }
+
+  get(agentId) {
+    return this.pauses.get(agentId) || null;
+  }
+
+  /**
+   * True when Team Control (not the gateway) is holding the agent's messages
+   */
+  isHeld(agentId) {
+    return this.pauses.get(agentId)?.mode === 'hold';
+  }
+
+  pause(agentId, { gatewayId, mode, by = null }) {
+    const pause = { agentId, gatewayId, mode, pausedAt: new Date().toISOString(), pausedBy: by, queue: [] };
+    this.pauses.set(agentId, pause);
+    this._savePauses();
+    this.emit('change', agentId);
+    return pause;
+  }
+
+  /**
+   * End the pause; returns it with whatever was still queued
+   */
+  resume(agentId) {
+    const pause = this.pauses.get(agentId);
+    if (!pause) return null;
+
+    this.pauses.delete(agentId);
+    this._savePauses();
+    this.emit('change', agentId);
+    return pause;
+  }
+
+  /**
+   * Put a pause back as it was - used when resuming couldn't send everything
+   */
+  restore(pause) {
+    this.pauses.set(pause.agentId, pause);
+    this._savePauses();
+    this.emit('change', pause.agentId);
+    return pause;
+  }
+
+  /**
+   * Queue a message for a held agent's session
+   */
+  enqueue(agentId, { sessionKey, message, by = null, source = 'message' }) {
+    const pause = this.pauses.get(agentId);
+    if (!pause) throw new Error(`Agent ${agentId} is not paused`);
+    if (pause.queue.length >= MAX_QUEUE) {
+      throw Object.assign(new Error(`Agent is paused and its queue is full (${MAX_QUEUE} messages)`), { status: 409 });
+    }
+
+    const entry = {
+      id: `q-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      sessionKey,
+      message,
+      source,
+      queuedAt: new Date().toISOString(),
+      queuedBy: by
+    };
+    pause.queue.push(entry);
+    this._savePauses();
+    this.emit('change', agentId);
+    return entry;
+  }
+}
+
+module.exports = AgentPauses;
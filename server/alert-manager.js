@@ -0,0 +1,593 @@
+/**
+ * Alert Manager - Server-side alerting rules over gateway/agent events
+ *
+ * Rule types:
+ * - gateway_offline:       gateway not online for params.minutes (default 5)
+ * - agent_stuck_active:    agent continuously active for params.minutes (default 60)
+ * - error_rate:            share of failed gateway requests over params.windowMinutes above params.threshold
+ * - health_check_failures: share of failed health checks over params.windowMinutes above params.threshold
+ * - cron_missed:           cron job's next expected run (see CronMonitor) more than params.graceMinutes late
+ * - cron_failing:          cron job's last params.failures runs all failed
+ *
+ * Each rule fires once per subject (gateway, agent or cron job) until it resolves (dedup),
+ * won't notify again for the same subject within cooldownMinutes, and sends a
+ * resolve notification when the condition clears.
+ *
+ * Disabled gateways and gateways in maintenance (and their agents and cron jobs)
+ * are not evaluated; their firing alerts resolve without notifying. Cron jobs are
+ * only evaluated while their gateway is online.
+ *
+ * Persistent storage in data/alerts.json (sink secrets encrypted at rest).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const secrets = require('./secrets');
+const sinks = require('./alert-sinks');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const EVAL_INTERVAL = 15000;        // 15 seconds
+const MAX_WINDOW = 60 * 60 * 1000;  // Longest window kept for rate rules
+const RULE_TYPES = {
+  gateway_offline: { subject: 'gateway', params: { minutes: 5 } },
+  agent_stuck_active: { subject: 'agent', params: { minutes: 60 } },
+  error_rate: { subject: 'gateway', params: { threshold: 0.5, windowMinutes: 10, minSamples: 5 } },
+  health_check_failures: { subject: 'gateway', params: { threshold: 0.5, windowMinutes: 10, minSamples: 3 } },
+  cron_missed: { subject: 'cron', params: { graceMinutes: 10 } },
+  cron_failing: { subject: 'cron', params: { failures: 2 } }
+};
+const SEVERITIES = ['warning', 'critical'];
+const RULE_FIELDS = ['name', 'type', 'params', 'gatewayId', 'agentId', 'severity', 'sinks', 'cooldownMinutes', 'notifyResolve', 'enabled'];
+
+class AlertManager extends EventEmitter {
+  constructor(gatewayManager, cronMonitor = null, { dataDir = DATA_DIR } = {}) {
+    super();
+    this.gatewayManager = gatewayManager;
+    this.file = path.join(dataDir, 'alerts.json');
+    this.cronMonitor = cronMonitor;
+    this.rules = new Map();             // ruleId -> rule
+    this.sinks = new Map();             // sinkId -> sink (decrypted)
+    this.alerts = new Map();            // ruleId|subjectId -> { firing, startedAt, notified, lastNotifiedAt, ... }
+    this.gatewayStatus = new Map();     // gatewayId -> { status, since }
+    this.agentActiveSince = new Map();  // agentId -> ms timestamp
+    this.requestOutcomes = new Map();   // gatewayId -> [{ t, ok }]
+    this.healthOutcomes = new Map();    // gatewayId -> [{ t, ok }]
+    this.suppressedGateways = new Set(); // disabled or in maintenance
+    this.evalTimer = null;
+    this.loadFailed = false;            // alerts.json exists but couldn't be read - never overwrite it
+    this._loadAlerts();
+  }
+
+  _loadAlerts() {
+    try {
+      if (fs.existsSync(this.file)) {
+        const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        for (const rule of data.rules || []) {
+          this.rules.set(rule.id, rule);
+        }
+        for (const sink of data.sinks || []) {
+          this.sinks.set(sink.id, this._decryptSink(sink));
+        }
+        console.log(`🔔 Loaded ${this.rules.size} alert rules, ${this.sinks.size} sinks`);
+      }
+    } catch (err) {
+      this.loadFailed = true;
+      console.error('Failed to load alerts (changes will not be saved until alerts.json is fixed):', err.message);
+    }
+  }
+
+  /**
+   * Decrypt a stored sink. If its secrets can't be decrypted (wrong key), keep
+   * the ciphertext so saving doesn't destroy it and mark the sink unusable.
+   */
+  _decryptSink(sink) {
+    try {
+      return { ...sink, config: this._transformSecrets(sink.config, secrets.decrypt) };
+    } catch (err) {
+      console.error(`Failed to decrypt sink ${sink.name}:`, err.message);
+      return {
+        ...sink,
+        config: this._stripSecrets(sink.config),
+        encryptedConfig: sink.config,
+        lastError: 'Stored secrets could not be decrypted - check TEAM_CONTROL_SECRET_KEY or re-enter them'
+      };
+    }
+  }
+
+  _saveAlerts() {
+    if (this.loadFailed) {
+      console.error('Not saving alerts: alerts.json failed to load');
+      return;
+    }
+    try {
+      const data = {
+        version: 1,
+        savedAt: new Date().toISOString(),
+        rules: Array.from(this.rules.values()),
+        sinks: Array.from(this.sinks.values()).map(({ encryptedConfig, lastError, ...sink }) => ({
+          ...sink,
+          // Undecryptable secrets are written back as they were; other fields may have been edited
+          config: encryptedConfig
+            ? { ...encryptedConfig, ...sink.config }
+            : this._transformSecrets(sink.config, value => secrets.encrypt(value))
+        }))
+      };
+      fs.writeFileSync(this.file, JSON.stringify(data, null, 2), { mode: 0o600 });
+    } catch (err) {
+      console.error('Failed to save alerts:', err.message);
+    }
+  }
+
+  /**
+   * Apply encrypt/decrypt to sensitive sink config fields (and header values)
+   */
+  _transformSecrets(config = {}, fn) {
+    const out = { ...config };
+    for (const field of sinks.SENSITIVE_FIELDS) {
+      if (out[field]) out[field] = fn(out[field]);
+    }
+    if (out.headers) {
+      out.headers = Object.fromEntries(Object.entries(out.headers).map(([k, v]) => [k, fn(v)]));
+    }
+    return out;
+  }
+
+  /**
+   * Sink config without its secret fields (for sinks whose secrets can't be decrypted)
+   */
+  _stripSecrets(config = {}) {
+    const out = { ...config };
+    for (const field of sinks.SENSITIVE_FIELDS) delete out[field];
+    delete out.headers;
+    return out;
+  }
+
+  /**
+   * Refuse changes that couldn't be saved without overwriting an unreadable alerts.json
+   */
+  _assertWritable() {
+    if (this.loadFailed) {
+      throw Object.assign(new Error('alerts.json could not be loaded - fix or remove it before changing alerts'), { status: 409 });
+    }
+  }
+
+  start() {
+    for (const gw of this.gatewayManager.getGateways()) {
+      this.gatewayStatus.set(gw.id, { status: gw.status, since: Date.now() });
+      if (this._isSuppressed(gw)) this.suppressedGateways.add(gw.id);
+    }
+
+    this.gatewayManager.on('gateway:update', (gw) => {
+      const current = this.gatewayStatus.get(gw.id);
+      if (!current || current.status !== gw.status) {
+        this.gatewayStatus.set(gw.id, { status: gw.status, since: Date.now() });
+      }
+
+      // Coming out of maintenance starts a clean slate - downtime and failures during it don't count
+      if (this._isSuppressed(gw)) {
+        this.suppressedGateways.add(gw.id);
+      } else if (this.suppressedGateways.delete(gw.id)) {
+        this.gatewayStatus.set(gw.id, { status: gw.status, since: Date.now() });
+        this.requestOutcomes.delete(gw.id);
+        this.healthOutcomes.delete(gw.id);
+      }
+    });
+    this.gatewayManager.on('gateway:removed', ({ id }) => {
+      this.gatewayStatus.delete(id);
+      this.suppressedGateways.delete(id);
+      this.requestOutcomes.delete(id);
+      this.healthOutcomes.delete(id);
+    });
+    this.gatewayManager.on('agent:update', (agent) => {
+      if (agent.status === 'active') {
+        if (!this.agentActiveSince.has(agent.id)) this.agentActiveSince.set(agent.id, Date.now());
+      } else {
+        this.agentActiveSince.delete(agent.id);
+      }
+    });
+    this.gatewayManager.on('agent:removed', ({ id }) => this.agentActiveSince.delete(id));
+    this.gatewayManager.on('request:complete', ({ gatewayId, ok }) => {
+      this._pushOutcome(this.requestOutcomes, gatewayId, ok);
+    });
+    this.gatewayManager.on('health:check', ({ gatewayId, ok }) => {
+      this._pushOutcome(this.healthOutcomes, gatewayId, ok);
+    });
+
+    this.evalTimer = setInterval(() => this.evaluate(), EVAL_INTERVAL);
+  }
+
+  stop() {
+    if (this.evalTimer) {
+      clearInterval(this.evalTimer);
+      this.evalTimer = null;
+    }
+  }
+
+  _pushOutcome(map, gatewayId, ok) {
+    if (!map.has(gatewayId)) map.set(gatewayId, []);
+    const list = map.get(gatewayId);
+    const now = Date.now();
+    list.push({ t: now, ok });
+    while (list.length > 0 && list[0].t < now - MAX_WINDOW) list.shift();
+  }
+
+  // === Rules ===
+
+  addRule(data) {
+    this._assertWritable();
+    const rule = this._validateRule({
+      id: `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      gatewayId: null,
+      agentId: null,
+      severity: 'warning',
+      sinks: [],
+      cooldownMinutes: 15,
+      notifyResolve: true,
+      enabled: true,
+      ...this._pickRule(data),
+      createdAt: new Date().toISOString()
+    });
+    this.rules.set(rule.id, rule);
+    this._saveAlerts();
+    console.log(`🔔 Added alert rule: ${rule.name}`);
+    return rule;
+  }
+
+  updateRule(id, changes) {
+    this._assertWritable();
+    const existing = this.rules.get(id);
+    if (!existing) return null;
+
+    const allowed = this._pickRule(changes);
+    if (allowed.params && typeof allowed.params === 'object' && !Array.isArray(allowed.params)) {
+      allowed.params = { ...existing.params, ...allowed.params };
+    }
+    const rule = this._validateRule({ ...existing, ...allowed });
+    this.rules.set(id, rule);
+    this._saveAlerts();
+    return rule;
+  }
+
+  removeRule(id) {
+    this._assertWritable();
+    if (!this.rules.delete(id)) return false;
+    for (const key of this.alerts.keys()) {
+      if (key.startsWith(`${id}|`)) this.alerts.delete(key);
+    }
+    this._saveAlerts();
+    return true;
+  }
+
+  getRules() {
+    return Array.from(this.rules.values());
+  }
+
+  _pickRule(data) {
+    return Object.fromEntries(RULE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+  }
+
+  _validateRule(rule) {
+    const type = RULE_TYPES[rule.type];
+    if (!type) throw new Error(`type must be one of: ${Object.keys(RULE_TYPES).join(', ')}`);
+    if (!SEVERITIES.includes(rule.severity)) throw new Error(`severity must be one of: ${SEVERITIES.join(', ')}`);
+    if (!Array.isArray(rule.sinks)) throw new Error('sinks must be an array of sink ids');
+    for (const sinkId of rule.sinks) {
+      if (!this.sinks.has(sinkId)) throw new Error(`Unknown sink: ${sinkId}`);
+    }
+    if (rule.name != null && typeof rule.name !== 'string') throw new Error('name must be a string');
+    for (const field of ['gatewayId', 'agentId']) {
+      rule[field] = rule[field] ?? null;
+      if (rule[field] !== null && (typeof rule[field] !== 'string' || !rule[field])) {
+        throw new Error(`${field} must be a non-empty string (or null)`);
+      }
+    }
+    if (typeof rule.cooldownMinutes !== 'number' || !Number.isFinite(rule.cooldownMinutes) || rule.cooldownMinutes < 0) {
+      throw new Error('cooldownMinutes must be a non-negative number');
+    }
+    for (const field of ['notifyResolve', 'enabled']) {
+      if (typeof rule[field] !== 'boolean') throw new Error(`${field} must be a boolean`);
+    }
+    if (rule.params != null && (typeof rule.params !== 'object' || Array.isArray(rule.params))) {
+      throw new Error('params must be an object');
+    }
+
+    rule.params = { ...type.params, ...(rule.params || {}) };
+    for (const [key, value] of Object.entries(rule.params)) {
+      if (typeof value !== 'number' || value < 0) throw new Error(`params.${key} must be a non-negative number`);
+    }
+    if (rule.params.threshold !== undefined && rule.params.threshold > 1) {
+      throw new Error('params.threshold is a ratio between 0 and 1');
+    }
+    if (rule.params.windowMinutes !== undefined && rule.params.windowMinutes * 60000 > MAX_WINDOW) {
+      throw new Error(`params.windowMinutes cannot exceed ${MAX_WINDOW / 60000}`);
+    }
+    rule.name = rule.name || rule.type.replace(/_/g, ' ');
+    return rule;
+  }
+
+  // === Sinks ===
+
+  addSink(data) {
+    this._assertWritable();
+    const sink = {
+      id: `sink-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      name: data.name || data.type,
+      type: data.type,
+      config: data.config || {},
+      createdAt: new Date().toISOString()
+    };
+    sinks.validateSink(sink);
+    this.sinks.set(sink.id, sink);
+    this._saveAlerts();
+    return this._sanitizeSink(sink);
+  }
+
+  updateSink(id, { name, config }) {
+    this._assertWritable();
+    const sink = this.sinks.get(id);
+    if (!sink) return null;
+
+    // Clients send back the masked config they read - masked values keep what's stored
+    const changes = sinks.unmaskConfig(config || {}, sink.config);
+    let updated = { ...sink, name: name || sink.name, config: { ...sink.config, ...changes } };
+    if (sink.encryptedConfig && (sinks.SENSITIVE_FIELDS.some(f => changes[f]) || changes.headers)) {
+      // New config replaces the secrets that couldn't be decrypted
+      const { encryptedConfig, lastError, ...rest } = updated;
+      updated = rest;
+    }
+    sinks.validateSink(updated.encryptedConfig ? { ...updated, config: { ...updated.encryptedConfig, ...updated.config } } : updated);
+    this.sinks.set(id, updated);
+    this._saveAlerts();
+    return this._sanitizeSink(updated);
+  }
+
+  removeSink(id) {
+    this._assertWritable();
+    if (!this.sinks.delete(id)) return false;
+    for (const rule of this.rules.values()) {
+      rule.sinks = rule.sinks.filter(s => s !== id);
+    }
+    this._saveAlerts();
+    return true;
+  }
+
+  getSinks() {
+    return Array.from(this.sinks.values()).map(s => this._sanitizeSink(s));
+  }
+
+  /**
+   * Send a sample notification to check a sink's configuration
+   */
+  async testSink(id) {
+    const sink = this.sinks.get(id);
+    if (!sink) return null;
+    if (sink.encryptedConfig) throw Object.assign(new Error(sink.lastError), { status: 409 });
+
+    const now = new Date().toISOString();
+    await sinks.deliver(sink, {
+      status: 'firing',
+      ruleId: null,
+      ruleName: 'Test notification',
+      type: 'test',
+      severity: 'warning',
+      subject: { kind: 'sink', id: sink.id, name: sink.name },
+      message: 'This is a test notification from Team Control.',
+      startedAt: now,
+      resolvedAt: null,
+      timestamp: now
+    });
+    return { success: true };
+  }
+
+  _sanitizeSink({ encryptedConfig, ...sink }) {
+    return { ...sink, config: sinks.maskConfig(sink.config) };
+  }
+
+  // === Evaluation ===
+
+  /**
+   * Alerts that are currently firing
+   */
+  getActiveAlerts() {
+    return Array.from(this.alerts.values()).filter(a => a.firing).map(a => this._publicAlert(a));
+  }
+
+  evaluate() {
+    const now = Date.now();
+    const seen = new Set();
+    const suppressed = new Set(this.gatewayManager.getGateways().filter(gw => this._isSuppressed(gw)).map(gw => gw.id));
+
+    for (const rule of this.rules.values()) {
+      if (!rule.enabled) continue;
+
+      for (const subject of this._subjectsFor(rule, suppressed)) {
+        const key = `${rule.id}|${subject.id}`;
+        seen.add(key);
+        try {
+          const result = this._check(rule, subject, now);
+          this._transition(rule, subject, key, result, now);
+        } catch (err) {
+          console.error(`Alert rule ${rule.name} failed:`, err.message);
+        }
+      }
+    }
+
+    // Subjects that disappeared (or rules disabled) resolve; suppressed ones resolve quietly
+    for (const [key, alert] of this.alerts) {
+      if (!seen.has(key) && alert.firing) {
+        const rule = this.rules.get(alert.ruleId) || { id: alert.ruleId, name: alert.ruleName, notifyResolve: false };
+        const gatewayId = alert.subject.kind === 'gateway' ? alert.subject.id : alert.subject.gatewayId;
+        if (suppressed.has(gatewayId)) {
+          this._transition({ ...rule, notifyResolve: false }, alert.subject, key, { firing: false, message: 'Suppressed: gateway disabled or in maintenance' }, now);
+        } else {
+          this._transition(rule, alert.subject, key, { firing: false, message: 'No longer monitored' }, now);
+        }
+      }
+    }
+  }
+
+  _isSuppressed(gateway) {
+    return gateway.enabled === false || !!gateway.inMaintenance;
+  }
+
+  _subjectsFor(rule, suppressed = new Set()) {
+    if (RULE_TYPES[rule.type].subject === 'cron') {
+      if (!this.cronMonitor) return [];
+      const online = new Set(this.gatewayManager.getGateways().filter(gw => gw.status === 'online').map(gw => gw.id));
+      return this.cronMonitor.getJobs()
+        .filter(job => (!rule.gatewayId || job.gatewayId === rule.gatewayId) && (!rule.agentId || job.agentId === rule.agentId))
+        .filter(job => online.has(job.gatewayId) && !suppressed.has(job.gatewayId))
+        .map(job => ({ kind: 'cron', id: job.id, name: `${job.label} (${job.agentName})`, gatewayId: job.gatewayId, agentId: job.agentId }));
+    }
+    if (RULE_TYPES[rule.type].subject === 'gateway') {
+      return this.gatewayManager.getGateways()
+        .filter(gw => (!rule.gatewayId || gw.id === rule.gatewayId) && !suppressed.has(gw.id))
+        .map(gw => ({ kind: 'gateway', id: gw.id, name: gw.name }));
+    }
+    return this.gatewayManager.getAgents()
+      .filter(a => (!rule.gatewayId || a.gatewayId === rule.gatewayId) && (!rule.agentId || a.id === rule.agentId) && !suppressed.has(a.gatewayId))
+      .map(a => ({ kind: 'agent', id: a.id, name: a.name || a.id, gatewayId: a.gatewayId }));
+  }
+
+  /**
+   * Evaluate one rule for one subject: { firing, value, message }
+   */
+  _check(rule, subject, now) {
+    const p = rule.params;
+
+    switch (rule.type) {
+      case 'gateway_offline': {
+        const state = this.gatewayStatus.get(subject.id);
+        const offline = state && state.status !== 'online';
+        const offlineMs = offline ? now - state.since : 0;
+        return {
+          firing: offline && offlineMs >= p.minutes * 60000,
+          value: Math.round(offlineMs / 60000),
+          message: `Gateway ${subject.name} has been ${state?.status || 'offline'} for ${Math.round(offlineMs / 60000)} minutes`
+        };
+      }
+
+      case 'agent_stuck_active': {
+        const since = this.agentActiveSince.get(subject.id);
+        const activeMs = since ? now - since : 0;
+        return {
+          firing: !!since && activeMs >= p.minutes * 60000,
+          value: Math.round(activeMs / 60000),
+          message: `Agent ${subject.name} has been active for ${Math.round(activeMs / 60000)} minutes`
+        };
+      }
+
+      case 'error_rate':
+      case 'health_check_failures': {
+        const map = rule.type === 'error_rate' ? this.requestOutcomes : this.healthOutcomes;
+        const samples = (map.get(subject.id) || []).filter(o => o.t >= now - p.windowMinutes * 60000);
+        const failed = samples.filter(o => !o.ok).length;
+        const ratio = samples.length > 0 ? failed / samples.length : 0;
+        const label = rule.type === 'error_rate' ? 'requests' : 'health checks';
+        return {
+          firing: samples.length >= p.minSamples && ratio > p.threshold,
+          value: ratio,
+          message: `${failed}/${samples.length} ${label} to ${subject.name} failed in the last ${p.windowMinutes} minutes (${Math.round(ratio * 100)}%)`
+        };
+      }
+
+      case 'cron_missed': {
+        const job = this.cronMonitor.getJob(subject.id, now);
+        const lateMs = job?.nextRunAt && !job.running ? now - Date.parse(job.nextRunAt) : 0;
+        return {
+          firing: lateMs > p.graceMinutes * 60000,
+          value: Math.max(0, Math.round(lateMs / 60000)),
+          message: `Cron job ${subject.name} is ${Math.round(lateMs / 60000)} minutes past its expected run (${job?.nextRunAt})`
+        };
+      }
+
+      case 'cron_failing': {
+        const job = this.cronMonitor.getJob(subject.id, now);
+        const failures = job?.consecutiveFailures || 0;
+        return {
+          firing: failures >= Math.max(1, p.failures),
+          value: failures,
+          message: `Cron job ${subject.name} failed its last ${failures} run${failures !== 1 ? 's' : ''}`
+        };
+      }
+
+      default:
+        return { firing: false };
+    }
+  }
+
+  _transition(rule, subject, key, result, now) {
+    const existing = this.alerts.get(key);
+
+    if (result.firing && !existing?.firing) {
+      const cooldownMs = (rule.cooldownMinutes || 0) * 60000;
+      const inCooldown = existing?.lastNotifiedAt && now - existing.lastNotifiedAt < cooldownMs;
+      const alert = {
+        ruleId: rule.id,
+        ruleName: rule.name,
+        type: rule.type,
+        severity: rule.severity,
+        subject,
+        firing: true,
+        startedAt: new Date(now).toISOString(),
+        resolvedAt: null,
+        value: result.value,
+        message: result.message,
+        notified: !inCooldown,
+        lastNotifiedAt: inCooldown ? existing.lastNotifiedAt : now
+      };
+      this.alerts.set(key, alert);
+      console.log(`🔔 Alert firing: ${rule.name} - ${subject.name}${inCooldown ? ' (cooldown, not notified)' : ''}`);
+      this.emit('alert:firing', this._publicAlert(alert));
+      if (alert.notified) this._notify(rule, alert, 'firing');
+    } else if (result.firing && existing?.firing) {
+      existing.value = result.value;
+      existing.message = result.message;
+    } else if (!result.firing && existing?.firing) {
+      existing.firing = false;
+      existing.resolvedAt = new Date(now).toISOString();
+      console.log(`🔔 Alert resolved: ${existing.ruleName} - ${subject.name}`);
+      this.emit('alert:resolved', this._publicAlert(existing));
+      // Only announce a resolve for alerts we actually announced
+      if (existing.notified && rule.notifyResolve !== false) this._notify(rule, existing, 'resolved');
+    }
+  }
+
+  _notify(rule, alert, status) {
+    const targets = (rule.sinks?.length > 0
+      ? rule.sinks.map(id => this.sinks.get(id)).filter(Boolean)
+      : Array.from(this.sinks.values())
+    ).filter(sink => !sink.encryptedConfig);
+
+    const notification = {
+      status,
+      ruleId: rule.id,
+      ruleName: alert.ruleName,
+      type: alert.type,
+      severity: alert.severity,
+      subject: alert.subject,
+      value: alert.value,
+      message: status === 'resolved' ? `Resolved: ${alert.message}` : alert.message,
+      startedAt: alert.startedAt,
+      resolvedAt: alert.resolvedAt,
+      timestamp: new Date().toISOString()
+    };
+
+    for (const sink of targets) {
+      sinks.deliver(sink, notification).catch(err => {
+        console.error(`Failed to deliver alert to ${sink.name}:`, err.message);
+        this.emit('alert:delivery-failed', { sinkId: sink.id, sinkName: sink.name, ruleId: rule.id, error: err.message });
+      });
+    }
+  }
+
+  _publicAlert(alert) {
+    const { lastNotifiedAt, ...rest } = alert;
+    return { ...rest, key: `${alert.ruleId}|${alert.subject.id}` };
+  }
+}
+
+AlertManager.RULE_TYPES = RULE_TYPES;
+
+module.exports = AlertManager;
@@ -0,0 +1,143 @@
+/**
+ * Alert Sinks - Deliver alert notifications
+ *
+ * - webhook: POST the notification as JSON to config.url (optional config.headers)
+ * - slack:   Slack/Discord-style incoming webhook ({ text } or, with format "discord", { content })
+ * - smtp:    Plain-text email via config.host/port/secure/user/password/from/to
+ */
+
+const { sendMail } = require('./smtp');
+
+const SINK_TYPES = ['webhook', 'slack', 'smtp'];
+const SENSITIVE_FIELDS = ['url', 'password'];  // Encrypted at rest, masked in API responses
+const DELIVERY_TIMEOUT = 10000;
+const MASK = '••••••••';
+
+/**
+ * Send one notification to one sink
+ */
+async function deliver(sink, notification) {
+  switch (sink.type) {
+    case 'webhook':
+      return postJson(sink.config.url, notification, sink.config.headers);
+
+    case 'slack': {
+      const text = formatText(notification);
+      const body = sink.config.format === 'discord' ? { content: text } : { text };
+      return postJson(sink.config.url, body);
+    }
+
+    case 'smtp':
+      return sendMail(sink.config, {
+        to: sink.config.to,
+        subject: formatSubject(notification),
+        text: formatEmail(notification)
+      });
+
+    default:
+      throw new Error(`Unknown sink type: ${sink.type}`);
+  }
+}
+
+async function postJson(url, body, headers = {}) {
+  if (!url) throw new Error('Sink URL is required');
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT);
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function formatSubject(n) {
+  const prefix = n.status === 'resolved' ? '✅ RESOLVED' : (n.severity === 'critical' ? '🚨 CRITICAL' : '⚠️ WARNING');
+  return `[Team Control] ${prefix}: ${n.ruleName} - ${n.subject.name}`;
+}
+
+function formatText(n) {
+  const icon = n.status === 'resolved' ? '✅' : (n.severity === 'critical' ? '🚨' : '⚠️');
+  const state = n.status === 'resolved' ? 'Resolved' : 'Firing';
+  return `${icon} *${state}: ${n.ruleName}* - ${n.subject.name}\n${n.message}`;
+}
+
+function formatEmail(n) {
+  return [
+    n.message,
+    '',
+    `Rule:     ${n.ruleName} (${n.type})`,
+    `Subject:  ${n.subject.name} (${n.subject.id})`,
+    `Severity: ${n.severity}`,
+    `Status:   ${n.status}`,
+    `Started:  ${n.startedAt}`,
+    n.resolvedAt ? `Resolved: ${n.resolvedAt}` : null
+  ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * Sink config safe to show in the UI/API
+ */
+function maskConfig(config) {
+  const masked = { ...config };
+  if (masked.url) {
+    try {
+      masked.url = `${new URL(masked.url).origin}/…`;
+    } catch {
+      masked.url = '…';
+    }
+  }
+  if (masked.password) masked.password = MASK;
+  if (masked.headers) {
+    masked.headers = Object.fromEntries(Object.keys(masked.headers).map(k => [k, MASK]));
+  }
+  return masked;
+}
+
+/**
+ * Config changes with masked values (as read from the API) replaced by the
+ * stored values, so sending back an unchanged config doesn't overwrite secrets
+ */
+function unmaskConfig(changes, stored = {}) {
+  const masked = maskConfig(stored);
+  const out = { ...changes };
+  for (const field of SENSITIVE_FIELDS) {
+    if (out[field] !== undefined && stored[field] && out[field] === masked[field]) delete out[field];
+  }
+  if (out.headers && typeof out.headers === 'object') {
+    out.headers = Object.fromEntries(Object.entries(out.headers).map(([k, v]) =>
+      [k, v === MASK && stored.headers?.[k] !== undefined ? stored.headers[k] : v]
+    ));
+  }
+  return out;
+}
+
+function validateSink(sink) {
+  if (!SINK_TYPES.includes(sink.type)) {
+    throw new Error(`type must be one of: ${SINK_TYPES.join(', ')}`);
+  }
+  const config = sink.config || {};
+  if ((sink.type === 'webhook' || sink.type === 'slack') && !config.url) {
+    throw new Error(`${sink.type} sinks need config.url`);
+  }
+  if (sink.type === 'smtp' && (!config.host || !config.from || !config.to)) {
+    throw new Error('smtp sinks need config.host, config.from and config.to');
+  }
+}
+
+module.exports = {
+  SINK_TYPES,
+  SENSITIVE_FIELDS,
+  deliver,
+  maskConfig,
+  unmaskConfig,
+  validateSink
+};
@@ -0,0 +1,358 @@
+/**
+ * Auth Manager - Operator accounts, API tokens and role-based access
+ *
+ * - Local users with scrypt-hashed passwords
+ * - Login sessions (in-memory, expire after SESSION_TTL)
+ * - Long-lived API tokens for scripts/CI (stored as SHA-256 hashes)
+ * - Roles: viewer < operator < admin
+ * - Emits access:revoked when users, sessions or tokens are removed or demoted,
+ *   so open sockets can be re-checked
+ * - Persistent storage in data/users.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const SESSION_TTL = 12 * 60 * 60 * 1000;  // 12 hours
+const LAST_USED_SAVE_INTERVAL = 5 * 60 * 1000;  // Persist a token's lastUsedAt at most this often
+const ROLES = ['viewer', 'operator', 'admin'];
+const TOKEN_PREFIX = 'tc_';
+
+class AuthManager extends EventEmitter {
+  constructor({ dataDir = DATA_DIR } = {}) {
+    super();
+    this.dataDir = dataDir;
+    this.file = path.join(dataDir, 'users.json');
+    this.users = new Map();     // username -> { username, role, passwordHash, createdAt }
+    this.tokens = new Map();    // tokenId -> { id, name, username, role, hash, createdAt, lastUsedAt }
+    this.sessions = new Map();  // sha256(sessionToken) -> { username, expiresAt }
+    this._ensureDataDir();
+    this._loadUsers();
+    this._bootstrapAdmin();
+  }
+
+  _ensureDataDir() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  _loadUsers() {
+    try {
+      if (fs.existsSync(this.file)) {
+        const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        for (const user of data.users || []) {
+          this.users.set(user.username, user);
+        }
+        for (const token of data.tokens || []) {
+          this.tokens.set(token.id, token);
+        }
+        console.log(`🔐 Loaded ${this.users.size} users, ${this.tokens.size} API tokens`);
+      }
+    } catch (err) {
+      console.error('Failed to load users:', err.message);
+    }
+  }
+
+  _saveUsers() {
+    try {
+      const data = {
+        version: 1,
+        savedAt: new Date().toISOString(),
+        users: Array.from(this.users.values()),
+        tokens: Array.from(this.tokens.values())
+      };
+      fs.writeFileSync(this.file, JSON.stringify(data, null, 2), { mode: 0o600 });
+    } catch (err) {
+      console.error('Failed to save users:', err.message);
+    }
+  }
+
+  /**
+   * Create the first admin account when no users exist.
+   * Password comes from TEAM_CONTROL_ADMIN_PASSWORD, otherwise one is generated and printed once.
+   */
+  _bootstrapAdmin() {
+    if (this.users.size > 0) return;
+
+    const username = process.env.TEAM_CONTROL_ADMIN_USER || 'admin';
+    let password = process.env.TEAM_CONTROL_ADMIN_PASSWORD;
+    if (!password) {
+      password = crypto.randomBytes(12).toString('base64url');
+      console.log(`🔑 Created initial admin account: ${username} / ${password}`);
+      console.log('   Change it with PATCH /api/users/admin or set TEAM_CONTROL_ADMIN_PASSWORD');
+    }
+    this.createUser({ username, password, role: 'admin' });
+  }
+
+  /**
+   * Check whether a role satisfies a minimum role
+   */
+  static hasRole(role, minRole) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(minRole) && ROLES.includes(role);
+  }
+
+  // === Users ===
+
+  createUser({ username, password, role = 'viewer' }) {
+    if (!username || !password) throw new Error('username and password are required');
+    if (!ROLES.includes(role)) throw new Error(`Invalid role: ${role}`);
+    if (this.users.has(username)) throw new Error(`User already exists: ${username}`);
+
+    const user = {
+      username,
+      role,
+      passwordHash: this._hashPassword(password),
+      createdAt: new Date().toISOString()
+    };
+    this.users.set(username, user);
+    this._saveUsers();
+    console.log(`👤 Created user: ${username} (${role})`);
+    return this._sanitizeUser(user);
+  }
+
+  updateUser(username, { password, role }) {
+    const user = this.users.get(username);
+    if (!user) return null;
+
+    const previousRole = user.role;
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) throw new Error(`Invalid role: ${role}`);
+      if (user.role === 'admin' && role !== 'admin' && this._adminCount() === 1) {
+        throw new Error('Cannot demote the last admin');
+      }
+      user.role = role;
+    }
+    if (password) {
+      user.passwordHash = this._hashPassword(password);
+      this._revokeSessionsFor(username);
+    }
+
+    this._saveUsers();
+    if (password || !AuthManager.hasRole(user.role, previousRole)) {
+      this.emit('access:revoked', { username });
+    }
+    return this._sanitizeUser(user);
+  }
+
+  removeUser(username) {
+    const user = this.users.get(username);
+    if (!user) return false;
+    if (user.role === 'admin' && this._adminCount() === 1) {
+      throw new Error('Cannot remove the last admin');
+    }
+
+    this.users.delete(username);
+    this._revokeSessionsFor(username);
+    for (const [id, token] of this.tokens) {
+      if (token.username === username) this.tokens.delete(id);
+    }
+    this._saveUsers();
+    console.log(`🗑️ Removed user: ${username}`);
+    this.emit('access:revoked', { username });
+    return true;
+  }
+
+  getUsers() {
+    return Array.from(this.users.values()).map(u => this._sanitizeUser(u));
+  }
+
+  _adminCount() {
+    return Array.from(this.users.values()).filter(u => u.role === 'admin').length;
+  }
+
+  // === Login sessions ===
+
+  /**
+   * Verify credentials and issue a session token
+   */
+  login(username, password) {
+    const user = this.users.get(username);
+    if (!user || !this._verifyPassword(password || '', user.passwordHash)) {
+      return null;
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    this.sessions.set(this._hashToken(token), {
+      username,
+      expiresAt: Date.now() + SESSION_TTL
+    });
+    return { token, user: this._sanitizeUser(user), expiresAt: new Date(Date.now() + SESSION_TTL).toISOString() };
+  }
+
+  logout(token) {
+    if (!token) return false;
+    const hash = this._hashToken(token);
+    const session = this.sessions.get(hash);
+    if (!session) return false;
+    this.sessions.delete(hash);
+    this.emit('access:revoked', { username: session.username });
+    return true;
+  }
+
+  _revokeSessionsFor(username) {
+    for (const [hash, session] of this.sessions) {
+      if (session.username === username) this.sessions.delete(hash);
+    }
+  }
+
+  // === API tokens ===
+
+  /**
+   * Create a long-lived API token. The raw token is only returned once.
+   * A token's role can be lower than, but never above, its owner's role.
+   */
+  createToken(username, { name, role }) {
+    const user = this.users.get(username);
+    if (!user) throw new Error(`Unknown user: ${username}`);
+
+    role = role || user.role;
+    if (!ROLES.includes(role)) throw new Error(`Invalid role: ${role}`);
+    if (!AuthManager.hasRole(user.role, role)) {
+      throw new Error(`Token role cannot exceed user role (${user.role})`);
+    }
+
+    const raw = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const record = {
+      id: `tok-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      name: name || 'API token',
+      username,
+      role,
+      hash: this._hashToken(raw),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+    this.tokens.set(record.id, record);
+    this._saveUsers();
+    return { ...this._sanitizeToken(record), token: raw };
+  }
+
+  revokeToken(id) {
+    const token = this.tokens.get(id);
+    if (!token) return false;
+    this.tokens.delete(id);
+    this._saveUsers();
+    this.emit('access:revoked', { username: token.username, tokenId: id });
+    return true;
+  }
+
+  getTokens(username = null) {
+    return Array.from(this.tokens.values())
+      .filter(t => !username || t.username === username)
+      .map(t => this._sanitizeToken(t));
+  }
+
+  // === Authentication ===
+
+  /**
+   * Resolve a bearer token (session or API token) to { username, role, via }
+   */
+  authenticate(token) {
+    if (!token) return null;
+    const hash = this._hashToken(token);
+
+    if (token.startsWith(TOKEN_PREFIX)) {
+      for (const record of this.tokens.values()) {
+        if (record.hash === hash) {
+          const owner = this.users.get(record.username);
+          if (!owner) return null;
+          const previous = Date.parse(record.lastUsedAt) || 0;
+          record.lastUsedAt = new Date().toISOString();
+          if (Date.now() - previous >= LAST_USED_SAVE_INTERVAL) this._saveUsers();
+          // Owner may have been demoted since the token was issued
+          const role = AuthManager.hasRole(owner.role, record.role) ? record.role : owner.role;
+          return { username: owner.username, role, via: 'token', tokenId: record.id };
+        }
+      }
+      return null;
+    }
+
+    const session = this.sessions.get(hash);
+    if (!session) return null;
+    if (session.expiresAt < Date.now()) {
+      this.sessions.delete(hash);
+      return null;
+    }
+    const user = this.users.get(session.username);
+    if (!user) return null;
+    return { username: user.username, role: user.role, via: 'session' };
+  }
+
+  /**
+   * Re-resolve a Socket.IO client's handshake token and refresh socket.data.user.
+   * Returns null once the user, session or token is gone.
+   */
+  authenticateSocket(socket) {
+    const user = this.authenticate(socket.handshake.auth?.token);
+    socket.data.user = user;
+    return user;
+  }
+
+  /**
+   * Express middleware - populates req.user or responds 401
+   */
+  middleware() {
+    return (req, res, next) => {
+      const user = this.authenticate(AuthManager.tokenFromRequest(req));
+      if (!user) {
+        return res.status(401).json({ error: 'Authentication required', code: 'unauthorized' });
+      }
+      req.user = user;
+      next();
+    };
+  }
+
+  /**
+   * Express middleware factory - requires at least the given role
+   */
+  static requireRole(minRole) {
+    return (req, res, next) => {
+      if (!req.user || !AuthManager.hasRole(req.user.role, minRole)) {
+        return res.status(403).json({ error: `Requires ${minRole} role`, code: 'forbidden' });
+      }
+      next();
+    };
+  }
+
+  static tokenFromRequest(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    return null;
+  }
+
+  // Helper methods
+  _hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+  }
+
+  _verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  _hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  _sanitizeUser(user) {
+    const { passwordHash, ...safe } = user;
+    return safe;
+  }
+
+  _sanitizeToken(token) {
+    const { hash, ...safe } = token;
+    return safe;
+  }
+}
+
+AuthManager.ROLES = ROLES;
+
+module.exports = AuthManager;
@@ -0,0 +1,170 @@
+/**
+ * Broadcast Manager - One message to many sessions across gateways
+ *
+ * - Targets: every agent, one gateway, gateways with tags/an environment, a
+ *   hand-picked set of agents, or a hand-picked set of sessions
+ * - Agent selections send to each agent's sessions, optionally only some session
+ *   types (e.g. main); subagents are never targeted
+ * - Fans out sessions.send with a concurrency limit and keeps a per-target
+ *   delivery result (pending -> sent | queued | failed); sessions of paused
+ *   agents held by Team Control get the message queued until they're resumed
+ * - The last MAX_BROADCASTS broadcasts are kept in memory
+ * - Emits 'broadcast:update' as targets complete and 'broadcast:done' at the end
+ */
+
+const EventEmitter = require('events');
+
+const MAX_BROADCASTS = 50;
+const MAX_TARGETS = 500;
+const DEFAULT_CONCURRENCY = 5;
+const MAX_CONCURRENCY = 20;
+
+class BroadcastManager extends EventEmitter {
+  constructor(gatewayManager) {
+    super();
+    this.gatewayManager = gatewayManager;
+    this.broadcasts = new Map();  // id -> broadcast, oldest first
+  }
+
+  getBroadcasts() {
+    return Array.from(this.broadcasts.values()).reverse();
+  }
+
+  getBroadcast(id) {
+    return this.broadcasts.get(id) || null;
+  }
+
+  /**
+   * Sessions a target selection resolves to: [{ gatewayId, agentId, agentName, sessionKey, label }]
+   */
+  resolveTargets(target) {
+    const { all, gatewayId, tags, environment, agentIds, sessions, sessionTypes } = target || {};
+
+    if (Array.isArray(sessions) && sessions.length > 0) {
+      const picked = new Map();  // gatewayId|sessionKey -> target, so picking a session twice sends once
+      for (const { gatewayId, sessionKey } of sessions.map(s => s || {})) {
+        const agent = this.gatewayManager.getAgents()
+          .find(a => a.gatewayId === gatewayId && (a.sessions || []).some(s => s.sessionKey === sessionKey));
+        if (!agent) {
+          throw Object.assign(new Error(`Session ${sessionKey} not found on gateway ${gatewayId}`), { status: 400 });
+        }
+        picked.set(`${gatewayId}|${sessionKey}`, this._target(agent, agent.sessions.find(s => s.sessionKey === sessionKey)));
+      }
+      return Array.from(picked.values());
+    }
+
+    const hasTags = Array.isArray(tags) && tags.length > 0;
+    const hasAgents = Array.isArray(agentIds) && agentIds.length > 0;
+    if (!all && !gatewayId && !hasTags && !environment && !hasAgents) {
+      throw Object.assign(new Error('target must select all, a gatewayId, tags, an environment, agentIds or sessions'), { status: 400 });
+    }
+    if (sessionTypes !== undefined && !Array.isArray(sessionTypes)) {
+      throw Object.assign(new Error('sessionTypes must be an array'), { status: 400 });
+    }
+
+    const agents = this.gatewayManager.getAgents({ tags: hasTags ? tags : [], environment })
+      .filter(a => !gatewayId || a.gatewayId === gatewayId)
+      .filter(a => !hasAgents || agentIds.includes(a.id));
+
+    const targets = [];
+    for (const agent of agents) {
+      for (const session of agent.sessions || []) {
+        if (sessionTypes?.length && !sessionTypes.includes(session.sessionType)) continue;
+        targets.push(this._target(agent, session));
+      }
+    }
+    return targets;
+  }
+
+  _target(agent, session) {
+    return {
+      gatewayId: agent.gatewayId,
+      agentId: agent.id,
+      agentName: agent.name || agent.agentId,
+      sessionKey: session.sessionKey,
+      label: session.label || session.sessionKey
+    };
+  }
+
+  /**
+   * Start sending `message` to every target. Returns the broadcast right away,
+   * and `done`, which resolves with it once every target has been tried.
+   */
+  send({ message, target, concurrency = DEFAULT_CONCURRENCY } = {}, by = null) {
+    if (typeof message !== 'string' || !message.trim()) {
+      throw Object.assign(new Error('message is required'), { status: 400 });
+    }
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+      throw Object.assign(new Error(`concurrency must be 1-${MAX_CONCURRENCY}`), { status: 400 });
+    }
+
+    const targets = this.resolveTargets(target);
+    if (targets.length === 0) {
+      throw Object.assign(new Error('No sessions match the target'), { status: 400 });
+    }
+    if (targets.length > MAX_TARGETS) {
+      throw Object.assign(new Error(`Target matches ${targets.length} sessions (max ${MAX_TARGETS})`), { status: 400 });
+    }
+
+    const broadcast = {
+      id: `bc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      message,
+      target,
+      concurrency,
+      createdBy: by,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      status: 'running',
+      sent: 0,
+      queued: 0,
+      failed: 0,
+      targets: targets.map(t => ({ ...t, status: 'pending', error: null, sentAt: null }))
+    };
+
+    this.broadcasts.set(broadcast.id, broadcast);
+    if (this.broadcasts.size > MAX_BROADCASTS) {
+      this.broadcasts.delete(this.broadcasts.keys().next().value);
+    }
+    console.log(`📣 Broadcast ${broadcast.id} to ${targets.length} sessions`);
+
+    const done = this._fanOut(broadcast);
+    return { broadcast, done };
+  }
+
+  async _fanOut(broadcast) {
+    let next = 0;
+    const worker = async () => {
+      while (next < broadcast.targets.length) {
+        const target = broadcast.targets[next++];
+        try {
+          const result = await this.gatewayManager.sendToSession(target.gatewayId, target.sessionKey, broadcast.message,
+            { by: broadcast.createdBy, source: 'broadcast' });
+          if (result?.queued) {
+            target.status = 'queued';
+            broadcast.queued++;
+          } else {
+            target.status = 'sent';
+            target.sentAt = new Date().toISOString();
+            broadcast.sent++;
+          }
+        } catch (err) {
+          target.status = 'failed';
+          target.error = err.message;
+          broadcast.failed++;
+        }
+        this.emit('broadcast:update', broadcast);
+      }
+    };
+
+    const workers = Math.min(broadcast.concurrency, broadcast.targets.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    broadcast.status = 'done';
+    broadcast.finishedAt = new Date().toISOString();
+    console.log(`📣 Broadcast ${broadcast.id} done: ${broadcast.sent} sent, ${broadcast.queued} queued, ${broadcast.failed} failed`);
+    this.emit('broadcast:done', broadcast);
+    return broadcast;
+  }
+}
+
+module.exports = BroadcastManager;
@@ -0,0 +1,331 @@
+/**
+ * Budget Manager - Token/cost budgets with automatic enforcement
+ *
+ * - Budgets are daily or monthly, on tokens or estimated cost
+ * - Scope: global, one gateway, or one agent
+ * - Usage comes from the CostTracker ledger, checked every CHECK_INTERVAL
+ * - Crossing warnAt or the limit emits 'budget:alert'; a new period emits 'budget:resolved'
+ * - Policy on exceed: 'none', 'warn' (sessions.send a message) or 'close' (sessions.delete);
+ *   gateways in maintenance are left alone and warnings to held agents are queued
+ * - Persistent storage in data/budgets.json (definitions + per-period state)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const BUDGETS_FILE = path.join(DATA_DIR, 'budgets.json');
+const CHECK_INTERVAL = 30000;   // 30 seconds
+const SCOPES = ['global', 'gateway', 'agent'];
+const PERIODS = ['daily', 'monthly'];
+const METRICS = ['tokens', 'cost'];
+const ACTIONS = ['none', 'warn', 'close'];
+const DEFAULT_WARNING = '⚠️ Budget limit reached for this agent. Please wrap up and avoid starting new work.';
+const EDITABLE_FIELDS = ['name', 'scope', 'targetId', 'period', 'metric', 'limit', 'warnAt', 'action', 'warningMessage', 'enabled'];
+const THRESHOLD_FIELDS = ['scope', 'targetId', 'period', 'metric', 'limit'];  // Changing these re-evaluates from scratch
+
+class BudgetManager extends EventEmitter {
+  constructor(gatewayManager, costTracker) {
+    super();
+    this.gatewayManager = gatewayManager;
+    this.costTracker = costTracker;
+    this.budgets = new Map();  // id -> budget definition
+    this.state = new Map();    // id -> { period, level, usage, triggeredAt, actionTakenAt, actionResult }
+    this.checkTimer = null;
+    this._loadBudgets();
+  }
+
+  _loadBudgets() {
+    try {
+      if (fs.existsSync(BUDGETS_FILE)) {
+        const data = JSON.parse(fs.readFileSync(BUDGETS_FILE, 'utf8'));
+        for (const budget of data.budgets || []) {
+          this.budgets.set(budget.id, budget);
+        }
+        for (const [id, state] of Object.entries(data.state || {})) {
+          this.state.set(id, state);
+        }
+        console.log(`💰 Loaded ${this.budgets.size} budgets`);
+      }
+    } catch (err) {
+      console.error('Failed to load budgets:', err.message);
+    }
+  }
+
+  _saveBudgets() {
+    try {
+      const data = {
+        version: 1,
+        savedAt: new Date().toISOString(),
+        budgets: Array.from(this.budgets.values()),
+        state: Object.fromEntries(this.state)
+      };
+      fs.writeFileSync(BUDGETS_FILE, JSON.stringify(data, null, 2));
+    } catch (err) {
+      console.error('Failed to save budgets:', err.message);
+    }
+  }
+
+  start() {
+    this.checkTimer = setInterval(() => this.check(), CHECK_INTERVAL);
+    this.check();
+  }
+
+  stop() {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+  }
+
+  // === Definitions ===
+
+  addBudget(data) {
+    const budget = this._validate({
+      id: `budget-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      scope: 'global',
+      targetId: null,
+      period: 'daily',
+      metric: 'cost',
+      warnAt: 0.8,
+      action: 'none',
+      warningMessage: null,
+      enabled: true,
+      ...this._pick(data),
+      createdAt: new Date().toISOString()
+    });
+
+    this.budgets.set(budget.id, budget);
+    this._saveBudgets();
+    console.log(`💰 Added budget: ${budget.name}`);
+    this.check();
+    return this.getBudget(budget.id);
+  }
+
+  updateBudget(id, changes) {
+    const existing = this.budgets.get(id);
+    if (!existing) return null;
+
+    const budget = this._validate({ ...existing, ...this._pick(changes) });
+    this.budgets.set(id, budget);
+    // A new limit or target re-evaluates from scratch; renames and message edits keep the state
+    if (THRESHOLD_FIELDS.some(field => budget[field] !== existing[field])) {
+      this.state.delete(id);
+    }
+    this._saveBudgets();
+    this.check();
+    return this.getBudget(id);
+  }
+
+  removeBudget(id) {
+    if (!this.budgets.delete(id)) return false;
+    const state = this.state.get(id);
+    this.state.delete(id);
+    this._saveBudgets();
+    if (state?.level && state.level !== 'ok') {
+      this.emit('budget:resolved', { budgetId: id });
+    }
+    return true;
+  }
+
+  getBudget(id) {
+    const budget = this.budgets.get(id);
+    return budget ? { ...budget, status: this.state.get(id) || null } : null;
+  }
+
+  getBudgets() {
+    return Array.from(this.budgets.keys()).map(id => this.getBudget(id));
+  }
+
+  /**
+   * Budgets currently at warning or exceeded level
+   */
+  getActiveAlerts() {
+    return this.getBudgets()
+      .filter(b => b.enabled && b.status && b.status.level !== 'ok')
+      .map(b => this._alertPayload(b, b.status));
+  }
+
+  _pick(data) {
+    return Object.fromEntries(EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+  }
+
+  _validate(budget) {
+    if (!budget.limit || typeof budget.limit !== 'number' || budget.limit <= 0) {
+      throw new Error('limit must be a positive number');
+    }
+    if (!SCOPES.includes(budget.scope)) throw new Error(`scope must be one of: ${SCOPES.join(', ')}`);
+    if (!PERIODS.includes(budget.period)) throw new Error(`period must be one of: ${PERIODS.join(', ')}`);
+    if (!METRICS.includes(budget.metric)) throw new Error(`metric must be one of: ${METRICS.join(', ')}`);
+    if (!ACTIONS.includes(budget.action)) throw new Error(`action must be one of: ${ACTIONS.join(', ')}`);
+    if (budget.scope !== 'global' && !budget.targetId) {
+      throw new Error(`targetId is required for ${budget.scope} budgets`);
+    }
+    if (budget.warnAt !== null && (typeof budget.warnAt !== 'number' || budget.warnAt <= 0 || budget.warnAt >= 1)) {
+      throw new Error('warnAt must be between 0 and 1 (or null)');
+    }
+    if (budget.scope === 'global') budget.targetId = null;
+    budget.name = budget.name || this._defaultName(budget);
+    return budget;
+  }
+
+  _defaultName(budget) {
+    const target = budget.scope === 'global' ? 'All agents' : budget.targetId;
+    return `${target} ${budget.period} ${budget.metric}`;
+  }
+
+  // === Evaluation ===
+
+  /**
+   * Evaluate every enabled budget against current usage
+   */
+  check() {
+    let changed = false;
+    for (const budget of this.budgets.values()) {
+      if (!budget.enabled) continue;
+      try {
+        if (this._checkBudget(budget)) changed = true;
+      } catch (err) {
+        console.error(`Budget check failed for ${budget.name}:`, err.message);
+      }
+    }
+    if (changed) this._saveBudgets();
+  }
+
+  _checkBudget(budget) {
+    const period = this._periodKey(budget.period);
+    const usage = this._usage(budget);
+    const ratio = usage / budget.limit;
+    const level = ratio >= 1 ? 'exceeded' : (budget.warnAt && ratio >= budget.warnAt ? 'warning' : 'ok');
+
+    let state = this.state.get(budget.id);
+    if (!state || state.period !== period) {
+      if (state && state.level !== 'ok') {
+        this.emit('budget:resolved', { budgetId: budget.id, name: budget.name, period: state.period });
+      }
+      state = { period, level: 'ok', usage: 0, triggeredAt: null, actionTakenAt: null, actionResult: null };
+    }
+
+    const previousLevel = state.level;
+    const changed = previousLevel !== level || state.usage !== usage;
+    state.usage = usage;
+    state.level = level;
+    this.state.set(budget.id, state);
+
+    // Only escalate - usage doesn't go down within a period
+    if (this._rank(level) > this._rank(previousLevel)) {
+      state.triggeredAt = new Date().toISOString();
+      console.log(`💸 Budget ${level}: ${budget.name} (${this._format(budget, usage)} / ${this._format(budget, budget.limit)})`);
+      this.emit('budget:alert', this._alertPayload(budget, state));
+
+      if (level === 'exceeded' && budget.action !== 'none' && !state.actionTakenAt) {
+        state.actionTakenAt = new Date().toISOString();
+        this._enforce(budget).then(result => {
+          state.actionResult = result;
+          this._saveBudgets();
+          this.emit('budget:action', { budgetId: budget.id, name: budget.name, action: budget.action, ...result });
+        });
+      }
+    }
+
+    return changed;
+  }
+
+  _usage(budget) {
+    const now = new Date();
+    const from = budget.period === 'monthly'
+      ? `${now.toISOString().slice(0, 7)}-01`
+      : now.toISOString().slice(0, 10);
+
+    const result = this.costTracker.query({
+      from,
+      to: now.toISOString(),
+      groupBy: 'day',
+      gatewayId: budget.scope === 'gateway' ? budget.targetId : undefined,
+      agentId: budget.scope === 'agent' ? budget.targetId : undefined
+    });
+    return budget.metric === 'cost' ? result.total.cost : result.total.tokens;
+  }
+
+  /**
+   * Apply the budget's policy to every session in scope
+   */
+  async _enforce(budget) {
+    const sessions = this._sessionsInScope(budget);
+    const result = { sessions: sessions.length, succeeded: 0, failed: 0, queued: 0, skipped: 0, errors: [] };
+    const suppressed = new Set(this.gatewayManager.getGateways().filter(gw => !gw.enabled || gw.inMaintenance).map(gw => gw.id));
+
+    for (const { gatewayId, sessionKey } of sessions) {
+      if (suppressed.has(gatewayId)) {
+        result.skipped++;
+        continue;
+      }
+      try {
+        if (budget.action === 'warn') {
+          const sent = await this.gatewayManager.sendToSession(gatewayId, sessionKey, budget.warningMessage || DEFAULT_WARNING, { source: 'budget' });
+          if (sent?.queued) {
+            result.queued++;
+            continue;
+          }
+        } else if (budget.action === 'close') {
+          await this.gatewayManager.deleteSession(gatewayId, sessionKey);
+        }
+        result.succeeded++;
+      } catch (err) {
+        result.failed++;
+        result.errors.push({ gatewayId, sessionKey, error: err.message });
+      }
+    }
+
+    console.log(`💸 Budget action '${budget.action}' for ${budget.name}: ${result.succeeded}/${result.sessions} sessions` +
+      `${result.queued ? `, ${result.queued} queued` : ''}${result.skipped ? `, ${result.skipped} skipped (maintenance)` : ''}`);
+    return result;
+  }
+
+  _sessionsInScope(budget) {
+    const sessions = [];
+    for (const agent of this.gatewayManager.getAgents()) {
+      if (budget.scope === 'gateway' && agent.gatewayId !== budget.targetId) continue;
+      if (budget.scope === 'agent' && agent.id !== budget.targetId) continue;
+
+      for (const session of agent.sessions || []) {
+        // Warnings only go to sessions that are doing something
+        if (budget.action === 'warn' && session.status !== 'active') continue;
+        sessions.push({ gatewayId: agent.gatewayId, sessionKey: session.sessionKey });
+      }
+    }
+    return sessions;
+  }
+
+  _alertPayload(budget, state) {
+    return {
+      budgetId: budget.id,
+      name: budget.name,
+      scope: budget.scope,
+      targetId: budget.targetId,
+      period: state.period,
+      metric: budget.metric,
+      limit: budget.limit,
+      usage: state.usage,
+      level: state.level,
+      action: budget.action,
+      triggeredAt: state.triggeredAt
+    };
+  }
+
+  _periodKey(period) {
+    const now = new Date().toISOString();
+    return period === 'monthly' ? now.slice(0, 7) : now.slice(0, 10);
+  }
+
+  _rank(level) {
+    return { ok: 0, warning: 1, exceeded: 2 }[level] || 0;
+  }
+
+  _format(budget, value) {
+    return budget.metric === 'cost' ? `$${value.toFixed(2)}` : `${Math.round(value)} tokens`;
+  }
+}
+
+module.exports = BudgetManager;
@@ -0,0 +1,234 @@
+/**
+ * Cost Tracker - Daily token usage and estimated cost ledger
+ *
+ * Watches agent updates, turns per-session token increases into cost using the
+ * pricing table, and accumulates them per day/gateway/agent/session/model.
+ * Persistent storage in data/costs.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const COSTS_FILE = path.join(DATA_DIR, 'costs.json');
+const SAVE_DELAY = 5000;        // Debounce writes
+const RETENTION_DAYS = 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GROUP_FIELDS = {
+  day: ['day'],
+  gateway: ['gatewayId'],
+  agent: ['gatewayId', 'agentId'],
+  session: ['gatewayId', 'agentId', 'sessionKey'],
+  model: ['model']
+};
+
+class CostTracker {
+  constructor(gatewayManager, pricing) {
+    this.gatewayManager = gatewayManager;
+    this.pricing = pricing;
+    this.days = {};      // day -> entryKey -> { gatewayId, agentId, sessionKey, model, inputTokens, outputTokens, tokens, cost, unpricedTokens }
+    this.lastSeen = {};  // gatewayId|sessionKey -> { inputTokens, outputTokens, totalTokens }
+    this.saveTimer = null;
+    this._loadCosts();
+  }
+
+  _loadCosts() {
+    try {
+      if (fs.existsSync(COSTS_FILE)) {
+        const data = JSON.parse(fs.readFileSync(COSTS_FILE, 'utf8'));
+        this.days = data.days || {};
+        this.lastSeen = data.lastSeen || {};
+      }
+    } catch (err) {
+      console.error('Failed to load costs:', err.message);
+    }
+  }
+
+  _saveCosts() {
+    this.saveTimer = null;
+    try {
+      this._prune();
+      const data = {
+        version: 1,
+        savedAt: new Date().toISOString(),
+        days: this.days,
+        lastSeen: this.lastSeen
+      };
+      fs.writeFileSync(COSTS_FILE, JSON.stringify(data));
+    } catch (err) {
+      console.error('Failed to save costs:', err.message);
+    }
+  }
+
+  _scheduleSave() {
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => this._saveCosts(), SAVE_DELAY);
+    }
+  }
+
+  start() {
+    this.gatewayManager.on('agent:update', (agent) => this.record(agent));
+    this.gatewayManager.on('session:removed', ({ gatewayId, sessionKey }) => this._forget(`${gatewayId}|${sessionKey}`));
+    this.gatewayManager.on('gateway:removed', ({ id }) => this._forget(`${id}|`, { prefix: true }));
+  }
+
+  stop() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this._saveCosts();
+    }
+  }
+
+  /**
+   * Add token increases since the last update of each session to today's ledger
+   */
+  record(agent) {
+    let changed = false;
+
+    for (const session of agent.sessions || []) {
+      // Partial session updates don't carry token counts - wait for the next full list
+      if (session.totalTokens === undefined) continue;
+
+      const key = `${agent.gatewayId}|${session.sessionKey}`;
+      const current = {
+        inputTokens: session.inputTokens,
+        outputTokens: session.outputTokens,
+        totalTokens: session.totalTokens || 0
+      };
+      const previous = this.lastSeen[key];
+      this.lastSeen[key] = current;
+
+      let delta;
+      let day = this._dayOf(Date.now());
+      if (!previous || current.totalTokens < previous.totalTokens) {
+        // First sighting (or the session was reset) - attribute all of it to its last activity
+        delta = current;
+        if (!previous && session.lastActive) day = this._dayOf(Date.parse(session.lastActive) || Date.now());
+      } else if (current.inputTokens !== undefined && previous.inputTokens !== undefined) {
+        delta = {
+          inputTokens: Math.max(0, current.inputTokens - previous.inputTokens),
+          outputTokens: Math.max(0, (current.outputTokens || 0) - (previous.outputTokens || 0)),
+          totalTokens: current.totalTokens - previous.totalTokens
+        };
+      } else {
+        // No input/output split on both sides - price the total with the blended share
+        delta = { totalTokens: current.totalTokens - previous.totalTokens };
+      }
+      if (!delta.totalTokens) continue;
+
+      this._add(day, {
+        gatewayId: agent.gatewayId,
+        agentId: agent.agentId,
+        sessionKey: session.sessionKey,
+        model: session.model || agent.model || null
+      }, delta);
+      changed = true;
+    }
+
+    if (changed) this._scheduleSave();
+  }
+
+  /**
+   * Drop the last seen token counts of deleted sessions (the ledger keeps their costs)
+   */
+  _forget(key, { prefix = false } = {}) {
+    let changed = false;
+    for (const seenKey of Object.keys(this.lastSeen)) {
+      if (prefix ? seenKey.startsWith(key) : seenKey === key) {
+        delete this.lastSeen[seenKey];
+        changed = true;
+      }
+    }
+    if (changed) this._scheduleSave();
+  }
+
+  _add(day, labels, delta) {
+    const split = this.pricing.split(delta);
+    const cost = this.pricing.estimate({ model: labels.model, ...delta });
+    const entryKey = [labels.gatewayId, labels.agentId, labels.sessionKey, labels.model].join('|');
+
+    if (!this.days[day]) this.days[day] = {};
+    const entry = this.days[day][entryKey] || (this.days[day][entryKey] = {
+      ...labels, inputTokens: 0, outputTokens: 0, tokens: 0, cost: 0, unpricedTokens: 0
+    });
+
+    entry.inputTokens += split.inputTokens;
+    entry.outputTokens += split.outputTokens;
+    entry.tokens += delta.totalTokens;
+    if (cost === null) {
+      entry.unpricedTokens += delta.totalTokens;
+    } else {
+      entry.cost += cost;
+    }
+  }
+
+  /**
+   * Aggregate costs over a date range, grouped by day, gateway, agent, session or model
+   */
+  query({ from, to, groupBy = 'agent', gatewayId, agentId } = {}) {
+    const fields = GROUP_FIELDS[groupBy];
+    if (!fields) throw new Error(`Invalid groupBy: ${groupBy} (use ${Object.keys(GROUP_FIELDS).join(', ')})`);
+
+    const toDay = to ? this._parseDay(to) : this._dayOf(Date.now());
+    const fromDay = from ? this._parseDay(from) : this._dayOf(Date.parse(toDay) - 29 * DAY_MS);
+    if (fromDay > toDay) throw new Error('from must not be after to');
+
+    const groups = new Map();
+    const total = { inputTokens: 0, outputTokens: 0, tokens: 0, cost: 0, unpricedTokens: 0 };
+
+    for (const [day, entries] of Object.entries(this.days)) {
+      if (day < fromDay || day > toDay) continue;
+
+      for (const entry of Object.values(entries)) {
+        if (gatewayId && entry.gatewayId !== gatewayId) continue;
+        if (agentId && `${entry.gatewayId}:${entry.agentId}` !== agentId) continue;
+
+        const row = { day, ...entry };
+        const key = fields.map(f => row[f]).join('|');
+        if (!groups.has(key)) {
+          const group = { inputTokens: 0, outputTokens: 0, tokens: 0, cost: 0, unpricedTokens: 0 };
+          for (const f of fields) group[f] = row[f];
+          groups.set(key, group);
+        }
+
+        const group = groups.get(key);
+        for (const field of Object.keys(total)) {
+          group[field] += entry[field];
+          total[field] += entry[field];
+        }
+      }
+    }
+
+    const rows = Array.from(groups.values());
+    rows.sort(groupBy === 'day' ? (a, b) => a.day.localeCompare(b.day) : (a, b) => b.cost - a.cost);
+
+    return {
+      from: fromDay,
+      to: toDay,
+      groupBy,
+      currency: this.pricing.getConfig().currency,
+      total,
+      groups: rows
+    };
+  }
+
+  _parseDay(value) {
+    const n = Number(value);
+    const ms = Number.isFinite(n) ? n : Date.parse(value);
+    if (!Number.isFinite(ms)) throw new Error(`Invalid date: ${value}`);
+    return this._dayOf(ms);
+  }
+
+  _dayOf(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+  }
+
+  _prune() {
+    const cutoff = this._dayOf(Date.now() - RETENTION_DAYS * DAY_MS);
+    for (const day of Object.keys(this.days)) {
+      if (day < cutoff) delete this.days[day];
+    }
+  }
+}
+
+module.exports = CostTracker;
@@ -0,0 +1,262 @@
+/**
+ * Cron Monitor - Run history and schedules of cron job sessions
+ *
+ * - Every `:cron:` session on every gateway is a job, id `${gatewayId}:${sessionKey}`
+ * - A run starts when the session goes active and ends when it leaves active;
+ *   it failed if the session ends up in 'error'. Runs that happen between two
+ *   updates (seen only as a newer lastActive) are recorded without a duration
+ * - Tokens and cost of a run are the session's increase over it
+ * - The next run is expected one interval (median of the recent gaps between
+ *   runs) after the last one; a job past that is overdue
+ * - Persistent storage in data/cron-jobs.json (last MAX_RUNS runs per job)
+ * - Emits 'job:update' whenever a job's runs or state change, 'job:removed' when
+ *   its session is closed or its gateway removed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const SAVE_DELAY = 5000;       // Debounce writes
+const MAX_RUNS = 50;
+const MIN_RUNS_FOR_SCHEDULE = 3;
+const SCHEDULE_WINDOW = 10;    // Recent runs the interval is inferred from
+
+class CronMonitor extends EventEmitter {
+  constructor(gatewayManager, { dataDir = DATA_DIR } = {}) {
+    super();
+    this.gatewayManager = gatewayManager;
+    this.file = path.join(dataDir, 'cron-jobs.json');
+    this.jobs = new Map();  // jobId -> { id, gatewayId, agentId, sessionKey, label, status, lastActive, current, runs }
+    this.saveTimer = null;
+    this._loadJobs();
+  }
+
+  _loadJobs() {
+    try {
+      if (fs.existsSync(this.file)) {
+        const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        for (const job of data.jobs || []) {
+          // A run in progress when we stopped can't be timed any more
+          this.jobs.set(job.id, { ...job, current: null });
+        }
+        console.log(`⏰ Loaded ${this.jobs.size} cron jobs`);
+      }
+    } catch (err) {
+      console.error('Failed to load cron jobs:', err.message);
+    }
+  }
+
+  _saveJobs() {
+    this.saveTimer = null;
+    try {
+      const data = {
+        version: 1,
+        savedAt: new Date().toISOString(),
+        jobs: Array.from(this.jobs.values()).map(({ current, ...job }) => job)
+      };
+      fs.writeFileSync(this.file, JSON.stringify(data, null, 2));
+    } catch (err) {
+      console.error('Failed to save cron jobs:', err.message);
+    }
+  }
+
+  _scheduleSave() {
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => this._saveJobs(), SAVE_DELAY);
+    }
+  }
+
+  start() {
+    this.gatewayManager.on('agent:update', (agent) => this.record(agent));
+    this.gatewayManager.on('gateway:removed', ({ id }) => this._removeGatewayJobs(id));
+  }
+
+  stop() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this._saveJobs();
+    }
+  }
+
+  /**
+   * Track runs of the agent's cron sessions; jobs whose session was closed go away.
+   * Agents removed because their gateway went offline keep their jobs.
+   */
+  record(agent, now = Date.now()) {
+    const cronSessions = (agent.sessions || []).filter(s => s.sessionType === 'cron');
+    const seen = new Set();
+
+    for (const session of cronSessions) {
+      const id = `${agent.gatewayId}:${session.sessionKey}`;
+      seen.add(id);
+
+      let job = this.jobs.get(id);
+      if (!job) {
+        job = {
+          id,
+          gatewayId: agent.gatewayId,
+          agentId: agent.id,
+          sessionKey: session.sessionKey,
+          label: session.label,
+          status: session.status,
+          lastActive: session.lastActive || null,
+          current: null,
+          runs: []
+        };
+        this.jobs.set(id, job);
+        // The first sighting of a running job still starts a run
+        if (session.status === 'active') this._startRun(job, session, now);
+        this._changed(job);
+        continue;
+      }
+
+      const wasRunning = !!job.current;
+      const isRunning = session.status === 'active';
+      const ranSince = session.lastActive && job.lastActive && session.lastActive > job.lastActive;
+
+      job.label = session.label || job.label;
+      if (isRunning && !wasRunning) {
+        this._startRun(job, session, now);
+      } else if (!isRunning && wasRunning) {
+        this._finishRun(job, session, now);
+      } else if (!isRunning && ranSince) {
+        // Started and finished between two updates
+        this._addRun(job, {
+          startedAt: session.lastActive,
+          finishedAt: session.lastActive,
+          durationMs: null,
+          outcome: session.status === 'error' ? 'error' : 'success',
+          tokens: null,
+          cost: null
+        });
+      } else if (job.status === session.status) {
+        continue;
+      }
+
+      job.status = session.status;
+      job.lastActive = session.lastActive || job.lastActive;
+      this._changed(job);
+    }
+
+    // Cron sessions the agent no longer has were closed
+    for (const job of this.jobs.values()) {
+      if (job.agentId === agent.id && !seen.has(job.id)) {
+        this.jobs.delete(job.id);
+        this._scheduleSave();
+        this.emit('job:removed', { id: job.id });
+      }
+    }
+  }
+
+  _startRun(job, session, now) {
+    job.current = {
+      startedAt: new Date(now).toISOString(),
+      tokens: session.totalTokens,
+      cost: session.estimatedCost
+    };
+  }
+
+  _finishRun(job, session, now) {
+    const { startedAt, tokens, cost } = job.current;
+    job.current = null;
+    this._addRun(job, {
+      startedAt,
+      finishedAt: new Date(now).toISOString(),
+      durationMs: now - Date.parse(startedAt),
+      outcome: session.status === 'error' ? 'error' : 'success',
+      tokens: tokens !== undefined && session.totalTokens !== undefined ? Math.max(0, session.totalTokens - tokens) : null,
+      cost: typeof cost === 'number' && typeof session.estimatedCost === 'number'
+        ? Math.max(0, Math.round((session.estimatedCost - cost) * 1e6) / 1e6)
+        : null
+    });
+  }
+
+  _addRun(job, run) {
+    job.runs.push(run);
+    if (job.runs.length > MAX_RUNS) job.runs.splice(0, job.runs.length - MAX_RUNS);
+  }
+
+  _changed(job) {
+    this._scheduleSave();
+    this.emit('job:update', this._publicJob(job));
+  }
+
+  _removeGatewayJobs(gatewayId) {
+    for (const job of this.jobs.values()) {
+      if (job.gatewayId === gatewayId) {
+        this.jobs.delete(job.id);
+        this.emit('job:removed', { id: job.id });
+      }
+    }
+    this._scheduleSave();
+  }
+
+  /**
+   * Every job with its last run and next expected run, optionally for some gateways only
+   */
+  getJobs({ gatewayIds = null } = {}, now = Date.now()) {
+    return Array.from(this.jobs.values())
+      .filter(job => !gatewayIds || gatewayIds.includes(job.gatewayId))
+      .map(job => this._publicJob(job, now));
+  }
+
+  getJob(id, now = Date.now()) {
+    const job = this.jobs.get(id);
+    return job ? this._publicJob(job, now) : null;
+  }
+
+  /**
+   * Runs of one job, newest first
+   */
+  getRuns(id) {
+    const job = this.jobs.get(id);
+    return job ? job.runs.slice().reverse() : null;
+  }
+
+  /**
+   * Median gap between the recent runs' starts, or null with too few runs to tell
+   */
+  _inferInterval(runs) {
+    if (runs.length < MIN_RUNS_FOR_SCHEDULE) return null;
+    const starts = runs.slice(-SCHEDULE_WINDOW).map(r => Date.parse(r.startedAt));
+    const gaps = starts.slice(1).map((t, i) => t - starts[i]).filter(gap => gap > 0).sort((a, b) => a - b);
+    if (gaps.length === 0) return null;
+    return gaps[Math.floor(gaps.length / 2)];
+  }
+
+  _consecutiveFailures(runs) {
+    let count = 0;
+    for (let i = runs.length - 1; i >= 0 && runs[i].outcome === 'error'; i--) count++;
+    return count;
+  }
+
+  _publicJob(job, now = Date.now()) {
+    const agent = this.gatewayManager.getAgents().find(a => a.id === job.agentId);
+    const lastRun = job.runs[job.runs.length - 1] || null;
+    const intervalMs = this._inferInterval(job.runs);
+    const lastStart = job.current?.startedAt || lastRun?.startedAt;
+    const nextRunAt = intervalMs && lastStart ? new Date(Date.parse(lastStart) + intervalMs).toISOString() : null;
+
+    return {
+      id: job.id,
+      gatewayId: job.gatewayId,
+      agentId: job.agentId,
+      agentName: agent?.name || job.agentId.split(':').slice(1).join(':'),
+      sessionKey: job.sessionKey,
+      label: job.label,
+      status: job.status,
+      running: !!job.current,
+      runningSince: job.current?.startedAt || null,
+      lastRun,
+      runCount: job.runs.length,
+      consecutiveFailures: this._consecutiveFailures(job.runs),
+      intervalMs,
+      nextRunAt,
+      overdue: !job.current && !!nextRunAt && Date.parse(nextRunAt) < now
+    };
+  }
+}
+
+module.exports = CronMonitor;
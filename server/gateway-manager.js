@@ -7,6 +7,16 @@
  * - Persistent storage in JSON file
  * - WebSocket connections for realtime agent updates
  * - Health check polling for each gateway
+ * - Reconnects with exponential backoff + jitter; after CIRCUIT_THRESHOLD failed
+ *   attempts in a row the circuit opens and we leave the gateway alone for CIRCUIT_COOLDOWN
+ * - Disabled gateways keep their config but are not polled or connected
+ * - Maintenance mode (optionally until a given time) keeps monitoring but suppresses alerts
+ * - Tags and an environment (prod/staging/dev) group gateways; lists can be filtered by them
+ * - Agents come from agents.list (configured agents, even without sessions) merged with sessions.list
+ * - Agent names/avatars come from the AgentDirectory, then agents.list, then the agent id
+ * - Subagent sessions are tracked under their parent agent (nested by spawnedBy), not as agents
+ * - Agents can be paused: by the gateway when it has agents.pause/agents.resume, otherwise
+ *   by holding their messages in an AgentPauses queue until they're resumed
  * 
  * Uses Clawdbot Gateway Protocol v3
  */
@@ -18,45 +28,99 @@ const WebSocket = require('ws');
 const crypto = require('crypto');
 const dgram = require('dgram');
 const EventEmitter = require('events');
+const secrets = require('./secrets');
 
 const DATA_DIR = path.join(__dirname, '../data');
-const GATEWAYS_FILE = path.join(DATA_DIR, 'gateways.json');
 const HEALTH_INTERVAL = 10000;  // 10 seconds
 const DISCOVERY_PORT = 18790;   // UDP broadcast port for discovery
-const RECONNECT_DELAY = 5000;   // 5 seconds before reconnect attempt
+const RECONNECT_DELAY = 1000;   // First reconnect after ~1s, doubling per failed attempt
+const MAX_RECONNECT_DELAY = 60000;
+const CIRCUIT_THRESHOLD = 6;    // Consecutive failed attempts before the circuit opens
+const CIRCUIT_COOLDOWN = 5 * 60 * 1000;
+const MAX_TIMER_DELAY = 2 ** 31 - 1;  // setTimeout overflows beyond ~24.8 days
+const MAX_HISTORY_PAGE = 200;
+const MAX_HISTORY_WINDOW = 1000;  // How far back history goes on gateways that can't page it themselves
 const PROTOCOL_VERSION = 3;     // Clawdbot gateway protocol version
+const STORAGE_VERSION = 2;      // v2: gateway tokens encrypted at rest
+const ENVIRONMENTS = ['prod', 'staging', 'dev'];
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_.:-]{0,31}$/;
+const MAX_TAGS = 20;
+const DEFAULT_AVATAR = '🤖';
+// Gateway error codes that mean the method doesn't exist, or that our connect scopes don't cover it
+const UNSUPPORTED_CODES = ['unknown_method', 'method_not_found', 'not_implemented'];
+const FORBIDDEN_CODES = ['forbidden', 'unauthorized', 'missing_scope', 'insufficient_scope'];
 
 class GatewayManager extends EventEmitter {
-  constructor() {
+  constructor({
+    pricing = null,
+    directory = null,
+    pauses = null,
+    dataDir = DATA_DIR,
+    reconnectDelay = RECONNECT_DELAY,
+    maxReconnectDelay = MAX_RECONNECT_DELAY,
+    circuitThreshold = CIRCUIT_THRESHOLD,
+    circuitCooldown = CIRCUIT_COOLDOWN
+  } = {}) {
     super();
+    this.pricing = pricing;     // Optional Pricing instance for cost estimates
+    this.directory = directory; // Optional AgentDirectory for display names/avatars
+    this.pauses = pauses;       // Optional AgentPauses - without it agents can't be paused
+    this.dataDir = dataDir;
+    this.gatewaysFile = path.join(dataDir, 'gateways.json');
+    this.reconnectDelay = reconnectDelay;
+    this.maxReconnectDelay = maxReconnectDelay;
+    this.circuitThreshold = circuitThreshold;
+    this.circuitCooldown = circuitCooldown;
     this.gateways = new Map();  // id -> gateway config + state
     this.connections = new Map(); // id -> WebSocket connection
     this.pendingRequests = new Map(); // id -> Map(requestId -> { resolve, reject, timeout })
     this.healthTimers = new Map(); // id -> interval timer
+    this.reconnectTimers = new Map(); // id -> pending reconnect timeout
+    this.connectionStates = new Map(); // id -> { state, failures, nextAttemptAt, circuitOpenUntil, lastAttemptAt }
+    this.maintenanceTimers = new Map(); // id -> timeout that ends maintenance
     this.agents = new Map();    // agentId -> agent data
+    this.reportedAgents = new Map(); // gatewayId -> Map(agentId -> config from agents.list)
     this.discoverySocket = null;
     this._ensureDataDir();
     this._loadGateways();
+
+    if (this.directory) {
+      this.directory.on('change', () => this._applyDirectory());
+    }
+    if (this.pauses) {
+      this.pauses.on('change', (agentId) => this._applyPause(agentId));
+    }
   }
 
   _ensureDataDir() {
-    if (!fs.existsSync(DATA_DIR)) {
-      fs.mkdirSync(DATA_DIR, { recursive: true });
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
     }
   }
 
   _loadGateways() {
     try {
-      if (fs.existsSync(GATEWAYS_FILE)) {
-        const data = JSON.parse(fs.readFileSync(GATEWAYS_FILE, 'utf8'));
+      if (fs.existsSync(this.gatewaysFile)) {
+        const data = JSON.parse(fs.readFileSync(this.gatewaysFile, 'utf8'));
         for (const gw of data.gateways || []) {
           // Reset runtime state on load
-          gw.status = 'disconnected';
+          gw.enabled = gw.enabled !== false;
+          gw.maintenance = gw.maintenance || null;
+          gw.tags = Array.isArray(gw.tags) ? gw.tags : [];
+          gw.environment = ENVIRONMENTS.includes(gw.environment) ? gw.environment : null;
+          gw.status = gw.enabled ? 'disconnected' : 'disabled';
           gw.lastSeen = null;
           gw.agents = [];
+          this._decryptGatewayToken(gw);
           this.gateways.set(gw.id, gw);
         }
         console.log(`📂 Loaded ${this.gateways.size} gateways from storage`);
+
+        // v1 files stored tokens in plaintext - rewrite them encrypted
+        if ((data.version || 1) < STORAGE_VERSION) {
+          this._saveGateways();
+          console.log(`🔐 Migrated gateways.json to v${STORAGE_VERSION} (encrypted tokens)`);
+        }
       }
     } catch (err) {
       console.error('Failed to load gateways:', err.message);
@@ -66,35 +130,58 @@ class GatewayManager extends EventEmitter {
   _saveGateways() {
     try {
       const data = {
-        version: 1,
+        version: STORAGE_VERSION,
         savedAt: new Date().toISOString(),
         gateways: Array.from(this.gateways.values()).map(gw => ({
           id: gw.id,
           url: gw.url,
           name: gw.name,
-          token: gw.token,
+          token: gw.token ? secrets.encrypt(gw.token) : (gw.encryptedToken || null),
           autoDiscovered: gw.autoDiscovered || false,
+          enabled: gw.enabled !== false,
+          maintenance: gw.maintenance || null,
+          tags: gw.tags || [],
+          environment: gw.environment || null,
           createdAt: gw.createdAt
         }))
       };
-      fs.writeFileSync(GATEWAYS_FILE, JSON.stringify(data, null, 2));
+      fs.writeFileSync(this.gatewaysFile, JSON.stringify(data, null, 2), { mode: 0o600 });
     } catch (err) {
       console.error('Failed to save gateways:', err.message);
     }
   }
 
+  /**
+   * Decrypt a stored token in place. If it can't be decrypted (wrong key),
+   * keep the ciphertext so saving doesn't destroy it.
+   */
+  _decryptGatewayToken(gw) {
+    if (!secrets.isEncrypted(gw.token)) return;
+
+    try {
+      gw.token = secrets.decrypt(gw.token);
+    } catch (err) {
+      console.error(`Failed to decrypt token for ${gw.name}:`, err.message);
+      gw.encryptedToken = gw.token;
+      gw.token = null;
+      gw.lastError = 'Stored token could not be decrypted - check TEAM_CONTROL_SECRET_KEY';
+    }
+  }
+
   /**
    * Register a new gateway (manual or auto-discovered)
    */
-  addGateway({ url, name, token, autoDiscovered = false }) {
+  addGateway({ url, name, token, tags, environment, autoDiscovered = false }) {
     // Normalize URL
     url = this._normalizeUrl(url);
+    tags = this._normalizeTags(tags);
+    environment = this._normalizeEnvironment(environment);
     
     // Check for duplicate URL
     for (const [id, gw] of this.gateways) {
       if (gw.url === url) {
         console.log(`⚠️ Gateway already registered: ${url}`);
-        return gw;
+        return this._sanitizeGateway(gw);
       }
     }
 
@@ -105,6 +192,10 @@ class GatewayManager extends EventEmitter {
       name: name || this._deriveGatewayName(url),
       token: token || null,
       autoDiscovered,
+      enabled: true,
+      maintenance: null,
+      tags,
+      environment,
       status: 'connecting',
       lastSeen: null,
       lastError: null,
@@ -136,42 +227,163 @@ class GatewayManager extends EventEmitter {
     // Cleanup
     this._stopHealthCheck(id);
     this._disconnectGateway(id);
-    
-    // Remove agents associated with this gateway
+    this._clearMaintenanceTimer(id);
+    this._removeGatewayAgents(id);
+
+    this.gateways.delete(id);
+    this.connectionStates.delete(id);
+    this._saveGateways();
+    this.emit('gateway:removed', { id });
+
+    console.log(`🗑️ Removed gateway: ${gateway.name}`);
+    return true;
+  }
+
+  /**
+   * Remove every agent of a gateway
+   */
+  _removeGatewayAgents(id) {
     for (const [agentId, agent] of this.agents) {
       if (agent.gatewayId === id) {
         this.agents.delete(agentId);
         this.emit('agent:removed', { id: agentId });
       }
     }
+    this.reportedAgents.delete(id);
+    const gateway = this.gateways.get(id);
+    if (gateway) gateway.agents = [];
+  }
 
-    this.gateways.delete(id);
+  /**
+   * Enable or disable a gateway. Disabled gateways keep their config but are
+   * not polled or connected, and their agents are dropped until re-enabled.
+   */
+  setGatewayEnabled(id, enabled) {
+    const gateway = this.gateways.get(id);
+    if (!gateway) return false;
+    if (gateway.enabled === enabled) return true;
+
+    gateway.enabled = enabled;
     this._saveGateways();
-    this.emit('gateway:removed', { id });
 
-    console.log(`🗑️ Removed gateway: ${gateway.name}`);
+    if (enabled) {
+      console.log(`▶️ Enabled gateway: ${gateway.name}`);
+      this._updateGatewayStatus(id, 'connecting');
+      this._connectToGateway(id);
+      this._startHealthCheck(id);
+    } else {
+      console.log(`⏸️ Disabled gateway: ${gateway.name}`);
+      this._stopHealthCheck(id);
+      this._resetConnection(id);
+      this._removeGatewayAgents(id);
+      this._updateGatewayStatus(id, 'disabled');
+    }
     return true;
   }
 
+  /**
+   * Put a gateway in maintenance (until = ISO time or null for open-ended).
+   * Monitoring continues; alerts for the gateway and its agents are suppressed.
+   */
+  setMaintenance(id, { until = null, reason = null, by = null } = {}) {
+    const gateway = this.gateways.get(id);
+    if (!gateway) return false;
+
+    if (until !== null) {
+      const untilMs = Date.parse(until);
+      if (!Number.isFinite(untilMs)) throw Object.assign(new Error('until must be an ISO date'), { status: 400 });
+      if (untilMs <= Date.now()) throw Object.assign(new Error('until must be in the future'), { status: 400 });
+      until = new Date(untilMs).toISOString();
+    }
+
+    gateway.maintenance = { startedAt: new Date().toISOString(), until, reason: reason || null, by };
+    this._saveGateways();
+    this._scheduleMaintenanceEnd(id);
+    console.log(`🔧 Maintenance started: ${gateway.name}${until ? ` until ${until}` : ''}`);
+    this.emit('gateway:update', this._sanitizeGateway(gateway));
+    return true;
+  }
+
+  /**
+   * End maintenance mode
+   */
+  clearMaintenance(id) {
+    const gateway = this.gateways.get(id);
+    if (!gateway) return false;
+    if (!gateway.maintenance) return true;
+
+    gateway.maintenance = null;
+    this._clearMaintenanceTimer(id);
+    this._saveGateways();
+    console.log(`🔧 Maintenance ended: ${gateway.name}`);
+    this.emit('gateway:update', this._sanitizeGateway(gateway));
+    return true;
+  }
+
+  _isInMaintenance(gateway) {
+    const m = gateway.maintenance;
+    return !!m && (!m.until || Date.parse(m.until) > Date.now());
+  }
+
+  /**
+   * End maintenance when its time is up (re-armed for windows longer than a timer allows)
+   */
+  _scheduleMaintenanceEnd(id) {
+    this._clearMaintenanceTimer(id);
+    const until = this.gateways.get(id)?.maintenance?.until;
+    if (!until) return;
+
+    const remaining = Date.parse(until) - Date.now();
+    if (remaining <= 0) {
+      this.clearMaintenance(id);
+      return;
+    }
+    const timer = setTimeout(() => {
+      this.maintenanceTimers.delete(id);
+      this._scheduleMaintenanceEnd(id);
+    }, Math.min(remaining, MAX_TIMER_DELAY));
+    this.maintenanceTimers.set(id, timer);
+  }
+
+  _clearMaintenanceTimer(id) {
+    clearTimeout(this.maintenanceTimers.get(id));
+    this.maintenanceTimers.delete(id);
+  }
+
   /**
    * Update a gateway's settings
    */
-  updateGateway(id, { name, token }) {
+  updateGateway(id, { name, token, tags, environment }) {
     const gateway = this.gateways.get(id);
     if (!gateway) return false;
 
+    // Validate before changing anything so a bad value doesn't leave a partial update
+    if (tags !== undefined) tags = this._normalizeTags(tags);
+    if (environment !== undefined) environment = this._normalizeEnvironment(environment);
+
     let changed = false;
     
     if (name && name !== gateway.name) {
       gateway.name = name;
       changed = true;
     }
+
+    if (tags !== undefined && tags.join(',') !== gateway.tags.join(',')) {
+      gateway.tags = tags;
+      changed = true;
+    }
+
+    if (environment !== undefined && environment !== gateway.environment) {
+      gateway.environment = environment;
+      changed = true;
+    }
     
     if (token) {
       gateway.token = token;
+      delete gateway.encryptedToken;
       changed = true;
-      // Reconnect with new token
-      this._disconnectGateway(id);
+      // New credentials deserve a fresh start - reset backoff and the circuit
+      this._resetConnection(id);
       this._connectToGateway(id);
     }
     
@@ -185,17 +397,83 @@ class GatewayManager extends EventEmitter {
   }
 
   /**
-   * Get all gateways (sanitized - no tokens)
+   * Get all gateways (sanitized - no tokens). A filter keeps gateways that
+   * have every one of `tags` and, if given, the `environment`.
    */
-  getGateways() {
-    return Array.from(this.gateways.values()).map(gw => this._sanitizeGateway(gw));
+  getGateways(filter = {}) {
+    return Array.from(this.gateways.values())
+      .filter(gw => this._matchesFilter(gw, filter))
+      .map(gw => this._sanitizeGateway(gw));
   }
 
   /**
-   * Get all agents from all gateways
+   * Get all agents from all gateways, optionally only those of gateways matching a filter
    */
-  getAgents() {
-    return Array.from(this.agents.values());
+  getAgents(filter = {}) {
+    const agents = Array.from(this.agents.values());
+    if (!filter.tags?.length && !filter.environment) return agents;
+
+    return agents.filter(a => {
+      const gateway = this.gateways.get(a.gatewayId);
+      return gateway && this._matchesFilter(gateway, filter);
+    });
+  }
+
+  _matchesFilter(gateway, { tags = [], environment } = {}) {
+    if (environment && gateway.environment !== environment) return false;
+    return tags.every(tag => gateway.tags.includes(tag));
+  }
+
+  /**
+   * Tags are lowercase, de-duplicated and sorted so they compare cheaply
+   */
+  _normalizeTags(tags) {
+    if (tags === undefined || tags === null) return [];
+    if (!Array.isArray(tags)) throw Object.assign(new Error('tags must be an array of strings'), { status: 400 });
+
+    const normalized = new Set();
+    for (const tag of tags) {
+      const value = typeof tag === 'string' ? tag.trim().toLowerCase() : '';
+      if (!TAG_PATTERN.test(value)) {
+        throw Object.assign(new Error(`Invalid tag "${tag}": use up to 32 letters, digits, "_", ".", ":" or "-"`), { status: 400 });
+      }
+      normalized.add(value);
+    }
+    if (normalized.size > MAX_TAGS) throw Object.assign(new Error(`At most ${MAX_TAGS} tags per gateway`), { status: 400 });
+    return [...normalized].sort();
+  }
+
+  _normalizeEnvironment(environment) {
+    if (environment === undefined || environment === null || environment === '') return null;
+    if (!ENVIRONMENTS.includes(environment)) {
+      throw Object.assign(new Error(`environment must be one of: ${ENVIRONMENTS.join(', ')}`), { status: 400 });
+    }
+    return environment;
+  }
+
+  /**
+   * Fetch agents.list and sessions.list and rebuild the gateway's agents from both.
+   * Gateways without agents.list still get agents from their sessions.
+   */
+  async refreshAgents(gatewayId) {
+    const [agentsResult, sessionsResult] = await Promise.allSettled([
+      this._sendRequest(gatewayId, 'agents.list', {}),
+      this._sendRequest(gatewayId, 'sessions.list', {})
+    ]);
+
+    if (agentsResult.status === 'fulfilled') {
+      this._setReportedAgents(gatewayId, agentsResult.value);
+    } else {
+      console.log(`agents.list unavailable on ${gatewayId}: ${agentsResult.reason.message}`);
+    }
+    if (sessionsResult.status === 'rejected') throw sessionsResult.reason;
+
+    const sessions = sessionsResult.value?.sessions;
+    if (sessions) this._updateSessionsFromGateway(gatewayId, sessions);
+    return {
+      agents: this.reportedAgents.get(gatewayId)?.size || 0,
+      sessions: sessions?.length || 0
+    };
   }
 
   /**
@@ -205,6 +483,213 @@ class GatewayManager extends EventEmitter {
     return this._sendRequest(gatewayId, method, params, timeoutMs);
   }
 
+  /**
+   * Session keys an agent action applies to: one explicit session, or every
+   * session of the agent when `all` is set. Neither is an error - we don't guess.
+   */
+  resolveSessionTargets(agentId, { sessionKey, all = false } = {}) {
+    const agent = this.agents.get(agentId);
+    if (!agent) throw Object.assign(new Error('Agent not found'), { status: 404 });
+
+    const sessionKeys = (agent.sessions || []).map(s => s.sessionKey);
+    if (sessionKey) {
+      if (!sessionKeys.includes(sessionKey)) {
+        throw Object.assign(new Error(`Session ${sessionKey} does not belong to this agent`), { status: 404 });
+      }
+      return { agent, sessionKeys: [sessionKey] };
+    }
+    if (!all) {
+      throw Object.assign(new Error('sessionKey is required (or set all: true to target every session)'), { status: 400 });
+    }
+    return { agent, sessionKeys };
+  }
+
+  /**
+   * Subagents an agent has spawned, flat; nest them by parentSessionKey
+   */
+  getSubagents(agentId) {
+    const agent = this.agents.get(agentId);
+    if (!agent) throw Object.assign(new Error('Agent not found'), { status: 404 });
+    return agent.subagents || [];
+  }
+
+  /**
+   * Kill one of an agent's subagents by deleting its session on the gateway.
+   * Subagents it spawned are left to the gateway.
+   */
+  async killSubagent(agentId, sessionKey) {
+    const subagent = this.getSubagents(agentId).find(s => s.sessionKey === sessionKey);
+    if (!subagent) {
+      throw Object.assign(new Error(`Subagent ${sessionKey} does not belong to this agent`), { status: 404 });
+    }
+    const agent = this.agents.get(agentId);
+    await this.deleteSession(agent.gatewayId, sessionKey);
+    this._removeSession(agent.gatewayId, sessionKey);
+    return subagent;
+  }
+
+  async getSessionHistory(gatewayId, sessionKey, { limit = 50 } = {}) {
+    const result = await this._sendRequest(gatewayId, 'sessions.history', { sessionKey, limit });
+    return result?.messages || [];
+  }
+
+  /**
+   * One page of a session's history (oldest message first) ending before `before`,
+   * the nextCursor of the newer page; the newest page without it. Gateways that page
+   * sessions.history answer with their own cursor; for the others the page is cut
+   * from a longer sessions.history and the cursor is `offset:<n>` back from the
+   * newest message, up to MAX_HISTORY_WINDOW messages back.
+   * Resolves with { messages, nextCursor } - nextCursor is null at the oldest page.
+   */
+  async getSessionHistoryPage(gatewayId, sessionKey, { limit = 50, before = null } = {}) {
+    limit = Number(limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_PAGE) {
+      throw Object.assign(new Error(`limit must be 1-${MAX_HISTORY_PAGE}`), { status: 400 });
+    }
+
+    if (before && !String(before).startsWith('offset:')) {
+      const result = await this._sendRequest(gatewayId, 'sessions.history', { sessionKey, limit, before });
+      return { messages: result?.messages || [], nextCursor: result?.nextCursor ?? null };
+    }
+
+    const offset = before ? Number(String(before).slice('offset:'.length)) : 0;
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw Object.assign(new Error(`Invalid cursor: ${before}`), { status: 400 });
+    }
+    const result = await this._sendRequest(gatewayId, 'sessions.history', { sessionKey, limit: offset + limit });
+    if (!before && result && 'nextCursor' in result) {
+      return { messages: result.messages || [], nextCursor: result.nextCursor ?? null };
+    }
+
+    const all = result?.messages || [];
+    const end = Math.max(all.length - offset, 0);
+    const more = all.length >= offset + limit && offset + limit < MAX_HISTORY_WINDOW;
+    return {
+      messages: all.slice(Math.max(end - limit, 0), end),
+      nextCursor: more ? `offset:${offset + limit}` : null
+    };
+  }
+
+  /**
+   * Send a message to a session - or, while its agent is held, queue it.
+   * Queued sends resolve with { queued: true, entry }.
+   */
+  async sendToSession(gatewayId, sessionKey, message, { by = null, source = 'message' } = {}) {
+    const agentId = this.sessionAgentId(gatewayId, sessionKey);
+    if (agentId && this.pauses?.isHeld(agentId)) {
+      return { queued: true, entry: this.pauses.enqueue(agentId, { sessionKey, message, by, source }) };
+    }
+    return this._sendRequest(gatewayId, 'sessions.send', { sessionKey, message });
+  }
+
+  /**
+   * Id of the agent a session key belongs to (it may not be loaded), or null
+   */
+  sessionAgentId(gatewayId, sessionKey) {
+    const agentId = this._extractAgentId({ sessionKey });
+    return agentId ? `${gatewayId}:${agentId}` : null;
+  }
+
+  /**
+   * Whether the gateway advertised a method in its hello-ok
+   */
+  supportsMethod(gatewayId, method) {
+    return !!this.gateways.get(gatewayId)?.methods?.includes(method);
+  }
+
+  /**
+   * Pause an agent: through the gateway when it can, otherwise by holding
+   * messages to its sessions here
+   */
+  async pauseAgent(agentId, by = null) {
+    if (!this.pauses) throw Object.assign(new Error('Pausing agents is not available'), { status: 501 });
+    const agent = this.agents.get(agentId);
+    if (!agent) throw Object.assign(new Error('Agent not found'), { status: 404 });
+    if (this.pauses.get(agentId)) throw Object.assign(new Error('Agent is already paused'), { status: 409 });
+
+    let mode = 'hold';
+    if (this.supportsMethod(agent.gatewayId, 'agents.pause')) {
+      await this._sendRequest(agent.gatewayId, 'agents.pause', { agentId: agent.agentId });
+      mode = 'gateway';
+    }
+    this.pauses.pause(agentId, { gatewayId: agent.gatewayId, mode, by });
+    console.log(`⏸️ Paused ${agentId} (${mode})`);
+    return agent;
+  }
+
+  /**
+   * Resume a paused agent. Messages queued while it was held are sent in
+   * order (queue: 'flush') or dropped (queue: 'discard'). Messages that fail
+   * to send stay queued and the agent stays held (stillPaused: true).
+   */
+  async resumeAgent(agentId, { queue = 'flush' } = {}) {
+    if (!['flush', 'discard'].includes(queue)) {
+      throw Object.assign(new Error('queue must be flush or discard'), { status: 400 });
+    }
+    const pause = this.pauses?.get(agentId);
+    if (!pause) throw Object.assign(new Error('Agent is not paused'), { status: 409 });
+
+    if (pause.mode === 'gateway') {
+      await this._sendRequest(pause.gatewayId, 'agents.resume', { agentId: agentId.slice(pause.gatewayId.length + 1) });
+    }
+    const { queue: queued } = this.pauses.resume(agentId);
+    console.log(`▶️ Resumed ${agentId} (${queued.length} queued, ${queue})`);
+
+    if (queue === 'discard') {
+      return { mode: pause.mode, results: [], flushed: 0, failed: 0, discarded: queued.length };
+    }
+
+    const results = [];
+    for (const entry of queued) {
+      try {
+        await this._sendRequest(pause.gatewayId, 'sessions.send', { sessionKey: entry.sessionKey, message: entry.message });
+        results.push({ id: entry.id, sessionKey: entry.sessionKey, ok: true });
+      } catch (err) {
+        results.push({ id: entry.id, sessionKey: entry.sessionKey, ok: false, error: err.message });
+      }
+    }
+
+    const failedIds = new Set(results.filter(r => !r.ok).map(r => r.id));
+    if (failedIds.size > 0) {
+      this.pauses.restore({ ...pause, mode: 'hold', queue: queued.filter(entry => failedIds.has(entry.id)) });
+      console.log(`⏸️ Kept ${agentId} held with ${failedIds.size} messages that failed to send`);
+    }
+    return {
+      mode: pause.mode,
+      results,
+      flushed: results.length - failedIds.size,
+      failed: failedIds.size,
+      discarded: 0,
+      stillPaused: failedIds.size > 0
+    };
+  }
+
+  async deleteSession(gatewayId, sessionKey) {
+    // Gateway expects 'key' not 'sessionKey'
+    return this._sendRequest(gatewayId, 'sessions.delete', { key: sessionKey });
+  }
+
+  /**
+   * Run an operation on several sessions, collecting per-session results
+   */
+  async forEachSession(gatewayId, sessionKeys, fn) {
+    const results = [];
+    for (const sessionKey of sessionKeys) {
+      try {
+        const outcome = await fn(gatewayId, sessionKey);
+        results.push(outcome?.queued ? { sessionKey, ok: true, queued: true } : { sessionKey, ok: true });
+      } catch (err) {
+        results.push({ sessionKey, ok: false, error: err.message, code: err.code || 'gateway_error' });
+      }
+    }
+    return {
+      results,
+      succeeded: results.filter(r => r.ok).length,
+      failed: results.filter(r => !r.ok).length,
+      queued: results.filter(r => r.queued).length
+    };
+  }
+
   /**
    * Generate unique request ID
    */
@@ -217,13 +702,19 @@ class GatewayManager extends EventEmitter {
    */
   _connectToGateway(id) {
     const gateway = this.gateways.get(id);
-    if (!gateway) return;
+    if (!gateway || !gateway.enabled) return;
+
+    // Never more than one connection in flight per gateway
+    const conn = this._connection(id);
+    if (conn.state === 'connecting' || conn.state === 'connected') return;
+    if (conn.state === 'circuit_open' && Date.now() < Date.parse(conn.circuitOpenUntil)) return;
 
-    // Close existing connection
+    // Drop leftovers (pending retry timer, half-closed socket)
     this._disconnectGateway(id);
 
     const wsUrl = this._toWebSocketUrl(gateway.url);
     console.log(`🔌 Connecting to gateway: ${gateway.name} (${wsUrl})`);
+    this._setConnection(id, { state: 'connecting', nextAttemptAt: null, lastAttemptAt: new Date().toISOString() });
 
     try {
       // Clawdbot protocol doesn't use Authorization header - auth is in connect frame
@@ -237,7 +728,7 @@ class GatewayManager extends EventEmitter {
 
       ws.on('open', () => {
         console.log(`🔗 WebSocket open, sending connect frame to: ${gateway.name}`);
-        this._sendConnectFrame(id);
+        this._sendConnectFrame(id, ws);
       });
 
       ws.on('message', (data) => {
@@ -255,40 +746,128 @@ class GatewayManager extends EventEmitter {
       });
 
       ws.on('close', (code, reason) => {
+        // Closed on purpose (disconnect, reconnect with a new token) - a newer socket may already be in place
+        if (this.connections.get(id) !== ws) return;
+
         const reasonStr = reason?.toString() || '';
         console.log(`❌ Gateway ${gateway.name} disconnected (${code}) ${reasonStr}`);
-        this._updateGatewayStatus(id, 'disconnected');
         this.connections.delete(id);
+        const wasConnected = this._connection(id).state === 'connected';
+        // Keep a handshake/socket error visible instead of overwriting it
+        if (wasConnected || gateway.status !== 'error') {
+          this._updateGatewayStatus(id, 'disconnected');
+        }
         
         // Clear pending requests
         const pending = this.pendingRequests.get(id);
         if (pending) {
           for (const [reqId, req] of pending) {
             clearTimeout(req.timeout);
-            req.reject(new Error(`Connection closed: ${code}`));
+            req.reject(this._requestError('gateway_unavailable', `Connection closed: ${code}`));
           }
           pending.clear();
         }
         
-        // Schedule reconnect
-        setTimeout(() => {
-          if (this.gateways.has(id)) {
-            this._connectToGateway(id);
-          }
-        }, RECONNECT_DELAY);
+        this._scheduleReconnect(id, wasConnected);
       });
 
       this.connections.set(id, ws);
     } catch (err) {
+      // Invalid URL and the like - retrying won't help
       console.error(`Failed to connect to ${gateway.name}:`, err.message);
+      this._setConnection(id, { state: 'idle' });
       this._updateGatewayStatus(id, 'error', err.message);
     }
   }
 
+  /**
+   * Connection state for a gateway, created on first use
+   */
+  _connection(id) {
+    if (!this.connectionStates.has(id)) {
+      this.connectionStates.set(id, { state: 'idle', failures: 0, nextAttemptAt: null, circuitOpenUntil: null, lastAttemptAt: null });
+    }
+    return this.connectionStates.get(id);
+  }
+
+  _setConnection(id, changes) {
+    Object.assign(this._connection(id), changes);
+  }
+
+  /**
+   * Forget failures and close the circuit (manual reconnect, new token)
+   */
+  _resetConnection(id) {
+    this._disconnectGateway(id);
+    this._setConnection(id, { state: 'idle', failures: 0, nextAttemptAt: null, circuitOpenUntil: null });
+  }
+
+  /**
+   * Backoff for the nth consecutive failure: base * 2^n capped at the max,
+   * with "equal jitter" (half fixed, half random) so gateways don't retry in lockstep
+   */
+  _backoffDelay(failures) {
+    const delay = Math.min(this.maxReconnectDelay, this.reconnectDelay * 2 ** failures);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  /**
+   * Plan the next attempt after a close. A drop from a healthy connection retries
+   * quickly; failed attempts back off, and too many in a row open the circuit.
+   */
+  _scheduleReconnect(id, wasConnected) {
+    const gateway = this.gateways.get(id);
+    if (!gateway) return;
+
+    const conn = this._connection(id);
+    conn.failures = wasConnected ? 0 : conn.failures + 1;
+
+    let delay;
+    if (conn.failures >= this.circuitThreshold) {
+      delay = this.circuitCooldown;
+      conn.state = 'circuit_open';
+      conn.circuitOpenUntil = new Date(Date.now() + delay).toISOString();
+      conn.nextAttemptAt = conn.circuitOpenUntil;
+      console.log(`⛔ Circuit open for ${gateway.name} after ${conn.failures} failed attempts, until ${conn.circuitOpenUntil}`);
+    } else {
+      delay = this._backoffDelay(conn.failures);
+      conn.state = 'waiting';
+      conn.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    }
+
+    clearTimeout(this.reconnectTimers.get(id));
+    const timer = setTimeout(() => {
+      this.reconnectTimers.delete(id);
+      if (this.gateways.has(id)) {
+        // Our own timer is due - this attempt is the half-open probe when the circuit was open
+        conn.state = 'idle';
+        this._connectToGateway(id);
+      }
+    }, delay);
+    this.reconnectTimers.set(id, timer);
+
+    this.emit('gateway:update', this._sanitizeGateway(gateway));
+  }
+
+  /**
+   * Reconnect now: skips any backoff wait and closes an open circuit
+   */
+  reconnectGateway(id) {
+    const gateway = this.gateways.get(id);
+    if (!gateway) return false;
+    if (!gateway.enabled) throw Object.assign(new Error('Gateway is disabled'), { status: 409 });
+
+    console.log(`🔄 Manual reconnect: ${gateway.name}`);
+    this._resetConnection(id);
+    this._connectToGateway(id);
+    this.emit('gateway:update', this._sanitizeGateway(gateway));
+    return true;
+  }
+
   /**
    * Send Clawdbot protocol connect frame
    */
-  _sendConnectFrame(id) {
+  _sendConnectFrame(id, ws) {
     const gateway = this.gateways.get(id);
     if (!gateway) return;
 
@@ -312,20 +891,19 @@ class GatewayManager extends EventEmitter {
       .then((helloOk) => {
         console.log(`✅ Connected to gateway: ${gateway.name} (protocol v${helloOk.protocol})`);
         gateway.serverInfo = helloOk.server;
+        gateway.methods = helloOk.features?.methods || null;
+        this._setConnection(id, { state: 'connected', failures: 0, nextAttemptAt: null, circuitOpenUntil: null });
         this._updateGatewayStatus(id, 'online');
         
-        // Request sessions/agents list
-        this._sendRequest(id, 'sessions.list', {}).then(result => {
-          if (result?.sessions) {
-            this._updateSessionsFromGateway(id, result.sessions);
-          }
-        }).catch(err => {
+        this.refreshAgents(id).catch(err => {
           console.log(`Failed to get sessions from ${gateway.name}:`, err.message);
         });
       })
       .catch((err) => {
         console.error(`Failed to connect to ${gateway.name}:`, err.message);
         this._updateGatewayStatus(id, 'error', err.message);
+        // A rejected handshake is a failed attempt - close so the backoff takes over
+        if (this.connections.get(id) === ws) ws.close();
       });
   }
 
@@ -336,7 +914,7 @@ class GatewayManager extends EventEmitter {
     return new Promise((resolve, reject) => {
       const ws = this.connections.get(id);
       if (!ws || ws.readyState !== WebSocket.OPEN) {
-        return reject(new Error('WebSocket not connected'));
+        return reject(this._requestError('gateway_unavailable', 'WebSocket not connected'));
       }
 
       const requestId = this._generateRequestId();
@@ -350,18 +928,41 @@ class GatewayManager extends EventEmitter {
       const timeout = setTimeout(() => {
         const pending = this.pendingRequests.get(id);
         if (pending) pending.delete(requestId);
-        reject(new Error(`Request timeout: ${method}`));
+        this.emit('request:complete', { gatewayId: id, method, ok: false, error: 'timeout' });
+        reject(this._requestError('gateway_timeout', `Request timeout: ${method}`));
       }, timeoutMs);
 
       const pending = this.pendingRequests.get(id);
       if (pending) {
-        pending.set(requestId, { resolve, reject, timeout });
+        pending.set(requestId, { resolve, reject, timeout, method });
       }
 
       ws.send(JSON.stringify(frame));
     });
   }
 
+  /**
+   * Error for a failed gateway request. code is one of
+   * - gateway_unavailable: the gateway is offline (not connected)
+   * - gateway_timeout: no response in time
+   * - gateway_unsupported: the gateway doesn't have the method
+   * - gateway_forbidden: our connect scopes don't allow it
+   * - gateway_error: anything else the gateway refused
+   */
+  _requestError(code, message) {
+    return Object.assign(new Error(message), { code });
+  }
+
+  /**
+   * Our code for an error frame the gateway answered with
+   */
+  _gatewayErrorCode(error) {
+    const code = String(error?.code || '').toLowerCase();
+    if (UNSUPPORTED_CODES.includes(code)) return 'gateway_unsupported';
+    if (FORBIDDEN_CODES.includes(code) || /missing scope/i.test(error?.message || '')) return 'gateway_forbidden';
+    return 'gateway_error';
+  }
+
   /**
    * Handle messages from gateway WebSocket
    */
@@ -377,10 +978,11 @@ class GatewayManager extends EventEmitter {
         clearTimeout(req.timeout);
         pending.delete(msg.id);
 
+        this.emit('request:complete', { gatewayId, method: req.method, ok: !!msg.ok, error: msg.error?.message });
         if (msg.ok) {
           req.resolve(msg.payload);
         } else {
-          req.reject(new Error(msg.error?.message || 'Request failed'));
+          req.reject(this._requestError(this._gatewayErrorCode(msg.error), msg.error?.message || 'Request failed'));
         }
       }
       return;
@@ -423,13 +1025,7 @@ class GatewayManager extends EventEmitter {
         break;
 
       case 'session:deleted':
-        if (payload?.sessionKey) {
-          const agentId = `${gatewayId}:${payload.sessionKey}`;
-          if (this.agents.has(agentId)) {
-            this.agents.delete(agentId);
-            this.emit('agent:removed', { id: agentId });
-          }
-        }
+        this._removeSession(gatewayId, payload?.sessionKey || payload?.key);
         break;
 
       case 'agent:update':
@@ -469,8 +1065,8 @@ class GatewayManager extends EventEmitter {
     if (!gateway) return;
 
     // Group sessions by agentId
-    const agentGroups = new Map(); // agentId -> { sessions: [], subagents: [] }
-    const subagents = []; // Standalone subagent entries
+    const agentGroups = new Map(); // agentId -> { sessions: [], model, lastActive }
+    const subagents = new Map(); // parent agentId -> subagents it spawned
 
     for (const session of sessions) {
       const sessionKey = session.sessionKey || session.key || session.id;
@@ -479,14 +1075,11 @@ class GatewayManager extends EventEmitter {
       const agentId = this._extractAgentId(session);
       const sessionType = this._getSessionType(sessionKey);
       
-      // Subagents get their own entry
+      // Subagents are ephemeral tasks, tracked under the agent that spawned them
       if (sessionType === 'subagent') {
-        subagents.push({
-          sessionKey,
-          session,
-          agentId,
-          parentAgentId: agentId // The agent that spawned it
-        });
+        if (!agentId) continue;
+        if (!subagents.has(agentId)) subagents.set(agentId, []);
+        subagents.get(agentId).push(this._toSubagent(sessionKey, session));
         continue;
       }
       
@@ -507,6 +1100,10 @@ class GatewayManager extends EventEmitter {
         lastActive: session.lastActiveAt || session.updatedAt,
         messageCount: session.messageCount || 0,
         totalTokens: session.totalTokens || 0,
+        inputTokens: session.inputTokens,
+        outputTokens: session.outputTokens,
+        model: session.model,
+        estimatedCost: this._estimateCost(session),
         label: session.label || session.displayName
       });
       
@@ -518,6 +1115,15 @@ class GatewayManager extends EventEmitter {
       }
     }
 
+    // Configured agents without sessions still get an (idle) entry, and so do
+    // agents whose only sessions are subagents
+    const reported = this.reportedAgents.get(gatewayId) || new Map();
+    for (const agentId of [...reported.keys(), ...subagents.keys()]) {
+      if (!agentGroups.has(agentId)) {
+        agentGroups.set(agentId, { sessions: [], model: null, lastActive: null });
+      }
+    }
+
     const seenIds = new Set();
 
     // Create one entry per agent
@@ -528,20 +1134,26 @@ class GatewayManager extends EventEmitter {
       const isActive = group.sessions.some(s => s.status === 'active');
       const totalMessages = group.sessions.reduce((acc, s) => acc + (s.messageCount || 0), 0);
       const totalTokens = group.sessions.reduce((acc, s) => acc + (s.totalTokens || 0), 0);
+      const pricedSessions = group.sessions.filter(s => s.estimatedCost !== null);
       
       const agent = {
         id: compositeId,
         gatewayId,
         agentId,
-        name: this._getAgentName(agentId),
+        ...this._agentIdentity(gatewayId, agentId),
         status: isActive ? 'active' : 'idle',
         sessionCount: group.sessions.length,
         sessions: group.sessions,
+        subagents: subagents.get(agentId) || [],
         lastActive: group.lastActive,
         messageCount: totalMessages,
         totalTokens,
-        model: group.model,
-        avatar: this._getAgentAvatar(agentId),
+        estimatedCost: pricedSessions.length > 0
+          ? pricedSessions.reduce((acc, s) => acc + s.estimatedCost, 0)
+          : null,
+        model: group.model || this._reportedModel(reported.get(agentId)),
+        config: reported.get(agentId) || null,
+        paused: this._pauseState(compositeId),
         type: 'agent'
       };
 
@@ -552,45 +1164,6 @@ class GatewayManager extends EventEmitter {
       }
     }
 
-    // NOTE: Subagents are NOT shown as separate entries
-    // They are ephemeral tasks spawned by agents - not real agents
-    // If needed, they could be shown nested under their parent agent
-    
-    // Skip subagent entries - only show real agents
-    // (subagents are still tracked in their parent agent's sessions if needed)
-    /*
-    for (const sub of subagents) {
-      const compositeId = `${gatewayId}:subagent:${sub.sessionKey}`;
-      seenIds.add(compositeId);
-      
-      const session = sub.session;
-      const isActive = session.status === 'active' || session.active;
-      
-      const agent = {
-        id: compositeId,
-        gatewayId,
-        agentId: sub.agentId,
-        sessionKey: sub.sessionKey,
-        name: session.label || 'Sub-agent',
-        status: isActive ? 'active' : 'idle',
-        sessionCount: 1,
-        lastActive: session.lastActiveAt || session.updatedAt,
-        messageCount: session.messageCount || 0,
-        totalTokens: session.totalTokens || 0,
-        model: session.model,
-        avatar: '🔧',
-        type: 'subagent',
-        parentAgentId: sub.parentAgentId
-      };
-
-      const existing = this.agents.get(compositeId);
-      if (!existing || JSON.stringify(existing) !== JSON.stringify(agent)) {
-        this.agents.set(compositeId, agent);
-        this.emit('agent:update', agent);
-      }
-    }
-    */
-
     // Remove agents that no longer exist
     for (const [compositeId, agent] of this.agents) {
       if (agent.gatewayId === gatewayId && !seenIds.has(compositeId)) {
@@ -603,21 +1176,93 @@ class GatewayManager extends EventEmitter {
   }
 
   /**
-   * Get friendly name for an agent
+   * Estimated cost of a session's tokens, or null without pricing for its model
+   */
+  _estimateCost(session) {
+    if (!this.pricing) return null;
+    if (!session.totalTokens) return 0;
+    return this.pricing.estimate({
+      model: session.model,
+      inputTokens: session.inputTokens,
+      outputTokens: session.outputTokens,
+      totalTokens: session.totalTokens
+    });
+  }
+
+  /**
+   * Remember what agents.list reported ({ agents: [{ id, name, identity, model, workspace, ... }] })
    */
-  _getAgentName(agentId) {
-    const names = {
-      main: 'Henry the Great',
-      personal: 'Jeeves',
-      family: 'Bixby',
-      pilot: 'Pilot',
-      pixel: 'Pixel',
-      forge: 'Forge',
-      atlas: 'Atlas',
-      compass: 'Compass',
-      canvas: 'Canvas'
+  _setReportedAgents(gatewayId, result) {
+    const list = Array.isArray(result) ? result : result?.agents;
+    if (!Array.isArray(list)) return;
+
+    const reported = new Map();
+    for (const config of list) {
+      const agentId = config?.id || config?.agentId;
+      if (typeof agentId === 'string' && agentId) reported.set(agentId, config);
+    }
+    this.reportedAgents.set(gatewayId, reported);
+  }
+
+  _reportedModel(config) {
+    const model = config?.model;
+    return (typeof model === 'string' ? model : model?.primary) || null;
+  }
+
+  /**
+   * Display fields for an agent: the directory entry, then what agents.list
+   * reported, then defaults derived from the id
+   */
+  _agentIdentity(gatewayId, agentId) {
+    const entry = this.directory ? this.directory.resolve(gatewayId, agentId) : {};
+    const reported = this.reportedAgents.get(gatewayId)?.get(agentId) || {};
+    return {
+      name: entry.name || reported.identity?.name || reported.name || agentId.charAt(0).toUpperCase() + agentId.slice(1),
+      avatar: entry.avatar || reported.identity?.emoji || reported.emoji || DEFAULT_AVATAR,
+      avatarImage: entry.avatarImage || null,
+      description: entry.description || reported.description || null,
+      owner: entry.owner || null,
+      color: entry.color || null
     };
-    return names[agentId] || agentId.charAt(0).toUpperCase() + agentId.slice(1);
+  }
+
+  /**
+   * Re-resolve display fields after the directory changed
+   */
+  _applyDirectory() {
+    for (const agent of this.agents.values()) {
+      const identity = this._agentIdentity(agent.gatewayId, agent.agentId);
+      const changed = Object.keys(identity).some(key => agent[key] !== identity[key]);
+      if (changed) {
+        Object.assign(agent, identity);
+        this.emit('agent:update', agent);
+      }
+    }
+  }
+
+  /**
+   * Pause state shown on an agent, or null when it isn't paused. Only the queue
+   * length - the held messages go to operators through getPauseQueue.
+   */
+  _pauseState(agentId) {
+    const pause = this.pauses?.get(agentId);
+    if (!pause) return null;
+    const { mode, pausedAt, pausedBy, queue } = pause;
+    return { mode, pausedAt, pausedBy, queued: queue.length };
+  }
+
+  /**
+   * Messages held for a paused agent, or null when it isn't paused
+   */
+  getPauseQueue(agentId) {
+    return this.pauses?.get(agentId)?.queue || null;
+  }
+
+  _applyPause(agentId) {
+    const agent = this.agents.get(agentId);
+    if (!agent) return;
+    agent.paused = this._pauseState(agentId);
+    this.emit('agent:update', agent);
   }
 
   /**
@@ -640,31 +1285,6 @@ class GatewayManager extends EventEmitter {
     return null;
   }
 
-  /**
-   * Get avatar URL/emoji for an agent or session type
-   */
-  _getAgentAvatar(agentId, sessionType = null) {
-    // Session type avatars
-    if (sessionType === 'cron') return '⏰';
-    if (sessionType === 'subagent') return '🔧';
-    if (sessionType === 'group') return '👥';
-    
-    // Agent-specific avatars
-    const avatars = {
-      main: '🗿',      // Henry the Great
-      personal: '🎩',  // Jeeves
-      family: '🏠',    // Bixby
-      pilot: '🧭',     // Pilot
-      pixel: '🖼️',     // Pixel
-      forge: '🔥',     // Forge
-      atlas: '🗺️',     // Atlas
-      compass: '🧭',   // Compass
-      canvas: '🎨',    // Canvas
-      cron: '⏰',
-      default: '🤖'
-    };
-    return avatars[agentId] || avatars.default;
-  }
   
   /**
    * Detect session type from session key
@@ -707,6 +1327,27 @@ class GatewayManager extends EventEmitter {
     return key.slice(0, 20) || 'Session';
   }
 
+  /**
+   * Subagent entry for a subagent session. parentSessionKey is the session that
+   * spawned it (null when the gateway doesn't say), which nests subagents of subagents.
+   */
+  _toSubagent(sessionKey, session) {
+    return {
+      sessionKey,
+      label: session.label || session.displayName || 'Subagent',
+      status: session.status || (session.active ? 'active' : 'idle'),
+      parentSessionKey: session.spawnedBy || session.parentSessionKey || null,
+      model: session.model || null,
+      messageCount: session.messageCount || 0,
+      totalTokens: session.totalTokens || 0,
+      inputTokens: session.inputTokens,
+      outputTokens: session.outputTokens,
+      estimatedCost: this._estimateCost(session),
+      startedAt: session.createdAt || session.startedAt || null,
+      lastActive: session.lastActiveAt || session.updatedAt || null
+    };
+  }
+
   /**
    * Update a single session - merges into existing agent or creates new
    */
@@ -717,63 +1358,135 @@ class GatewayManager extends EventEmitter {
     if (!agentId) return;
 
     const compositeId = `${gatewayId}:${agentId}`;
-    const existingAgent = this.agents.get(compositeId);
+    const sessionKey = sessionData.sessionKey || sessionData.key || sessionData.id;
+    const isSubagent = this._getSessionType(sessionKey) === 'subagent';
 
-    const newSession = {
-      sessionKey: sessionData.sessionKey || sessionData.key || sessionData.id,
-      label: sessionData.label || this._deriveSessionLabel(sessionData),
-      channel: sessionData.channel,
-      status: sessionData.status || (sessionData.active ? 'active' : 'idle'),
-      lastActive: sessionData.lastActiveAt || sessionData.updatedAt,
-      messageCount: sessionData.messageCount || 0
-    };
-
-    if (existingAgent) {
-      // Update existing session or add new one
-      const sessionIdx = existingAgent.sessions.findIndex(s => s.sessionKey === newSession.sessionKey);
-      if (sessionIdx >= 0) {
-        existingAgent.sessions[sessionIdx] = newSession;
-      } else {
-        existingAgent.sessions.push(newSession);
-        existingAgent.sessionCount = existingAgent.sessions.length;
-      }
-      
-      // Recalculate totals
-      existingAgent.totalMessages = existingAgent.sessions.reduce((acc, s) => acc + (s.messageCount || 0), 0);
-      existingAgent.status = existingAgent.sessions.some(s => s.status === 'active') ? 'active' : 'idle';
-      
-      const latestActivity = existingAgent.sessions
-        .map(s => s.lastActive)
-        .filter(Boolean)
-        .sort()
-        .pop();
-      if (latestActivity) existingAgent.lastActive = latestActivity;
-
-      this.emit('agent:update', existingAgent);
-    } else {
-      // Create new agent
-      const agent = {
+    let existingAgent = this.agents.get(compositeId);
+    if (!existingAgent) {
+      existingAgent = {
         id: compositeId,
         gatewayId,
         agentId,
-        name: agentId,
-        status: newSession.status === 'active' ? 'active' : 'idle',
-        sessionCount: 1,
-        sessions: [newSession],
-        lastActive: newSession.lastActive,
-        totalMessages: newSession.messageCount || 0,
-        avatar: this._getAgentAvatar(agentId),
+        ...this._agentIdentity(gatewayId, agentId),
+        status: 'idle',
+        sessionCount: 0,
+        sessions: [],
+        subagents: [],
+        lastActive: null,
+        totalMessages: 0,
+        config: this.reportedAgents.get(gatewayId)?.get(agentId) || null,
+        paused: this._pauseState(compositeId),
         metadata: {}
       };
-
-      this.agents.set(compositeId, agent);
-      this.emit('agent:update', agent);
+      this.agents.set(compositeId, existingAgent);
 
       const gateway = this.gateways.get(gatewayId);
       if (gateway && !gateway.agents.includes(compositeId)) {
         gateway.agents.push(compositeId);
       }
     }
+
+    if (isSubagent) {
+      // Subagents don't count towards the agent's own sessions or status
+      const subagent = this._toSubagent(sessionKey, sessionData);
+      const subagents = existingAgent.subagents || (existingAgent.subagents = []);
+      const subIdx = subagents.findIndex(s => s.sessionKey === sessionKey);
+      if (subIdx >= 0) {
+        subagents[subIdx] = subagent;
+      } else {
+        subagents.push(subagent);
+      }
+      this.emit('agent:update', existingAgent);
+      return;
+    }
+
+    const newSession = {
+      sessionKey,
+      sessionType: this._getSessionType(sessionKey),
+      label: sessionData.label,
+      channel: sessionData.channel,
+      status: sessionData.status || (sessionData.active ? 'active' : 'idle'),
+      lastActive: sessionData.lastActiveAt || sessionData.updatedAt,
+      messageCount: sessionData.messageCount
+    };
+    for (const key of Object.keys(newSession)) {
+      if (newSession[key] === undefined) delete newSession[key];
+    }
+    // Token counts only when the event carries them - partial updates keep the known ones
+    if (sessionData.totalTokens !== undefined) {
+      Object.assign(newSession, {
+        totalTokens: sessionData.totalTokens,
+        inputTokens: sessionData.inputTokens,
+        outputTokens: sessionData.outputTokens,
+        model: sessionData.model,
+        estimatedCost: this._estimateCost(sessionData)
+      });
+    }
+
+    // Update existing session or add new one
+    const sessionIdx = existingAgent.sessions.findIndex(s => s.sessionKey === newSession.sessionKey);
+    if (sessionIdx >= 0) {
+      existingAgent.sessions[sessionIdx] = { ...existingAgent.sessions[sessionIdx], ...newSession };
+    } else {
+      existingAgent.sessions.push({ label: this._deriveSessionLabel(sessionData), messageCount: 0, ...newSession });
+      existingAgent.sessionCount = existingAgent.sessions.length;
+    }
+    
+    this._recomputeAgentTotals(existingAgent);
+    
+    const latestActivity = existingAgent.sessions
+      .map(s => s.lastActive)
+      .filter(Boolean)
+      .sort()
+      .pop();
+    if (latestActivity) existingAgent.lastActive = latestActivity;
+
+    this.emit('agent:update', existingAgent);
+  }
+
+  /**
+   * Drop a session (or subagent) from the agent that owns it; the agent goes away
+   * with its last session unless agents.list reported it or subagents remain
+   */
+  _removeSession(gatewayId, sessionKey) {
+    if (!sessionKey) return;
+
+    for (const [compositeId, agent] of this.agents) {
+      if (agent.gatewayId !== gatewayId) continue;
+      const sessions = (agent.sessions || []).filter(s => s.sessionKey !== sessionKey);
+      const subagents = (agent.subagents || []).filter(s => s.sessionKey !== sessionKey);
+      if (sessions.length === (agent.sessions || []).length &&
+          subagents.length === (agent.subagents || []).length) continue;
+      this.emit('session:removed', { gatewayId, agentId: compositeId, sessionKey });
+
+      // Agents configured on the gateway stay (idle) without sessions
+      if (sessions.length === 0 && subagents.length === 0 &&
+          !this.reportedAgents.get(gatewayId)?.has(agent.agentId)) {
+        this.agents.delete(compositeId);
+        const gateway = this.gateways.get(gatewayId);
+        if (gateway) gateway.agents = gateway.agents.filter(id => id !== compositeId);
+        this.emit('agent:removed', { id: compositeId });
+      } else {
+        agent.sessions = sessions;
+        agent.subagents = subagents;
+        agent.sessionCount = sessions.length;
+        this._recomputeAgentTotals(agent);
+        this.emit('agent:update', agent);
+      }
+      return;
+    }
+  }
+
+  /**
+   * Agent status, message/token totals and cost from its sessions
+   */
+  _recomputeAgentTotals(agent) {
+    const priced = agent.sessions.filter(s => s.estimatedCost !== null && s.estimatedCost !== undefined);
+    agent.status = agent.sessions.some(s => s.status === 'active') ? 'active' : 'idle';
+    agent.messageCount = agent.sessions.reduce((acc, s) => acc + (s.messageCount || 0), 0);
+    agent.totalMessages = agent.messageCount;
+    agent.totalTokens = agent.sessions.reduce((acc, s) => acc + (s.totalTokens || 0), 0);
+    agent.estimatedCost = priced.length > 0 ? priced.reduce((acc, s) => acc + s.estimatedCost, 0) : null;
   }
 
   /**
@@ -824,6 +1537,12 @@ class GatewayManager extends EventEmitter {
    * Disconnect from gateway
    */
   _disconnectGateway(id) {
+    clearTimeout(this.reconnectTimers.get(id));
+    this.reconnectTimers.delete(id);
+    if (this.connectionStates.has(id)) {
+      this._setConnection(id, { state: 'idle', nextAttemptAt: null });
+    }
+
     const ws = this.connections.get(id);
     if (ws) {
       ws.close();
@@ -835,7 +1554,7 @@ class GatewayManager extends EventEmitter {
     if (pending) {
       for (const [reqId, req] of pending) {
         clearTimeout(req.timeout);
-        req.reject(new Error('Disconnected'));
+        req.reject(this._requestError('gateway_unavailable', 'Disconnected'));
       }
       this.pendingRequests.delete(id);
     }
@@ -872,7 +1591,7 @@ class GatewayManager extends EventEmitter {
       this._sendRequest(id, 'ping', {}, 5000)
         .then(() => {
           this._updateGatewayStatus(id, 'online');
-          if (gateway?.healthChecks) gateway.healthChecks.success++;
+          this._recordHealthCheck(id, true);
         })
         .catch(() => {
           // Try HTTP health check as fallback
@@ -899,7 +1618,7 @@ class GatewayManager extends EventEmitter {
    */
   async _httpHealthCheck(id) {
     const gateway = this.gateways.get(id);
-    if (!gateway) return;
+    if (!gateway || !gateway.enabled) return;
 
     const httpUrl = this._toHttpUrl(gateway.url);
     
@@ -917,27 +1636,43 @@ class GatewayManager extends EventEmitter {
         headers
       });
       clearTimeout(timeout);
+      if (!gateway.enabled) return;  // Disabled while the check was in flight
 
-      const currentGateway = this.gateways.get(id);
       if (response.ok) {
-        this._updateGatewayStatus(id, 'online');
-        if (currentGateway?.healthChecks) currentGateway.healthChecks.success++;
-        
-        // Try to reconnect WebSocket if needed
-        if (!this.connections.has(id) || this.connections.get(id).readyState !== WebSocket.OPEN) {
+        this._recordHealthCheck(id, true);
+
+        // HTTP alone doesn't make the gateway usable - only a live WebSocket counts as online.
+        // Revive the WebSocket only if nothing is connecting or waiting to retry.
+        const { state } = this._connection(id);
+        if (state === 'connected') {
+          this._updateGatewayStatus(id, 'online');
+        } else if (state === 'idle') {
           this._connectToGateway(id);
         }
       } else {
         this._updateGatewayStatus(id, 'error', `HTTP ${response.status}`);
-        if (currentGateway?.healthChecks) currentGateway.healthChecks.failure++;
+        this._recordHealthCheck(id, false);
       }
     } catch (err) {
+      if (!gateway.enabled) return;
       this._updateGatewayStatus(id, 'offline', err.message);
-      const currentGateway = this.gateways.get(id);
-      if (currentGateway?.healthChecks) currentGateway.healthChecks.failure++;
+      this._recordHealthCheck(id, false);
     }
   }
 
+  /**
+   * Count a health check result and let listeners (alert rules) know
+   */
+  _recordHealthCheck(id, ok) {
+    const gateway = this.gateways.get(id);
+    if (!gateway) return;
+
+    if (gateway.healthChecks) {
+      gateway.healthChecks[ok ? 'success' : 'failure']++;
+    }
+    this.emit('health:check', { gatewayId: id, ok });
+  }
+
   /**
    * Start network discovery for gateways
    */
@@ -1075,7 +1810,9 @@ class GatewayManager extends EventEmitter {
   init() {
     console.log('🚀 Initializing Gateway Manager...');
     
-    for (const [id] of this.gateways) {
+    for (const [id, gateway] of this.gateways) {
+      if (gateway.maintenance) this._scheduleMaintenanceEnd(id);
+      if (!gateway.enabled) continue;
       this._connectToGateway(id);
       this._startHealthCheck(id);
     }
@@ -1095,6 +1832,7 @@ class GatewayManager extends EventEmitter {
     for (const [id] of this.gateways) {
       this._stopHealthCheck(id);
       this._disconnectGateway(id);
+      this._clearMaintenanceTimer(id);
     }
   }
 
@@ -1128,8 +1866,13 @@ class GatewayManager extends EventEmitter {
   }
 
   _sanitizeGateway(gw) {
-    const { token, ...safe } = gw;
-    return { ...safe, hasToken: !!token };
+    const { token, encryptedToken, ...safe } = gw;
+    return {
+      ...safe,
+      hasToken: !!(token || encryptedToken),
+      inMaintenance: this._isInMaintenance(gw),
+      connection: { ...this._connection(gw.id) }
+    };
   }
 }
 
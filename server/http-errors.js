@@ -0,0 +1,74 @@
+/**
+ * HTTP Errors - One error shape for every REST endpoint
+ *
+ *   { "error": "<human readable message>", "code": "<machine readable code>" }
+ *
+ * - Errors may carry `status` (HTTP status) and/or `code`; gateway request
+ *   errors carry a gateway_* code saying why the gateway failed (offline,
+ *   timeout, unsupported method, missing scope) that maps to 501-504
+ * - Anything else uses the route's fallback status
+ * - Socket event callbacks use the same { error, code } body
+ */
+
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  500: 'internal_error',
+  501: 'not_implemented',
+  502: 'gateway_error',
+  503: 'gateway_unavailable',
+  504: 'gateway_timeout'
+};
+
+const CODE_STATUS = {
+  gateway_unsupported: 501,
+  gateway_error: 502,
+  gateway_forbidden: 502,
+  gateway_unavailable: 503,
+  gateway_timeout: 504
+};
+
+class HttpError extends Error {
+  constructor(status, message, code = STATUS_CODES[status]) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function errorStatus(err, fallbackStatus = 500) {
+  return err.status || CODE_STATUS[err.code] || fallbackStatus;
+}
+
+/**
+ * The { error, code } body for an Error or a message string - also what
+ * socket event callbacks answer with
+ */
+function errorBody(err, fallbackStatus = 500) {
+  const message = typeof err === 'string' ? err : err.message;
+  return { error: message, code: err.code || STATUS_CODES[errorStatus(err, fallbackStatus)] || 'internal_error' };
+}
+
+/**
+ * Send an error response. `err` is an Error or a message string.
+ */
+function sendError(res, err, fallbackStatus = 500) {
+  const status = errorStatus(err, fallbackStatus);
+  const body = errorBody(err, fallbackStatus);
+
+  if (status === 500) {
+    console.error('Internal error:', body.error);
+  }
+  res.status(status).json(body);
+}
+
+module.exports = {
+  STATUS_CODES,
+  HttpError,
+  errorStatus,
+  errorBody,
+  sendError
+};
@@ -11,19 +11,52 @@ const { Server } = require('socket.io');
 const cors = require('cors');
 const path = require('path');
 const GatewayManager = require('./gateway-manager');
+const AgentDirectory = require('./agent-directory');
+const AgentPauses = require('./agent-pauses');
+const AuthManager = require('./auth');
+const MetricsStore = require('./metrics-store');
+const Pricing = require('./pricing');
+const CostTracker = require('./cost-tracker');
+const BudgetManager = require('./budget-manager');
+const AlertManager = require('./alert-manager');
+const CronMonitor = require('./cron-monitor');
+const BroadcastManager = require('./broadcast-manager');
+const ActivityLog = require('./activity-log');
+const TranscriptIndex = require('./transcript-index');
+const { HttpError, errorStatus, errorBody, sendError } = require('./http-errors');
+const buildOpenApi = require('./openapi');
+
+const { requireRole } = AuthManager;
+
+// Cross-origin access is off unless explicitly allowed (comma-separated list)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+const corsOptions = {
+  origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false,
+  methods: ['GET', 'POST', 'PATCH', 'DELETE']
+};
 
 const app = express();
 const server = http.createServer(app);
-const io = new Server(server, {
-  cors: { origin: '*', methods: ['GET', 'POST', 'PATCH', 'DELETE'] }
-});
+const io = new Server(server, { cors: corsOptions });
 
-app.use(cors());
+app.use(cors(corsOptions));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../client/dist')));
 
-// Initialize gateway manager
-const gatewayManager = new GatewayManager();
+// Initialize gateway and auth managers
+const pricing = new Pricing();
+const agentDirectory = new AgentDirectory();
+const agentPauses = new AgentPauses();
+const gatewayManager = new GatewayManager({ pricing, directory: agentDirectory, pauses: agentPauses });
+const auth = new AuthManager();
+const metricsStore = new MetricsStore(gatewayManager);
+const costTracker = new CostTracker(gatewayManager, pricing);
+const budgetManager = new BudgetManager(gatewayManager, costTracker);
+const cronMonitor = new CronMonitor(gatewayManager);
+const alertManager = new AlertManager(gatewayManager, cronMonitor);
+const broadcastManager = new BroadcastManager(gatewayManager);
+const activityLog = new ActivityLog();
+const transcriptIndex = new TranscriptIndex(gatewayManager);
 
 // Forward gateway manager events to WebSocket clients
 gatewayManager.on('gateway:added', (gw) => io.emit('gateway:added', gw));
@@ -31,27 +64,181 @@ gatewayManager.on('gateway:removed', (data) => io.emit('gateway:removed', data))
 gatewayManager.on('gateway:update', (gw) => io.emit('gateway:update', gw));
 gatewayManager.on('agent:update', (agent) => io.emit('agent:update', agent));
 gatewayManager.on('agent:removed', (data) => io.emit('agent:removed', data));
+budgetManager.on('budget:alert', (alert) => io.emit('budget:alert', alert));
+budgetManager.on('budget:resolved', (data) => io.emit('budget:resolved', data));
+budgetManager.on('budget:action', (result) => io.emit('budget:action', result));
+alertManager.on('alert:firing', (alert) => io.emit('alert:firing', alert));
+alertManager.on('alert:resolved', (alert) => io.emit('alert:resolved', alert));
+alertManager.on('alert:delivery-failed', (data) => io.emit('alert:delivery-failed', data));
+cronMonitor.on('job:update', (job) => io.emit('cron:update', job));
+cronMonitor.on('job:removed', (data) => io.emit('cron:removed', data));
+broadcastManager.on('broadcast:update', (broadcast) => io.emit('broadcast:update', broadcast));
+broadcastManager.on('broadcast:done', (broadcast) => io.emit('broadcast:done', broadcast));
+activityLog.on('entry', (entry) => io.emit('activity', entry));
+
+// Chat events only go to clients watching that session (see chat:subscribe)
+gatewayManager.on('chat:event', ({ gatewayId, event, payload }) => {
+  const sessionKey = payload?.sessionKey;
+  if (!sessionKey) return;
+  io.to(chatRoom(gatewayId, sessionKey)).emit('chat:event', { gatewayId, sessionKey, event, payload });
+});
+
+// Persist events to the activity log (alongside gateway/agent events from activityLog.watch)
+budgetManager.on('budget:alert', (alert) => activityLog.record({
+  type: 'budget', action: `budget.${alert.level}`, message: `Budget ${alert.level}: ${alert.name}`, data: { budgetId: alert.budgetId }
+}));
+budgetManager.on('budget:action', (result) => activityLog.record({
+  type: 'budget', action: 'budget.action', message: `Budget ${result.action} for ${result.name}: ${result.succeeded}/${result.sessions} sessions`, data: result
+}));
+alertManager.on('alert:firing', (alert) => activityLog.record({
+  type: 'alert', action: 'alert.firing', message: `Alert: ${alert.message}`,
+  gatewayId: alert.subject.kind === 'gateway' ? alert.subject.id : alert.subject.gatewayId || null,
+  agentId: alert.subject.kind === 'agent' ? alert.subject.id : alert.subject.agentId || null,
+  data: { ruleId: alert.ruleId, severity: alert.severity }
+}));
+alertManager.on('alert:resolved', (alert) => activityLog.record({
+  type: 'alert', action: 'alert.resolved', message: `Resolved: ${alert.ruleName} - ${alert.subject.name}`,
+  gatewayId: alert.subject.kind === 'gateway' ? alert.subject.id : alert.subject.gatewayId || null,
+  agentId: alert.subject.kind === 'agent' ? alert.subject.id : alert.subject.agentId || null,
+  data: { ruleId: alert.ruleId }
+}));
 
 // === REST API ===
 
+// Auth endpoints (public)
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+  const session = auth.login(username, password);
+
+  if (!session) {
+    return sendError(res, 'Invalid username or password', 401);
+  }
+  console.log(`🔓 ${username} logged in`);
+  res.json(session);
+});
+
+// Health check
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    type: 'team-control',
+    uptime: process.uptime(),
+    gateways: gatewayManager.getGateways().length,
+    agents: gatewayManager.getAgents().length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// API description (public, no secrets)
+const openApiDocument = buildOpenApi();
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+// Everything else under /api requires a valid session or API token
+app.use('/api', auth.middleware());
+
+app.post('/api/auth/logout', (req, res) => {
+  auth.logout(AuthManager.tokenFromRequest(req));
+  res.json({ success: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: { username: req.user.username, role: req.user.role } });
+});
+
+// User management
+app.get('/api/users', requireRole('admin'), (req, res) => {
+  res.json(auth.getUsers());
+});
+
+app.post('/api/users', requireRole('admin'), (req, res) => {
+  try {
+    res.json(auth.createUser(req.body || {}));
+  } catch (err) {
+    sendError(res, err, 400);
+  }
+});
+
+app.patch('/api/users/:username', (req, res) => {
+  const isSelf = req.params.username === req.user.username;
+  const { password, role } = req.body || {};
+
+  // Users may change their own password; everything else is admin-only
+  if (!AuthManager.hasRole(req.user.role, 'admin') && (!isSelf || role !== undefined)) {
+    return sendError(res, 'Requires admin role', 403);
+  }
+
+  try {
+    const user = auth.updateUser(req.params.username, { password, role });
+    if (user) {
+      res.json(user);
+    } else {
+      sendError(res, 'User not found', 404);
+    }
+  } catch (err) {
+    sendError(res, err, 400);
+  }
+});
+
+app.delete('/api/users/:username', requireRole('admin'), (req, res) => {
+  try {
+    if (auth.removeUser(req.params.username)) {
+      res.json({ success: true });
+    } else {
+      sendError(res, 'User not found', 404);
+    }
+  } catch (err) {
+    sendError(res, err, 400);
+  }
+});
+
+// API tokens - users manage their own, admins see all
+app.get('/api/tokens', (req, res) => {
+  const isAdmin = AuthManager.hasRole(req.user.role, 'admin');
+  res.json(auth.getTokens(isAdmin ? null : req.user.username));
+});
+
+app.post('/api/tokens', (req, res) => {
+  const { name, role } = req.body || {};
+  try {
+    res.json(auth.createToken(req.user.username, { name, role }));
+  } catch (err) {
+    sendError(res, err, 400);
+  }
+});
+
+app.delete('/api/tokens/:id', (req, res) => {
+  const token = auth.getTokens().find(t => t.id === req.params.id);
+  const isAdmin = AuthManager.hasRole(req.user.role, 'admin');
+
+  if (!token || (!isAdmin && token.username !== req.user.username)) {
+    return sendError(res, 'Token not found', 404);
+  }
+  auth.revokeToken(token.id);
+  res.json({ success: true });
+});
+
 // Gateway endpoints
-app.post('/api/gateways', (req, res) => {
-  const { url, name, token } = req.body;
+app.post('/api/gateways', requireRole('admin'), (req, res) => {
+  const { url, name, token, tags, environment } = req.body || {};
   
   if (!url) {
-    return res.status(400).json({ error: 'URL is required' });
+    return sendError(res, 'URL is required', 400);
   }
 
   try {
-    const gateway = gatewayManager.addGateway({ url, name, token });
+    const gateway = gatewayManager.addGateway({ url, name, token, tags, environment });
+    activityLog.recordAction(req.user, 'gateway.add', `Added gateway ${gateway.name}`, { gatewayId: gateway.id, data: { url } });
     res.json(gateway);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    activityLog.recordAction(req.user, 'gateway.add', `Add gateway ${url}`, { data: { url } }, err);
+    sendError(res, err, 400);
   }
 });
 
 app.get('/api/gateways', (req, res) => {
-  res.json(gatewayManager.getGateways());
+  res.json(gatewayManager.getGateways(gatewayFilter(req.query)));
 });
 
 app.get('/api/gateways/:id', (req, res) => {
@@ -61,33 +248,144 @@ app.get('/api/gateways/:id', (req, res) => {
   if (gateway) {
     res.json(gateway);
   } else {
-    res.status(404).json({ error: 'Gateway not found' });
+    sendError(res, 'Gateway not found', 404);
   }
 });
 
-app.delete('/api/gateways/:id', (req, res) => {
+app.patch('/api/gateways/:id', requireRole('admin'), (req, res) => {
+  const { name, token, tags, environment } = req.body || {};
+
+  try {
+    res.json(updateGateway(req.user, req.params.id, { name, token, tags, environment }));
+  } catch (err) {
+    sendError(res, err, 400);
+  }
+});
+
+app.delete('/api/gateways/:id', requireRole('admin'), (req, res) => {
   const success = gatewayManager.removeGateway(req.params.id);
   
   if (success) {
+    activityLog.recordAction(req.user, 'gateway.remove', `Removed gateway ${req.params.id}`, { gatewayId: req.params.id });
     res.json({ success: true });
   } else {
-    res.status(404).json({ error: 'Gateway not found' });
+    sendError(res, 'Gateway not found', 404);
+  }
+});
+
+// Reconnect now - skips the backoff wait and closes an open circuit
+app.post('/api/gateways/:id/reconnect', requireRole('operator'), (req, res) => {
+  try {
+    res.json(reconnectGateway(req.user, req.params.id));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Disabled gateways keep their config but are not polled or connected
+app.post('/api/gateways/:id/enable', requireRole('admin'), (req, res) => {
+  try {
+    res.json(setGatewayEnabled(req.user, req.params.id, true));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.post('/api/gateways/:id/disable', requireRole('admin'), (req, res) => {
+  try {
+    res.json(setGatewayEnabled(req.user, req.params.id, false));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Maintenance mode - alerts for the gateway and its agents are suppressed
+app.put('/api/gateways/:id/maintenance', requireRole('operator'), (req, res) => {
+  const { until, reason } = req.body || {};
+
+  try {
+    res.json(setMaintenance(req.user, req.params.id, { until, reason }));
+  } catch (err) {
+    sendError(res, err, 400);
+  }
+});
+
+app.delete('/api/gateways/:id/maintenance', requireRole('operator'), (req, res) => {
+  try {
+    res.json(clearMaintenance(req.user, req.params.id));
+  } catch (err) {
+    sendError(res, err);
   }
 });
 
 // Trigger discovery
-app.post('/api/gateways/discover', async (req, res) => {
+app.post('/api/gateways/discover', requireRole('admin'), async (req, res) => {
   try {
     const discovered = await gatewayManager.discoverLocal();
+    activityLog.recordAction(req.user, 'gateway.discover', `Discovery found ${discovered.length} gateways`);
     res.json({ discovered: discovered.length, gateways: discovered });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    sendError(res, err);
+  }
+});
+
+// Session endpoints - actions target one explicit session
+app.get('/api/gateways/:gid/sessions', (req, res) => {
+  if (!gatewayManager.getGateways().some(g => g.id === req.params.gid)) {
+    return sendError(res, 'Gateway not found', 404);
+  }
+  const sessions = gatewayManager.getAgents()
+    .filter(a => a.gatewayId === req.params.gid)
+    .flatMap(a => (a.sessions || []).map(s => ({ ...s, agentId: a.id })));
+  res.json(sessions);
+});
+
+app.get('/api/gateways/:gid/sessions/:key/history', async (req, res) => {
+  const { gid, key } = req.params;
+  try {
+    const { messages, nextCursor } = await gatewayManager.getSessionHistoryPage(gid, key, {
+      limit: parseInt(req.query.limit, 10) || 50,
+      before: req.query.before
+    });
+    res.json({ sessionKey: key, history: messages, nextCursor });
+  } catch (err) {
+    sendError(res, err, 502);
+  }
+});
+
+app.post('/api/gateways/:gid/sessions/:key/send', requireRole('operator'), async (req, res) => {
+  const { gid, key } = req.params;
+  const { message } = req.body || {};
+  if (!message) {
+    return sendError(res, 'message is required', 400);
+  }
+
+  try {
+    const result = await gatewayManager.sendToSession(gid, key, message, { by: req.user.username });
+    const queued = !!result?.queued;
+    activityLog.recordAction(req.user, 'session.send', `${queued ? 'Queued message for' : 'Sent message to'} ${key}`, { gatewayId: gid, agentId: gatewayManager.sessionAgentId(gid, key), sessionKey: key, data: { length: message.length, queued } });
+    res.json({ success: true, queued });
+  } catch (err) {
+    activityLog.recordAction(req.user, 'session.send', `Send message to ${key}`, { gatewayId: gid, agentId: gatewayManager.sessionAgentId(gid, key), sessionKey: key }, err);
+    sendError(res, err, 502);
+  }
+});
+
+app.delete('/api/gateways/:gid/sessions/:key', requireRole('operator'), async (req, res) => {
+  const { gid, key } = req.params;
+  try {
+    await gatewayManager.deleteSession(gid, key);
+    activityLog.recordAction(req.user, 'session.close', `Closed session ${key}`, { gatewayId: gid, agentId: gatewayManager.sessionAgentId(gid, key), sessionKey: key });
+    res.json({ success: true });
+  } catch (err) {
+    activityLog.recordAction(req.user, 'session.close', `Close session ${key}`, { gatewayId: gid, agentId: gatewayManager.sessionAgentId(gid, key), sessionKey: key }, err);
+    sendError(res, err, 502);
   }
 });
 
 // Agent endpoints
 app.get('/api/agents', (req, res) => {
-  const agents = gatewayManager.getAgents();
+  const agents = gatewayManager.getAgents(gatewayFilter(req.query));
   
   // Optional filter by gateway
   if (req.query.gatewayId) {
@@ -97,6 +395,16 @@ app.get('/api/agents', (req, res) => {
   }
 });
 
+app.get('/api/agents/:id/metrics', async (req, res) => {
+  const { from, to, bucket } = req.query;
+
+  try {
+    res.json(await metricsStore.getAgentMetrics(req.params.id, { from, to, bucket }));
+  } catch (err) {
+    sendError(res, err, 400);
+  }
+});
+
 app.get('/api/agents/:id', (req, res) => {
   const agents = gatewayManager.getAgents();
   const agent = agents.find(a => a.id === req.params.id);
@@ -104,20 +412,378 @@ app.get('/api/agents/:id', (req, res) => {
   if (agent) {
     res.json(agent);
   } else {
-    res.status(404).json({ error: 'Agent not found' });
+    sendError(res, 'Agent not found', 404);
   }
 });
 
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    type: 'team-control',
-    uptime: process.uptime(),
-    gateways: gatewayManager.getGateways().length,
-    agents: gatewayManager.getAgents().length,
-    timestamp: new Date().toISOString()
-  });
+app.get('/api/agents/:id/history', async (req, res) => {
+  const { sessionKey, limit, before } = req.query;
+  try {
+    const { agent } = gatewayManager.resolveSessionTargets(req.params.id, { sessionKey });
+    const { messages, nextCursor } = await gatewayManager.getSessionHistoryPage(agent.gatewayId, sessionKey, {
+      limit: parseInt(limit, 10) || 50,
+      before
+    });
+    res.json({ sessionKey, history: messages, nextCursor });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Re-fetch the gateway's agent and session lists
+app.post('/api/agents/:id/refresh', requireRole('operator'), async (req, res) => {
+  const agent = gatewayManager.getAgents().find(a => a.id === req.params.id);
+  if (!agent) {
+    return sendError(res, 'Agent not found', 404);
+  }
+  try {
+    const result = await gatewayManager.refreshAgents(agent.gatewayId);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendError(res, err, 502);
+  }
+});
+
+// Pause an agent (on the gateway if it can, else Team Control holds its messages)
+app.post('/api/agents/:id/pause', requireRole('operator'), async (req, res) => {
+  try {
+    const agent = await pauseAgent(req.user, req.params.id);
+    res.json({ success: true, paused: agent.paused });
+  } catch (err) {
+    sendError(res, err, 502);
+  }
+});
+
+// Messages held for a paused agent (operators only - they can hold message text)
+app.get('/api/agents/:id/pause/queue', requireRole('operator'), (req, res) => {
+  const queue = gatewayManager.getPauseQueue(req.params.id);
+  if (!queue) return sendError(res, 'Agent is not paused', 404);
+  res.json({ agentId: req.params.id, queue });
+});
+
+// Resume - body { queue: 'flush' | 'discard' } for messages held while paused
+app.post('/api/agents/:id/resume', requireRole('operator'), async (req, res) => {
+  try {
+    const result = await resumeAgent(req.user, req.params.id, req.body || {});
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendError(res, err, 502);
+  }
+});
+
+// Agent-wide actions - body { sessionKey } for one session or { all: true } for every session
+app.post('/api/agents/:id/send', requireRole('operator'), async (req, res) => {
+  const { message, sessionKey, all } = req.body || {};
+  if (!message) {
+    return sendError(res, 'message is required', 400);
+  }
+  try {
+    const result = await agentSessionAction(req.user, 'agent.sendMessage', { agentId: req.params.id, sessionKey, all },
+      (gid, key) => gatewayManager.sendToSession(gid, key, message, { by: req.user.username }), { length: message.length });
+    sendActionResult(res, result);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.post('/api/agents/:id/restart', requireRole('operator'), async (req, res) => {
+  const { sessionKey, all } = req.body || {};
+  try {
+    const result = await agentSessionAction(req.user, 'agent.restart', { agentId: req.params.id, sessionKey, all },
+      (gid, key) => gatewayManager.sendToSession(gid, key, '/restart', { by: req.user.username }));
+    sendActionResult(res, result);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.post('/api/agents/:id/terminate', requireRole('operator'), async (req, res) => {
+  const { sessionKey, all } = req.body || {};
+  try {
+    const result = await agentSessionAction(req.user, 'agent.terminate', { agentId: req.params.id, sessionKey, all },
+      (gid, key) => gatewayManager.deleteSession(gid, key));
+    sendActionResult(res, result);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Subagents spawned by an agent - flat, nested by parentSessionKey
+app.get('/api/agents/:id/subagents', (req, res) => {
+  try {
+    res.json(gatewayManager.getSubagents(req.params.id));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.post('/api/agents/:id/subagents/:key/kill', requireRole('operator'), async (req, res) => {
+  try {
+    res.json({ success: true, subagent: await killSubagent(req.user, req.params.id, req.params.key) });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Terminate every session of an agent (or ?sessionKey= for one)
+app.delete('/api/agents/:id/sessions', requireRole('operator'), async (req, res) => {
+  const { sessionKey } = req.query;
+  try {
+    const result = await agentSessionAction(req.user, 'agent.terminate', { agentId: req.params.id, sessionKey, all: !sessionKey },
+      (gid, key) => gatewayManager.deleteSession(gid, key));
+    sendActionResult(res, result);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Broadcasts - one message to many sessions; progress streams as broadcast:update
+app.get('/api/broadcasts', (req, res) => {
+  res.json(broadcastManager.getBroadcasts().map(({ targets, ...broadcast }) => ({ ...broadcast, targetCount: targets.length })));
+});
+
+app.get('/api/broadcasts/:id', (req, res) => {
+  const broadcast = broadcastManager.getBroadcast(req.params.id);
+  if (!broadcast) {
+    return sendError(res, 'Broadcast not found', 404);
+  }
+  res.json(broadcast);
+});
+
+// Body { message, target, concurrency }; dryRun only resolves the targets, wait answers once every target was tried
+app.post('/api/broadcasts', requireRole('operator'), async (req, res) => {
+  const { message, target, concurrency, dryRun, wait } = req.body || {};
+  try {
+    if (dryRun) {
+      return res.json({ targets: broadcastManager.resolveTargets(target) });
+    }
+    const { broadcast, done } = sendBroadcast(req.user, { message, target, concurrency });
+    if (wait) {
+      return res.json(await done);
+    }
+    res.status(202).json(broadcast);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Agent directory - display names/avatars per agent id, globally or per gateway
+app.get('/api/agent-directory', (req, res) => {
+  res.json(agentDirectory.getEntries());
+});
+
+app.put('/api/agent-directory', requireRole('admin'), (req, res) => {
+  try {
+    const entry = agentDirectory.setEntry(req.body || {}, req.user.username);
+    activityLog.recordAction(req.user, 'directory.update', `Updated directory entry for ${entry.agentId}`, { gatewayId: entry.gatewayId, data: { id: entry.id } });
+    res.json(entry);
+  } catch (err) {
+    sendError(res, err, 400);
+  }
+});
+
+app.delete('/api/agent-directory/:id', requireRole('admin'), (req, res) => {
+  const entry = agentDirectory.getEntry(req.params.id);
+  if (!entry) {
+    return sendError(res, 'Directory entry not found', 404);
+  }
+  agentDirectory.removeEntry(entry.id);
+  activityLog.recordAction(req.user, 'directory.remove', `Removed directory entry for ${entry.agentId}`, { gatewayId: entry.gatewayId, data: { id: entry.id } });
+  res.json({ success: true });
+});
+
+// Cron jobs - every cron session with its last run and next expected run
+app.get('/api/cron', (req, res) => {
+  const gatewayIds = gatewayManager.getGateways(gatewayFilter(req.query))
+    .map(g => g.id)
+    .filter(id => !req.query.gatewayId || id === req.query.gatewayId);
+  res.json(cronMonitor.getJobs({ gatewayIds }));
+});
+
+app.get('/api/cron/:id/runs', (req, res) => {
+  const runs = cronMonitor.getRuns(req.params.id);
+  if (!runs) {
+    return sendError(res, 'Cron job not found', 404);
+  }
+  res.json({ job: cronMonitor.getJob(req.params.id), runs });
+});
+
+// Cost endpoints
+app.get('/api/costs', (req, res) => {
+  const { from, to, groupBy, gatewayId, agentId } = req.query;
+
+  try {
+    res.json(costTracker.query({ from, to, groupBy, gatewayId, agentId }));
+  } catch (err) {
+    sendError(res, err, 400);
+  }
+});
+
+app.get('/api/pricing', (req, res) => {
+  res.json(pricing.getConfig());
+});
+
+app.put('/api/pricing', requireRole('admin'), (req, res) => {
+  try {
+    res.json(pricing.update(req.body || {}));
+  } catch (err) {
+    sendError(res, err, 400);
+  }
+});
+
+// Budget endpoints
+app.get('/api/budgets', (req, res) => {
+  res.json(budgetManager.getBudgets());
+});
+
+app.get('/api/budgets/alerts', (req, res) => {
+  res.json(budgetManager.getActiveAlerts());
+});
+
+app.post('/api/budgets', requireRole('admin'), (req, res) => {
+  try {
+    res.json(budgetManager.addBudget(req.body || {}));
+  } catch (err) {
+    sendError(res, err, 400);
+  }
+});
+
+app.patch('/api/budgets/:id', requireRole('admin'), (req, res) => {
+  try {
+    const budget = budgetManager.updateBudget(req.params.id, req.body || {});
+    if (budget) {
+      res.json(budget);
+    } else {
+      sendError(res, 'Budget not found', 404);
+    }
+  } catch (err) {
+    sendError(res, err, 400);
+  }
+});
+
+app.delete('/api/budgets/:id', requireRole('admin'), (req, res) => {
+  if (budgetManager.removeBudget(req.params.id)) {
+    res.json({ success: true });
+  } else {
+    sendError(res, 'Budget not found', 404);
+  }
+});
+
+// Alerting endpoints
+app.get('/api/alerts/active', (req, res) => {
+  res.json(alertManager.getActiveAlerts());
+});
+
+app.get('/api/alerts/rules', (req, res) => {
+  res.json(alertManager.getRules());
+});
+
+app.post('/api/alerts/rules', requireRole('admin'), (req, res) => {
+  try {
+    res.json(alertManager.addRule(req.body || {}));
+  } catch (err) {
+    sendError(res, err, 400);
+  }
+});
+
+app.patch('/api/alerts/rules/:id', requireRole('admin'), (req, res) => {
+  try {
+    const rule = alertManager.updateRule(req.params.id, req.body || {});
+    if (rule) {
+      res.json(rule);
+    } else {
+      sendError(res, 'Rule not found', 404);
+    }
+  } catch (err) {
+    sendError(res, err, 400);
+  }
+});
+
+app.delete('/api/alerts/rules/:id', requireRole('admin'), (req, res) => {
+  try {
+    if (alertManager.removeRule(req.params.id)) {
+      res.json({ success: true });
+    } else {
+      sendError(res, 'Rule not found', 404);
+    }
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.get('/api/alerts/sinks', (req, res) => {
+  res.json(alertManager.getSinks());
+});
+
+app.post('/api/alerts/sinks', requireRole('admin'), (req, res) => {
+  try {
+    res.json(alertManager.addSink(req.body || {}));
+  } catch (err) {
+    sendError(res, err, 400);
+  }
+});
+
+app.patch('/api/alerts/sinks/:id', requireRole('admin'), (req, res) => {
+  try {
+    const sink = alertManager.updateSink(req.params.id, req.body || {});
+    if (sink) {
+      res.json(sink);
+    } else {
+      sendError(res, 'Sink not found', 404);
+    }
+  } catch (err) {
+    sendError(res, err, 400);
+  }
+});
+
+app.delete('/api/alerts/sinks/:id', requireRole('admin'), (req, res) => {
+  try {
+    if (alertManager.removeSink(req.params.id)) {
+      res.json({ success: true });
+    } else {
+      sendError(res, 'Sink not found', 404);
+    }
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.post('/api/alerts/sinks/:id/test', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await alertManager.testSink(req.params.id);
+    if (result) {
+      res.json(result);
+    } else {
+      sendError(res, 'Sink not found', 404);
+    }
+  } catch (err) {
+    sendError(res, err.status ? err : `Delivery failed: ${err.message}`, 502);
+  }
+});
+
+// Activity log
+app.get('/api/activity', async (req, res) => {
+  const { type, action, actor, gatewayId, agentId, q, from, to, before, limit } = req.query;
+
+  try {
+    res.json(await activityLog.query({ type, action, actor, gatewayId, agentId, q, from, to, before, limit }));
+  } catch (err) {
+    sendError(res, err, 400);
+  }
+});
+
+// Transcript search
+app.get('/api/search', (req, res) => {
+  const { q, agent, gateway, from, to, limit } = req.query;
+
+  try {
+    res.json({
+      ...transcriptIndex.search({ q, agentId: agent, gatewayId: gateway, from, to, limit }),
+      index: transcriptIndex.getStatus()
+    });
+  } catch (err) {
+    sendError(res, err, 400);
+  }
 });
 
 // Stats endpoint
@@ -125,184 +791,365 @@ app.get('/api/stats', (req, res) => {
   const gateways = gatewayManager.getGateways();
   const agents = gatewayManager.getAgents();
   
+  // Per group: environment ('none' when unset) and tag (a gateway counts towards each of its tags)
+  const groups = { environment: {}, tag: {} };
+  const addToGroup = (kind, key, gateway) => {
+    (groups[kind][key] = groups[kind][key] || []).push(gateway);
+  };
+  for (const gateway of gateways) {
+    addToGroup('environment', gateway.environment || 'none', gateway);
+    for (const tag of gateway.tags) addToGroup('tag', tag, gateway);
+  }
+  for (const kind of Object.keys(groups)) {
+    for (const [key, members] of Object.entries(groups[kind])) {
+      const ids = new Set(members.map(g => g.id));
+      groups[kind][key] = summarizeFleet(members, agents.filter(a => ids.has(a.gatewayId)));
+    }
+  }
+
   res.json({
-    gateways: {
-      total: gateways.length,
-      online: gateways.filter(g => g.status === 'online').length,
-      offline: gateways.filter(g => g.status === 'offline' || g.status === 'disconnected').length,
-      error: gateways.filter(g => g.status === 'error').length
-    },
-    agents: {
-      total: agents.length,
-      active: agents.filter(a => a.status === 'active').length,
-      idle: agents.filter(a => a.status === 'idle').length,
-      sessions: agents.reduce((acc, a) => acc + (a.sessions?.length || 0), 0)
+    ...summarizeFleet(gateways, agents),
+    groups,
+    costs: {
+      estimatedTotal: agents.reduce((acc, a) => acc + (a.estimatedCost || 0), 0),
+      today: costTracker.query({ groupBy: 'day', from: Date.now() }).total.cost
     }
   });
 });
 
+// Unknown API routes shouldn't fall through to the React app
+app.all('/api/*', (req, res) => {
+  sendError(res, 'Not found', 404);
+});
+
+// Errors thrown by middleware (e.g. malformed JSON bodies) get the same shape
+app.use('/api', (err, req, res, next) => {
+  sendError(res, err);
+});
+
 // === WebSocket connections ===
+
+// Minimum role per client event. Events not listed here require admin.
+const SOCKET_EVENT_ROLES = {
+  'refresh': 'viewer',
+  'agent:getHistory': 'viewer',
+  'agent:refresh': 'operator',
+  'agent:terminate': 'operator',
+  'agent:restart': 'operator',
+  'agent:pause': 'operator',
+  'agent:resume': 'operator',
+  'agent:getPauseQueue': 'operator',
+  'agent:sendMessage': 'operator',
+  'agent:killSubagent': 'operator',
+  'chat:subscribe': 'viewer',
+  'chat:unsubscribe': 'viewer',
+  'chat:send': 'operator',
+  'session:close': 'operator',
+  'discover': 'admin',
+  'gateway:update': 'admin',
+  'gateway:reconnect': 'operator'
+};
+
+// Authenticate the handshake with a session or API token
+io.use((socket, next) => {
+  if (!auth.authenticateSocket(socket)) {
+    return next(new Error('Unauthorized'));
+  }
+  next();
+});
+
+// Disconnect sockets whose user, session or token is gone; demoted users get their new role
+auth.on('access:revoked', () => {
+  for (const socket of io.sockets.sockets.values()) {
+    const username = socket.data.user?.username;
+    if (!auth.authenticateSocket(socket)) {
+      console.log(`🔒 Disconnecting ${socket.id} (${username}): access revoked`);
+      socket.disconnect(true);
+    }
+  }
+});
+
 io.on('connection', (socket) => {
-  console.log('👤 Client connected:', socket.id);
+  let user = socket.data.user;
+  console.log(`👤 Client connected: ${socket.id} (${user.username}, ${user.role})`);
+
+  // Re-check the token and enforce roles on every incoming event before it reaches a handler
+  socket.use((packet, next) => {
+    const [event, ...args] = packet;
+    const callback = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+    if (!auth.authenticateSocket(socket)) {
+      console.log(`🔒 ${user.username} sent ${event} after access was revoked`);
+      if (callback) callback(errorBody('Authentication required', 401));
+      socket.disconnect(true);
+      return;
+    }
+    user = socket.data.user;
+
+    const minRole = SOCKET_EVENT_ROLES[event] || 'admin';
+    if (!AuthManager.hasRole(user.role, minRole)) {
+      console.log(`⛔ ${user.username} denied ${event} (requires ${minRole})`);
+      if (callback) callback(errorBody(`Requires ${minRole} role`, 403));
+      return;
+    }
+
+    // Handlers destructure their first argument: default a missing payload
+    // to {} and reject anything else that isn't a plain object
+    const payload = args[0];
+    if (payload === undefined || payload === callback) {
+      packet.splice(1, 0, {});
+    } else if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+      console.log(`⛔ ${user.username} sent ${event} with an invalid payload`);
+      if (callback) callback(errorBody('Payload must be an object', 400));
+      return;
+    }
+    next();
+  });
   
   // Send current state on connect
   socket.emit('sync', {
     gateways: gatewayManager.getGateways(),
-    agents: gatewayManager.getAgents()
+    agents: gatewayManager.getAgents(),
+    budgetAlerts: budgetManager.getActiveAlerts(),
+    alerts: alertManager.getActiveAlerts()
   });
   
   // Handle client commands
   socket.on('refresh', () => {
     socket.emit('sync', {
       gateways: gatewayManager.getGateways(),
-      agents: gatewayManager.getAgents()
+      agents: gatewayManager.getAgents(),
+      budgetAlerts: budgetManager.getActiveAlerts(),
+      alerts: alertManager.getActiveAlerts()
     });
   });
 
-  socket.on('discover', async () => {
-    const discovered = await gatewayManager.discoverLocal();
-    socket.emit('discovery:complete', { discovered: discovered.length, gateways: discovered });
+  socket.on('discover', async (_params, callback) => {
+    try {
+      const discovered = await gatewayManager.discoverLocal();
+      activityLog.recordAction(user, 'gateway.discover', `Discovery found ${discovered.length} gateways`);
+      socket.emit('discovery:complete', { discovered: discovered.length, gateways: discovered });
+      if (typeof callback === 'function') callback({ success: true, discovered: discovered.length });
+    } catch (err) {
+      console.log('Discovery failed:', err.message);
+      activityLog.recordAction(user, 'gateway.discover', 'Discovery', {}, err);
+      if (typeof callback === 'function') callback(errorBody(err));
+    }
+  });
+
+  socket.on('gateway:update', (payload, callback) => {
+    try {
+      const { id, name, token, tags, environment } = payload || {};
+      const gateway = updateGateway(user, id, { name, token, tags, environment });
+      if (typeof callback === 'function') callback({ success: true, gateway });
+    } catch (err) {
+      if (typeof callback === 'function') callback(errorBody(err));
+    }
   });
 
-  socket.on('gateway:update', ({ id, name, token }) => {
-    const success = gatewayManager.updateGateway(id, { name, token });
-    if (success) {
-      console.log(`✏️ Gateway ${id} updated`);
+  socket.on('gateway:reconnect', (payload, callback) => {
+    try {
+      const { id } = payload || {};
+      if (!id) throw new HttpError(400, 'id required');
+      const gateway = reconnectGateway(user, id);
+      if (typeof callback === 'function') callback({ success: true, gateway });
+    } catch (err) {
+      if (typeof callback === 'function') callback(errorBody(err));
     }
   });
 
-  // Agent actions - get session history
-  socket.on('agent:getHistory', async ({ agentId, gatewayId }, callback) => {
+  // Agent actions - get a page of one session's history (`before`: nextCursor of the newer page)
+  socket.on('agent:getHistory', async (payload, callback) => {
     if (typeof callback !== 'function') return;
-    
+    const { agentId, sessionKey, limit = 50, before } = payload || {};
+
     try {
-      const agent = gatewayManager.getAgents().find(a => a.id === agentId);
-      if (!agent) {
-        return callback({ error: 'Agent not found', history: [] });
-      }
-      
-      // Try to get history via gateway protocol
-      const result = await gatewayManager.sendRequest(gatewayId, 'sessions.history', {
-        sessionKey: agent.sessionKey,
-        limit: 50
-      });
-      
-      callback({ history: result?.messages || [] });
+      const { agent } = gatewayManager.resolveSessionTargets(agentId, { sessionKey });
+      const { messages, nextCursor } = await gatewayManager.getSessionHistoryPage(agent.gatewayId, sessionKey, { limit, before });
+      callback({ history: messages, nextCursor });
     } catch (err) {
       console.log(`Failed to get history for ${agentId}:`, err.message);
-      callback({ error: err.message, history: [] });
+      callback({ ...errorBody(err), history: [] });
     }
   });
 
-  // Agent actions - terminate
-  socket.on('agent:terminate', async ({ agentId, gatewayId }, callback) => {
+  // Agent actions - terminate (close the session, or every session with all: true)
+  socket.on('agent:terminate', async (payload, callback) => {
     if (typeof callback !== 'function') return;
-    
+    const { agentId, sessionKey, all } = payload || {};
+
     try {
-      const agent = gatewayManager.getAgents().find(a => a.id === agentId);
-      if (!agent) {
-        return callback({ error: 'Agent not found' });
-      }
-      
-      // Send delete request to gateway (gateway expects 'key' not 'sessionKey')
-      await gatewayManager.sendRequest(gatewayId, 'sessions.delete', {
-        key: agent.sessionKey
-      });
-      
-      callback({ success: true });
+      const result = await agentSessionAction(user, 'agent.terminate', { agentId, sessionKey, all },
+        (gid, key) => gatewayManager.deleteSession(gid, key));
+      callback(actionResponse(result));
     } catch (err) {
       console.log(`Failed to terminate ${agentId}:`, err.message);
-      callback({ error: err.message });
+      callback(errorBody(err));
     }
   });
 
-  // Agent actions - restart
-  socket.on('agent:restart', async ({ agentId, gatewayId }, callback) => {
+  // Agent actions - restart (send /restart to the session, or every session with all: true)
+  socket.on('agent:restart', async (payload, callback) => {
     if (typeof callback !== 'function') return;
-    
+    const { agentId, sessionKey, all } = payload || {};
+
     try {
-      const agent = gatewayManager.getAgents().find(a => a.id === agentId);
-      if (!agent) {
-        return callback({ error: 'Agent not found' });
-      }
-      
-      // Restart = send a message to wake/restart the session
-      await gatewayManager.sendRequest(gatewayId, 'sessions.send', {
-        sessionKey: agent.sessionKey,
-        message: '/restart'
-      });
-      
-      callback({ success: true });
+      const result = await agentSessionAction(user, 'agent.restart', { agentId, sessionKey, all },
+        (gid, key) => gatewayManager.sendToSession(gid, key, '/restart', { by: user.username }));
+      callback(actionResponse(result));
     } catch (err) {
       console.log(`Failed to restart ${agentId}:`, err.message);
-      callback({ error: err.message });
+      callback(errorBody(err));
     }
   });
 
-  // Agent actions - pause/resume (not directly supported, but we can try)
-  socket.on('agent:pause', async ({ agentId, gatewayId }, callback) => {
+  // Agent actions - pause, and resume with the held queue flushed or discarded
+  socket.on('agent:pause', async (payload, callback) => {
     if (typeof callback !== 'function') return;
-    callback({ error: 'Pause not supported yet' });
+    const { agentId } = payload || {};
+
+    try {
+      const agent = await pauseAgent(user, agentId);
+      callback({ success: true, paused: agent.paused });
+    } catch (err) {
+      console.log(`Failed to pause ${agentId}:`, err.message);
+      callback(errorBody(err));
+    }
   });
 
-  socket.on('agent:resume', async ({ agentId, gatewayId }, callback) => {
+  socket.on('agent:resume', async (payload, callback) => {
     if (typeof callback !== 'function') return;
-    callback({ error: 'Resume not supported yet' });
+    const { agentId, queue } = payload || {};
+
+    try {
+      callback({ success: true, ...await resumeAgent(user, agentId, { queue }) });
+    } catch (err) {
+      console.log(`Failed to resume ${agentId}:`, err.message);
+      callback(errorBody(err));
+    }
+  });
+
+  socket.on('agent:getPauseQueue', (payload, callback) => {
+    if (typeof callback !== 'function') return;
+
+    try {
+      const { agentId } = payload || {};
+      const queue = gatewayManager.getPauseQueue(agentId);
+      callback(queue ? { queue } : errorBody('Agent is not paused', 404));
+    } catch (err) {
+      console.log('Failed to get pause queue:', err.message);
+      callback(errorBody(err));
+    }
   });
 
   // Agent actions - refresh data
-  socket.on('agent:refresh', async ({ agentId, gatewayId }, callback) => {
+  socket.on('agent:refresh', async (payload, callback) => {
     if (typeof callback !== 'function') return;
-    
+    const { gatewayId } = payload || {};
+    if (!gatewayId) return callback(errorBody('gatewayId required', 400));
+
     try {
-      // Re-fetch sessions from gateway
-      const result = await gatewayManager.sendRequest(gatewayId, 'sessions.list', {});
-      callback({ success: true, sessions: result?.sessions?.length || 0 });
+      // Re-fetch agents and sessions from gateway
+      const result = await gatewayManager.refreshAgents(gatewayId);
+      callback({ success: true, ...result });
     } catch (err) {
-      callback({ error: err.message });
+      callback(errorBody(err));
+    }
+  });
+
+  // Kill a runaway subagent
+  socket.on('agent:killSubagent', async (payload, callback) => {
+    if (typeof callback !== 'function') return;
+    const { agentId, sessionKey } = payload || {};
+    if (!agentId || !sessionKey) return callback(errorBody('agentId and sessionKey required', 400));
+
+    try {
+      const subagent = await killSubagent(user, agentId, sessionKey);
+      callback({ success: true, subagent });
+    } catch (err) {
+      console.log(`Failed to kill subagent ${sessionKey}:`, err.message);
+      callback(errorBody(err));
     }
   });
 
   // Close individual session
-  socket.on('session:close', async ({ sessionKey, gatewayId }, callback) => {
+  socket.on('session:close', async (payload, callback) => {
     if (typeof callback !== 'function') return;
-    
+    const { sessionKey, gatewayId } = payload || {};
+
     if (!sessionKey || !gatewayId) {
-      return callback({ error: 'sessionKey and gatewayId required' });
+      return callback(errorBody('sessionKey and gatewayId required', 400));
     }
     
     try {
-      // Gateway expects 'key' not 'sessionKey'
-      await gatewayManager.sendRequest(gatewayId, 'sessions.delete', {
-        key: sessionKey
-      });
+      await gatewayManager.deleteSession(gatewayId, sessionKey);
+      activityLog.recordAction(user, 'session.close', `Closed session ${sessionKey}`, { gatewayId, agentId: gatewayManager.sessionAgentId(gatewayId, sessionKey), sessionKey });
       callback({ success: true });
     } catch (err) {
       console.log(`Failed to close session ${sessionKey}:`, err.message);
-      callback({ error: err.message });
+      activityLog.recordAction(user, 'session.close', `Close session ${sessionKey}`, { gatewayId, agentId: gatewayManager.sessionAgentId(gatewayId, sessionKey), sessionKey }, err);
+      callback(errorBody(err));
     }
   });
 
-  // Agent actions - send message
-  socket.on('agent:sendMessage', async ({ agentId, gatewayId, message }, callback) => {
-    if (!message) return;
-    
+  // Agent actions - send message (to the session, or every session with all: true)
+  socket.on('agent:sendMessage', async (payload, callback) => {
+    if (typeof callback !== 'function') return;
+    const { agentId, sessionKey, all, message } = payload || {};
+    if (!message) return callback(errorBody('message required', 400));
+
     try {
-      const agent = gatewayManager.getAgents().find(a => a.id === agentId);
-      if (!agent) {
-        if (typeof callback === 'function') callback({ error: 'Agent not found' });
-        return;
-      }
-      
-      await gatewayManager.sendRequest(gatewayId, 'sessions.send', {
-        sessionKey: agent.sessionKey,
-        message
-      });
-      
-      if (typeof callback === 'function') callback({ success: true });
+      const result = await agentSessionAction(user, 'agent.sendMessage', { agentId, sessionKey, all },
+        (gid, key) => gatewayManager.sendToSession(gid, key, message, { by: user.username }), { length: message.length });
+      callback(actionResponse(result));
     } catch (err) {
       console.log(`Failed to send message to ${agentId}:`, err.message);
-      if (typeof callback === 'function') callback({ error: err.message });
+      callback(errorBody(err));
+    }
+  });
+
+  // Live transcript - join a session's chat room and get its recent history
+  socket.on('chat:subscribe', async (payload, callback) => {
+    const { gatewayId, sessionKey } = payload || {};
+    if (!gatewayId || !sessionKey) {
+      if (typeof callback === 'function') callback(errorBody('sessionKey and gatewayId required', 400));
+      return;
+    }
+    socket.join(chatRoom(gatewayId, sessionKey));
+    if (typeof callback !== 'function') return;
+
+    try {
+      const history = await gatewayManager.getSessionHistory(gatewayId, sessionKey);
+      callback({ success: true, history });
+    } catch (err) {
+      // Still subscribed - new messages will stream in even if history failed
+      callback({ success: true, history: [], historyError: err.message, historyCode: errorBody(err).code });
+    }
+  });
+
+  socket.on('chat:unsubscribe', (payload) => {
+    const { gatewayId, sessionKey } = payload || {};
+    if (gatewayId && sessionKey) socket.leave(chatRoom(gatewayId, sessionKey));
+  });
+
+  // Composer in the live transcript - send to one specific session
+  socket.on('chat:send', async (payload, callback) => {
+    if (typeof callback !== 'function') return;
+    const { gatewayId, sessionKey, message } = payload || {};
+    if (!gatewayId || !sessionKey || !message) {
+      return callback(errorBody('gatewayId, sessionKey and message required', 400));
+    }
+
+    try {
+      const result = await gatewayManager.sendToSession(gatewayId, sessionKey, message, { by: user.username });
+      const queued = !!result?.queued;
+      activityLog.recordAction(user, 'session.send', `${queued ? 'Queued message for' : 'Sent message to'} ${sessionKey}`, {
+        gatewayId, agentId: gatewayManager.sessionAgentId(gatewayId, sessionKey), sessionKey, data: { length: message.length, queued }
+      });
+      callback({ success: true, queued });
+    } catch (err) {
+      console.log(`Failed to send message to ${sessionKey}:`, err.message);
+      activityLog.recordAction(user, 'session.send', `Send message to ${sessionKey}`, { gatewayId, agentId: gatewayManager.sessionAgentId(gatewayId, sessionKey), sessionKey }, err);
+      callback(errorBody(err));
     }
   });
   
@@ -319,15 +1166,239 @@ app.get('*', (req, res) => {
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('\n🛑 Shutting down...');
+  metricsStore.stop();
+  costTracker.stop();
+  cronMonitor.stop();
+  transcriptIndex.stop();
+  budgetManager.stop();
+  alertManager.stop();
   gatewayManager.shutdown();
   server.close(() => process.exit(0));
 });
 
 process.on('SIGTERM', () => {
+  metricsStore.stop();
+  costTracker.stop();
+  cronMonitor.stop();
+  transcriptIndex.stop();
+  budgetManager.stop();
+  alertManager.stop();
   gatewayManager.shutdown();
   server.close(() => process.exit(0));
 });
 
+/**
+ * Rename a gateway, replace its token and/or set its tags and environment (REST and socket).
+ * tags/environment are validated by the GatewayManager.
+ */
+function updateGateway(user, id, { name, token, tags, environment }) {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    throw new HttpError(400, 'name must be a non-empty string');
+  }
+  if (token !== undefined && typeof token !== 'string') {
+    throw new HttpError(400, 'token must be a string');
+  }
+  if (!gatewayManager.updateGateway(id, { name: name?.trim(), token, tags, environment })) {
+    throw new HttpError(404, 'Gateway not found');
+  }
+
+  console.log(`✏️ Gateway ${id} updated`);
+  const fields = { name, token, tags, environment };
+  const changed = Object.keys(fields).filter(key => fields[key] !== undefined);
+  activityLog.recordAction(user, 'gateway.update', `Updated gateway ${name || id} (${changed.join(', ')})`, { gatewayId: id });
+  return gatewayManager.getGateways().find(g => g.id === id);
+}
+
+function reconnectGateway(user, id) {
+  if (!gatewayManager.reconnectGateway(id)) {
+    throw new HttpError(404, 'Gateway not found');
+  }
+  activityLog.recordAction(user, 'gateway.reconnect', `Reconnect requested for ${id}`, { gatewayId: id });
+  return gatewayManager.getGateways().find(g => g.id === id);
+}
+
+function setGatewayEnabled(user, id, enabled) {
+  if (!gatewayManager.setGatewayEnabled(id, enabled)) {
+    throw new HttpError(404, 'Gateway not found');
+  }
+  activityLog.recordAction(user, enabled ? 'gateway.enable' : 'gateway.disable', `${enabled ? 'Enabled' : 'Disabled'} gateway ${id}`, { gatewayId: id });
+  return gatewayManager.getGateways().find(g => g.id === id);
+}
+
+function setMaintenance(user, id, { until, reason }) {
+  if (until !== undefined && until !== null && typeof until !== 'string') {
+    throw new HttpError(400, 'until must be an ISO date string');
+  }
+  if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+    throw new HttpError(400, 'reason must be a string');
+  }
+  if (!gatewayManager.setMaintenance(id, { until: until || null, reason: reason?.trim(), by: user.username })) {
+    throw new HttpError(404, 'Gateway not found');
+  }
+
+  const gateway = gatewayManager.getGateways().find(g => g.id === id);
+  activityLog.recordAction(user, 'gateway.maintenance', `Maintenance started on ${gateway.name}${gateway.maintenance.until ? ` until ${gateway.maintenance.until}` : ''}`, {
+    gatewayId: id,
+    data: { until: gateway.maintenance.until, reason: gateway.maintenance.reason }
+  });
+  return gateway;
+}
+
+function clearMaintenance(user, id) {
+  if (!gatewayManager.clearMaintenance(id)) {
+    throw new HttpError(404, 'Gateway not found');
+  }
+  const gateway = gatewayManager.getGateways().find(g => g.id === id);
+  activityLog.recordAction(user, 'gateway.maintenance', `Maintenance ended on ${gateway.name}`, { gatewayId: id });
+  return gateway;
+}
+
+async function killSubagent(user, agentId, sessionKey) {
+  const agent = gatewayManager.getAgents().find(a => a.id === agentId);
+  const context = { gatewayId: agent?.gatewayId, agentId, sessionKey };
+  try {
+    const subagent = await gatewayManager.killSubagent(agentId, sessionKey);
+    activityLog.recordAction(user, 'subagent.kill', `Killed subagent "${subagent.label}" of ${agent.name}`, context);
+    return subagent;
+  } catch (err) {
+    if (agent && err.status !== 404) {
+      activityLog.recordAction(user, 'subagent.kill', `Kill subagent ${sessionKey} of ${agent.name}`, context, err);
+    }
+    throw err;
+  }
+}
+
+async function pauseAgent(user, agentId) {
+  const known = gatewayManager.getAgents().find(a => a.id === agentId);
+  try {
+    const agent = await gatewayManager.pauseAgent(agentId, user.username);
+    const how = agent.paused.mode === 'gateway' ? 'on the gateway' : 'messages held by Team Control';
+    activityLog.recordAction(user, 'agent.pause', `Paused ${agent.name} (${how})`, { gatewayId: agent.gatewayId, agentId });
+    return agent;
+  } catch (err) {
+    if (known && err.status !== 409) {
+      activityLog.recordAction(user, 'agent.pause', `Pause ${known.name}`, { gatewayId: known.gatewayId, agentId }, err);
+    }
+    throw err;
+  }
+}
+
+async function resumeAgent(user, agentId, { queue }) {
+  const agent = gatewayManager.getAgents().find(a => a.id === agentId);
+  const name = agent?.name || agentId;
+  const context = { gatewayId: agent?.gatewayId, agentId };
+  try {
+    const result = await gatewayManager.resumeAgent(agentId, { queue });
+    const held = result.discarded
+      ? `, ${result.discarded} queued messages discarded`
+      : result.results.length ? `, ${result.flushed} queued messages sent, ${result.failed} failed` : '';
+    const summary = result.stillPaused ? `Resume ${name}${held} - kept paused with the failed messages` : `Resumed ${name}${held}`;
+    activityLog.recordAction(user, 'agent.resume', summary, {
+      ...context,
+      data: { flushed: result.flushed, failed: result.failed, discarded: result.discarded }
+    });
+    return result;
+  } catch (err) {
+    if (err.status !== 400 && err.status !== 409) {
+      activityLog.recordAction(user, 'agent.resume', `Resume ${name}`, context, err);
+    }
+    throw err;
+  }
+}
+
+function sendBroadcast(user, { message, target, concurrency }) {
+  const result = broadcastManager.send({ message, target, concurrency }, user.username);
+  result.done.then(broadcast => {
+    const failedTarget = broadcast.targets.find(t => t.status === 'failed');
+    const error = broadcast.sent + broadcast.queued === 0 ? new Error(failedTarget.error) : null;
+    const queued = broadcast.queued ? `, ${broadcast.queued} queued` : '';
+    activityLog.recordAction(user, 'broadcast.send', `Broadcast to ${broadcast.targets.length} sessions: ${broadcast.sent} sent${queued}, ${broadcast.failed} failed`, {
+      data: { broadcastId: broadcast.id, length: message.length, sent: broadcast.sent, queued: broadcast.queued, failed: broadcast.failed }
+    }, error);
+  }).catch(err => {
+    console.error(`Broadcast ${result.broadcast.id} failed:`, err.message);
+    activityLog.recordAction(user, 'broadcast.send', `Broadcast ${result.broadcast.id}`, {
+      data: { broadcastId: result.broadcast.id, length: message.length }
+    }, err);
+  });
+  return result;
+}
+
+/**
+ * Gateway/agent filter from query params: ?tag=a&tag=b (or ?tag=a,b) and ?environment=prod
+ */
+function gatewayFilter(query) {
+  const tags = [].concat(query.tag || [])
+    .flatMap(t => String(t).split(','))
+    .map(t => t.trim().toLowerCase())
+    .filter(Boolean);
+  return { tags, environment: query.environment || undefined };
+}
+
+/**
+ * Gateway and agent counts for /api/stats (the whole fleet or one group)
+ */
+function summarizeFleet(gateways, agents) {
+  return {
+    gateways: {
+      total: gateways.length,
+      online: gateways.filter(g => g.status === 'online').length,
+      offline: gateways.filter(g => g.status === 'offline' || g.status === 'disconnected').length,
+      error: gateways.filter(g => g.status === 'error').length
+    },
+    agents: {
+      total: agents.length,
+      active: agents.filter(a => a.status === 'active').length,
+      idle: agents.filter(a => a.status === 'idle').length,
+      sessions: agents.reduce((acc, a) => acc + (a.sessions?.length || 0), 0)
+    }
+  };
+}
+
+const ACTION_LABELS = {
+  'agent.terminate': 'Terminated',
+  'agent.restart': 'Restarted',
+  'agent.sendMessage': 'Sent message to'
+};
+
+/**
+ * Run an agent action on its target sessions (one, or all with `all`) and log it
+ */
+async function agentSessionAction(user, action, { agentId, sessionKey, all }, op, data = {}) {
+  const { agent, sessionKeys } = gatewayManager.resolveSessionTargets(agentId, { sessionKey, all });
+  const result = await gatewayManager.forEachSession(agent.gatewayId, sessionKeys, op);
+
+  const target = sessionKey || `all ${sessionKeys.length} sessions`;
+  const firstError = result.results.find(r => !r.ok);
+  activityLog.recordAction(user, action, `${ACTION_LABELS[action]} ${agent.name} (${target})`, {
+    gatewayId: agent.gatewayId,
+    agentId,
+    sessionKey: sessionKey || null,
+    data: { ...data, succeeded: result.succeeded, failed: result.failed, queued: result.queued }
+  }, firstError ? new Error(firstError.error) : null);
+
+  return result;
+}
+
+/**
+ * Socket/REST response for a multi-session action - an error only when nothing worked
+ */
+function actionResponse(result) {
+  if (result.results.length > 0 && result.succeeded === 0) {
+    return { error: result.results[0].error, code: result.results[0].code || 'gateway_error', ...result };
+  }
+  return { success: true, ...result };
+}
+
+function sendActionResult(res, result) {
+  const response = actionResponse(result);
+  res.status(response.error ? errorStatus(response, 502) : 200).json(response);
+}
+
+function chatRoom(gatewayId, sessionKey) {
+  return `chat:${gatewayId}:${sessionKey}`;
+}
+
 // Get LAN IP for display
 function getLanIP() {
   const os = require('os');
@@ -349,5 +1420,12 @@ server.listen(PORT, HOST, () => {
   console.log(`🚀 Team Control running on:`);
   console.log(`   Local:   http://localhost:${PORT}`);
   console.log(`   Network: http://${lanIP}:${PORT}`);
+  activityLog.watch(gatewayManager);
   gatewayManager.init();
+  metricsStore.start();
+  costTracker.start();
+  budgetManager.start();
+  cronMonitor.start();
+  transcriptIndex.start();
+  alertManager.start();
 });
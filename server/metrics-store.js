@@ -0,0 +1,301 @@
+/**
+ * Metrics Store - Time-series samples of agent and gateway state
+ *
+ * - Samples every agent (tokens, messages, sessions, status) and gateway (status,
+ *   health checks) on a fixed interval
+ * - Records agent/gateway status transitions as they happen
+ * - Append-only NDJSON files, one per day: data/metrics/YYYY-MM-DD.ndjson
+ * - Old files are pruned after METRICS_RETENTION_DAYS
+ * - Queries stream the files line by line so they don't block the event loop
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const SAMPLE_INTERVAL = 60000;  // 1 minute
+const RETENTION_DAYS = parseInt(process.env.METRICS_RETENTION_DAYS, 10) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BUCKETS = 500;
+
+class MetricsStore {
+  constructor(gatewayManager, { dataDir = DATA_DIR } = {}) {
+    this.gatewayManager = gatewayManager;
+    this.dir = path.join(dataDir, 'metrics');
+    this.lastAgentStatus = new Map();   // agentId -> status
+    this.lastGatewayStatus = new Map(); // gatewayId -> status
+    this.sampleTimer = null;
+    this.lastPruneDay = null;
+    this._ensureDir();
+  }
+
+  _ensureDir() {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  /**
+   * Start listening for transitions and sampling on an interval
+   */
+  start() {
+    this.gatewayManager.on('agent:update', (agent) => this._onAgentUpdate(agent));
+    this.gatewayManager.on('agent:removed', ({ id }) => this._onAgentUpdate({ id, status: 'removed' }));
+    this.gatewayManager.on('gateway:update', (gw) => this._onGatewayUpdate(gw));
+
+    this.sampleTimer = setInterval(() => this.sample(), SAMPLE_INTERVAL);
+  }
+
+  stop() {
+    if (this.sampleTimer) {
+      clearInterval(this.sampleTimer);
+      this.sampleTimer = null;
+    }
+  }
+
+  /**
+   * Record a snapshot of every agent and gateway
+   */
+  sample() {
+    const t = Date.now();
+    const records = [];
+
+    for (const agent of this.gatewayManager.getAgents()) {
+      const sessions = agent.sessions || [];
+      records.push({
+        t,
+        kind: 'agent',
+        id: agent.id,
+        gatewayId: agent.gatewayId,
+        status: agent.status,
+        totalTokens: agent.totalTokens || 0,
+        messageCount: agent.messageCount || agent.totalMessages || 0,
+        sessionCount: sessions.length,
+        activeSessions: sessions.filter(s => s.status === 'active').length
+      });
+    }
+
+    for (const gw of this.gatewayManager.getGateways()) {
+      records.push({
+        t,
+        kind: 'gateway',
+        id: gw.id,
+        status: gw.status,
+        healthSuccess: gw.healthChecks?.success || 0,
+        healthFailure: gw.healthChecks?.failure || 0
+      });
+    }
+
+    this._append(records);
+
+    // Prune once per day
+    const day = new Date(t).toISOString().slice(0, 10);
+    if (day !== this.lastPruneDay) {
+      this._prune();
+    }
+  }
+
+  _onAgentUpdate(agent) {
+    const previous = this.lastAgentStatus.get(agent.id);
+    if (previous === agent.status) return;
+
+    if (agent.status === 'removed') {
+      this.lastAgentStatus.delete(agent.id);
+    } else {
+      this.lastAgentStatus.set(agent.id, agent.status);
+    }
+    this._append([{ t: Date.now(), kind: 'transition', id: agent.id, from: previous || null, to: agent.status }]);
+  }
+
+  _onGatewayUpdate(gw) {
+    const previous = this.lastGatewayStatus.get(gw.id);
+    if (previous === gw.status) return;
+
+    this.lastGatewayStatus.set(gw.id, gw.status);
+    this._append([{ t: Date.now(), kind: 'gateway-transition', id: gw.id, from: previous || null, to: gw.status }]);
+  }
+
+  /**
+   * Aggregated metrics for one agent over a time range
+   */
+  async getAgentMetrics(agentId, { from, to, bucket } = {}) {
+    const range = this._parseRange(from, to, bucket);
+    const agent = this.gatewayManager.getAgents().find(a => a.id === agentId);
+    const gatewayId = agent?.gatewayId || agentId.split(':')[0];
+
+    const samples = [];
+    const transitions = [];
+    const gatewaySamples = [];
+
+    for await (const record of this._read(range.from, range.to)) {
+      if (record.kind === 'agent' && record.id === agentId) samples.push(record);
+      else if (record.kind === 'transition' && record.id === agentId) transitions.push(record);
+      else if (record.kind === 'gateway' && record.id === gatewayId) gatewaySamples.push(record);
+    }
+
+    return {
+      agentId,
+      from: new Date(range.from).toISOString(),
+      to: new Date(range.to).toISOString(),
+      bucket: range.bucket,
+      summary: this._summarize(samples, transitions, gatewaySamples),
+      series: this._bucketize(samples, range),
+      transitions: transitions.map(tr => ({ t: new Date(tr.t).toISOString(), from: tr.from, to: tr.to }))
+    };
+  }
+
+  _summarize(samples, transitions, gatewaySamples) {
+    const last = samples[samples.length - 1];
+    const online = gatewaySamples.filter(s => s.status === 'online').length;
+
+    return {
+      samples: samples.length,
+      // Counters can drop when sessions are deleted - only count increases
+      tokensUsed: this._sumIncreases(samples, 'totalTokens'),
+      messages: this._sumIncreases(samples, 'messageCount'),
+      totalTokens: last?.totalTokens ?? null,
+      messageCount: last?.messageCount ?? null,
+      peakSessions: samples.reduce((max, s) => Math.max(max, s.sessionCount), 0),
+      peakActiveSessions: samples.reduce((max, s) => Math.max(max, s.activeSessions), 0),
+      activeRatio: samples.length > 0
+        ? samples.filter(s => s.status === 'active').length / samples.length
+        : null,
+      statusChanges: transitions.length,
+      gatewayUptime: gatewaySamples.length > 0 ? online / gatewaySamples.length : null
+    };
+  }
+
+  _sumIncreases(samples, field) {
+    let total = 0;
+    for (let i = 1; i < samples.length; i++) {
+      const delta = samples[i][field] - samples[i - 1][field];
+      if (delta > 0) total += delta;
+    }
+    return total;
+  }
+
+  _bucketize(samples, { from, to, bucket }) {
+    const buckets = new Map(); // bucket start -> samples
+    for (const s of samples) {
+      const start = from + Math.floor((s.t - from) / bucket) * bucket;
+      if (!buckets.has(start)) buckets.set(start, []);
+      buckets.get(start).push(s);
+    }
+
+    const series = [];
+    for (let start = from; start < to; start += bucket) {
+      const group = buckets.get(start);
+      if (!group) {
+        series.push({ t: new Date(start).toISOString(), samples: 0 });
+        continue;
+      }
+      const last = group[group.length - 1];
+      series.push({
+        t: new Date(start).toISOString(),
+        samples: group.length,
+        totalTokens: last.totalTokens,
+        messageCount: last.messageCount,
+        sessionCount: Math.max(...group.map(s => s.sessionCount)),
+        activeSessions: Math.max(...group.map(s => s.activeSessions)),
+        activeRatio: group.filter(s => s.status === 'active').length / group.length
+      });
+    }
+    return series;
+  }
+
+  /**
+   * Parse from/to (ISO string or epoch ms) and bucket (ms or "5m", "1h", "1d")
+   */
+  _parseRange(from, to, bucket) {
+    const parseTime = (value, fallback) => {
+      if (value === undefined || value === null || value === '') return fallback;
+      const n = Number(value);
+      const ms = Number.isFinite(n) ? n : Date.parse(value);
+      if (!Number.isFinite(ms) || Number.isNaN(new Date(ms).getTime())) throw new Error(`Invalid time: ${value}`);
+      return ms;
+    };
+
+    const end = parseTime(to, Date.now());
+    let start = parseTime(from, end - DAY_MS);
+    if (start >= end) throw new Error('from must be before to');
+    // Older samples have been pruned - don't report (or bucket) a range reaching further back
+    const oldest = Date.now() - RETENTION_DAYS * DAY_MS;
+    if (start < oldest && oldest < end) start = oldest;
+
+    let size = bucket ? MetricsStore.parseDuration(bucket) : Math.ceil((end - start) / 60);
+    size = Math.max(size, SAMPLE_INTERVAL, Math.ceil((end - start) / MAX_BUCKETS));
+
+    return { from: start, to: end, bucket: size };
+  }
+
+  static parseDuration(value) {
+    const match = String(value).match(/^(\d+)(ms|s|m|h|d)?$/);
+    if (!match) throw new Error(`Invalid bucket: ${value}`);
+    const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: DAY_MS };
+    return parseInt(match[1], 10) * units[match[2] || 'ms'];
+  }
+
+  // === Storage ===
+
+  _fileFor(t) {
+    return path.join(this.dir, `${new Date(t).toISOString().slice(0, 10)}.ndjson`);
+  }
+
+  _append(records) {
+    if (records.length === 0) return;
+    try {
+      const lines = records.map(r => JSON.stringify(r)).join('\n') + '\n';
+      fs.appendFileSync(this._fileFor(records[0].t), lines);
+    } catch (err) {
+      console.error('Failed to write metrics:', err.message);
+    }
+  }
+
+  /**
+   * Records between from and to, oldest first
+   */
+  async *_read(from, to) {
+    // Only days that can still have a file: pruned ones before, future ones after
+    const firstDay = Math.floor(Math.max(from, Date.now() - RETENTION_DAYS * DAY_MS) / DAY_MS) * DAY_MS;
+    const lastDay = Math.min(to, Date.now());
+
+    for (let day = firstDay; day <= lastDay; day += DAY_MS) {
+      const file = this._fileFor(day);
+      try {
+        await fs.promises.access(file);
+      } catch {
+        continue;
+      }
+
+      const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          continue;  // Skip partial lines from an interrupted write
+        }
+        if (record.t >= from && record.t <= to) yield record;
+      }
+    }
+  }
+
+  _prune() {
+    this.lastPruneDay = new Date().toISOString().slice(0, 10);
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * DAY_MS).toISOString().slice(0, 10);
+    try {
+      for (const file of fs.readdirSync(this.dir)) {
+        if (file.endsWith('.ndjson') && file.slice(0, 10) < cutoff) {
+          fs.unlinkSync(path.join(this.dir, file));
+          console.log(`🧹 Pruned metrics file: ${file}`);
+        }
+      }
+    } catch (err) {
+      console.error('Failed to prune metrics:', err.message);
+    }
+  }
+}
+
+module.exports = MetricsStore;
@@ -0,0 +1,653 @@
+/**
+ * Mock Gateway - Clawdbot gateway simulator for local development and tests
+ *
+ * - Speaks protocol v3 the way GatewayManager does: connect -> hello-ok, then
+ *   req/res frames for ping, agents.list, sessions.list, sessions.history,
+ *   sessions.send and sessions.delete, plus tick, session:* and chat:* event frames
+ * - agents.list reports every configured agent, including idle ones with no sessions
+ * - sessions.history pages backwards with a `before` cursor and answers with
+ *   nextCursor (historyCursor: false answers without it, like older gateways)
+ * - The first agent's main session starts with a tool call in its history
+ * - With agentPause, agents.pause/agents.resume are advertised too; a paused
+ *   agent's sessions refuse sessions.send
+ * - Serves GET /api/health so discovery and the HTTP health fallback work
+ * - Cron job sessions run on cronInterval (active, then idle - or error for
+ *   the share given by cronFailRate)
+ * - Scenarios script the awkward cases: many agents, a flapping connection,
+ *   slow responses, auth failure, a token without write scope
+ *
+ * CLI:  node server/mock-gateway.js [--scenario busy] [--port 18789] [--agents 5] [--idle-agents 2]
+ *         [--token secret] [--latency 2000] [--flap 20000] [--flap-downtime 5000]
+ *         [--activity 10000] [--tick 15000] [--silent sessions.history] [--deny sessions.send] [--auth-fail] [--no-agents-list]
+ *         [--cron 60000] [--cron-fail-rate 20] [--agent-pause] [--no-history-cursor]
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { WebSocketServer } = require('ws');
+
+const PROTOCOL_VERSION = 3;
+const DEFAULT_PORT = 18789;
+const AGENT_IDS = ['main', 'pilot', 'forge', 'atlas', 'pixel', 'canvas', 'compass', 'personal', 'family'];
+const MODELS = ['claude-sonnet-4-20250514', 'claude-opus-4-5', 'gpt-4o'];
+const EMOJIS = ['🗿', '🧭', '🔥', '🗺️', '🖼️', '🎨', '🧭', '🎩', '🏠'];
+const METHODS = ['connect', 'ping', 'agents.list', 'sessions.list', 'sessions.history', 'sessions.send', 'sessions.delete'];
+const PAUSE_METHODS = ['agents.pause', 'agents.resume'];
+const EVENTS = ['tick', 'session:created', 'session:update', 'session:deleted', 'chat', 'chat:chunk', 'chat:done', 'shutdown'];
+
+const DEFAULT_OPTIONS = {
+  port: DEFAULT_PORT,
+  host: '127.0.0.1',
+  name: 'Mock Gateway',
+  agents: 3,
+  idleAgents: 0,          // Extra configured agents that have no sessions
+  agentsList: true,       // false = answer agents.list with unknown_method, like older gateways
+  historyCursor: true,    // false = sessions.history ignores `before` and has no nextCursor, like older gateways
+  agentPause: false,      // true = support agents.pause/agents.resume
+  token: null,            // Required connect token (null = no auth)
+  authFail: false,        // Reject every connect, whatever the token
+  latency: 0,             // ms added before each response (except connect)
+  methodLatency: {},      // Per-method override of latency, e.g. { 'sessions.list': 2000 }
+  silentMethods: [],      // Methods that never get a response (timeouts)
+  deniedMethods: [],      // Methods refused for a missing operator scope
+  tickInterval: 15000,
+  activityInterval: 0,    // ms between simulated conversations (0 = off)
+  cronInterval: 0,        // ms between cron job runs (0 = off)
+  cronFailRate: 0,        // Share of cron runs that fail, 0-1
+  flapInterval: 0,        // ms between forced disconnects (0 = off)
+  flapDowntime: 5000,     // ms the gateway stays unreachable after a flap
+  replyDelay: 300         // ms between streamed reply chunks
+};
+
+// Named option presets; explicit options override them
+const SCENARIOS = {
+  default: {},
+  busy: { agents: 8, idleAgents: 2, activityInterval: 3000, cronInterval: 20000, cronFailRate: 0.2 },
+  flapping: { flapInterval: 20000, flapDowntime: 5000 },
+  slow: { latency: 3000 },
+  timeout: { silentMethods: ['sessions.history', 'sessions.send'] },
+  'read-only': { deniedMethods: ['sessions.send', 'sessions.delete'] },
+  'auth-failure': { authFail: true }
+};
+
+class MockGateway extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const scenario = SCENARIOS[options.scenario || 'default'];
+    if (!scenario) throw new Error(`Unknown scenario: ${options.scenario}`);
+
+    this.options = { ...DEFAULT_OPTIONS, ...scenario, ...options };
+    this.agents = new Map();     // agentId -> configuration reported by agents.list
+    this.sessions = new Map();   // sessionKey -> session
+    this.histories = new Map();  // sessionKey -> messages
+    this.pausedAgents = new Set(); // agentIds paused with agents.pause
+    this.clients = new Set();    // connected (authenticated or not) sockets
+    this.requests = [];          // { method, params } log, for tests
+    this.down = false;
+    this.seq = 0;
+    this.server = null;
+    this.wss = null;
+    this.timers = [];           // intervals
+    this.timeouts = new Set();   // pending one-shot timers
+
+    this._seedAgents(this.options.agents + this.options.idleAgents);
+    this._seedSessions(this.options.agents);
+  }
+
+  get port() {
+    return this.server?.address()?.port || this.options.port;
+  }
+
+  get url() {
+    return `http://${this.options.host}:${this.port}`;
+  }
+
+  /**
+   * Listen for HTTP and WebSocket connections; resolves once bound (port 0 picks a free port)
+   */
+  start() {
+    this.server = http.createServer((req, res) => this._handleHttp(req, res));
+    this.wss = new WebSocketServer({ noServer: true });
+
+    this.server.on('upgrade', (req, socket, head) => {
+      if (this.down) {
+        socket.end('HTTP/1.1 503 Service Unavailable\r\n\r\n');
+        return;
+      }
+      this.wss.handleUpgrade(req, socket, head, (ws) => this._handleConnection(ws));
+    });
+
+    const { tickInterval, activityInterval, cronInterval, flapInterval } = this.options;
+    if (tickInterval > 0) {
+      this.timers.push(setInterval(() => this.broadcast('tick', { ts: Date.now() }), tickInterval));
+    }
+    if (activityInterval > 0) {
+      this.timers.push(setInterval(() => this._simulateActivity(), activityInterval));
+    }
+    if (cronInterval > 0) {
+      this.timers.push(setInterval(() => this._runCronJobs(), cronInterval));
+    }
+    if (flapInterval > 0) {
+      this.timers.push(setInterval(() => this.flap(), flapInterval));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, () => {
+        this.server.off('error', reject);
+        console.log(`🧪 ${this.options.name} listening on ${this.url} (${this.sessions.size} sessions)`);
+        resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Close every connection and stop listening
+   */
+  stop() {
+    for (const timer of this.timers) {
+      clearInterval(timer);
+    }
+    for (const timer of this.timeouts) {
+      clearTimeout(timer);
+    }
+    this.timers = [];
+    this.timeouts.clear();
+    this.broadcast('shutdown', { reason: 'mock gateway stopped' });
+    this.disconnectAll(1001, 'shutdown');
+
+    return new Promise((resolve) => {
+      if (!this.server) return resolve();
+      this.wss.close();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * Drop every client and refuse connections (WebSocket and health) for `downtime` ms
+   */
+  flap(downtime = this.options.flapDowntime) {
+    console.log(`🧪 ${this.options.name} flapping: down for ${downtime}ms`);
+    this.down = true;
+    this.disconnectAll(1012, 'flap');
+    this._later(() => {
+      this.down = false;
+      console.log(`🧪 ${this.options.name} back up`);
+    }, downtime);
+  }
+
+  disconnectAll(code = 1000, reason = '') {
+    for (const ws of this.clients) {
+      ws.close(code, reason);
+    }
+    this.clients.clear();
+  }
+
+  /**
+   * Send an event frame to every authenticated client
+   */
+  broadcast(event, payload) {
+    const frame = JSON.stringify({ type: 'event', event, payload, seq: ++this.seq });
+    for (const ws of this.clients) {
+      if (ws.authenticated && ws.readyState === ws.OPEN) {
+        ws.send(frame);
+      }
+    }
+  }
+
+  /**
+   * Add (or replace) a session and announce it
+   */
+  addSession(session) {
+    const exists = this.sessions.has(session.sessionKey);
+    const full = this._session(session);
+    this.sessions.set(full.sessionKey, full);
+    if (!this.histories.has(full.sessionKey)) this.histories.set(full.sessionKey, []);
+    this.broadcast(exists ? 'session:update' : 'session:created', full);
+    return full;
+  }
+
+  /**
+   * Run a cron job session once: active for `duration`, then idle - or error when it fails
+   */
+  runCron(sessionKey, { fail = false, duration = this.options.replyDelay * 4 } = {}) {
+    const session = this.sessions.get(sessionKey);
+    if (!session) return false;
+
+    this._touchSession(sessionKey, { status: 'active' });
+    this._later(() => {
+      if (!this.sessions.has(sessionKey)) return;
+      this._touchSession(sessionKey, {
+        status: fail ? 'error' : 'idle',
+        inputTokens: session.inputTokens + 800,
+        outputTokens: session.outputTokens + (fail ? 0 : 400)
+      });
+    }, duration);
+    return true;
+  }
+
+  /**
+   * Remove a session and announce it
+   */
+  removeSession(sessionKey) {
+    if (!this.sessions.delete(sessionKey)) return false;
+    this.histories.delete(sessionKey);
+    this.broadcast('session:deleted', { sessionKey });
+    return true;
+  }
+
+  _handleHttp(req, res) {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    if (req.method === 'GET' && pathname === '/api/health') {
+      if (this.down) {
+        res.writeHead(503, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ status: 'down' }));
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({
+        status: 'ok',
+        type: 'clawdbot',
+        gateway: true,
+        name: this.options.name,
+        protocol: PROTOCOL_VERSION,
+        sessions: this.sessions.size
+      }));
+    }
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Not found' }));
+  }
+
+  _handleConnection(ws) {
+    ws.authenticated = false;
+    this.clients.add(ws);
+
+    ws.on('message', (data) => {
+      let frame;
+      try {
+        frame = JSON.parse(data.toString());
+      } catch {
+        return ws.close(1007, 'invalid json');
+      }
+      if (frame.type !== 'req' || !frame.id || !frame.method) {
+        return this._respond(ws, frame.id, false, null, { code: 'invalid_frame', message: 'Expected a req frame' });
+      }
+      this._handleRequest(ws, frame);
+    });
+
+    ws.on('close', () => this.clients.delete(ws));
+    ws.on('error', () => this.clients.delete(ws));
+  }
+
+  _handleRequest(ws, { id, method, params = {} }) {
+    this.requests.push({ method, params });
+    this.emit('request', { method, params });
+
+    if (method === 'connect') {
+      return this._handleConnect(ws, id, params);
+    }
+    if (!ws.authenticated) {
+      return this._respond(ws, id, false, null, { code: 'not_connected', message: 'connect must be the first request' });
+    }
+    if (this.options.silentMethods.includes(method)) return;
+    if (this.options.deniedMethods.includes(method)) {
+      return this._respond(ws, id, false, null, { code: 'forbidden', message: `missing scope: operator.write (${method})` });
+    }
+
+    let result;
+    try {
+      result = this._dispatch(method, params);
+    } catch (err) {
+      result = { error: { code: err.code || 'invalid_request', message: err.message } };
+    }
+
+    const send = () => result.error
+      ? this._respond(ws, id, false, null, result.error)
+      : this._respond(ws, id, true, result.payload);
+    const delay = this.options.methodLatency[method] ?? this.options.latency;
+    if (delay > 0) {
+      this._later(send, delay);
+    } else {
+      send();
+    }
+  }
+
+  _handleConnect(ws, id, params) {
+    const { minProtocol, maxProtocol, auth } = params;
+    if (minProtocol > PROTOCOL_VERSION || maxProtocol < PROTOCOL_VERSION) {
+      this._respond(ws, id, false, null, { code: 'protocol_mismatch', message: `Server speaks protocol v${PROTOCOL_VERSION}` });
+      return ws.close(1002, 'protocol mismatch');
+    }
+
+    const { token, authFail } = this.options;
+    if (authFail || (token && auth?.token !== token)) {
+      this._respond(ws, id, false, null, { code: 'unauthorized', message: 'gateway token mismatch' });
+      return ws.close(1008, 'unauthorized');
+    }
+
+    ws.authenticated = true;
+    ws.client = params.client || null;
+    this._respond(ws, id, true, {
+      type: 'hello-ok',
+      protocol: PROTOCOL_VERSION,
+      server: { name: this.options.name, version: 'mock', host: this.options.host },
+      features: { methods: this.options.agentPause ? [...METHODS, ...PAUSE_METHODS] : METHODS, events: EVENTS },
+      policy: { tickIntervalMs: this.options.tickInterval }
+    });
+  }
+
+  /**
+   * Run a request method; returns { payload } or { error }
+   */
+  _dispatch(method, params) {
+    switch (method) {
+      case 'ping':
+        return { payload: { ts: Date.now() } };
+
+      case 'agents.list':
+        if (!this.options.agentsList) {
+          return { error: { code: 'unknown_method', message: `unknown method: ${method}` } };
+        }
+        return { payload: { defaultId: AGENT_IDS[0], agents: Array.from(this.agents.values()) } };
+
+      case 'sessions.list':
+        return { payload: { sessions: Array.from(this.sessions.values()) } };
+
+      case 'sessions.history': {
+        const session = this._requireSession(params.sessionKey);
+        const messages = this.histories.get(session.sessionKey) || [];
+        const limit = Math.max(parseInt(params.limit, 10) || 50, 1);
+        if (!this.options.historyCursor) {
+          return { payload: { sessionKey: session.sessionKey, messages: messages.slice(-limit) } };
+        }
+        // The cursor is the index of the oldest message already sent
+        const end = params.before !== undefined && params.before !== null
+          ? Math.min(Math.max(parseInt(params.before, 10) || 0, 0), messages.length)
+          : messages.length;
+        const start = Math.max(end - limit, 0);
+        return {
+          payload: { sessionKey: session.sessionKey, messages: messages.slice(start, end), nextCursor: start > 0 ? String(start) : null }
+        };
+      }
+
+      case 'agents.pause':
+      case 'agents.resume': {
+        if (!this.options.agentPause) {
+          return { error: { code: 'unknown_method', message: `unknown method: ${method}` } };
+        }
+        if (!this.agents.has(params.agentId)) {
+          throw Object.assign(new Error(`agent not found: ${params.agentId}`), { code: 'not_found' });
+        }
+        if (method === 'agents.pause') this.pausedAgents.add(params.agentId);
+        else this.pausedAgents.delete(params.agentId);
+        return { payload: { ok: true, agentId: params.agentId, paused: method === 'agents.pause' } };
+      }
+
+      case 'sessions.send': {
+        const session = this._requireSession(params.sessionKey);
+        if (!params.message) throw new Error('message is required');
+        if (this.pausedAgents.has(session.sessionKey.split(':')[1])) {
+          throw Object.assign(new Error('agent is paused'), { code: 'agent_paused' });
+        }
+        const runId = crypto.randomUUID();
+        setImmediate(() => this._converse(session.sessionKey, String(params.message), runId));
+        return { payload: { ok: true, sessionKey: session.sessionKey, runId } };
+      }
+
+      case 'sessions.delete': {
+        const session = this._requireSession(params.key);
+        this.removeSession(session.sessionKey);
+        return { payload: { ok: true, key: session.sessionKey } };
+      }
+
+      default:
+        return { error: { code: 'unknown_method', message: `unknown method: ${method}` } };
+    }
+  }
+
+  _requireSession(sessionKey) {
+    const session = this.sessions.get(sessionKey);
+    if (!session) {
+      throw Object.assign(new Error(`session not found: ${sessionKey}`), { code: 'not_found' });
+    }
+    return session;
+  }
+
+  _respond(ws, id, ok, payload, error = null) {
+    if (ws.readyState !== ws.OPEN) return;
+    const frame = ok ? { type: 'res', id, ok: true, payload } : { type: 'res', id, ok: false, error };
+    ws.send(JSON.stringify(frame));
+  }
+
+  /**
+   * Append a user message, then stream an assistant reply as chat:chunk events and finish with chat:done
+   */
+  _converse(sessionKey, text, runId) {
+    const session = this.sessions.get(sessionKey);
+    if (!session) return;
+
+    const userMessage = { role: 'user', content: text, timestamp: new Date().toISOString() };
+    this._appendMessage(sessionKey, userMessage);
+    this.broadcast('chat', { sessionKey, runId, message: userMessage });
+    this._touchSession(sessionKey, { status: 'active' });
+
+    const reply = `Mock reply to: "${text.slice(0, 80)}"`;
+    const words = reply.split(' ');
+    words.forEach((word, i) => {
+      this._later(() => {
+        this.broadcast('chat:chunk', { sessionKey, runId, role: 'assistant', delta: (i ? ' ' : '') + word });
+      }, this.options.replyDelay * (i + 1));
+    });
+
+    this._later(() => {
+      if (!this.sessions.has(sessionKey)) return;
+      const message = { role: 'assistant', content: reply, timestamp: new Date().toISOString() };
+      this._appendMessage(sessionKey, message);
+      this.broadcast('chat:done', { sessionKey, runId, message });
+      this._touchSession(sessionKey, {
+        status: 'idle',
+        inputTokens: session.inputTokens + text.length * 4,
+        outputTokens: session.outputTokens + reply.length * 2
+      });
+    }, this.options.replyDelay * (words.length + 1));
+  }
+
+  /**
+   * setTimeout that stop() cancels
+   */
+  _later(fn, ms) {
+    const timer = setTimeout(() => {
+      this.timeouts.delete(timer);
+      fn();
+    }, ms);
+    this.timeouts.add(timer);
+  }
+
+  _simulateActivity() {
+    const keys = Array.from(this.sessions.keys()).filter(key => !key.includes(':subagent:'));
+    if (keys.length === 0) return;
+    const sessionKey = keys[Math.floor(Math.random() * keys.length)];
+    this._converse(sessionKey, `Scheduled check-in #${this.seq}`, crypto.randomUUID());
+  }
+
+  _runCronJobs() {
+    for (const sessionKey of this.sessions.keys()) {
+      if (sessionKey.includes(':cron:')) this.runCron(sessionKey, { fail: Math.random() < this.options.cronFailRate });
+    }
+  }
+
+  _toolCallHistory(timestamp) {
+    const toolUseId = `toolu_${crypto.randomBytes(6).toString('hex')}`;
+    return [
+      { role: 'user', content: 'What is on the calendar today?', timestamp },
+      {
+        role: 'assistant',
+        content: [
+          { type: 'text', text: 'Let me check.' },
+          { type: 'tool_use', id: toolUseId, name: 'calendar.list', input: { date: timestamp.slice(0, 10), calendars: ['work', 'personal'] } }
+        ],
+        timestamp
+      },
+      {
+        role: 'user',
+        content: [{ type: 'tool_result', tool_use_id: toolUseId, content: JSON.stringify([{ time: '10:00', title: 'Standup' }, { time: '15:30', title: 'Design review' }]) }],
+        timestamp
+      },
+      { role: 'assistant', content: [{ type: 'text', text: 'Two events: standup at 10:00 and a design review at 15:30.' }], timestamp }
+    ];
+  }
+
+  _appendMessage(sessionKey, message) {
+    const history = this.histories.get(sessionKey);
+    if (history) history.push(message);
+  }
+
+  _touchSession(sessionKey, changes) {
+    const session = this.sessions.get(sessionKey);
+    if (!session) return;
+    Object.assign(session, changes, {
+      messageCount: this.histories.get(sessionKey)?.length || 0,
+      updatedAt: new Date().toISOString(),
+      lastActiveAt: new Date().toISOString()
+    });
+    session.totalTokens = session.inputTokens + session.outputTokens;
+    this.broadcast('session:update', session);
+  }
+
+  /**
+   * Fill in the fields a real gateway reports for a session
+   */
+  _session(data) {
+    const now = new Date().toISOString();
+    const inputTokens = data.inputTokens || 0;
+    const outputTokens = data.outputTokens || 0;
+    return {
+      key: data.sessionKey,
+      channel: 'webchat',
+      status: 'idle',
+      model: MODELS[0],
+      messageCount: 0,
+      createdAt: now,
+      updatedAt: now,
+      lastActiveAt: now,
+      ...data,
+      inputTokens,
+      outputTokens,
+      totalTokens: inputTokens + outputTokens
+    };
+  }
+
+  /**
+   * Agent configuration as agents.list reports it
+   */
+  _seedAgents(count) {
+    for (let i = 0; i < count; i++) {
+      const agentId = this._agentId(i);
+      this.agents.set(agentId, {
+        id: agentId,
+        identity: { name: agentId.charAt(0).toUpperCase() + agentId.slice(1), emoji: EMOJIS[i % EMOJIS.length] },
+        description: `Mock agent #${i + 1}`,
+        model: MODELS[i % MODELS.length],
+        workspace: `~/clawd/${agentId}`
+      });
+    }
+  }
+
+  _agentId(index) {
+    return AGENT_IDS[index] || `agent${index + 1}`;
+  }
+
+  /**
+   * Per agent: a main session; every other agent gets a Telegram topic, the
+   * first a cron job and the second a running subagent
+   */
+  _seedSessions(count) {
+    for (let i = 0; i < count; i++) {
+      const agentId = this._agentId(i);
+      const model = MODELS[i % MODELS.length];
+      const seeds = [{ sessionKey: `agent:${agentId}:main`, channel: 'webchat', label: 'Main Session' }];
+
+      if (i % 2 === 0) {
+        seeds.push({ sessionKey: `agent:${agentId}:telegram:group:-100${i + 1}:topic:${i + 1}`, channel: 'telegram' });
+      }
+      if (i === 0) {
+        seeds.push({ sessionKey: `agent:${agentId}:cron:daily-report`, channel: 'cron', label: 'Daily report' });
+      }
+      if (i === 1) {
+        seeds.push({ sessionKey: `agent:${agentId}:subagent:${crypto.randomBytes(4).toString('hex')}`, channel: 'internal', status: 'active', label: 'Research task', spawnedBy: `agent:${agentId}:main` });
+      }
+
+      for (const seed of seeds) {
+        const session = this._session({ model, inputTokens: 1200 * (i + 1), outputTokens: 300 * (i + 1), ...seed });
+        const history = [
+          { role: 'user', content: `Hello ${agentId}`, timestamp: session.updatedAt },
+          { role: 'assistant', content: [{ type: 'text', text: `Hi, ${agentId} here.` }], timestamp: session.updatedAt }
+        ];
+        if (i === 0 && seed.channel === 'webchat') history.push(...this._toolCallHistory(session.updatedAt));
+        session.messageCount = history.length;
+        this.sessions.set(session.sessionKey, session);
+        this.histories.set(session.sessionKey, history);
+      }
+    }
+  }
+}
+
+MockGateway.SCENARIOS = SCENARIOS;
+
+/**
+ * Parse CLI flags (--agents 5, --auth-fail, --silent a,b) into constructor options
+ */
+function parseArgs(argv) {
+  const numeric = { port: 'port', agents: 'agents', 'idle-agents': 'idleAgents', latency: 'latency', tick: 'tickInterval', activity: 'activityInterval', flap: 'flapInterval', 'flap-downtime': 'flapDowntime', 'reply-delay': 'replyDelay', cron: 'cronInterval' };
+  const strings = { scenario: 'scenario', token: 'token', name: 'name', host: 'host' };
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '');
+    if (flag === 'auth-fail') {
+      options.authFail = true;
+    } else if (flag === 'no-agents-list') {
+      options.agentsList = false;
+    } else if (flag === 'no-history-cursor') {
+      options.historyCursor = false;
+    } else if (flag === 'agent-pause') {
+      options.agentPause = true;
+    } else if (flag === 'cron-fail-rate') {
+      options.cronFailRate = (parseInt(argv[++i], 10) || 0) / 100;
+    } else if (flag === 'silent') {
+      options.silentMethods = String(argv[++i] || '').split(',').filter(Boolean);
+    } else if (flag === 'deny') {
+      options.deniedMethods = String(argv[++i] || '').split(',').filter(Boolean);
+    } else if (numeric[flag]) {
+      options[numeric[flag]] = parseInt(argv[++i], 10) || 0;
+    } else if (strings[flag]) {
+      options[strings[flag]] = argv[++i];
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+if (require.main === module) {
+  let gateway;
+  try {
+    gateway = new MockGateway(parseArgs(process.argv.slice(2)));
+  } catch (err) {
+    console.error(err.message);
+    console.error(`Scenarios: ${Object.keys(SCENARIOS).join(', ')}`);
+    process.exit(1);
+  }
+
+  gateway.start().catch((err) => {
+    console.error('Failed to start mock gateway:', err.message);
+    process.exit(1);
+  });
+
+  const shutdown = () => gateway.stop().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+module.exports = MockGateway;
@@ -0,0 +1,692 @@
+/**
+ * OpenAPI 3.0 description of the REST API, served at /api/openapi.json
+ *
+ * Keep in sync with the routes in server/index.js. `x-required-role` is the
+ * minimum role (viewer < operator < admin) checked by requireRole.
+ */
+
+const { version } = require('../package.json');
+
+const json = (schema) => ({ 'application/json': { schema } });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const obj = (properties, required) => ({ type: 'object', properties, ...(required ? { required } : {}) });
+const arrayOf = (schema) => ({ type: 'array', items: schema });
+
+const pathParam = (name, description) => ({ name, in: 'path', required: true, schema: { type: 'string' }, description });
+const queryParam = (name, description, type = 'string') => ({ name, in: 'query', schema: { type }, description });
+
+const ERROR_RESPONSES = {
+  400: 'Invalid request',
+  401: 'Missing or invalid token',
+  403: 'Role too low',
+  404: 'Not found',
+  501: 'Not supported',
+  502: 'Gateway returned an error',
+  503: 'Gateway not connected',
+  504: 'Gateway request timed out'
+};
+
+/**
+ * One operation. errors: extra HTTP error statuses besides 401/403.
+ */
+function op(tag, summary, { role = 'viewer', params = [], body, response = obj({}), errors = [] } = {}) {
+  const responses = { 200: { description: 'OK', content: json(response) } };
+  const statuses = role ? [401, 403, ...errors] : errors;
+  for (const status of statuses) {
+    responses[status] = { description: ERROR_RESPONSES[status], content: json(ref('Error')) };
+  }
+
+  return {
+    tags: [tag],
+    summary,
+    ...(role ? { 'x-required-role': role } : { security: [] }),
+    ...(params.length ? { parameters: params } : {}),
+    ...(body ? { requestBody: { required: true, content: json(body) } } : {}),
+    responses
+  };
+}
+
+const id = pathParam('id', 'Resource id');
+const agentId = pathParam('id', 'Agent id (gatewayId:agentId)');
+const gid = pathParam('gid', 'Gateway id');
+const sessionKey = pathParam('key', 'Session key (URL-encoded)');
+const sessionTarget = obj({
+  sessionKey: { type: 'string', description: 'Target one session' },
+  all: { type: 'boolean', description: 'Target every session of the agent' }
+});
+const success = obj({ success: { type: 'boolean' } });
+const environment = { type: 'string', enum: ['prod', 'staging', 'dev'], nullable: true };
+const tags = { ...arrayOf({ type: 'string' }), description: 'Lowercase labels (letters, digits, _ . : -)' };
+const gatewayFilter = [
+  queryParam('tag', 'Only gateways with this tag; repeat or comma-separate to require several'),
+  queryParam('environment', 'Only gateways in this environment')
+];
+const historyPaging = [
+  queryParam('limit', 'Messages per page (default 50, max 200)', 'integer'),
+  queryParam('before', 'nextCursor of the newer page')
+];
+const fleetCounts = {
+  gateways: obj({ total: { type: 'integer' }, online: { type: 'integer' }, offline: { type: 'integer' }, error: { type: 'integer' } }),
+  agents: obj({ total: { type: 'integer' }, active: { type: 'integer' }, idle: { type: 'integer' }, sessions: { type: 'integer' } })
+};
+
+const schemas = {
+  Error: obj({
+    error: { type: 'string', description: 'Human readable message' },
+    code: { type: 'string', description: 'Machine readable code', enum: ['bad_request', 'unauthorized', 'forbidden', 'not_found', 'conflict', 'internal_error', 'not_implemented', 'gateway_unsupported', 'gateway_error', 'gateway_forbidden', 'gateway_unavailable', 'gateway_timeout'] }
+  }, ['error', 'code']),
+  Gateway: obj({
+    id: { type: 'string' },
+    url: { type: 'string' },
+    name: { type: 'string' },
+    status: { type: 'string', enum: ['connecting', 'online', 'offline', 'disconnected', 'error', 'disabled'] },
+    hasToken: { type: 'boolean' },
+    autoDiscovered: { type: 'boolean' },
+    enabled: { type: 'boolean' },
+    maintenance: {
+      ...obj({
+        startedAt: { type: 'string', format: 'date-time' },
+        until: { type: 'string', format: 'date-time', nullable: true, description: 'null = until ended manually' },
+        reason: { type: 'string', nullable: true },
+        by: { type: 'string', nullable: true }
+      }),
+      nullable: true
+    },
+    inMaintenance: { type: 'boolean', description: 'Maintenance is on and has not expired; alerts are suppressed' },
+    tags,
+    environment,
+    lastSeen: { type: 'string', format: 'date-time', nullable: true },
+    lastError: { type: 'string', nullable: true },
+    agents: arrayOf({ type: 'string' }),
+    createdAt: { type: 'string', format: 'date-time' },
+    connection: obj({
+      state: { type: 'string', enum: ['idle', 'connecting', 'connected', 'waiting', 'circuit_open'] },
+      failures: { type: 'integer', description: 'Consecutive failed connection attempts' },
+      nextAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+      circuitOpenUntil: { type: 'string', format: 'date-time', nullable: true },
+      lastAttemptAt: { type: 'string', format: 'date-time', nullable: true }
+    })
+  }),
+  Session: obj({
+    sessionKey: { type: 'string' },
+    label: { type: 'string' },
+    channel: { type: 'string' },
+    status: { type: 'string', enum: ['active', 'idle'] },
+    lastActive: { type: 'string', format: 'date-time' },
+    messageCount: { type: 'integer' },
+    totalTokens: { type: 'integer' },
+    model: { type: 'string' },
+    estimatedCost: { type: 'number', nullable: true }
+  }),
+  Subagent: obj({
+    sessionKey: { type: 'string', description: '`agent:<agentId>:subagent:<id>`' },
+    label: { type: 'string' },
+    status: { type: 'string', enum: ['active', 'idle'] },
+    parentSessionKey: { type: 'string', nullable: true, description: 'Session that spawned it - another subagent for nested subagents' },
+    model: { type: 'string', nullable: true },
+    messageCount: { type: 'integer' },
+    totalTokens: { type: 'integer' },
+    inputTokens: { type: 'integer' },
+    outputTokens: { type: 'integer' },
+    estimatedCost: { type: 'number', nullable: true },
+    startedAt: { type: 'string', format: 'date-time', nullable: true },
+    lastActive: { type: 'string', format: 'date-time', nullable: true }
+  }),
+  Agent: obj({
+    id: { type: 'string' },
+    gatewayId: { type: 'string' },
+    agentId: { type: 'string' },
+    name: { type: 'string', description: 'From the agent directory, else derived from agentId' },
+    avatar: { type: 'string', description: 'Emoji' },
+    avatarImage: { type: 'string', nullable: true, description: 'data: URL' },
+    description: { type: 'string', nullable: true },
+    owner: { type: 'string', nullable: true },
+    color: { type: 'string', nullable: true },
+    status: { type: 'string', enum: ['active', 'idle'] },
+    sessionCount: { type: 'integer' },
+    sessions: arrayOf(ref('Session')),
+    subagents: arrayOf(ref('Subagent')),
+    lastActive: { type: 'string', format: 'date-time' },
+    totalTokens: { type: 'integer' },
+    estimatedCost: { type: 'number', nullable: true },
+    model: { type: 'string', nullable: true },
+    config: { type: 'object', nullable: true, description: 'The agent as reported by the gateway\'s agents.list (model, workspace, identity, ...)' },
+    paused: ref('AgentPause')
+  }),
+  QueuedMessage: obj({
+    id: { type: 'string' },
+    sessionKey: { type: 'string' },
+    message: { type: 'string' },
+    source: { type: 'string', enum: ['message', 'broadcast', 'budget'] },
+    queuedAt: { type: 'string', format: 'date-time' },
+    queuedBy: { type: 'string', nullable: true }
+  }),
+  AgentPause: {
+    ...obj({
+      mode: { type: 'string', enum: ['gateway', 'hold'], description: 'gateway = paused with agents.pause; hold = Team Control queues its messages' },
+      pausedAt: { type: 'string', format: 'date-time' },
+      pausedBy: { type: 'string', nullable: true },
+      queued: { type: 'integer', description: 'Messages held; operators read them from /api/agents/{id}/pause/queue' }
+    }),
+    nullable: true,
+    description: 'null when the agent is not paused'
+  },
+  CronRun: obj({
+    startedAt: { type: 'string', format: 'date-time' },
+    finishedAt: { type: 'string', format: 'date-time' },
+    durationMs: { type: 'integer', nullable: true, description: 'null when the run started and finished between two updates' },
+    outcome: { type: 'string', enum: ['success', 'error'] },
+    tokens: { type: 'integer', nullable: true },
+    cost: { type: 'number', nullable: true }
+  }),
+  CronJob: obj({
+    id: { type: 'string', description: '`<gatewayId>:<sessionKey>`' },
+    gatewayId: { type: 'string' },
+    agentId: { type: 'string' },
+    agentName: { type: 'string' },
+    sessionKey: { type: 'string' },
+    label: { type: 'string' },
+    status: { type: 'string', description: 'Session status: active, idle or error' },
+    running: { type: 'boolean' },
+    runningSince: { type: 'string', format: 'date-time', nullable: true },
+    lastRun: ref('CronRun'),
+    runCount: { type: 'integer' },
+    consecutiveFailures: { type: 'integer' },
+    intervalMs: { type: 'integer', nullable: true, description: 'Median gap between recent runs; null with fewer than 3 runs' },
+    nextRunAt: { type: 'string', format: 'date-time', nullable: true },
+    overdue: { type: 'boolean' }
+  }),
+  BroadcastTarget: obj({
+    gatewayId: { type: 'string' },
+    agentId: { type: 'string' },
+    agentName: { type: 'string' },
+    sessionKey: { type: 'string' },
+    label: { type: 'string' },
+    status: { type: 'string', enum: ['pending', 'sent', 'queued', 'failed'], description: 'queued = held for a paused agent' },
+    error: { type: 'string', nullable: true },
+    sentAt: { type: 'string', format: 'date-time', nullable: true }
+  }),
+  Broadcast: obj({
+    id: { type: 'string' },
+    message: { type: 'string' },
+    target: { type: 'object' },
+    concurrency: { type: 'integer' },
+    createdBy: { type: 'string', nullable: true },
+    createdAt: { type: 'string', format: 'date-time' },
+    finishedAt: { type: 'string', format: 'date-time', nullable: true },
+    status: { type: 'string', enum: ['running', 'done'] },
+    sent: { type: 'integer' },
+    queued: { type: 'integer' },
+    failed: { type: 'integer' },
+    targets: arrayOf(ref('BroadcastTarget'))
+  }),
+  DirectoryEntry: obj({
+    id: { type: 'string', description: '`<gatewayId>:<agentId>`, or `*:<agentId>` for all gateways' },
+    gatewayId: { type: 'string', nullable: true, description: 'null = every gateway' },
+    agentId: { type: 'string' },
+    name: { type: 'string', nullable: true },
+    avatar: { type: 'string', nullable: true, description: 'Emoji' },
+    avatarImage: { type: 'string', nullable: true, description: 'Base64 PNG/JPEG/GIF/WebP data: URL, max 64 KB' },
+    description: { type: 'string', nullable: true },
+    owner: { type: 'string', nullable: true },
+    color: { type: 'string', nullable: true, description: '#rrggbb' },
+    updatedAt: { type: 'string', format: 'date-time' },
+    updatedBy: { type: 'string', nullable: true }
+  }),
+  ActionResult: obj({
+    success: { type: 'boolean' },
+    error: { type: 'string', description: 'Set when every session failed' },
+    code: { type: 'string', description: "The first failed session's error code, when every session failed" },
+    results: arrayOf(obj({ sessionKey: { type: 'string' }, ok: { type: 'boolean' }, queued: { type: 'boolean' }, error: { type: 'string' }, code: { type: 'string' } })),
+    succeeded: { type: 'integer' },
+    failed: { type: 'integer' },
+    queued: { type: 'integer', description: 'Sessions of a paused agent the message was queued for' }
+  }),
+  History: obj({
+    sessionKey: { type: 'string' },
+    history: arrayOf(obj({ role: { type: 'string' }, content: {}, timestamp: { type: 'string' } })),
+    nextCursor: { type: 'string', nullable: true, description: 'Pass as `before` for the next older page; null at the oldest message' }
+  }),
+  ActivityEntry: obj({
+    id: { type: 'string' },
+    timestamp: { type: 'string', format: 'date-time' },
+    type: { type: 'string', enum: ['gateway', 'agent', 'chat', 'alert', 'budget', 'action'] },
+    action: { type: 'string' },
+    message: { type: 'string' },
+    actor: obj({ username: { type: 'string' }, role: { type: 'string' } }),
+    gatewayId: { type: 'string', nullable: true },
+    agentId: { type: 'string', nullable: true },
+    sessionKey: { type: 'string', nullable: true },
+    outcome: { type: 'string', enum: ['success', 'error'], nullable: true },
+    data: { type: 'object', nullable: true }
+  }),
+  SearchResult: obj({
+    id: { type: 'string', description: 'Index id of the message' },
+    gatewayId: { type: 'string' },
+    agentId: { type: 'string', nullable: true },
+    sessionKey: { type: 'string' },
+    messageId: { type: 'string', nullable: true, description: "The gateway's message id, when it reports one" },
+    role: { type: 'string', nullable: true },
+    timestamp: { type: 'string', nullable: true },
+    snippet: { type: 'string', description: 'Text around the first match' },
+    score: { type: 'integer' }
+  }),
+  Budget: obj({
+    id: { type: 'string' },
+    name: { type: 'string' },
+    scope: { type: 'string', enum: ['global', 'gateway', 'agent'] },
+    targetId: { type: 'string', nullable: true },
+    period: { type: 'string', enum: ['daily', 'monthly'] },
+    metric: { type: 'string', enum: ['tokens', 'cost'] },
+    limit: { type: 'number' },
+    warnAt: { type: 'number', nullable: true },
+    action: { type: 'string', enum: ['none', 'warn', 'close'] },
+    warningMessage: { type: 'string', nullable: true },
+    enabled: { type: 'boolean' }
+  }),
+  AlertRule: obj({
+    id: { type: 'string' },
+    name: { type: 'string' },
+    type: { type: 'string', enum: ['gateway_offline', 'agent_stuck_active', 'error_rate', 'health_check_failures', 'cron_missed', 'cron_failing'] },
+    params: { type: 'object' },
+    gatewayId: { type: 'string' },
+    agentId: { type: 'string' },
+    severity: { type: 'string', enum: ['warning', 'critical'] },
+    sinks: arrayOf({ type: 'string' }),
+    cooldownMinutes: { type: 'number' },
+    notifyResolve: { type: 'boolean' },
+    enabled: { type: 'boolean' }
+  }),
+  AlertSink: obj({
+    id: { type: 'string' },
+    name: { type: 'string' },
+    type: { type: 'string', enum: ['webhook', 'slack', 'smtp'] },
+    config: { type: 'object', description: 'Secrets are masked in responses; masked values sent back keep the stored secret' },
+    lastError: { type: 'string', description: 'Set when the stored secrets could not be decrypted' }
+  }),
+  User: obj({ username: { type: 'string' }, role: { type: 'string', enum: ['viewer', 'operator', 'admin'] } })
+};
+
+function buildOpenApi() {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Team Control API',
+      version,
+      description: 'Unified dashboard API for Clawdbot agents across multiple gateways. Errors always have the shape `{ error, code }`.'
+    },
+    servers: [{ url: '/' }],
+    security: [{ bearerAuth: [] }],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Session token from /api/auth/login or an API token (tc_...)' }
+      },
+      schemas
+    },
+    paths: {
+      '/api/auth/login': {
+        post: op('Auth', 'Log in and get a session token', {
+          role: null,
+          body: obj({ username: { type: 'string' }, password: { type: 'string' } }, ['username', 'password']),
+          response: obj({ token: { type: 'string' }, expiresAt: { type: 'string' }, user: ref('User') }),
+          errors: [400, 401]
+        })
+      },
+      '/api/auth/logout': { post: op('Auth', 'End the current session', { response: success }) },
+      '/api/auth/me': { get: op('Auth', 'Current user', { response: obj({ user: ref('User') }) }) },
+      '/api/health': {
+        get: op('System', 'Server health check', { role: null, response: obj({ status: { type: 'string' }, uptime: { type: 'number' } }) })
+      },
+      '/api/openapi.json': { get: op('System', 'This document', { role: null }) },
+
+      '/api/users': {
+        get: op('Users', 'List users', { role: 'admin', response: arrayOf(ref('User')) }),
+        post: op('Users', 'Create a user', {
+          role: 'admin',
+          body: obj({ username: { type: 'string' }, password: { type: 'string' }, role: { type: 'string' } }, ['username', 'password']),
+          response: ref('User'),
+          errors: [400]
+        })
+      },
+      '/api/users/{username}': {
+        patch: op('Users', 'Change password (self) or role (admin)', {
+          params: [pathParam('username', 'Username')],
+          body: obj({ password: { type: 'string' }, role: { type: 'string' } }),
+          response: ref('User'),
+          errors: [400, 404]
+        }),
+        delete: op('Users', 'Remove a user', { role: 'admin', params: [pathParam('username', 'Username')], response: success, errors: [400, 404] })
+      },
+      '/api/tokens': {
+        get: op('Users', 'List API tokens (own, or all for admins)', { response: arrayOf({ type: 'object' }) }),
+        post: op('Users', 'Create an API token (shown once)', {
+          body: obj({ name: { type: 'string' }, role: { type: 'string' } }),
+          response: obj({ id: { type: 'string' }, token: { type: 'string' } }),
+          errors: [400]
+        })
+      },
+      '/api/tokens/{id}': { delete: op('Users', 'Revoke an API token', { params: [id], response: success, errors: [404] }) },
+
+      '/api/gateways': {
+        get: op('Gateways', 'List gateways', { params: gatewayFilter, response: arrayOf(ref('Gateway')) }),
+        post: op('Gateways', 'Register a gateway', {
+          role: 'admin',
+          body: obj({ url: { type: 'string' }, name: { type: 'string' }, token: { type: 'string' }, tags, environment }, ['url']),
+          response: ref('Gateway'),
+          errors: [400]
+        })
+      },
+      '/api/gateways/discover': {
+        post: op('Gateways', 'Run auto-discovery', { role: 'admin', response: obj({ discovered: { type: 'integer' }, gateways: arrayOf(ref('Gateway')) }) })
+      },
+      '/api/gateways/{id}': {
+        get: op('Gateways', 'Get one gateway', { params: [id], response: ref('Gateway'), errors: [404] }),
+        patch: op('Gateways', 'Rename a gateway, replace its token (reconnects) or set its tags/environment', {
+          role: 'admin',
+          params: [id],
+          body: obj({ name: { type: 'string' }, token: { type: 'string' }, tags, environment }),
+          response: ref('Gateway'),
+          errors: [400, 404]
+        }),
+        delete: op('Gateways', 'Remove a gateway', { role: 'admin', params: [id], response: success, errors: [404] })
+      },
+      '/api/gateways/{id}/reconnect': {
+        post: op('Gateways', 'Reconnect now, skipping backoff and closing an open circuit', { role: 'operator', params: [id], response: ref('Gateway'), errors: [404, 409] })
+      },
+      '/api/gateways/{id}/enable': {
+        post: op('Gateways', 'Enable a gateway (connect and poll again)', { role: 'admin', params: [id], response: ref('Gateway'), errors: [404] })
+      },
+      '/api/gateways/{id}/disable': {
+        post: op('Gateways', 'Disable a gateway (keep its config, stop polling and connecting)', { role: 'admin', params: [id], response: ref('Gateway'), errors: [404] })
+      },
+      '/api/gateways/{id}/maintenance': {
+        put: op('Gateways', 'Start maintenance mode (alerts suppressed)', {
+          role: 'operator',
+          params: [id],
+          body: obj({ until: { type: 'string', format: 'date-time', description: 'Optional end time' }, reason: { type: 'string' } }),
+          response: ref('Gateway'),
+          errors: [400, 404]
+        }),
+        delete: op('Gateways', 'End maintenance mode', { role: 'operator', params: [id], response: ref('Gateway'), errors: [404] })
+      },
+      '/api/gateways/{gid}/sessions': {
+        get: op('Sessions', 'Sessions known on a gateway', { params: [gid], response: arrayOf(ref('Session')), errors: [404] })
+      },
+      '/api/gateways/{gid}/sessions/{key}': {
+        delete: op('Sessions', 'Close one session', { role: 'operator', params: [gid, sessionKey], response: success, errors: [502, 503, 504] })
+      },
+      '/api/gateways/{gid}/sessions/{key}/history': {
+        get: op('Sessions', 'Message history of one session', {
+          params: [gid, sessionKey, ...historyPaging],
+          response: ref('History'),
+          errors: [400, 502, 503, 504]
+        })
+      },
+      '/api/gateways/{gid}/sessions/{key}/send': {
+        post: op('Sessions', 'Send a message to one session', {
+          role: 'operator',
+          params: [gid, sessionKey],
+          body: obj({ message: { type: 'string' } }, ['message']),
+          response: obj({ success: { type: 'boolean' }, queued: { type: 'boolean', description: 'Held for a paused agent' } }),
+          errors: [400, 409, 502, 503, 504]
+        })
+      },
+
+      '/api/agents': {
+        get: op('Agents', 'List agents', { params: [queryParam('gatewayId', 'Only agents of this gateway'), ...gatewayFilter], response: arrayOf(ref('Agent')) })
+      },
+      '/api/agents/{id}': { get: op('Agents', 'Get one agent', { params: [agentId], response: ref('Agent'), errors: [404] }) },
+      '/api/agents/{id}/history': {
+        get: op('Agents', 'History of one of the agent\'s sessions', {
+          params: [agentId, { ...queryParam('sessionKey', 'Session of this agent'), required: true }, ...historyPaging],
+          response: ref('History'),
+          errors: [400, 404, 502, 503, 504]
+        })
+      },
+      '/api/agents/{id}/metrics': {
+        get: op('Agents', 'Recorded metrics', {
+          params: [agentId, queryParam('from', 'ISO date or epoch ms (default 24h ago)'), queryParam('to', 'ISO date or epoch ms'), queryParam('bucket', 'e.g. 5m, 1h')],
+          response: obj({ summary: { type: 'object' }, series: arrayOf({ type: 'object' }), transitions: arrayOf({ type: 'object' }) }),
+          errors: [400]
+        })
+      },
+      '/api/agents/{id}/refresh': {
+        post: op('Agents', 'Re-fetch the gateway\'s agent and session lists', {
+          role: 'operator',
+          params: [agentId],
+          response: obj({ success: { type: 'boolean' }, agents: { type: 'integer', description: 'Agents reported by agents.list' }, sessions: { type: 'integer' } }),
+          errors: [404, 502, 503, 504]
+        })
+      },
+      '/api/agents/{id}/send': {
+        post: op('Agents', 'Send a message to one session or all sessions of the agent', {
+          role: 'operator',
+          params: [agentId],
+          body: { ...sessionTarget, properties: { ...sessionTarget.properties, message: { type: 'string' } }, required: ['message'] },
+          response: ref('ActionResult'),
+          errors: [400, 404, 502]
+        })
+      },
+      '/api/agents/{id}/restart': {
+        post: op('Agents', 'Send /restart to one session or all sessions', { role: 'operator', params: [agentId], body: sessionTarget, response: ref('ActionResult'), errors: [400, 404, 502] })
+      },
+      '/api/agents/{id}/terminate': {
+        post: op('Agents', 'Close one session or all sessions', { role: 'operator', params: [agentId], body: sessionTarget, response: ref('ActionResult'), errors: [400, 404, 502] })
+      },
+      '/api/agents/{id}/sessions': {
+        delete: op('Agents', 'Close every session of the agent (or ?sessionKey= for one)', {
+          role: 'operator',
+          params: [agentId, queryParam('sessionKey', 'Only this session')],
+          response: ref('ActionResult'),
+          errors: [404, 502]
+        })
+      },
+      '/api/agents/{id}/subagents': {
+        get: op('Agents', 'Subagents spawned by the agent (flat - nest them by parentSessionKey)', { params: [agentId], response: arrayOf(ref('Subagent')), errors: [404] })
+      },
+      '/api/agents/{id}/subagents/{key}/kill': {
+        post: op('Agents', 'Kill a subagent by closing its session', {
+          role: 'operator',
+          params: [agentId, sessionKey],
+          response: obj({ success: { type: 'boolean' }, subagent: ref('Subagent') }),
+          errors: [404, 502, 503, 504]
+        })
+      },
+      '/api/agents/{id}/pause': {
+        post: op('Agents', 'Pause an agent - with agents.pause if the gateway has it, otherwise its messages are queued until resumed', {
+          role: 'operator',
+          params: [agentId],
+          response: obj({ success: { type: 'boolean' }, paused: ref('AgentPause') }),
+          errors: [404, 409, 502, 503, 504]
+        })
+      },
+      '/api/agents/{id}/pause/queue': {
+        get: op('Agents', 'Messages held for a paused agent', {
+          role: 'operator',
+          params: [agentId],
+          response: obj({ agentId: { type: 'string' }, queue: arrayOf(ref('QueuedMessage')) }),
+          errors: [404]
+        })
+      },
+      '/api/agents/{id}/resume': {
+        post: op('Agents', 'Resume a paused agent, sending (flush) or dropping (discard) the messages queued meanwhile', {
+          role: 'operator',
+          params: [agentId],
+          body: obj({ queue: { type: 'string', enum: ['flush', 'discard'], default: 'flush' } }),
+          response: obj({
+            success: { type: 'boolean' },
+            mode: { type: 'string', enum: ['gateway', 'hold'] },
+            results: arrayOf(obj({ id: { type: 'string' }, sessionKey: { type: 'string' }, ok: { type: 'boolean' }, error: { type: 'string' } })),
+            flushed: { type: 'integer' },
+            failed: { type: 'integer' },
+            discarded: { type: 'integer' },
+            stillPaused: { type: 'boolean', description: 'Some queued messages failed to send; they stay queued and the agent stays held' }
+          }),
+          errors: [400, 409, 502, 503, 504]
+        })
+      },
+
+      '/api/activity': {
+        get: op('Activity', 'Activity/audit log, newest first', {
+          params: [
+            queryParam('type', 'Comma-separated entry types'),
+            queryParam('action', 'Action prefix, e.g. agent.'),
+            queryParam('actor', 'Username'),
+            queryParam('gatewayId', 'Gateway id'),
+            queryParam('agentId', 'Agent id'),
+            queryParam('q', 'Text in the message'),
+            queryParam('from', 'ISO date or epoch ms'),
+            queryParam('to', 'ISO date or epoch ms'),
+            queryParam('before', 'nextCursor from the previous page'),
+            queryParam('limit', 'Page size (default 50, max 500)', 'integer')
+          ],
+          response: obj({ entries: arrayOf(ref('ActivityEntry')), nextCursor: { type: 'string', nullable: true } }),
+          errors: [400]
+        })
+      },
+
+      '/api/search': {
+        get: op('Activity', 'Search indexed session transcripts of every gateway, best matches first', {
+          params: [
+            queryParam('q', 'Words to find; each must match the start of a word in the message'),
+            queryParam('agent', 'Agent id'),
+            queryParam('gateway', 'Gateway id'),
+            queryParam('from', 'ISO date or epoch ms'),
+            queryParam('to', 'ISO date or epoch ms'),
+            queryParam('limit', 'Max results (default 50, max 200)', 'integer')
+          ],
+          response: obj({
+            query: { type: 'string' },
+            total: { type: 'integer' },
+            results: arrayOf(ref('SearchResult')),
+            index: obj({ messages: { type: 'integer' }, sessions: { type: 'integer' }, queued: { type: 'integer', description: 'Sessions waiting to be pulled' } })
+          }),
+          errors: [400]
+        })
+      },
+
+      '/api/agent-directory': {
+        get: op('Agents', 'Agent directory entries', { response: arrayOf(ref('DirectoryEntry')) }),
+        put: op('Agents', 'Create or replace the entry for an agent id (fields left out are cleared)', {
+          role: 'admin',
+          body: obj({
+            gatewayId: { type: 'string', nullable: true },
+            agentId: { type: 'string' },
+            name: { type: 'string' },
+            avatar: { type: 'string' },
+            avatarImage: { type: 'string' },
+            description: { type: 'string' },
+            owner: { type: 'string' },
+            color: { type: 'string' }
+          }, ['agentId']),
+          response: ref('DirectoryEntry'),
+          errors: [400]
+        })
+      },
+      '/api/agent-directory/{id}': {
+        delete: op('Agents', 'Remove a directory entry', { role: 'admin', params: [pathParam('id', 'Entry id (URL-encoded)')], response: success, errors: [404] })
+      },
+
+      '/api/stats': {
+        get: op('Stats', 'Aggregate statistics, also broken down per environment and tag', {
+          response: obj({
+            ...fleetCounts,
+            groups: obj({
+              environment: { type: 'object', additionalProperties: obj(fleetCounts), description: 'Keyed by environment; "none" when unset' },
+              tag: { type: 'object', additionalProperties: obj(fleetCounts), description: 'Keyed by tag; a gateway counts towards each of its tags' }
+            }),
+            costs: obj({ estimatedTotal: { type: 'number' }, today: { type: 'number' } })
+          })
+        })
+      },
+      '/api/broadcasts': {
+        get: op('Broadcasts', 'Recent broadcasts, newest first (without per-target results)', { response: arrayOf({ type: 'object' }) }),
+        post: op('Broadcasts', 'Send one message to many sessions', {
+          role: 'operator',
+          body: obj({
+            message: { type: 'string' },
+            target: obj({
+              all: { type: 'boolean', description: 'Every agent' },
+              gatewayId: { type: 'string' },
+              tags: arrayOf({ type: 'string' }),
+              environment,
+              agentIds: arrayOf({ type: 'string' }),
+              sessions: arrayOf(obj({ gatewayId: { type: 'string' }, sessionKey: { type: 'string' } })),
+              sessionTypes: { ...arrayOf({ type: 'string' }), description: 'Only these session types of the selected agents, e.g. ["main"]' }
+            }),
+            concurrency: { type: 'integer', description: 'Sends in flight at once, 1-20 (default 5)' },
+            dryRun: { type: 'boolean', description: 'Only resolve the targets' },
+            wait: { type: 'boolean', description: 'Answer once every target was tried' }
+          }, ['target']),
+          response: ref('Broadcast'),
+          errors: [400]
+        })
+      },
+      '/api/broadcasts/{id}': {
+        get: op('Broadcasts', 'A broadcast with per-target delivery results', { params: [id], response: ref('Broadcast'), errors: [404] })
+      },
+      '/api/cron': {
+        get: op('Cron', 'Cron jobs on every gateway with their last and next expected run', {
+          params: [queryParam('gatewayId', 'Only jobs of this gateway'), ...gatewayFilter],
+          response: arrayOf(ref('CronJob'))
+        })
+      },
+      '/api/cron/{id}/runs': {
+        get: op('Cron', 'Run history of a cron job, newest first', {
+          params: [pathParam('id', 'Cron job id (URL-encoded)')],
+          response: obj({ job: ref('CronJob'), runs: arrayOf(ref('CronRun')) }),
+          errors: [404]
+        })
+      },
+      '/api/costs': {
+        get: op('Costs', 'Estimated cost over a date range', {
+          params: [
+            queryParam('from', 'ISO date or epoch ms (default 30 days ago)'),
+            queryParam('to', 'ISO date or epoch ms'),
+            queryParam('groupBy', 'day, gateway, agent, session or model'),
+            queryParam('gatewayId', 'Gateway id'),
+            queryParam('agentId', 'Agent id')
+          ],
+          errors: [400]
+        })
+      },
+      '/api/pricing': {
+        get: op('Costs', 'Active pricing table'),
+        put: op('Costs', 'Replace pricing overrides', { role: 'admin', body: { type: 'object' }, errors: [400] })
+      },
+
+      '/api/budgets': {
+        get: op('Budgets', 'Budgets with current period status', { response: arrayOf(ref('Budget')) }),
+        post: op('Budgets', 'Create a budget', { role: 'admin', body: ref('Budget'), response: ref('Budget'), errors: [400] })
+      },
+      '/api/budgets/alerts': { get: op('Budgets', 'Budgets at warning or exceeded', { response: arrayOf({ type: 'object' }) }) },
+      '/api/budgets/{id}': {
+        patch: op('Budgets', 'Update a budget', { role: 'admin', params: [id], body: ref('Budget'), response: ref('Budget'), errors: [400, 404] }),
+        delete: op('Budgets', 'Remove a budget', { role: 'admin', params: [id], response: success, errors: [404] })
+      },
+
+      '/api/alerts/active': { get: op('Alerts', 'Alerts currently firing', { response: arrayOf({ type: 'object' }) }) },
+      '/api/alerts/rules': {
+        get: op('Alerts', 'Alert rules', { response: arrayOf(ref('AlertRule')) }),
+        post: op('Alerts', 'Create an alert rule', { role: 'admin', body: ref('AlertRule'), response: ref('AlertRule'), errors: [400] })
+      },
+      '/api/alerts/rules/{id}': {
+        patch: op('Alerts', 'Update an alert rule', { role: 'admin', params: [id], body: ref('AlertRule'), response: ref('AlertRule'), errors: [400, 404] }),
+        delete: op('Alerts', 'Remove an alert rule', { role: 'admin', params: [id], response: success, errors: [404] })
+      },
+      '/api/alerts/sinks': {
+        get: op('Alerts', 'Notification sinks (secrets masked)', { response: arrayOf(ref('AlertSink')) }),
+        post: op('Alerts', 'Create a sink', { role: 'admin', body: ref('AlertSink'), response: ref('AlertSink'), errors: [400] })
+      },
+      '/api/alerts/sinks/{id}': {
+        patch: op('Alerts', 'Update a sink', { role: 'admin', params: [id], body: ref('AlertSink'), response: ref('AlertSink'), errors: [400, 404, 409] }),
+        delete: op('Alerts', 'Remove a sink', { role: 'admin', params: [id], response: success, errors: [404] })
+      },
+      '/api/alerts/sinks/{id}/test': {
+        post: op('Alerts', 'Send a test notification', { role: 'admin', params: [id], response: success, errors: [404, 409, 502] })
+      }
+    }
+  };
+}
+
+module.exports = buildOpenApi;
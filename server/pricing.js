@@ -0,0 +1,130 @@
+/**
+ * Pricing - Per-model token rates for cost estimation
+ *
+ * Built-in defaults can be overridden or extended in data/pricing.json:
+ * {
+ *   "currency": "USD",
+ *   "blendedInputShare": 0.75,
+ *   "models": { "claude-sonnet-4": { "input": 3, "output": 15 } }
+ * }
+ *
+ * Rates are per 1M tokens. Model names match the longest key contained in
+ * the reported model id, so "anthropic/claude-sonnet-4-20250514" uses "claude-sonnet-4".
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const PRICING_FILE = path.join(DATA_DIR, 'pricing.json');
+const TOKENS_PER_UNIT = 1000000;
+
+const DEFAULT_PRICING = {
+  currency: 'USD',
+  // When a gateway only reports totalTokens, assume this share was input
+  blendedInputShare: 0.75,
+  models: {
+    'claude-opus-4': { input: 15, output: 75 },
+    'claude-opus-4-5': { input: 5, output: 25 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-haiku-4-5': { input: 1, output: 5 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 }
+  }
+};
+
+class Pricing {
+  constructor() {
+    this.config = DEFAULT_PRICING;
+    this._loadPricing();
+  }
+
+  _loadPricing() {
+    try {
+      if (fs.existsSync(PRICING_FILE)) {
+        const data = JSON.parse(fs.readFileSync(PRICING_FILE, 'utf8'));
+        this.config = this._merge(data);
+        console.log(`💲 Loaded pricing for ${Object.keys(this.config.models).length} models`);
+      }
+    } catch (err) {
+      console.error('Failed to load pricing:', err.message);
+    }
+  }
+
+  _merge(overrides) {
+    return {
+      currency: overrides.currency || DEFAULT_PRICING.currency,
+      blendedInputShare: overrides.blendedInputShare ?? DEFAULT_PRICING.blendedInputShare,
+      models: { ...DEFAULT_PRICING.models, ...(overrides.models || {}) }
+    };
+  }
+
+  /**
+   * Replace the configured overrides and persist them
+   */
+  update(overrides) {
+    for (const [model, rate] of Object.entries(overrides.models || {})) {
+      if (typeof rate?.input !== 'number' || typeof rate?.output !== 'number') {
+        throw new Error(`Rate for ${model} needs numeric input and output`);
+      }
+    }
+    const share = overrides.blendedInputShare;
+    if (share !== undefined && (typeof share !== 'number' || share < 0 || share > 1)) {
+      throw new Error('blendedInputShare must be between 0 and 1');
+    }
+
+    this.config = this._merge(overrides);
+    fs.writeFileSync(PRICING_FILE, JSON.stringify({ version: 1, ...overrides }, null, 2));
+    return this.getConfig();
+  }
+
+  getConfig() {
+    return { ...this.config, unit: TOKENS_PER_UNIT };
+  }
+
+  /**
+   * Find the rate for a model id, or null if unpriced
+   */
+  getRate(model) {
+    if (!model) return null;
+    const id = model.toLowerCase();
+
+    let best = null;
+    for (const key of Object.keys(this.config.models)) {
+      if (id.includes(key.toLowerCase()) && (!best || key.length > best.length)) {
+        best = key;
+      }
+    }
+    return best ? { model: best, ...this.config.models[best] } : null;
+  }
+
+  /**
+   * Estimate cost for a token count. Returns null if the model has no rate.
+   */
+  estimate({ model, inputTokens, outputTokens, totalTokens }) {
+    const rate = this.getRate(model);
+    if (!rate) return null;
+
+    const split = this.split({ inputTokens, outputTokens, totalTokens });
+    return (split.inputTokens * rate.input + split.outputTokens * rate.output) / TOKENS_PER_UNIT;
+  }
+
+  /**
+   * Input/output split, falling back to the blended share when only a total is known
+   */
+  split({ inputTokens, outputTokens, totalTokens }) {
+    if (inputTokens !== undefined || outputTokens !== undefined) {
+      return { inputTokens: inputTokens || 0, outputTokens: outputTokens || 0 };
+    }
+    const total = totalTokens || 0;
+    const input = Math.round(total * this.config.blendedInputShare);
+    return { inputTokens: input, outputTokens: total - input };
+  }
+}
+
+module.exports = Pricing;
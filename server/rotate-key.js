@@ -0,0 +1,74 @@
+/**
+ * Rotate the encryption key for secrets stored in data/*.json
+ *
+ * Usage:
+ *   npm run rotate-key                      # generate a new key
+ *   TEAM_CONTROL_NEW_SECRET_KEY=... npm run rotate-key
+ *
+ * Stop the server first - a running server would overwrite the files with the old key.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const secrets = require('./secrets');
+
+function rotate() {
+  const oldKey = secrets.loadKey();
+  const newKeyValue = process.env.TEAM_CONTROL_NEW_SECRET_KEY || secrets.generateKey();
+  const newKey = secrets.parseKey(newKeyValue);
+
+  if (oldKey.equals(newKey)) {
+    console.error('New key is the same as the current key - nothing to do');
+    process.exit(1);
+  }
+
+  const files = fs.existsSync(secrets.DATA_DIR)
+    ? fs.readdirSync(secrets.DATA_DIR).filter(f => f.endsWith('.json'))
+    : [];
+
+  // Decrypt + re-encrypt everything in memory first so a bad file aborts before anything is written
+  const rewritten = [];
+  for (const file of files) {
+    const fullPath = path.join(secrets.DATA_DIR, file);
+    const raw = fs.readFileSync(fullPath, 'utf8');
+    if (!raw.includes('enc:v1:')) continue;
+
+    try {
+      const data = secrets.reencryptDeep(JSON.parse(raw), oldKey, newKey);
+      rewritten.push({ fullPath, file, data });
+    } catch (err) {
+      console.error(`Failed to re-encrypt ${file}: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  // Store the new key before anything is encrypted with it - if a data file write
+  // fails, the previous key is still at hand to finish or undo the rotation
+  const source = secrets.keySource();
+  if (source.type === 'file') {
+    if (fs.existsSync(source.path)) {
+      secrets.writeFileAtomic(`${source.path}.old`, fs.readFileSync(source.path));
+    }
+    secrets.writeKeyFile(source.path, newKeyValue);
+    console.log(`🔑 New key written to ${source.path} (previous key kept in ${source.path}.old)`);
+  } else {
+    console.log('🔑 Update TEAM_CONTROL_SECRET_KEY before restarting:');
+    if (!process.env.TEAM_CONTROL_NEW_SECRET_KEY) {
+      console.log(`   TEAM_CONTROL_SECRET_KEY=${newKeyValue}`);
+    }
+  }
+
+  for (const { fullPath, file, data } of rewritten) {
+    try {
+      secrets.writeFileAtomic(fullPath, JSON.stringify(data, null, 2));
+    } catch (err) {
+      console.error(`Failed to write ${file}: ${err.message} - it and any files not listed above still use the previous key`);
+      process.exit(1);
+    }
+    console.log(`🔁 Re-encrypted ${file}`);
+  }
+
+  console.log(`✅ Rotated ${rewritten.length} file(s)`);
+}
+
+rotate();
@@ -0,0 +1,152 @@
+/**
+ * Secrets - Encryption at rest for values stored in data/*.json
+ *
+ * AES-256-GCM with a key from (in order):
+ * - TEAM_CONTROL_SECRET_KEY env var (64 hex chars, 44 base64 chars, or any passphrase)
+ * - TEAM_CONTROL_KEY_FILE env var (path to a file holding the key)
+ * - data/secret.key (generated on first use, mode 0600)
+ *
+ * Encrypted values look like: enc:v1:<keyId>:<iv>:<tag>:<ciphertext>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const DEFAULT_KEY_FILE = path.join(DATA_DIR, 'secret.key');
+const PREFIX = 'enc:v1:';
+const KEY_SALT = 'team-control-secrets';  // Fixed salt - passphrases must derive the same key every run
+
+let cachedKey = null;
+
+/**
+ * Turn a configured key string into 32 raw bytes
+ */
+function parseKey(value) {
+  value = value.trim();
+  if (/^[0-9a-f]{64}$/i.test(value)) return Buffer.from(value, 'hex');
+  if (/^[A-Za-z0-9+/_-]{43}=?$/.test(value)) {
+    const buf = Buffer.from(value, 'base64');
+    if (buf.length === 32) return buf;
+  }
+  // Anything else is treated as a passphrase
+  return crypto.scryptSync(value, KEY_SALT, 32);
+}
+
+/**
+ * Where the active key comes from: { type: 'env' } or { type: 'file', path }
+ */
+function keySource() {
+  if (process.env.TEAM_CONTROL_SECRET_KEY) return { type: 'env' };
+  return { type: 'file', path: process.env.TEAM_CONTROL_KEY_FILE || DEFAULT_KEY_FILE };
+}
+
+/**
+ * Load (or create) the active encryption key
+ */
+function loadKey() {
+  if (cachedKey) return cachedKey;
+
+  const source = keySource();
+  if (source.type === 'env') {
+    cachedKey = parseKey(process.env.TEAM_CONTROL_SECRET_KEY);
+  } else if (fs.existsSync(source.path)) {
+    cachedKey = parseKey(fs.readFileSync(source.path, 'utf8'));
+  } else {
+    const key = generateKey();
+    writeKeyFile(source.path, key);
+    console.log(`🔑 Generated encryption key: ${source.path}`);
+    cachedKey = parseKey(key);
+  }
+  return cachedKey;
+}
+
+function generateKey() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function writeKeyFile(file, key) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  writeFileAtomic(file, key + '\n');
+}
+
+/**
+ * Write via a temp file + rename so a crash never leaves a half-written file
+ */
+function writeFileAtomic(file, content) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, content, { mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Short fingerprint so a wrong key is reported as such instead of as corrupt data
+ */
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+function encrypt(plaintext, key = loadKey()) {
+  if (plaintext === null || plaintext === undefined) return plaintext;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return PREFIX + [keyId(key), iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+function decrypt(value, key = loadKey()) {
+  if (!isEncrypted(value)) return value;
+
+  const [id, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+  if (id !== keyId(key)) {
+    throw new Error(`Secret was encrypted with a different key (${id})`);
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Re-encrypt every encrypted string inside a JSON-compatible value
+ */
+function reencryptDeep(value, oldKey, newKey) {
+  if (isEncrypted(value)) return encrypt(decrypt(value, oldKey), newKey);
+  if (Array.isArray(value)) return value.map(v => reencryptDeep(v, oldKey, newKey));
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = reencryptDeep(v, oldKey, newKey);
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Forget the cached key (after rotation)
+ */
+function resetKey() {
+  cachedKey = null;
+}
+
+module.exports = {
+  DATA_DIR,
+  parseKey,
+  keySource,
+  loadKey,
+  generateKey,
+  writeKeyFile,
+  writeFileAtomic,
+  isEncrypted,
+  encrypt,
+  decrypt,
+  reencryptDeep,
+  resetKey
+};
@@ -0,0 +1,189 @@
+/**
+ * Minimal SMTP client for alert emails
+ *
+ * Supports implicit TLS (secure: true, usually port 465), STARTTLS when the
+ * server offers it (usually port 587), and AUTH PLAIN / AUTH LOGIN. Credentials
+ * are only sent over TLS unless allowInsecureAuth is set.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+const SMTP_TIMEOUT = 15000;
+
+/**
+ * Send a plain-text email.
+ * config: { host, port, secure, user, password, from, rejectUnauthorized, allowInsecureAuth }
+ * message: { to: string|string[], subject, text }
+ */
+async function sendMail(config, { to, subject, text }) {
+  const recipients = Array.isArray(to) ? to : String(to).split(',').map(r => r.trim()).filter(Boolean);
+  if (!config.host) throw new Error('SMTP host is required');
+  if (!config.from) throw new Error('SMTP from address is required');
+  if (recipients.length === 0) throw new Error('At least one recipient is required');
+
+  const port = config.port || (config.secure ? 465 : 587);
+  const tlsOptions = { servername: config.host, rejectUnauthorized: config.rejectUnauthorized !== false };
+  const socket = config.secure
+    ? tls.connect({ host: config.host, port, ...tlsOptions })
+    : net.connect({ host: config.host, port });
+
+  const conn = new SmtpConnection(socket);
+  try {
+    await conn.expect(220);
+    let capabilities = await conn.ehlo();
+
+    if (!config.secure && capabilities.includes('STARTTLS')) {
+      await conn.command('STARTTLS', 220);
+      await conn.upgrade(tlsOptions);
+      capabilities = await conn.ehlo();
+    }
+
+    if (config.user) {
+      if (!conn.socket.encrypted && !config.allowInsecureAuth) {
+        throw new Error('SMTP server does not offer STARTTLS - refusing to send credentials in cleartext (set allowInsecureAuth to allow it)');
+      }
+      const auth = capabilities.find(c => c.startsWith('AUTH')) || '';
+      if (auth.includes('PLAIN')) {
+        const token = Buffer.from(`\0${config.user}\0${config.password || ''}`).toString('base64');
+        await conn.command(`AUTH PLAIN ${token}`, 235);
+      } else {
+        await conn.command('AUTH LOGIN', 334);
+        await conn.command(Buffer.from(config.user).toString('base64'), 334);
+        await conn.command(Buffer.from(config.password || '').toString('base64'), 235);
+      }
+    }
+
+    await conn.command(`MAIL FROM:<${extractAddress(config.from)}>`, 250);
+    for (const rcpt of recipients) {
+      await conn.command(`RCPT TO:<${extractAddress(rcpt)}>`, [250, 251]);
+    }
+    await conn.command('DATA', 354);
+    await conn.command(buildMessage(config.from, recipients, subject, text), 250);
+    await conn.command('QUIT', 221).catch(() => {});
+  } finally {
+    conn.close();
+  }
+}
+
+function extractAddress(value) {
+  const match = String(value).match(/<([^>]+)>/);
+  return match ? match[1] : String(value).trim();
+}
+
+function buildMessage(from, to, subject, text) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: =?UTF-8?B?${Buffer.from(subject || '').toString('base64')}?=`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now().toString(36)}.${Math.random().toString(36).slice(2)}@${os.hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: 8bit'
+  ];
+  // Normalize line endings and dot-stuff lines starting with "."
+  const body = String(text || '').replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n.`;
+}
+
+/**
+ * Line-oriented request/response wrapper around a socket
+ */
+class SmtpConnection {
+  constructor(socket) {
+    this.buffer = '';
+    this.waiting = null;
+    this.error = null;
+    this._attach(socket);
+  }
+
+  _attach(socket) {
+    this.socket = socket;
+    socket.setTimeout(SMTP_TIMEOUT);
+    socket.on('data', (chunk) => {
+      this.buffer += chunk.toString('utf8');
+      this._drain();
+    });
+    socket.on('timeout', () => this._fail(new Error('SMTP timeout')));
+    socket.on('error', (err) => this._fail(err));
+    socket.on('end', () => this._fail(new Error('SMTP connection closed')));
+    socket.on('close', () => this._fail(new Error('SMTP connection closed')));
+  }
+
+  _fail(err) {
+    this.error = this.error || err;
+    if (this.waiting) {
+      this.waiting.reject(err);
+      this.waiting = null;
+    }
+    this.socket.destroy();
+  }
+
+  /**
+   * Resolve the pending waiter once a complete (possibly multi-line) reply is buffered
+   */
+  _drain() {
+    if (!this.waiting) return;
+    const lines = this.buffer.split('\r\n');
+    for (let i = 0; i < lines.length - 1; i++) {
+      if (/^\d{3} /.test(lines[i]) || /^\d{3}$/.test(lines[i])) {
+        const reply = lines.slice(0, i + 1);
+        this.buffer = lines.slice(i + 1).join('\r\n');
+        const waiter = this.waiting;
+        this.waiting = null;
+        waiter.resolve({ code: parseInt(reply[i].slice(0, 3), 10), lines: reply.map(l => l.slice(4)) });
+        return;
+      }
+    }
+  }
+
+  read() {
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this._drain();
+    });
+  }
+
+  async expect(codes) {
+    const expected = Array.isArray(codes) ? codes : [codes];
+    const reply = await this.read();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP error ${reply.code}: ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+
+  async command(line, codes) {
+    this.socket.write(line + '\r\n');
+    return this.expect(codes);
+  }
+
+  async ehlo() {
+    const reply = await this.command(`EHLO ${os.hostname()}`, 250);
+    return reply.lines.slice(1).map(l => l.toUpperCase());
+  }
+
+  upgrade(tlsOptions) {
+    return new Promise((resolve, reject) => {
+      this.socket.removeAllListeners('data');
+      this.socket.removeAllListeners('timeout');
+      this.socket.removeAllListeners('error');
+      this.socket.removeAllListeners('end');
+      this.socket.removeAllListeners('close');
+      const secure = tls.connect({ socket: this.socket, ...tlsOptions }, () => resolve(secure));
+      secure.once('error', reject);
+      secure.once('close', () => reject(new Error('SMTP connection closed')));
+      this.buffer = '';
+      this._attach(secure);
+    });
+  }
+
+  close() {
+    this.socket.end();
+  }
+}
+
+module.exports = { sendMail };
@@ -0,0 +1,345 @@
+/**
+ * Transcript Index - Full-text search over session transcripts of every gateway
+ *
+ * - Pulls sessions.history for sessions whose lastActive moved since they were
+ *   last indexed, one request at a time and REQUEST_INTERVAL apart so no
+ *   gateway gets flooded; offline gateways are skipped until they're back
+ * - sessions.history only returns the last HISTORY_LIMIT messages, so a
+ *   session that outran it between two pulls has a gap in the index
+ * - Messages are deduplicated by a hash of role, timestamp and text, since
+ *   gateways don't always give history messages an id
+ * - Inverted index (lowercase word -> message ids) kept in memory and rebuilt
+ *   on load; every term of a query has to match the start of a word
+ * - Transcripts outlive their session; a removed gateway's are dropped
+ * - Persistent storage in data/transcript-index.json (newest MAX_MESSAGES messages)
+ * - Emits 'indexed' with { gatewayId, sessionKey, added } after each pull that found new messages
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const SAVE_DELAY = 5000;          // Debounce writes
+const REQUEST_INTERVAL = 1000;    // ms between history pulls
+const CRAWL_INTERVAL = 5 * 60 * 1000;  // Re-check every session for pulls that failed
+const HISTORY_LIMIT = 200;
+const MAX_MESSAGES = 50000;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const SNIPPET_CONTEXT = 60;       // Characters shown either side of the first match
+
+class TranscriptIndex extends EventEmitter {
+  constructor(gatewayManager, { dataDir = DATA_DIR, requestInterval = REQUEST_INTERVAL } = {}) {
+    super();
+    this.gatewayManager = gatewayManager;
+    this.file = path.join(dataDir, 'transcript-index.json');
+    this.requestInterval = requestInterval;
+    this.messages = new Map();  // id -> { id, gatewayId, agentId, sessionKey, role, text, timestamp }
+    this.words = new Map();     // word -> Set of message ids
+    this.sessions = new Map();  // `${gatewayId}|${sessionKey}` -> { lastActive, indexedAt }
+    this.queue = new Map();     // `${gatewayId}|${sessionKey}` -> { gatewayId, sessionKey, lastActive }
+    this.pumping = false;
+    this.pumpTimer = null;
+    this.crawlTimer = null;
+    this.saveTimer = null;
+    this._loadIndex();
+  }
+
+  _loadIndex() {
+    try {
+      if (fs.existsSync(this.file)) {
+        const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        for (const message of data.messages || []) this._add(message);
+        for (const [key, state] of Object.entries(data.sessions || {})) this.sessions.set(key, state);
+        console.log(`🔎 Loaded ${this.messages.size} indexed messages`);
+      }
+    } catch (err) {
+      console.error('Failed to load transcript index:', err.message);
+    }
+  }
+
+  _saveIndex() {
+    this.saveTimer = null;
+    try {
+      const data = {
+        version: 1,
+        savedAt: new Date().toISOString(),
+        sessions: Object.fromEntries(this.sessions),
+        messages: Array.from(this.messages.values())
+      };
+      fs.writeFileSync(this.file, JSON.stringify(data));
+    } catch (err) {
+      console.error('Failed to save transcript index:', err.message);
+    }
+  }
+
+  _scheduleSave() {
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => this._saveIndex(), SAVE_DELAY);
+    }
+  }
+
+  start() {
+    this.gatewayManager.on('agent:update', (agent) => this._queueStale(agent));
+    this.gatewayManager.on('gateway:removed', ({ id }) => this._removeGateway(id));
+    this.crawlTimer = setInterval(() => this.crawl(), CRAWL_INTERVAL);
+    this.crawl();
+  }
+
+  stop() {
+    clearInterval(this.crawlTimer);
+    clearTimeout(this.pumpTimer);
+    this.crawlTimer = null;
+    this.pumpTimer = null;
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this._saveIndex();
+    }
+  }
+
+  /**
+   * Queue every session that changed since it was last indexed
+   */
+  crawl() {
+    for (const agent of this.gatewayManager.getAgents()) this._queueStale(agent);
+  }
+
+  _queueStale(agent) {
+    for (const session of agent.sessions || []) {
+      const key = `${agent.gatewayId}|${session.sessionKey}`;
+      const state = this.sessions.get(key);
+      if (state && state.lastActive === (session.lastActive || null)) continue;
+      this.queue.set(key, { gatewayId: agent.gatewayId, sessionKey: session.sessionKey, lastActive: session.lastActive || null });
+    }
+    this._pump();
+  }
+
+  /**
+   * Work through the queue, one history pull per REQUEST_INTERVAL
+   */
+  _pump() {
+    if (this.pumping || this.pumpTimer || this.queue.size === 0) return;
+    this.pumping = true;
+
+    const [key, item] = this.queue.entries().next().value;
+    this.queue.delete(key);
+
+    this.indexSession(item.gatewayId, item.sessionKey, item.lastActive)
+      .catch(err => console.log(`🔎 Indexing ${item.sessionKey} on ${item.gatewayId} failed:`, err.message))
+      .finally(() => {
+        this.pumping = false;
+        if (this.queue.size === 0) return;
+        this.pumpTimer = setTimeout(() => {
+          this.pumpTimer = null;
+          this._pump();
+        }, this.requestInterval);
+      });
+  }
+
+  /**
+   * Pull one session's history into the index; resolves with the number of new messages
+   */
+  async indexSession(gatewayId, sessionKey, lastActive = null) {
+    const gateway = this.gatewayManager.getGateways().find(g => g.id === gatewayId);
+    if (gateway?.status !== 'online') return 0;
+
+    const history = await this.gatewayManager.getSessionHistory(gatewayId, sessionKey, { limit: HISTORY_LIMIT });
+    const agentId = this.gatewayManager.sessionAgentId(gatewayId, sessionKey);
+
+    let added = 0;
+    for (const message of history) {
+      const text = TranscriptIndex.messageText(message.content ?? message.text);
+      if (!text) continue;
+      const timestamp = message.timestamp || null;
+      const id = this._messageId(gatewayId, sessionKey, message.role, timestamp, text);
+      if (this.messages.has(id)) continue;
+
+      this._add({ id, gatewayId, agentId, sessionKey, role: message.role || null, text, timestamp, messageId: message.id || null });
+      added++;
+    }
+
+    this.sessions.set(`${gatewayId}|${sessionKey}`, { lastActive, indexedAt: new Date().toISOString() });
+    if (added > 0) {
+      this._trim();
+      this.emit('indexed', { gatewayId, sessionKey, added });
+    }
+    this._scheduleSave();
+    return added;
+  }
+
+  _messageId(gatewayId, sessionKey, role, timestamp, text) {
+    return crypto.createHash('sha1')
+      .update(`${gatewayId}\n${sessionKey}\n${role}\n${timestamp}\n${text}`)
+      .digest('hex')
+      .slice(0, 20);
+  }
+
+  _add(message) {
+    this.messages.set(message.id, message);
+    for (const word of new Set(TranscriptIndex.tokenize(message.text))) {
+      if (!this.words.has(word)) this.words.set(word, new Set());
+      this.words.get(word).add(message.id);
+    }
+  }
+
+  _remove(id) {
+    const message = this.messages.get(id);
+    if (!message) return;
+    this.messages.delete(id);
+    for (const word of new Set(TranscriptIndex.tokenize(message.text))) {
+      const ids = this.words.get(word);
+      ids?.delete(id);
+      if (ids?.size === 0) this.words.delete(word);
+    }
+  }
+
+  // Keep the newest MAX_MESSAGES
+  _trim() {
+    if (this.messages.size <= MAX_MESSAGES) return;
+    const oldest = Array.from(this.messages.values())
+      .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''))
+      .slice(0, this.messages.size - MAX_MESSAGES);
+    for (const message of oldest) this._remove(message.id);
+  }
+
+  _removeGateway(gatewayId) {
+    for (const message of Array.from(this.messages.values())) {
+      if (message.gatewayId === gatewayId) this._remove(message.id);
+    }
+    for (const key of Array.from(this.sessions.keys())) {
+      if (key.startsWith(`${gatewayId}|`)) this.sessions.delete(key);
+    }
+    for (const key of Array.from(this.queue.keys())) {
+      if (key.startsWith(`${gatewayId}|`)) this.queue.delete(key);
+    }
+    this._scheduleSave();
+  }
+
+  /**
+   * Messages matching every term of `q`, best matches first:
+   * { query, total, results: [{ id, gatewayId, agentId, sessionKey, role, timestamp, snippet, score }] }
+   */
+  search({ q, agentId, gatewayId, from, to, limit = DEFAULT_LIMIT } = {}) {
+    const terms = Array.from(new Set(TranscriptIndex.tokenize(q || '')));
+    if (terms.length === 0) {
+      throw Object.assign(new Error('q must contain at least one word'), { status: 400 });
+    }
+    const max = Number(limit);
+    if (!Number.isInteger(max) || max < 1 || max > MAX_LIMIT) {
+      throw Object.assign(new Error(`limit must be 1-${MAX_LIMIT}`), { status: 400 });
+    }
+    const fromTime = this._parseTime(from, 'from');
+    const toTime = this._parseTime(to, 'to');
+
+    // Message ids per term: every indexed word the term is a prefix of
+    let candidates = null;
+    for (const term of terms) {
+      const ids = new Set();
+      for (const [word, wordIds] of this.words) {
+        if (word.startsWith(term)) wordIds.forEach(id => ids.add(id));
+      }
+      candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+      if (candidates.size === 0) break;
+    }
+
+    const matches = [];
+    for (const id of candidates) {
+      const message = this.messages.get(id);
+      if (agentId && message.agentId !== agentId) continue;
+      if (gatewayId && message.gatewayId !== gatewayId) continue;
+      const t = message.timestamp ? Date.parse(message.timestamp) : null;
+      if (fromTime !== null && (t === null || t < fromTime)) continue;
+      if (toTime !== null && (t === null || t > toTime)) continue;
+      matches.push({ message, score: this._score(message.text, terms) });
+    }
+
+    matches.sort((a, b) => b.score - a.score || (b.message.timestamp || '').localeCompare(a.message.timestamp || ''));
+
+    return {
+      query: q,
+      total: matches.length,
+      results: matches.slice(0, max).map(({ message, score }) => ({
+        id: message.id,
+        gatewayId: message.gatewayId,
+        agentId: message.agentId,
+        sessionKey: message.sessionKey,
+        messageId: message.messageId || null,
+        role: message.role,
+        timestamp: message.timestamp,
+        snippet: this._snippet(message.text, terms),
+        score
+      }))
+    };
+  }
+
+  // Occurrences of the terms, with whole-word hits counting double
+  _score(text, terms) {
+    const words = TranscriptIndex.tokenize(text);
+    let score = 0;
+    for (const term of terms) {
+      for (const word of words) {
+        if (word === term) score += 2;
+        else if (word.startsWith(term)) score += 1;
+      }
+    }
+    return score;
+  }
+
+  _snippet(text, terms) {
+    const lower = text.toLowerCase();
+    const at = Math.min(...terms.map(term => {
+      const i = lower.indexOf(term);
+      return i === -1 ? Infinity : i;
+    }));
+    if (!Number.isFinite(at) || text.length <= SNIPPET_CONTEXT * 2) {
+      return text.length > SNIPPET_CONTEXT * 2 ? `${text.slice(0, SNIPPET_CONTEXT * 2)}…` : text;
+    }
+    const start = Math.max(0, at - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, at + SNIPPET_CONTEXT);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+  }
+
+  _parseTime(value, name) {
+    if (value === undefined || value === null || value === '') return null;
+    const n = Number(value);
+    const ms = Number.isFinite(n) ? n : Date.parse(value);
+    if (!Number.isFinite(ms)) {
+      throw Object.assign(new Error(`Invalid ${name}: ${value}`), { status: 400 });
+    }
+    return ms;
+  }
+
+  getStatus() {
+    return {
+      messages: this.messages.size,
+      sessions: this.sessions.size,
+      queued: this.queue.size + (this.pumping ? 1 : 0)
+    };
+  }
+
+  /**
+   * Lowercase words (letters and digits) of a text
+   */
+  static tokenize(text) {
+    return String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  }
+
+  /**
+   * Plain text of a history message's content (string or content blocks)
+   */
+  static messageText(content) {
+    if (content === undefined || content === null) return '';
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+      return content
+        .map(block => typeof block === 'string' ? block : block?.type === 'text' ? block.text : '')
+        .filter(Boolean)
+        .join('\n');
+    }
+    return '';
+  }
+}
+
+module.exports = TranscriptIndex;
@@ -0,0 +1,1196 @@
+/**
+ * Server module tests, mostly against the mock gateway (protocol v3)
+ *
+ * Run with: npm test (TEST_VERBOSE=1 to see manager logs)
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Fixed key so tests never create data/secret.key in the repo
+process.env.TEAM_CONTROL_SECRET_KEY = process.env.TEAM_CONTROL_SECRET_KEY || 'gateway-manager-tests';
+
+const GatewayManager = require('../server/gateway-manager');
+const AgentDirectory = require('../server/agent-directory');
+const AgentPauses = require('../server/agent-pauses');
+const CronMonitor = require('../server/cron-monitor');
+const AlertManager = require('../server/alert-manager');
+const AuthManager = require('../server/auth');
+const BroadcastManager = require('../server/broadcast-manager');
+const TranscriptIndex = require('../server/transcript-index');
+const MetricsStore = require('../server/metrics-store');
+const MockGateway = require('../server/mock-gateway');
+const secrets = require('../server/secrets');
+
+const WAIT_TIMEOUT = 3000;
+
+/**
+ * Resolve with the first `event` payload matching `predicate`
+ */
+function waitFor(emitter, event, predicate = () => true, timeoutMs = WAIT_TIMEOUT) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      emitter.off(event, listener);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeoutMs);
+    const listener = (payload) => {
+      if (!predicate(payload)) return;
+      clearTimeout(timer);
+      emitter.off(event, listener);
+      resolve(payload);
+    };
+    emitter.on(event, listener);
+  });
+}
+
+function waitForStatus(manager, id, status) {
+  return waitFor(manager, 'gateway:update', gw => gw.id === id && gw.status === status);
+}
+
+async function addAndConnect(manager, mock, options = {}) {
+  const online = waitFor(manager, 'gateway:update', gw => gw.status === 'online');
+  const agentsLoaded = waitFor(manager, 'agent:update');
+  const gateway = manager.addGateway({ url: mock.url, name: 'Test Gateway', ...options });
+  await online;
+  await agentsLoaded;
+  return gateway;
+}
+
+/**
+ * A temp data dir, a running mock gateway and a manager for one test
+ */
+async function setUp(t) {
+  // Connection logs drown the results (and break the Node 20 runner's output); restored
+  // after each test so other output stays visible. TEST_VERBOSE=1 keeps them.
+  if (!process.env.TEST_VERBOSE) t.mock.method(console, 'log', () => {});
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'team-control-test-'));
+  const mock = await new MockGateway({ port: 0, agents: 3, tickInterval: 0, replyDelay: 5 }).start();
+  const manager = new GatewayManager({ dataDir, reconnectDelay: 50 });
+  return { dataDir, mock, manager };
+}
+
+async function tearDown({ dataDir, mock, manager }) {
+  manager.shutdown();
+  await mock.stop();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+}
+
+describe('GatewayManager', () => {
+  let dataDir;
+  let mock;
+  let manager;
+
+  beforeEach(async (t) => ({ dataDir, mock, manager } = await setUp(t)));
+  afterEach(() => tearDown({ dataDir, mock, manager }));
+
+  describe('connect handshake', () => {
+    test('sends a protocol v3 connect frame first and goes online on hello-ok', async () => {
+      const gateway = await addAndConnect(manager, mock, { token: 'secret' });
+
+      const [connect] = mock.requests;
+      assert.equal(connect.method, 'connect');
+      assert.equal(connect.params.minProtocol, 3);
+      assert.equal(connect.params.maxProtocol, 3);
+      assert.equal(connect.params.role, 'operator');
+      assert.deepEqual(connect.params.auth, { token: 'secret' });
+
+      const stored = manager.gateways.get(gateway.id);
+      assert.equal(stored.status, 'online');
+      assert.equal(stored.serverInfo.name, 'Mock Gateway');
+    });
+
+    test('requests the agent and session lists after connecting', async () => {
+      await addAndConnect(manager, mock);
+      assert.deepEqual(mock.requests.map(r => r.method).slice(0, 3), ['connect', 'agents.list', 'sessions.list']);
+    });
+
+    test('marks the gateway as error when the token is rejected', async () => {
+      const authMock = await new MockGateway({ port: 0, token: 'right', tickInterval: 0 }).start();
+      try {
+        const failed = waitFor(manager, 'gateway:update', gw => gw.status === 'error' && /token mismatch/.test(gw.lastError || ''));
+        manager.addGateway({ url: authMock.url, token: 'wrong' });
+        await failed;
+      } finally {
+        await authMock.stop();
+      }
+    });
+  });
+
+  describe('requests', () => {
+    test('correlates responses to requests by id, even out of order', async () => {
+      const gateway = await addAndConnect(manager, mock);
+      mock.options.methodLatency = { 'sessions.list': 150 };
+
+      const order = [];
+      const list = manager.sendRequest(gateway.id, 'sessions.list', {}).then(r => { order.push('list'); return r; });
+      const ping = manager.sendRequest(gateway.id, 'ping', {}).then(r => { order.push('ping'); return r; });
+      const [listResult, pingResult] = await Promise.all([list, ping]);
+
+      assert.deepEqual(order, ['ping', 'list']);
+      assert.ok(Array.isArray(listResult.sessions));
+      assert.equal(typeof pingResult.ts, 'number');
+      assert.equal(manager.pendingRequests.get(gateway.id).size, 0);
+    });
+
+    test('rejects gateway errors with code gateway_error', async () => {
+      const gateway = await addAndConnect(manager, mock);
+      await assert.rejects(
+        manager.sendRequest(gateway.id, 'sessions.history', { sessionKey: 'agent:nope:main' }),
+        { code: 'gateway_error', message: /session not found/ }
+      );
+    });
+
+    test('types unknown methods and missing scopes', async () => {
+      const gateway = await addAndConnect(manager, mock);
+      mock.options.deniedMethods = ['sessions.send'];
+
+      await assert.rejects(
+        manager.sendRequest(gateway.id, 'no.such.method', {}),
+        { code: 'gateway_unsupported', message: /unknown method/ }
+      );
+      await assert.rejects(
+        manager.sendToSession(gateway.id, 'agent:main:main', 'hi'),
+        { code: 'gateway_forbidden', message: /missing scope/ }
+      );
+    });
+
+    test('rejects with gateway_timeout when no response arrives', async () => {
+      const gateway = await addAndConnect(manager, mock);
+      mock.options.silentMethods = ['sessions.history'];
+
+      const completed = waitFor(manager, 'request:complete', r => r.method === 'sessions.history');
+      await assert.rejects(
+        manager.sendRequest(gateway.id, 'sessions.history', { sessionKey: 'agent:main:main' }, 100),
+        { code: 'gateway_timeout' }
+      );
+      assert.equal((await completed).ok, false);
+      assert.equal(manager.pendingRequests.get(gateway.id).size, 0);
+    });
+
+    test('rejects with gateway_unavailable when not connected', async () => {
+      const gateway = await addAndConnect(manager, mock);
+      manager._disconnectGateway(gateway.id);
+      await assert.rejects(manager.sendRequest(gateway.id, 'ping', {}), { code: 'gateway_unavailable' });
+    });
+
+    test('rejects pending requests when the connection closes', async () => {
+      const gateway = await addAndConnect(manager, mock);
+      mock.options.silentMethods = ['ping'];
+
+      const pending = manager.sendRequest(gateway.id, 'ping', {});
+      mock.disconnectAll(1011, 'boom');
+      await assert.rejects(pending, { code: 'gateway_unavailable', message: /Connection closed/ });
+    });
+  });
+
+  describe('reconnect', () => {
+    test('reconnects after the gateway closes the connection', async () => {
+      const gateway = await addAndConnect(manager, mock);
+
+      const disconnected = waitForStatus(manager, gateway.id, 'disconnected');
+      const backOnline = waitFor(manager, 'gateway:update', gw => gw.id === gateway.id && gw.status === 'online');
+      mock.disconnectAll(1012, 'restart');
+      await disconnected;
+      await backOnline;
+
+      assert.equal(mock.requests.filter(r => r.method === 'connect').length, 2);
+    });
+
+    test('backs off exponentially with jitter, capped at the max delay', () => {
+      const backoff = new GatewayManager({ dataDir, reconnectDelay: 100, maxReconnectDelay: 1000 });
+      for (let failures = 0; failures < 8; failures++) {
+        const full = Math.min(1000, 100 * 2 ** failures);
+        const delay = backoff._backoffDelay(failures);
+        assert.ok(delay >= full / 2 && delay <= full, `${delay} outside [${full / 2}, ${full}]`);
+      }
+    });
+
+    test('opens the circuit after repeated failed attempts and stops retrying', async () => {
+      const breaker = new GatewayManager({ dataDir, reconnectDelay: 10, circuitThreshold: 3, circuitCooldown: 60000 });
+      mock.options.authFail = true;
+      try {
+        const opened = waitFor(breaker, 'gateway:update', gw => gw.connection.state === 'circuit_open');
+        breaker.addGateway({ url: mock.url });
+        const gateway = await opened;
+
+        assert.equal(gateway.connection.failures, 3);
+        assert.ok(Date.parse(gateway.connection.circuitOpenUntil) > Date.now() + 50000);
+        await new Promise(resolve => setTimeout(resolve, 150));
+        assert.equal(mock.requests.filter(r => r.method === 'connect').length, 3);
+
+        // Manual reconnect skips the cooldown and resets the breaker once it works
+        mock.options.authFail = false;
+        const online = waitForStatus(breaker, gateway.id, 'online');
+        assert.equal(breaker.reconnectGateway(gateway.id), true);
+        await online;
+        const connection = breaker.getGateways()[0].connection;
+        assert.equal(connection.state, 'connected');
+        assert.equal(connection.failures, 0);
+        assert.equal(connection.circuitOpenUntil, null);
+      } finally {
+        breaker.shutdown();
+      }
+    });
+
+    test('never has more than one connection in flight', async () => {
+      const connected = waitFor(manager, 'gateway:update', gw => gw.connection.state === 'connected');
+      const gateway = manager.addGateway({ url: mock.url });
+      manager._connectToGateway(gateway.id);
+      manager._connectToGateway(gateway.id);
+      await manager._httpHealthCheck(gateway.id);
+      await connected;
+      manager._connectToGateway(gateway.id);
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      assert.equal(mock.requests.filter(r => r.method === 'connect').length, 1);
+      assert.equal(mock.clients.size, 1);
+    });
+
+    test('does not reconnect a removed gateway', async () => {
+      const gateway = await addAndConnect(manager, mock);
+      manager.removeGateway(gateway.id);
+
+      await new Promise(resolve => setTimeout(resolve, 150));
+      assert.equal(mock.requests.filter(r => r.method === 'connect').length, 1);
+      assert.equal(mock.clients.size, 0);
+    });
+  });
+
+  describe('sessions', () => {
+    test('groups sessions by agent and leaves subagents out', async () => {
+      const gateway = await addAndConnect(manager, mock);
+      await new Promise(resolve => setImmediate(resolve));
+
+      const agents = manager.getAgents().filter(a => a.gatewayId === gateway.id);
+      assert.deepEqual(agents.map(a => a.agentId).sort(), ['forge', 'main', 'pilot']);
+
+      const main = agents.find(a => a.agentId === 'main');
+      assert.equal(main.id, `${gateway.id}:main`);
+      assert.equal(main.sessionCount, 3);
+      assert.deepEqual(main.sessions.map(s => s.sessionType).sort(), ['cron', 'group', 'main']);
+
+      const pilot = agents.find(a => a.agentId === 'pilot');
+      assert.equal(pilot.sessionCount, 1);
+      assert.ok(pilot.sessions.every(s => !s.sessionKey.includes(':subagent:')));
+
+      assert.deepEqual([...manager.gateways.get(gateway.id).agents].sort(), agents.map(a => a.id).sort());
+    });
+
+    test('sums messages and tokens and marks agents active from their sessions', async () => {
+      const gateway = await addAndConnect(manager, mock);
+      manager._updateSessionsFromGateway(gateway.id, [
+        { sessionKey: 'agent:main:main', status: 'idle', messageCount: 2, totalTokens: 100 },
+        { sessionKey: 'agent:main:telegram:group:-1:topic:1', status: 'active', messageCount: 3, totalTokens: 50 },
+        { key: 'agent:pilot:main', messageCount: 1 }
+      ]);
+
+      const main = manager.agents.get(`${gateway.id}:main`);
+      assert.equal(main.status, 'active');
+      assert.equal(main.messageCount, 5);
+      assert.equal(main.totalTokens, 150);
+      assert.equal(manager.agents.get(`${gateway.id}:pilot`).status, 'idle');
+    });
+
+    test('keeps known token counts and cost when a session:update leaves them out', async () => {
+      const gateway = await addAndConnect(manager, mock);
+      manager._updateSessionsFromGateway(gateway.id, [
+        { sessionKey: 'agent:main:main', status: 'idle', label: 'Main', messageCount: 2, totalTokens: 100, inputTokens: 60, outputTokens: 40 },
+        { sessionKey: 'agent:main:cron:daily', status: 'idle', messageCount: 1, totalTokens: 20 }
+      ]);
+
+      manager._updateSession(gateway.id, { sessionKey: 'agent:main:main', status: 'active' });
+
+      const main = manager.agents.get(`${gateway.id}:main`);
+      const session = main.sessions.find(s => s.sessionKey === 'agent:main:main');
+      assert.equal(session.status, 'active');
+      assert.equal(session.label, 'Main');
+      assert.equal(session.messageCount, 2);
+      assert.deepEqual([session.totalTokens, session.inputTokens, session.outputTokens], [100, 60, 40]);
+      assert.equal(main.status, 'active');
+      assert.equal(main.messageCount, 3);
+      assert.equal(main.totalTokens, 120);
+
+      manager._updateSession(gateway.id, { sessionKey: 'agent:main:main', messageCount: 4, totalTokens: 180 });
+      assert.equal(main.totalTokens, 200);
+      assert.equal(main.messageCount, 5);
+    });
+
+    test('removes agents that are no longer in the session list', async () => {
+      mock.options.agentsList = false;
+      const gateway = await addAndConnect(manager, mock);
+
+      const removed = [];
+      manager.on('agent:removed', ({ id }) => removed.push(id));
+      manager._updateSessionsFromGateway(gateway.id, [{ sessionKey: 'agent:main:main' }]);
+
+      assert.deepEqual(removed.sort(), [`${gateway.id}:forge`, `${gateway.id}:pilot`]);
+      assert.deepEqual(manager.gateways.get(gateway.id).agents, [`${gateway.id}:main`]);
+    });
+
+    test('session:deleted drops the session and removes the agent with its last session', async () => {
+      mock.options.agentsList = false;
+      const gateway = await addAndConnect(manager, mock);
+      const forgeId = `${gateway.id}:forge`;
+      const [mainKey, topicKey] = manager.agents.get(forgeId).sessions.map(s => s.sessionKey);
+
+      const updated = waitFor(manager, 'agent:update', a => a.id === forgeId);
+      mock.removeSession(topicKey);
+      const forge = await updated;
+      assert.equal(forge.sessionCount, 1);
+      assert.deepEqual(forge.sessions.map(s => s.sessionKey), [mainKey]);
+
+      const removed = waitFor(manager, 'agent:removed', a => a.id === forgeId);
+      mock.removeSession(mainKey);
+      await removed;
+      assert.equal(manager.agents.has(forgeId), false);
+      assert.ok(!manager.gateways.get(gateway.id).agents.includes(forgeId));
+    });
+
+    test('session:created adds the session to its agent', async () => {
+      const gateway = await addAndConnect(manager, mock);
+      const updated = waitFor(manager, 'agent:update', a => a.id === `${gateway.id}:pilot` && a.sessionCount === 2);
+      mock.addSession({ sessionKey: 'agent:pilot:telegram:dm:42' });
+      await updated;
+    });
+
+    test('pages history backwards with the gateway cursor, or by offset on older gateways', async () => {
+      const gateway = await addAndConnect(manager, mock);
+      const history = mock.histories.get('agent:forge:main');
+      for (let i = 0; i < 8; i++) history.push({ role: 'user', content: `Message ${i}`, timestamp: new Date().toISOString() });
+      const texts = (page) => page.messages.map(m => m.content);
+
+      const readAll = async () => {
+        const pages = [];
+        let before = null;
+        do {
+          const page = await manager.getSessionHistoryPage(gateway.id, 'agent:forge:main', { limit: 4, before });
+          pages.push(texts(page));
+          before = page.nextCursor;
+        } while (before && pages.length < 5);
+        return pages;
+      };
+
+      const native = await readAll();
+      assert.equal(native.length, 3);
+      assert.deepEqual(native[0], ['Message 4', 'Message 5', 'Message 6', 'Message 7']);
+      assert.equal(native[2][0], 'Hello forge');
+
+      mock.options.historyCursor = false;
+      const emulated = await readAll();
+      assert.deepEqual(emulated, native);
+      assert.match(mock.requests.at(-1).params.sessionKey, /forge/);
+      assert.equal(mock.requests.at(-1).params.before, undefined);
+
+      await assert.rejects(manager.getSessionHistoryPage(gateway.id, 'agent:forge:main', { limit: 500 }), { status: 400 });
+    });
+  });
+
+  describe('agents.list', () => {
+    test('shows configured agents without sessions and keeps the reported config', async () => {
+      await mock.stop();
+      mock = await new MockGateway({ port: 0, agents: 2, idleAgents: 1, tickInterval: 0, replyDelay: 5 }).start();
+      const gateway = await addAndConnect(manager, mock);
+
+      const idle = manager.agents.get(`${gateway.id}:forge`);
+      assert.equal(idle.status, 'idle');
+      assert.equal(idle.sessionCount, 0);
+      assert.equal(idle.model, 'gpt-4o');
+      assert.equal(idle.config.workspace, '~/clawd/forge');
+      assert.equal(idle.description, 'Mock agent #3');
+      assert.equal(manager.gateways.get(gateway.id).agents.length, 3);
+    });
+
+    test('keeps a configured agent when its last session goes away', async () => {
+      const gateway = await addAndConnect(manager, mock);
+      const forgeId = `${gateway.id}:forge`;
+
+      for (const { sessionKey } of manager.agents.get(forgeId).sessions) {
+        const updated = waitFor(manager, 'agent:update', a => a.id === forgeId && !a.sessions.some(s => s.sessionKey === sessionKey));
+        mock.removeSession(sessionKey);
+        await updated;
+      }
+      assert.equal(manager.agents.get(forgeId).sessionCount, 0);
+      assert.equal(manager.agents.get(forgeId).status, 'idle');
+    });
+
+    test('falls back to sessions alone when the gateway has no agents.list', async () => {
+      mock.options.agentsList = false;
+      const gateway = await addAndConnect(manager, mock);
+
+      assert.equal(manager.gateways.get(gateway.id).agents.length, 3);
+      assert.equal(manager.agents.get(`${gateway.id}:main`).config, null);
+      assert.deepEqual(await manager.refreshAgents(gateway.id), { agents: 0, sessions: 7 });
+    });
+  });
+
+  describe('subagents', () => {
+    test('tracks subagents under their parent agent, outside its sessions', async () => {
+      const gateway = await addAndConnect(manager, mock);
+      const pilot = manager.agents.get(`${gateway.id}:pilot`);
+
+      assert.equal(pilot.sessionCount, 1);
+      assert.equal(pilot.subagents.length, 1);
+      const [subagent] = manager.getSubagents(pilot.id);
+      assert.equal(subagent.label, 'Research task');
+      assert.equal(subagent.status, 'active');
+      assert.equal(subagent.parentSessionKey, 'agent:pilot:main');
+      assert.equal(subagent.totalTokens, 3000);
+      assert.ok(subagent.startedAt);
+      assert.equal(manager.agents.has(`${gateway.id}:subagent:${subagent.sessionKey}`), false);
+    });
+
+    test('nests subagents spawned by subagents from session events', async () => {
+      const gateway = await addAndConnect(manager, mock);
+      const pilotId = `${gateway.id}:pilot`;
+      const [parent] = manager.getSubagents(pilotId);
+
+      const updated = waitFor(manager, 'agent:update', a => a.id === pilotId && a.subagents.length === 2);
+      mock.addSession({ sessionKey: 'agent:pilot:subagent:child', label: 'Fetch sources', status: 'active', spawnedBy: parent.sessionKey });
+      await updated;
+
+      const child = manager.getSubagents(pilotId).find(s => s.sessionKey === 'agent:pilot:subagent:child');
+      assert.equal(child.parentSessionKey, parent.sessionKey);
+      assert.equal(manager.agents.get(pilotId).sessionCount, 1);
+    });
+
+    test('kills a subagent by deleting its session', async () => {
+      const gateway = await addAndConnect(manager, mock);
+      const pilotId = `${gateway.id}:pilot`;
+      const [subagent] = manager.getSubagents(pilotId);
+
+      await manager.killSubagent(pilotId, subagent.sessionKey);
+      assert.equal(mock.sessions.has(subagent.sessionKey), false);
+      assert.deepEqual(manager.getSubagents(pilotId), []);
+
+      await assert.rejects(manager.killSubagent(pilotId, 'agent:main:main'), { status: 404 });
+    });
+  });
+
+  describe('updateGateway', () => {
+    test('reconnects with a new token', async () => {
+      mock.options.token = 'new-token';
+      const failed = waitFor(manager, 'gateway:update', gw => gw.status === 'error');
+      const gateway = manager.addGateway({ url: mock.url, token: 'old-token' });
+      await failed;
+
+      const online = waitForStatus(manager, gateway.id, 'online');
+      assert.equal(manager.updateGateway(gateway.id, { token: 'new-token' }), true);
+      await online;
+
+      const connects = mock.requests.filter(r => r.method === 'connect');
+      assert.deepEqual(connects.at(-1).params.auth, { token: 'new-token' });
+      assert.equal(manager.gateways.get(gateway.id).token, 'new-token');
+    });
+
+    test('keeps a single connection when the token changes while connected', async () => {
+      const gateway = await addAndConnect(manager, mock, { token: 'first' });
+
+      const online = waitForStatus(manager, gateway.id, 'online');
+      manager.updateGateway(gateway.id, { token: 'second' });
+      await online;
+      await new Promise(resolve => setTimeout(resolve, 150));
+
+      assert.equal(manager.gateways.get(gateway.id).status, 'online');
+      assert.equal(mock.clients.size, 1);
+      assert.equal(mock.requests.filter(r => r.method === 'connect').length, 2);
+    });
+
+    test('renames without reconnecting', async () => {
+      const gateway = await addAndConnect(manager, mock);
+      manager.updateGateway(gateway.id, { name: 'Renamed' });
+
+      assert.equal(manager.gateways.get(gateway.id).name, 'Renamed');
+      assert.equal(mock.requests.filter(r => r.method === 'connect').length, 1);
+    });
+
+    test('returns false for an unknown gateway', () => {
+      assert.equal(manager.updateGateway('gw-missing', { name: 'x' }), false);
+    });
+  });
+
+  describe('maintenance and disabled gateways', () => {
+    test('puts a gateway in maintenance and ends it when the window is over', async () => {
+      const gateway = await addAndConnect(manager, mock);
+      assert.throws(() => manager.setMaintenance(gateway.id, { until: new Date(Date.now() - 1000).toISOString() }), { status: 400 });
+      assert.throws(() => manager.setMaintenance(gateway.id, { until: 'soon' }), { status: 400 });
+
+      const ended = waitFor(manager, 'gateway:update', gw => gw.id === gateway.id && gw.maintenance === null);
+      manager.setMaintenance(gateway.id, { until: new Date(Date.now() + 100).toISOString(), reason: 'upgrade', by: 'ops' });
+      const started = manager.getGateways().find(gw => gw.id === gateway.id);
+      assert.equal(started.inMaintenance, true);
+      assert.deepEqual([started.maintenance.reason, started.maintenance.by], ['upgrade', 'ops']);
+      assert.equal(started.status, 'online');
+
+      const after = await ended;
+      assert.equal(after.inMaintenance, false);
+      assert.equal(manager.maintenanceTimers.has(gateway.id), false);
+    });
+
+    test('keeps open-ended maintenance across restarts until it is cleared', async () => {
+      const gateway = await addAndConnect(manager, mock);
+      manager.setMaintenance(gateway.id, { reason: 'migration' });
+      manager.shutdown();
+
+      manager = new GatewayManager({ dataDir, reconnectDelay: 50 });
+      assert.equal(manager.getGateways()[0].inMaintenance, true);
+      assert.equal(manager.clearMaintenance(gateway.id), true);
+      assert.equal(manager.getGateways()[0].maintenance, null);
+    });
+
+    test('does not connect or reconnect a disabled gateway', async () => {
+      const gateway = await addAndConnect(manager, mock);
+      const disabled = waitForStatus(manager, gateway.id, 'disabled');
+      manager.setGatewayEnabled(gateway.id, false);
+      await disabled;
+      assert.equal(manager.getAgents().filter(a => a.gatewayId === gateway.id).length, 0);
+
+      await new Promise(resolve => setTimeout(resolve, 200));
+      assert.equal(mock.requests.filter(r => r.method === 'connect').length, 1);
+      assert.equal(manager.gateways.get(gateway.id).status, 'disabled');
+      assert.throws(() => manager.reconnectGateway(gateway.id), { status: 409 });
+
+      const online = waitForStatus(manager, gateway.id, 'online');
+      manager.setGatewayEnabled(gateway.id, true);
+      await online;
+      assert.equal(mock.requests.filter(r => r.method === 'connect').length, 2);
+    });
+  });
+
+  describe('tags and environments', () => {
+    test('normalizes tags and rejects invalid values without a partial update', async () => {
+      const gateway = await addAndConnect(manager, mock, { tags: ['EU', 'gpu', 'eu'], environment: 'prod' });
+      assert.deepEqual(gateway.tags, ['eu', 'gpu']);
+      assert.equal(gateway.environment, 'prod');
+
+      assert.throws(() => manager.updateGateway(gateway.id, { name: 'Renamed', tags: ['has space'] }), { status: 400 });
+      assert.throws(() => manager.updateGateway(gateway.id, { environment: 'qa' }), { status: 400 });
+      assert.equal(manager.gateways.get(gateway.id).name, 'Test Gateway');
+
+      manager.updateGateway(gateway.id, { tags: [], environment: null });
+      assert.deepEqual(manager.gateways.get(gateway.id).tags, []);
+      assert.equal(manager.gateways.get(gateway.id).environment, null);
+    });
+
+    test('filters gateways and their agents by tags and environment', async () => {
+      const tagged = await addAndConnect(manager, mock, { tags: ['eu', 'gpu'], environment: 'prod' });
+      const other = manager.addGateway({ url: 'http://127.0.0.1:1', tags: ['eu'], environment: 'dev' });
+
+      assert.deepEqual(manager.getGateways({ tags: ['eu'] }).map(g => g.id).sort(), [tagged.id, other.id].sort());
+      assert.deepEqual(manager.getGateways({ tags: ['eu', 'gpu'] }).map(g => g.id), [tagged.id]);
+      assert.deepEqual(manager.getGateways({ environment: 'dev' }).map(g => g.id), [other.id]);
+      assert.equal(manager.getAgents({ tags: ['gpu'] }).length, 3);
+      assert.equal(manager.getAgents({ environment: 'dev' }).length, 0);
+    });
+
+    test('persists tags and environment', async () => {
+      const gateway = await addAndConnect(manager, mock, { tags: ['eu'], environment: 'staging' });
+
+      const restored = new GatewayManager({ dataDir }).gateways.get(gateway.id);
+      assert.deepEqual(restored.tags, ['eu']);
+      assert.equal(restored.environment, 'staging');
+    });
+  });
+
+  describe('persistence', () => {
+    test('round-trips gateways.json with the token encrypted at rest', async () => {
+      const gateway = await addAndConnect(manager, mock, { token: 'persisted-token' });
+      manager.updateGateway(gateway.id, { name: 'Persisted' });
+
+      const file = JSON.parse(fs.readFileSync(path.join(dataDir, 'gateways.json'), 'utf8'));
+      assert.equal(file.version, 2);
+      assert.equal(file.gateways.length, 1);
+      assert.match(file.gateways[0].token, /^enc:v1:/);
+      assert.ok(!JSON.stringify(file).includes('persisted-token'));
+
+      const reloaded = new GatewayManager({ dataDir });
+      const restored = reloaded.gateways.get(gateway.id);
+      assert.equal(restored.name, 'Persisted');
+      assert.equal(restored.url, mock.url);
+      assert.equal(restored.token, 'persisted-token');
+      assert.equal(restored.status, 'disconnected');
+      assert.deepEqual(restored.agents, []);
+    });
+
+    test('does not expose the token when the same URL is added again', async () => {
+      const gateway = await addAndConnect(manager, mock, { token: 'persisted-token' });
+
+      const duplicate = manager.addGateway({ url: mock.url, token: 'other-token' });
+      assert.equal(duplicate.id, gateway.id);
+      assert.equal(duplicate.hasToken, true);
+      assert.equal(duplicate.token, undefined);
+      assert.equal(manager.gateways.get(gateway.id).token, 'persisted-token');
+    });
+
+    test('removing a gateway removes it from storage', async () => {
+      const gateway = await addAndConnect(manager, mock);
+      manager.removeGateway(gateway.id);
+
+      const reloaded = new GatewayManager({ dataDir });
+      assert.equal(reloaded.gateways.size, 0);
+    });
+
+    test('migrates v1 plaintext tokens to encrypted storage', () => {
+      fs.writeFileSync(path.join(dataDir, 'gateways.json'), JSON.stringify({
+        gateways: [{ id: 'gw-legacy', url: 'http://localhost:1', name: 'Legacy', token: 'plain' }]
+      }));
+
+      const migrated = new GatewayManager({ dataDir });
+      assert.equal(migrated.gateways.get('gw-legacy').token, 'plain');
+
+      const file = JSON.parse(fs.readFileSync(path.join(dataDir, 'gateways.json'), 'utf8'));
+      assert.equal(file.version, 2);
+      assert.match(file.gateways[0].token, /^enc:v1:/);
+    });
+  });
+});
+
+describe('CronMonitor', () => {
+  let dataDir;
+  let mock;
+  let manager;
+  let cron;
+
+  beforeEach(async (t) => {
+    ({ dataDir, mock, manager } = await setUp(t));
+    cron = new CronMonitor(manager, { dataDir });
+    cron.start();
+  });
+
+  afterEach(() => {
+    cron.stop();
+    return tearDown({ dataDir, mock, manager });
+  });
+
+  test('records each run with its duration, outcome and tokens', async () => {
+    const gateway = await addAndConnect(manager, mock);
+    const jobId = `${gateway.id}:agent:main:cron:daily-report`;
+    assert.equal(cron.getJob(jobId).runCount, 0);
+
+    let finished = waitFor(cron, 'job:update', job => job.id === jobId && job.runCount === 1);
+    mock.runCron('agent:main:cron:daily-report', { duration: 30 });
+    await finished;
+    finished = waitFor(cron, 'job:update', job => job.id === jobId && job.runCount === 2);
+    mock.runCron('agent:main:cron:daily-report', { fail: true, duration: 30 });
+    await finished;
+
+    const [failed, ok] = cron.getRuns(jobId);
+    assert.equal(ok.outcome, 'success');
+    assert.equal(ok.tokens, 1200);
+    assert.ok(ok.durationMs >= 20);
+    assert.equal(failed.outcome, 'error');
+    assert.equal(cron.getJob(jobId).consecutiveFailures, 1);
+  });
+
+  test('expects the next run one median interval after the last', () => {
+    const agent = { id: 'gw-1:main', gatewayId: 'gw-1', sessions: [] };
+    const session = { sessionKey: 'agent:main:cron:hourly', sessionType: 'cron', label: 'Hourly', status: 'idle', totalTokens: 0 };
+    const start = Date.parse('2026-01-01T00:00:00Z');
+    const hour = 60 * 60 * 1000;
+
+    agent.sessions = [session];
+    cron.record(agent, start - 1000);
+    for (let i = 0; i < 3; i++) {
+      cron.record({ ...agent, sessions: [{ ...session, status: 'active' }] }, start + i * hour);
+      cron.record(agent, start + i * hour + 5000);
+    }
+
+    const job = cron.getJob('gw-1:agent:main:cron:hourly', start + 2 * hour + 10000);
+    assert.equal(job.intervalMs, hour);
+    assert.equal(job.nextRunAt, new Date(start + 3 * hour).toISOString());
+    assert.equal(job.overdue, false);
+    assert.equal(cron.getJob(job.id, start + 3 * hour + 1000).overdue, true);
+  });
+
+  test('drops the job when its session is closed', async () => {
+    const gateway = await addAndConnect(manager, mock);
+    const jobId = `${gateway.id}:agent:main:cron:daily-report`;
+
+    const removed = waitFor(cron, 'job:removed', ({ id }) => id === jobId);
+    mock.removeSession('agent:main:cron:daily-report');
+    await removed;
+    assert.equal(cron.getJob(jobId), null);
+  });
+});
+
+describe('BroadcastManager', () => {
+  let dataDir;
+  let mock;
+  let manager;
+
+  beforeEach(async (t) => ({ dataDir, mock, manager } = await setUp(t)));
+  afterEach(() => tearDown({ dataDir, mock, manager }));
+
+  test('sends to the selected session types of every agent on a gateway', async () => {
+    const gateway = await addAndConnect(manager, mock);
+    const broadcasts = new BroadcastManager(manager);
+
+    const { done } = broadcasts.send({ message: 'Deploy in 5 minutes', target: { gatewayId: gateway.id, sessionTypes: ['main'] } });
+    const result = await done;
+
+    assert.equal(result.status, 'done');
+    assert.equal(result.sent, 3);
+    const sends = mock.requests.filter(r => r.method === 'sessions.send');
+    assert.deepEqual(sends.map(r => r.params.sessionKey).sort(), ['agent:forge:main', 'agent:main:main', 'agent:pilot:main']);
+    assert.ok(sends.every(r => r.params.message === 'Deploy in 5 minutes'));
+  });
+
+  test('keeps at most `concurrency` sends in flight', async () => {
+    await addAndConnect(manager, mock);
+    mock.options.methodLatency = { 'sessions.send': 20 };
+    const broadcasts = new BroadcastManager(manager);
+
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const send = manager.sendToSession.bind(manager);
+    manager.sendToSession = async (...args) => {
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      try {
+        return await send(...args);
+      } finally {
+        inFlight--;
+      }
+    };
+
+    const { done } = broadcasts.send({ message: 'hi', target: { all: true }, concurrency: 2 });
+    const result = await done;
+    assert.equal(result.sent, manager.getAgents().reduce((n, a) => n + a.sessions.length, 0));
+    assert.equal(maxInFlight, 2);
+  });
+
+  test('reports per-target failures and rejects an empty selection', async () => {
+    const gateway = await addAndConnect(manager, mock);
+    const broadcasts = new BroadcastManager(manager);
+    mock.sessions.delete('agent:pilot:main');  // Gone on the gateway, still listed here
+
+    const { done } = broadcasts.send({
+      message: 'hi',
+      target: { sessions: [{ gatewayId: gateway.id, sessionKey: 'agent:main:main' }, { gatewayId: gateway.id, sessionKey: 'agent:pilot:main' }] }
+    });
+    const result = await done;
+
+    assert.equal(result.sent, 1);
+    assert.equal(result.failed, 1);
+    const failed = result.targets.find(t => t.status === 'failed');
+    assert.equal(failed.sessionKey, 'agent:pilot:main');
+    assert.match(failed.error, /session not found/);
+
+    assert.throws(() => broadcasts.send({ message: 'hi', target: {} }), { status: 400 });
+    assert.throws(() => broadcasts.send({ message: 'hi', target: { sessions: [{ gatewayId: gateway.id, sessionKey: 'agent:nope:main' }] } }), { status: 400 });
+  });
+});
+
+describe('TranscriptIndex', () => {
+  let dataDir;
+  let mock;
+  let manager;
+  let index;
+
+  beforeEach(async (t) => {
+    ({ dataDir, mock, manager } = await setUp(t));
+    index = new TranscriptIndex(manager, { dataDir, requestInterval: 0 });
+  });
+
+  afterEach(() => {
+    index.stop();
+    return tearDown({ dataDir, mock, manager });
+  });
+
+  test('finds messages by word prefix across sessions, without duplicates', async () => {
+    const gateway = await addAndConnect(manager, mock);
+    const sessions = manager.getAgents().flatMap(a => a.sessions.map(s => s.sessionKey));
+    for (const sessionKey of sessions) await index.indexSession(gateway.id, sessionKey);
+
+    assert.equal(index.search({ q: 'hello' }).total, sessions.length);
+    const pilot = index.search({ q: 'hi pil', agentId: `${gateway.id}:pilot` });
+    assert.ok(pilot.total > 0);
+    assert.ok(pilot.results.every(r => r.agentId === `${gateway.id}:pilot` && r.role === 'assistant'));
+    assert.equal(pilot.results[0].snippet, 'Hi, pilot here.');
+    assert.equal(index.search({ q: 'hello', to: '2000-01-01' }).total, 0);
+
+    assert.equal(await index.indexSession(gateway.id, 'agent:main:main'), 0);
+    assert.throws(() => index.search({ q: ' ?! ' }), { status: 400 });
+  });
+
+  test('only pulls sessions again once they have been active', async () => {
+    await addAndConnect(manager, mock);
+    const sessionCount = manager.getAgents().reduce((n, a) => n + a.sessions.length, 0);
+    let indexed = 0;
+    const crawled = waitFor(index, 'indexed', () => ++indexed === sessionCount);
+    index.start();
+    await crawled;
+
+    const pulls = mock.requests.filter(r => r.method === 'sessions.history').length;
+    const replied = waitFor(index, 'indexed', () => index.search({ q: 'quarterly' }).total === 2);
+    await manager.sendToSession(manager.getAgents()[0].gatewayId, 'agent:forge:main', 'Quarterly numbers please');
+    await replied;
+
+    const repulled = mock.requests.filter(r => r.method === 'sessions.history').slice(pulls);
+    assert.ok(repulled.length > 0);
+    assert.ok(repulled.every(r => r.params.sessionKey === 'agent:forge:main'));
+  });
+});
+
+describe('AgentPauses', () => {
+  let dataDir;
+  let mock;
+  let manager;
+
+  beforeEach(async (t) => ({ dataDir, mock, manager } = await setUp(t)));
+  afterEach(() => tearDown({ dataDir, mock, manager }));
+
+  test('holds messages for an agent the gateway cannot pause, then flushes them in order', async () => {
+    const pauses = new AgentPauses({ dataDir });
+    manager = new GatewayManager({ dataDir, reconnectDelay: 50, pauses });
+    const gateway = await addAndConnect(manager, mock);
+    const agentId = `${gateway.id}:main`;
+
+    await manager.pauseAgent(agentId, 'ops');
+    assert.equal(manager.agents.get(agentId).paused.mode, 'hold');
+
+    const queued = await manager.sendToSession(gateway.id, 'agent:main:main', 'first');
+    assert.equal(queued.queued, true);
+    const { done } = new BroadcastManager(manager).send({ message: 'second', target: { agentIds: [agentId], sessionTypes: ['main'] } });
+    const broadcast = await done;
+    assert.equal(broadcast.queued, 1);
+    assert.equal(broadcast.targets[0].status, 'queued');
+    assert.equal(mock.requests.filter(r => r.method === 'sessions.send').length, 0);
+    assert.equal(manager.agents.get(agentId).paused.queued, 2);
+    assert.equal(manager.agents.get(agentId).paused.queue, undefined);
+    assert.deepEqual(manager.getPauseQueue(agentId).map(q => q.message), ['first', 'second']);
+
+    const result = await manager.resumeAgent(agentId);
+    assert.equal(result.flushed, 2);
+    assert.equal(manager.agents.get(agentId).paused, null);
+    assert.deepEqual(mock.requests.filter(r => r.method === 'sessions.send').map(r => r.params.message), ['first', 'second']);
+  });
+
+  test('keeps the pause and its queue across restarts, and can discard the queue', async () => {
+    manager = new GatewayManager({ dataDir, reconnectDelay: 50, pauses: new AgentPauses({ dataDir }) });
+    const gateway = await addAndConnect(manager, mock);
+    const agentId = `${gateway.id}:forge`;
+    await manager.pauseAgent(agentId);
+    await manager.sendToSession(gateway.id, 'agent:forge:telegram', 'later');
+    manager.shutdown();
+
+    manager = new GatewayManager({ dataDir, reconnectDelay: 50, pauses: new AgentPauses({ dataDir }) });
+    const reloaded = waitFor(manager, 'agent:update', a => a.id === agentId);
+    manager.reconnectGateway(gateway.id);
+    await reloaded;
+    assert.equal(manager.agents.get(agentId).paused.queued, 1);
+
+    const result = await manager.resumeAgent(agentId, { queue: 'discard' });
+    assert.equal(result.discarded, 1);
+    assert.equal(mock.requests.filter(r => r.method === 'sessions.send').length, 0);
+    await assert.rejects(manager.resumeAgent(agentId), { status: 409 });
+  });
+
+  test('keeps messages that fail to flush queued and the agent held', async () => {
+    manager = new GatewayManager({ dataDir, reconnectDelay: 50, pauses: new AgentPauses({ dataDir }) });
+    const gateway = await addAndConnect(manager, mock);
+    const agentId = `${gateway.id}:main`;
+    await manager.pauseAgent(agentId);
+    await manager.sendToSession(gateway.id, 'agent:main:main', 'lost?');
+
+    mock.options.deniedMethods = ['sessions.send'];
+    const result = await manager.resumeAgent(agentId);
+    assert.equal(result.failed, 1);
+    assert.equal(result.stillPaused, true);
+    assert.equal(manager.agents.get(agentId).paused.mode, 'hold');
+    assert.deepEqual(manager.getPauseQueue(agentId).map(q => q.message), ['lost?']);
+
+    mock.options.deniedMethods = [];
+    assert.equal((await manager.resumeAgent(agentId)).flushed, 1);
+    assert.equal(manager.getPauseQueue(agentId), null);
+  });
+
+  test('uses agents.pause and agents.resume when the gateway has them', async () => {
+    await mock.stop();
+    mock = await new MockGateway({ port: 0, agents: 3, tickInterval: 0, replyDelay: 5, agentPause: true }).start();
+    manager = new GatewayManager({ dataDir, reconnectDelay: 50, pauses: new AgentPauses({ dataDir }) });
+    const gateway = await addAndConnect(manager, mock);
+    const agentId = `${gateway.id}:pilot`;
+
+    await manager.pauseAgent(agentId);
+    assert.equal(manager.agents.get(agentId).paused.mode, 'gateway');
+    assert.deepEqual(mock.requests.find(r => r.method === 'agents.pause').params, { agentId: 'pilot' });
+    await assert.rejects(manager.pauseAgent(agentId), { status: 409 });
+    // Not held here - the gateway answers for its paused agent
+    await assert.rejects(manager.sendToSession(gateway.id, 'agent:pilot:main', 'hi'), /agent is paused/);
+
+    await manager.resumeAgent(agentId);
+    assert.ok(mock.requests.some(r => r.method === 'agents.resume'));
+    await manager.sendToSession(gateway.id, 'agent:pilot:main', 'hi');
+  });
+});
+
+describe('AgentDirectory', () => {
+  let dataDir;
+  let mock;
+  let manager;
+
+  beforeEach(async (t) => ({ dataDir, mock, manager } = await setUp(t)));
+  afterEach(() => tearDown({ dataDir, mock, manager }));
+
+  test('names agents from the directory, per-gateway entries first, then agents.list', async () => {
+    const directory = new AgentDirectory({ dataDir });
+    directory.setEntry({ agentId: 'main', name: 'Main Bot', avatar: '🗿', owner: 'ops' });
+    manager = new GatewayManager({ dataDir, reconnectDelay: 50, directory });
+    const gateway = await addAndConnect(manager, mock);
+    directory.setEntry({ gatewayId: gateway.id, agentId: 'main', name: 'Local Main' });
+
+    const main = manager.agents.get(`${gateway.id}:main`);
+    assert.equal(main.name, 'Local Main');
+    assert.equal(main.avatar, '🗿');
+    assert.equal(main.owner, 'ops');
+    assert.equal(manager.agents.get(`${gateway.id}:pilot`).name, 'Pilot');
+    assert.equal(manager.agents.get(`${gateway.id}:pilot`).avatar, '🧭');
+  });
+
+  test('re-emits agents when their entry changes', async () => {
+    const directory = new AgentDirectory({ dataDir });
+    manager = new GatewayManager({ dataDir, reconnectDelay: 50, directory });
+    const gateway = await addAndConnect(manager, mock);
+
+    const updated = waitFor(manager, 'agent:update', a => a.agentId === 'forge' && a.name === 'Smith');
+    directory.setEntry({ agentId: 'forge', name: 'Smith', color: '#ff8800' });
+    assert.equal((await updated).color, '#ff8800');
+
+    const reverted = waitFor(manager, 'agent:update', a => a.agentId === 'forge' && a.name === 'Forge');
+    directory.removeEntry('*:forge');
+    await reverted;
+    assert.equal(manager.agents.get(`${gateway.id}:forge`).color, null);
+  });
+
+  test('rejects invalid entries', () => {
+    const directory = new AgentDirectory({ dataDir });
+    assert.throws(() => directory.setEntry({ agentId: 'main', color: 'red' }), /color/);
+    assert.throws(() => directory.setEntry({ agentId: 'main', avatarImage: 'http://example.com/a.png' }), /avatarImage/);
+    assert.throws(() => directory.setEntry({ name: 'No id' }), /agentId/);
+    assert.equal(directory.getEntries().length, 0);
+  });
+});
+
+describe('AlertManager', () => {
+  let dataDir;
+  let mock;
+  let manager;
+
+  beforeEach(async (t) => ({ dataDir, mock, manager } = await setUp(t)));
+  afterEach(() => tearDown({ dataDir, mock, manager }));
+
+  test('keeps only known rule fields and validates them', () => {
+    const alerts = new AlertManager(manager, null, { dataDir });
+    const rule = alerts.addRule({ type: 'gateway_offline', gatewayId: 'gw-1', cooldownMinutes: 5, id: 'chosen', status: 'hacked' });
+    assert.notEqual(rule.id, 'chosen');
+    assert.equal(rule.status, undefined);
+    assert.equal(rule.gatewayId, 'gw-1');
+    assert.equal(rule.agentId, null);
+    assert.equal(rule.cooldownMinutes, 5);
+
+    assert.throws(() => alerts.addRule({ type: 'gateway_offline', cooldownMinutes: 'soon' }), /cooldownMinutes/);
+    assert.throws(() => alerts.addRule({ type: 'gateway_offline', cooldownMinutes: -1 }), /cooldownMinutes/);
+    assert.throws(() => alerts.addRule({ type: 'gateway_offline', gatewayId: 42 }), /gatewayId/);
+    assert.throws(() => alerts.addRule({ type: 'agent_stuck_active', agentId: {} }), /agentId/);
+    assert.throws(() => alerts.addRule({ type: 'gateway_offline', notifyResolve: 'no' }), /notifyResolve/);
+    assert.throws(() => alerts.addRule({ type: 'gateway_offline', params: 'fast' }), /params/);
+    assert.equal(alerts.getRules().length, 1);
+
+    const updated = alerts.updateRule(rule.id, { id: 'other', createdAt: 'never', gatewayId: null, params: { minutes: 1 } });
+    assert.equal(updated.id, rule.id);
+    assert.equal(updated.createdAt, rule.createdAt);
+    assert.equal(updated.gatewayId, null);
+    assert.equal(updated.params.minutes, 1);
+    assert.throws(() => alerts.updateRule(rule.id, { enabled: 'yes' }), /enabled/);
+    assert.equal(alerts.rules.get(rule.id).enabled, true);
+  });
+
+  test('suppresses alerts during maintenance and resolves firing ones quietly', async () => {
+    const gateway = manager.addGateway({ url: 'http://127.0.0.1:1', name: 'Unreachable' });
+    await waitFor(manager, 'gateway:update', gw => gw.id === gateway.id && gw.status !== 'connecting');
+
+    const alerts = new AlertManager(manager, null, { dataDir });
+    alerts.start();
+    try {
+      alerts.addRule({ type: 'gateway_offline', params: { minutes: 0 } });
+      const notified = [];
+      alerts._notify = (rule, alert, status) => notified.push(status);
+
+      alerts.evaluate();
+      assert.equal(alerts.getActiveAlerts().length, 1);
+      assert.deepEqual(notified, ['firing']);
+
+      manager.setMaintenance(gateway.id);
+      alerts.evaluate();
+      assert.equal(alerts.getActiveAlerts().length, 0);
+      assert.deepEqual(notified, ['firing']);
+
+      manager.clearMaintenance(gateway.id);
+      alerts.evaluate();
+      assert.equal(alerts.getActiveAlerts().length, 1);
+    } finally {
+      alerts.stop();
+    }
+  });
+
+  test('keeps stored secrets when a client sends back the masked config', () => {
+    const alerts = new AlertManager(manager, null, { dataDir });
+    const created = alerts.addSink({
+      type: 'webhook',
+      config: { url: 'https://hooks.example.com/secret-path', headers: { Authorization: 'Bearer secret' } }
+    });
+    assert.equal(created.config.url, 'https://hooks.example.com/…');
+
+    const updated = alerts.updateSink(created.id, {
+      name: 'Renamed',
+      config: { ...created.config, headers: { ...created.config.headers, 'X-Extra': 'new' } }
+    });
+    assert.equal(updated.name, 'Renamed');
+    const stored = alerts.sinks.get(created.id).config;
+    assert.equal(stored.url, 'https://hooks.example.com/secret-path');
+    assert.deepEqual(stored.headers, { Authorization: 'Bearer secret', 'X-Extra': 'new' });
+
+    alerts.updateSink(created.id, { config: { url: 'https://hooks.example.com/other' } });
+    assert.equal(alerts.sinks.get(created.id).config.url, 'https://hooks.example.com/other');
+  });
+
+  test('keeps sinks whose secrets cannot be decrypted instead of dropping the file', async () => {
+    const foreign = secrets.encrypt('https://hooks.example.com/old-key', Buffer.alloc(32, 1));
+    const file = path.join(dataDir, 'alerts.json');
+    fs.writeFileSync(file, JSON.stringify({
+      version: 1,
+      rules: [{ id: 'rule-1', type: 'gateway_offline', name: 'Offline', sinks: [], params: { minutes: 5 }, enabled: true }],
+      sinks: [
+        { id: 'sink-old', name: 'Old', type: 'webhook', config: { url: foreign } },
+        { id: 'sink-ok', name: 'Ok', type: 'webhook', config: { url: secrets.encrypt('https://hooks.example.com/ok') } }
+      ]
+    }));
+
+    const alerts = new AlertManager(manager, null, { dataDir });
+    assert.equal(alerts.rules.size, 1);
+    assert.equal(alerts.sinks.get('sink-ok').config.url, 'https://hooks.example.com/ok');
+    const old = alerts.getSinks().find(s => s.id === 'sink-old');
+    assert.match(old.lastError, /could not be decrypted/);
+    assert.equal(old.encryptedConfig, undefined);
+    await assert.rejects(alerts.testSink('sink-old'), { status: 409 });
+
+    alerts.updateSink('sink-old', { name: 'Renamed' });
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8')).sinks.find(s => s.id === 'sink-old');
+    assert.equal(saved.name, 'Renamed');
+    assert.equal(saved.config.url, foreign);
+    assert.equal(saved.lastError, undefined);
+  });
+
+  test('refuses changes while alerts.json is unreadable', () => {
+    const file = path.join(dataDir, 'alerts.json');
+    fs.writeFileSync(file, '{ not json');
+
+    const alerts = new AlertManager(manager, null, { dataDir });
+    assert.throws(() => alerts.addRule({ type: 'gateway_offline' }), { status: 409 });
+    assert.equal(fs.readFileSync(file, 'utf8'), '{ not json');
+  });
+});
+
+describe('MetricsStore', () => {
+  let dataDir;
+  let manager;
+  let store;
+
+  beforeEach((t) => {
+    if (!process.env.TEST_VERBOSE) t.mock.method(console, 'log', () => {});
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'team-control-test-'));
+    manager = new GatewayManager({ dataDir });
+    store = new MetricsStore(manager, { dataDir });
+  });
+
+  afterEach(() => {
+    manager.shutdown();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('clamps a from before the retention window instead of scanning every day', async () => {
+    const t = Date.now() - 60000;
+    const record = { t, kind: 'agent', id: 'gw-1:main', gatewayId: 'gw-1', status: 'idle', totalTokens: 10, messageCount: 1, sessionCount: 1, activeSessions: 0 };
+    fs.writeFileSync(store._fileFor(t), JSON.stringify(record) + '\n');
+
+    const started = Date.now();
+    const metrics = await store.getAgentMetrics('gw-1:main', { from: '-8000000000000000', to: String(8e15) });
+    assert.ok(Date.now() - started < 1000);
+    assert.ok(Date.parse(metrics.from) >= Date.now() - 31 * 24 * 60 * 60 * 1000);
+    assert.equal(metrics.summary.samples, 1);
+
+    await assert.rejects(store.getAgentMetrics('gw-1:main', { from: '-9000000000000000' }), /Invalid time/);
+  });
+});
+
+describe('AuthManager', () => {
+  let dataDir;
+  let auth;
+  let revoked;
+
+  const socketFor = (token) => ({ handshake: { auth: { token } }, data: {} });
+
+  beforeEach((t) => {
+    if (!process.env.TEST_VERBOSE) t.mock.method(console, 'log', () => {});
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'team-control-test-'));
+    auth = new AuthManager({ dataDir });
+    auth.createUser({ username: 'alice', password: 'pw', role: 'operator' });
+    revoked = [];
+    auth.on('access:revoked', (data) => revoked.push(data));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('drops sockets of a removed user', () => {
+    const socket = socketFor(auth.login('alice', 'pw').token);
+    const tokenSocket = socketFor(auth.createToken('alice', { name: 'ci' }).token);
+    assert.equal(auth.authenticateSocket(socket).username, 'alice');
+
+    auth.removeUser('alice');
+    assert.deepEqual(revoked, [{ username: 'alice' }]);
+    assert.equal(auth.authenticateSocket(socket), null);
+    assert.equal(auth.authenticateSocket(tokenSocket), null);
+    assert.equal(socket.data.user, null);
+  });
+
+  test('drops sockets of a revoked token', () => {
+    const created = auth.createToken('alice', { name: 'ci' });
+    const socket = socketFor(created.token);
+    assert.equal(auth.authenticateSocket(socket).via, 'token');
+
+    assert.equal(auth.revokeToken(created.id), true);
+    assert.deepEqual(revoked, [{ username: 'alice', tokenId: created.id }]);
+    assert.equal(auth.authenticateSocket(socket), null);
+    assert.equal(auth.revokeToken(created.id), false);
+    assert.equal(revoked.length, 1);
+  });
+
+  test('drops sockets of a logged out session', () => {
+    const { token } = auth.login('alice', 'pw');
+    const other = socketFor(auth.login('alice', 'pw').token);
+    const socket = socketFor(token);
+
+    assert.equal(auth.logout(token), true);
+    assert.deepEqual(revoked, [{ username: 'alice' }]);
+    assert.equal(auth.authenticateSocket(socket), null);
+    assert.equal(auth.authenticateSocket(other).username, 'alice');
+  });
+
+  test('gives sockets of a demoted user their new role', () => {
+    const socket = socketFor(auth.login('alice', 'pw').token);
+    const tokenSocket = socketFor(auth.createToken('alice', { name: 'ci' }).token);
+
+    auth.updateUser('alice', { role: 'operator' });
+    assert.equal(revoked.length, 0);
+
+    auth.updateUser('alice', { role: 'viewer' });
+    assert.deepEqual(revoked, [{ username: 'alice' }]);
+    assert.equal(auth.authenticateSocket(socket).role, 'viewer');
+    assert.equal(socket.data.user.role, 'viewer');
+    assert.equal(auth.authenticateSocket(tokenSocket).role, 'viewer');
+  });
+});